@@ -0,0 +1,118 @@
+// sw.js – Service Worker für die Offline-Nutzung der App
+// Speichert die Startseite und alle darin verlinkten Dateien (JS, CSS, Icons, Manifest) im Cache,
+// damit die App auch ohne Internetverbindung startet. Der Name des Caches ergibt sich aus dem Inhalt der Startseite:
+// Liefert der Server eine neue Startseite (neue Version), wird ein neuer Cache angelegt und der alte gelöscht.
+const CACHE_PREFIX = 'dienstplan-app-';
+const START_URL = './';
+// Gebaute Dateien liegen hier und enthalten einen Hash im Namen, neue Versionen landen also unter neuen Adressen
+const HASHED_ASSETS_PATH = new URL('assets/', self.registration.scope).pathname;
+
+// Name des Caches für eine Startseite: Präfix und die ersten Zeichen ihres SHA-256-Hashs
+const getCacheNameForHtml = async (html) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(html));
+  const hash = [...new Uint8Array(digest)].slice(0, 8).map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${CACHE_PREFIX}${hash}`;
+};
+
+// Zuletzt angelegter Cache der App (caches.keys liefert die Namen in der Reihenfolge ihres Anlegens)
+const getCurrentCacheName = async () => {
+  const cacheNames = (await caches.keys()).filter(name => name.startsWith(CACHE_PREFIX));
+  return cacheNames[cacheNames.length - 1] || null;
+};
+
+// Legt für eine (neue) Startseite einen eigenen Cache mit allen darin verlinkten Dateien der gleichen Herkunft an
+// und löscht danach die Caches früherer Versionen, also alle Dateien, auf die die Startseite nicht mehr verweist.
+// Ist die Startseite unverändert, passiert nichts.
+const cacheAppShell = async (response) => {
+  const html = await response.clone().text();
+  const cacheName = await getCacheNameForHtml(html);
+  if (await caches.has(cacheName)) return;
+
+  const cache = await caches.open(cacheName);
+  try {
+    const assetUrls = [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+      .map(match => new URL(match[1], self.registration.scope))
+      .filter(url => url.origin === self.location.origin)
+      .map(url => url.href);
+    await cache.addAll([...new Set(assetUrls)]);
+    // Die Startseite zuletzt speichern, damit nur vollständige Caches als aktuell gelten
+    await cache.put(START_URL, response);
+  } catch (error) {
+    await caches.delete(cacheName);
+    throw error;
+  }
+
+  const cacheNames = await caches.keys();
+  await Promise.all(cacheNames
+    .filter(name => name.startsWith(CACHE_PREFIX) && name !== cacheName)
+    .map(name => caches.delete(name)));
+};
+
+// Beim Installieren die Startseite laden und die darin verlinkten Dateien zwischenspeichern
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    await cacheAppShell(await fetch(START_URL, { cache: 'reload' }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Seitenaufrufe: zuerst aus dem Netz, damit neue Versionen ankommen. Offline die gespeicherte Startseite.
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        if (response.ok) {
+          event.waitUntil(cacheAppShell(response.clone()).catch(error => {
+            console.warn('Neue Version konnte nicht zwischengespeichert werden:', error);
+          }));
+        }
+        return response;
+      } catch {
+        return (await caches.match(START_URL)) || Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Gebaute Dateien: aus dem Cache, sonst aus dem Netz laden und im aktuellen Cache speichern.
+  if (url.pathname.startsWith(HASHED_ASSETS_PATH)) {
+    event.respondWith((async () => {
+      const cachedResponse = await caches.match(request);
+      if (cachedResponse) return cachedResponse;
+      const response = await fetch(request);
+      const cacheName = await getCurrentCacheName();
+      if (response.ok && cacheName) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })());
+    return;
+  }
+
+  // Übrige Dateien ohne Hash im Namen (Manifest, Icons): sofort aus dem Cache, im Hintergrund aus dem Netz
+  // aktualisieren (stale-while-revalidate). Ohne gespeicherte Fassung direkt aus dem Netz.
+  event.respondWith((async () => {
+    const cachedResponse = await caches.match(request);
+    const networkResponse = fetch(request).then(async (response) => {
+      const cacheName = await getCurrentCacheName();
+      if (response.ok && cacheName) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    });
+    if (!cachedResponse) return networkResponse;
+    event.waitUntil(networkResponse.catch(() => {}));
+    return cachedResponse;
+  })());
+});
@@ -1,7 +1,22 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo, useLayoutEffect } from 'react';
 import { v4 as uuidv4 } from 'uuid'; // Import for generating unique IDs
-import { MessageSquare, AlertCircle, HelpCircle } from 'lucide-react';
+import { MessageSquare, AlertCircle, HelpCircle, Undo2, Redo2, HardDrive, Database, Lock, LockOpen, FileDown, FileSpreadsheet, CalendarDays } from 'lucide-react';
 import FeedbackModal from './components/FeedbackModal'; // Passe den Pfad an, falls du einen anderen Unterordner gewählt hast
+import BackupsModal from './components/BackupsModal';
+import ExternalChangeModal from './components/ExternalChangeModal';
+import PassphraseModal from './components/PassphraseModal';
+import RecentFilesList from './components/RecentFilesList';
+import ImportValidationModal from './components/ImportValidationModal';
+import ReferenceMappingModal, { NO_SUBCATEGORY } from './components/ReferenceMappingModal';
+import MasterDataImportModal from './components/MasterDataImportModal';
+import IcsExportModal, { ALL_EMPLOYEES } from './components/IcsExportModal';
+import EmployeeCsvImportModal from './components/EmployeeCsvImportModal';
+import AbsencesModal from './components/AbsencesModal';
+import CalendarSettingsModal from './components/CalendarSettingsModal';
+import ClosingDaysModal from './components/ClosingDaysModal';
+import TimeAccountModal from './components/TimeAccountModal';
+import VacationModal from './components/VacationModal';
+import ContractsModal from './components/ContractsModal';
 
 // Helper function to compare semantic versions (e.g., "1.0.0" vs "1.0.1")
 // Definiert außerhalb der Komponenten, damit sie überall genutzt werden kann
@@ -22,112 +37,2367 @@ const compareVersions = (version1, version2) => {
 // --- IndexedDB Constants for File Handle Storage ---
 const DB_NAME = 'DienstplanAppDB';
 const STORE_NAME = 'fileHandles';
-const DB_VERSION = 1;
+const WORKING_COPY_STORE_NAME = 'workingCopy'; // NEU: Arbeitskopie für Browser ohne File System Access API
+const BACKUP_STORE_NAME = 'backups'; // NEU: Automatische Sicherungen
+const DB_VERSION = 3;
+
+// Browser ohne File System Access API (z.B. Firefox, Safari) arbeiten mit einer Arbeitskopie in IndexedDB
+const SUPPORTS_FILE_SYSTEM_ACCESS = typeof window !== 'undefined' && 'showOpenFilePicker' in window && 'showSaveFilePicker' in window;
+const STORAGE_MODE = SUPPORTS_FILE_SYSTEM_ACCESS ? 'file' : 'browser';
+
+// --- Abstimmung mehrerer Tabs ---
+// Nur der Tab mit der Sperre (Web Locks API) speichert, die anderen erhalten Änderungen per BroadcastChannel und sind schreibgeschützt.
+const TAB_SYNC_CHANNEL_NAME = 'dienstplan-app-sync';
+const TAB_OWNER_LOCK_NAME = 'dienstplan-app-owner';
+const SUPPORTS_TAB_SYNC = typeof window !== 'undefined' && 'BroadcastChannel' in window && !!navigator.locks;
 
 // Helper function to open IndexedDB
 const openDb = () => {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        db.createObjectStore(STORE_NAME);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(WORKING_COPY_STORE_NAME)) {
+        db.createObjectStore(WORKING_COPY_STORE_NAME);
+      }
+      if (!db.objectStoreNames.contains(BACKUP_STORE_NAME)) {
+        db.createObjectStore(BACKUP_STORE_NAME);
+      }
+    };
+
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+
+    request.onerror = (event) => {
+      console.error("IndexedDB error:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+};
+
+// Generic helper to read a value from an IndexedDB store
+const getValueFromDb = async (storeName, key) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readonly');
+    const store = transaction.objectStore(storeName);
+    const request = store.get(key);
+
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+
+    request.onerror = (event) => {
+      console.error("IndexedDB get error:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+};
+
+// Generic helper to read all values (or only the keys) of an IndexedDB store
+const getAllFromDb = async (storeName, keysOnly = false) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readonly');
+    const store = transaction.objectStore(storeName);
+    const request = keysOnly ? store.getAllKeys() : store.getAll();
+
+    request.onsuccess = (event) => {
+      resolve(event.target.result);
+    };
+
+    request.onerror = (event) => {
+      console.error("IndexedDB getAll error:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+};
+
+// Generic helper to write a value to an IndexedDB store
+const putValueInDb = async (storeName, value, key) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    const request = store.put(value, key);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = (event) => {
+      console.error("IndexedDB save error:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+};
+
+// Generic helper to remove a value from an IndexedDB store
+const removeValueFromDb = async (storeName, key) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    const request = store.delete(key);
+
+    request.onsuccess = () => {
+      resolve();
+    };
+
+    request.onerror = (event) => {
+      console.error("IndexedDB delete error:", event.target.error);
+      reject(event.target.error);
+    };
+  });
+};
+
+// Helper functions for the file handle of the last used file
+const getFileHandleFromDb = (key = 'lastFile') => getValueFromDb(STORE_NAME, key);
+const putFileHandleInDb = (handle, key = 'lastFile') => putValueInDb(STORE_NAME, handle, key);
+const removeFileHandleFromDb = (key = 'lastFile') => removeValueFromDb(STORE_NAME, key);
+
+// --- Zuletzt verwendete Dateien ---
+// Liegen als Liste [{ id, handle, name, title, lastOpened }] (neueste zuerst) im Handle-Store.
+// 'lastFile' bleibt die Datei, die beim Start automatisch geladen wird.
+const RECENT_FILES_KEY = 'recentFiles';
+const MAX_RECENT_FILES = 10;
+
+const getRecentFilesFromDb = async () => (await getValueFromDb(STORE_NAME, RECENT_FILES_KEY)) || [];
+
+// Nimmt eine Datei in die Liste auf oder aktualisiert ihren Eintrag (dieselbe Datei wird per isSameEntry erkannt).
+// opened = false (z.B. beim Speichern) aktualisiert nur den Titel, ohne die Reihenfolge zu ändern.
+const rememberRecentFile = async (handle, title, { opened = true } = {}) => {
+  const recentFiles = await getRecentFilesFromDb();
+  let existingEntry = null;
+  for (const entry of recentFiles) {
+    if (await entry.handle.isSameEntry(handle)) {
+      existingEntry = entry;
+      break;
+    }
+  }
+
+  let updatedFiles;
+  if (existingEntry && !opened) {
+    if (existingEntry.title === title && existingEntry.name === handle.name) return recentFiles; // Nichts zu tun
+    updatedFiles = recentFiles.map(entry => entry === existingEntry ? { ...entry, handle, name: handle.name, title } : entry);
+  } else {
+    const newEntry = { id: existingEntry?.id || uuidv4(), handle, name: handle.name, title, lastOpened: new Date().toISOString() };
+    updatedFiles = [newEntry, ...recentFiles.filter(entry => entry !== existingEntry)].slice(0, MAX_RECENT_FILES);
+  }
+  await putValueInDb(STORE_NAME, updatedFiles, RECENT_FILES_KEY);
+  return updatedFiles;
+};
+
+const removeRecentFileFromDb = async (id) => {
+  const updatedFiles = (await getRecentFilesFromDb()).filter(entry => entry.id !== id);
+  await putValueInDb(STORE_NAME, updatedFiles, RECENT_FILES_KEY);
+  return updatedFiles;
+};
+
+// NEU: Helper functions for the working copy ({ data, fileName, savedAt }) in browser storage mode
+const getWorkingCopyFromDb = () => getValueFromDb(WORKING_COPY_STORE_NAME, 'current');
+const putWorkingCopyInDb = (workingCopy) => putValueInDb(WORKING_COPY_STORE_NAME, workingCopy, 'current');
+const removeWorkingCopyFromDb = () => removeValueFromDb(WORKING_COPY_STORE_NAME, 'current');
+
+// --- Automatische Sicherungen (Backups) ---
+// Eine Sicherung: { id, kind: 'hourly' | 'daily' | 'manual', createdAt, title, employeeCount, shiftCount, data }
+// Die ID beginnt mit der Art und enthält den Zeitstempel, so reicht für Fälligkeit und Aufräumen ein Blick auf die Schlüssel.
+const BACKUP_SETTINGS_STORAGE_KEY = 'backupSettings';
+const DEFAULT_BACKUP_SETTINGS = { hourlyCount: 24, dailyCount: 14 };
+const MAX_MANUAL_BACKUPS = 10; // Sicherungen, die z.B. vor einer Wiederherstellung angelegt werden
+const BACKUP_INTERVALS_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
+
+const getBackupSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BACKUP_SETTINGS_STORAGE_KEY));
+    return { ...DEFAULT_BACKUP_SETTINGS, ...(stored || {}) };
+  } catch {
+    return { ...DEFAULT_BACKUP_SETTINGS };
+  }
+};
+
+const parseBackupId = (id) => {
+  const [kind, timestamp] = String(id).split('-');
+  return { kind, timestamp: Number(timestamp) };
+};
+
+// Legt eine Sicherung der übergebenen Dateidaten an. Ist die Datei verschlüsselt (encryptionKey), wird es auch die Sicherung.
+const createBackup = async (data, kind, { encryptionKey = null, now = new Date() } = {}) => {
+  const backup = {
+    id: `${kind}-${now.getTime()}`,
+    kind,
+    createdAt: now.toISOString(),
+    title: data.masterSchedule?.title || 'Wochenplan',
+    employeeCount: data.employees?.length || 0,
+    shiftCount: data.masterSchedule?.shifts?.length || 0,
+    encrypted: Boolean(encryptionKey),
+    data: await sealStoredData(data, encryptionKey),
+  };
+  await putValueInDb(BACKUP_STORE_NAME, backup, backup.id);
+  return backup;
+};
+
+// Löscht die ältesten Sicherungen einer Art, bis höchstens maxCount übrig sind
+const pruneBackups = async (backupIds, kind, maxCount) => {
+  const idsOfKind = backupIds
+    .filter(id => parseBackupId(id).kind === kind)
+    .sort((a, b) => parseBackupId(b).timestamp - parseBackupId(a).timestamp);
+  for (const id of idsOfKind.slice(Math.max(0, maxCount))) {
+    await removeValueFromDb(BACKUP_STORE_NAME, id);
+  }
+};
+
+// Verschlüsselt alle noch unverschlüsselten Sicherungen, z.B. nachdem für die Datei ein Passwort gesetzt wurde
+const encryptStoredBackups = async (encryptionKey) => {
+  const backups = await getAllFromDb(BACKUP_STORE_NAME);
+  for (const backup of backups.filter(candidate => !isEncryptedFileContent(candidate.data))) {
+    await putValueInDb(BACKUP_STORE_NAME, { ...backup, encrypted: true, data: await sealStoredData(backup.data, encryptionKey) }, backup.id);
+  }
+};
+
+// Legt stündliche/tägliche Sicherungen an, sobald die letzte ihrer Art älter als das Intervall ist,
+// und entfernt überzählige alte Sicherungen gemäß den Einstellungen.
+const createRollingBackups = async (data, { encryptionKey = null, settings = getBackupSettings(), now = new Date() } = {}) => {
+  const counts = { hourly: settings.hourlyCount, daily: settings.dailyCount };
+  let backupIds = await getAllFromDb(BACKUP_STORE_NAME, true);
+
+  for (const kind of Object.keys(BACKUP_INTERVALS_MS)) {
+    if (counts[kind] > 0) {
+      const latestTimestamp = Math.max(0, ...backupIds
+        .map(parseBackupId)
+        .filter(parsed => parsed.kind === kind)
+        .map(parsed => parsed.timestamp));
+      if (now.getTime() - latestTimestamp >= BACKUP_INTERVALS_MS[kind]) {
+        const backup = await createBackup(data, kind, { encryptionKey, now });
+        backupIds = [...backupIds, backup.id];
+        console.log(`Automatische Sicherung angelegt (${kind}).`);
+      }
+    }
+    await pruneBackups(backupIds, kind, counts[kind]);
+  }
+};
+
+// Erzeugt einen Dateinamen aus Titel und aktuellem Zeitpunkt, z.B. "Wochenplan_01.09.2025_14.30.dienstplan"
+const buildTimestampedFilename = (title, extension) => {
+  const now = new Date();
+  const day = String(now.getDate()).padStart(2, '0');
+  const month = String(now.getMonth() + 1).padStart(2, '0'); // Month is 0-indexed
+  const year = now.getFullYear();
+  const hours = String(now.getHours()).padStart(2, '0');
+  const minutes = String(now.getMinutes()).padStart(2, '0');
+
+  // Sanitize the title for filename usage
+  const sanitizedTitle = title
+    .replace(/[^a-zA-Z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/--+/g, '-')
+    .trim();
+
+  return `${sanitizedTitle}_${day}.${month}.${year}_${hours}.${minutes}.${extension}`;
+};
+
+// Startet den Download einer Datei über einen temporären Link (Fallback ohne showSaveFilePicker)
+const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url); // Clean up the URL object
+};
+
+
+// --- Tabellen-Export (CSV / Excel) ---
+// Zeilen sind Arrays aus Strings und Zahlen. Zahlen werden in der CSV mit deutschem Dezimalkomma geschrieben,
+// in der .xlsx-Datei als echte Zahlen, damit Excel damit rechnen kann.
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const formatCsvValue = (value) => {
+  const text = typeof value === 'number'
+    ? value.toLocaleString('de-DE', { useGrouping: false, maximumFractionDigits: 2 })
+    : String(value ?? '');
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Semikolon als Trennzeichen und BOM, damit ein deutsches Excel die Datei direkt richtig öffnet
+const buildCsv = (header, rows) => '\uFEFF' + [header, ...rows]
+  .map(row => row.map(formatCsvValue).join(';'))
+  .join('\r\n');
+
+// CRC-32 für die ZIP-Einträge der .xlsx-Datei
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Minimales ZIP-Archiv ohne Komprimierung (Methode "stored"); files: [{ name, content: string }]
+const buildZip = (files, mimeType = 'application/zip') => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const localHeader = new DataView(new ArrayBuffer(30));
+    localHeader.setUint32(0, 0x04034b50, true); // Signatur Local File Header
+    localHeader.setUint16(4, 20, true); // Benötigte Version
+    localHeader.setUint16(8, 0, true); // Methode: stored
+    localHeader.setUint32(14, crc, true);
+    localHeader.setUint32(18, data.length, true);
+    localHeader.setUint32(22, data.length, true);
+    localHeader.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+
+    const centralHeader = new DataView(new ArrayBuffer(46));
+    centralHeader.setUint32(0, 0x02014b50, true); // Signatur Central Directory
+    centralHeader.setUint16(4, 20, true);
+    centralHeader.setUint16(6, 20, true);
+    centralHeader.setUint32(16, crc, true);
+    centralHeader.setUint32(20, data.length, true);
+    centralHeader.setUint32(24, data.length, true);
+    centralHeader.setUint16(28, nameBytes.length, true);
+    centralHeader.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const endRecord = new DataView(new ArrayBuffer(22));
+  endRecord.setUint32(0, 0x06054b50, true); // Signatur End of Central Directory
+  endRecord.setUint16(8, files.length, true);
+  endRecord.setUint16(10, files.length, true);
+  endRecord.setUint32(12, centralSize, true);
+  endRecord.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(endRecord.buffer)], { type: mimeType });
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Spaltenbuchstaben für Excel: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Erzeugt eine .xlsx-Datei mit einem Tabellenblatt. Die Kopfzeile ist fett, Zahlen haben das Format 0,00.
+const buildXlsx = (sheetName, header, rows) => {
+  const buildRow = (cells, rowIndex, styleForText) => `<row r="${rowIndex + 1}">${cells.map((value, columnIndex) => {
+    const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}" s="2"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr" s="${styleForText}"><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+  }).join('')}</row>`;
+
+  const sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols><col min="1" max="1" width="28" customWidth="1"/><col min="2" max="${header.length}" width="16" customWidth="1"/></cols>`
+    + `<sheetData>${buildRow(header, 0, 1)}${rows.map((row, index) => buildRow(row, index + 1, 0)).join('')}</sheetData>`
+    + '</worksheet>';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        // Blattnamen dürfen höchstens 31 Zeichen und keine Sonderzeichen wie / \ ? * [ ] enthalten
+        + `<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31) || 'Tabelle1')}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/styles.xml',
+      // Stile: 0 = Standard, 1 = fett (Kopfzeile), 2 = Zahl mit zwei Nachkommastellen
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+        + '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+        + '</styleSheet>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: sheetXml },
+  ], XLSX_MIME_TYPE);
+};
+
+// --- Mitarbeiter-Import (CSV) ---
+// Liest CSV-Dateien mit Semikolon, Komma oder Tabulator als Trennzeichen (wird anhand der ersten Zeile erkannt).
+// Felder in Anführungszeichen dürfen Trennzeichen, Zeilenumbrüche und verdoppelte Anführungszeichen enthalten.
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, ''); // BOM entfernen (z.B. aus Excel)
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ';');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Leere Zeilen (z.B. am Dateiende) ignorieren
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Felder, die beim Mitarbeiter-Import einer CSV-Spalte zugeordnet werden können.
+// aliases: Spaltenüberschriften (normalisiert), die automatisch zugeordnet werden
+const EMPLOYEE_CSV_FIELDS = [
+  { key: 'name', label: 'Name', required: true, aliases: ['name', 'mitarbeiter', 'mitarbeitername', 'mitarbeiterin'] },
+  { key: 'contractedHoursPerWeek', label: 'Wochenstunden', required: true, aliases: ['wochenstunden', 'stunden', 'vertragsstunden', 'stunden pro woche', 'std'] },
+  { key: 'groupName', label: 'Gruppe', aliases: ['gruppe', 'gruppenname', 'group'] },
+  { key: 'type', label: 'Typ', aliases: ['typ', 'mitarbeitertyp', 'art', 'type'] },
+  { key: 'presenceDays', label: 'Anwesenheitstage', aliases: ['anwesenheitstage', 'anwesenheit', 'tage'] },
+  { key: 'overriddenDisposalHours', label: 'Verfügungszeit (überschrieben)', aliases: ['verfügungszeit', 'verfuegungszeit', 'vz', 'verfügungszeit überschrieben'] },
+];
+
+// Mögliche Schreibweisen der Mitarbeitertypen (normalisiert), zusätzlich zu den internen Schlüsseln
+const EMPLOYEE_TYPE_ALIASES = {
+  'normaler mitarbeiter': 'normal',
+  'normale mitarbeiterin': 'normal',
+  'fachkraft': 'normal',
+  'auszubildender': 'apprentice',
+  'auszubildende': 'apprentice',
+  'azubi': 'apprentice',
+  'fsjler': 'fsj',
+  'fsjlerin': 'fsj',
+  'praktikant': 'intern',
+  'praktikantin': 'intern',
+};
+
+// Leeres Mitarbeiterformular; Anwesenheitstage sind die Arbeitstage der Datei (siehe settings.workingDays)
+const createEmptyEmployeeForm = (workingDays) => ({
+  name: '',
+  contractedHoursPerWeek: 0,
+  groupId: '',
+  overriddenDisposalHours: '',
+  type: 'normal', // 'normal', 'zusatzkraft', 'apprentice', 'fsj', 'intern'
+  presenceDays: [...workingDays],
+});
+
+// Gleiche Regeln wie beim Hinzufügen über das Formular (handleAddEmployee). Gibt die Fehlermeldung zurück oder null.
+const validateEmployeeInput = ({ name, contractedHoursPerWeek, overriddenDisposalHours, type, presenceDays }) => {
+  if (!name.trim() || !(contractedHoursPerWeek > 0)) {
+    return 'Mitarbeitername und Stunden pro Woche sind erforderlich.';
+  }
+  if (overriddenDisposalHours !== null && !(overriddenDisposalHours >= 0)) {
+    return 'Überschriebene Verfügungszeit darf nicht negativ sein.';
+  }
+  if (type !== 'normal' && type !== 'zusatzkraft' && (presenceDays || []).length === 0) {
+    return 'Für Auszubildende, FSJler und Praktikanten müssen Anwesenheitstage ausgewählt werden.';
+  }
+  return null;
+};
+
+// Schlägt für jedes Feld die passende Spalte anhand der Überschrift vor: { [feld]: spaltenIndex | '' }
+const suggestEmployeeCsvMapping = (headerRow) => Object.fromEntries(EMPLOYEE_CSV_FIELDS.map(field => {
+  const index = headerRow.findIndex(cell => field.aliases.includes(normalizeName(cell)));
+  return [field.key, index === -1 ? '' : index];
+}));
+
+// Zahl mit Dezimalkomma oder -punkt; leere Zellen ergeben null
+const parseCsvNumber = (value) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return null;
+  const number = Number(trimmed.replace(',', '.'));
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Anwesenheitstage als Liste, z.B. "Mo, Mi, Fr" oder "Montag/Dienstag"; ungültige Einträge werden gesammelt
+const parseCsvPresenceDays = (value) => {
+  const days = [];
+  const invalid = [];
+  (value || '').split(/[\s,;/|]+/).filter(Boolean).forEach(part => {
+    const normalized = normalizeName(part).replace(/\.$/, '');
+    const day = ALL_WEEK_DAYS.find(weekDay => normalizeName(weekDay) === normalized || (normalized.length >= 2 && normalizeName(weekDay).startsWith(normalized)));
+    if (day) {
+      if (!days.includes(day)) days.push(day);
+    } else {
+      invalid.push(part);
+    }
+  });
+  return { days: ALL_WEEK_DAYS.filter(day => days.includes(day)), invalid };
+};
+
+// Prüft alle Zeilen einer CSV-Datei für den Mitarbeiter-Import.
+// Vorhandene Mitarbeiter (gleicher Name) werden aktualisiert, dabei bleiben nicht zugeordnete Felder unverändert.
+// Ergebnis je Zeile: { rowNumber, status: 'create' | 'update' | 'rejected', employee, errors }
+const analyzeEmployeeCsvImport = (rows, mapping, hasHeaderRow, { employees, groups, workingDays }) => {
+  const dataRows = hasHeaderRow ? rows.slice(1) : rows;
+  const seenNames = new Set();
+  const cell = (row, key) => (mapping[key] === '' || mapping[key] === undefined ? undefined : (row[mapping[key]] ?? '').trim());
+
+  return dataRows.map((row, index) => {
+    const rowNumber = index + (hasHeaderRow ? 2 : 1);
+    const errors = [];
+    const name = cell(row, 'name') ?? '';
+    const existing = employees.find(employee => normalizeName(employee.name) === normalizeName(name));
+    const base = existing || { name: '', contractedHoursPerWeek: 0, groupId: '', overriddenDisposalHours: null, type: 'normal', presenceDays: [...workingDays] };
+
+    const hoursCell = cell(row, 'contractedHoursPerWeek');
+    const contractedHoursPerWeek = hoursCell === undefined ? base.contractedHoursPerWeek : parseCsvNumber(hoursCell);
+    if (Number.isNaN(contractedHoursPerWeek)) errors.push(`Wochenstunden "${hoursCell}" sind keine Zahl.`);
+
+    const disposalCell = cell(row, 'overriddenDisposalHours');
+    const overriddenDisposalHours = disposalCell === undefined ? (base.overriddenDisposalHours ?? null) : parseCsvNumber(disposalCell);
+    if (Number.isNaN(overriddenDisposalHours)) errors.push(`Verfügungszeit "${disposalCell}" ist keine Zahl.`);
+
+    let groupId = base.groupId || '';
+    const groupCell = cell(row, 'groupName');
+    if (groupCell !== undefined) {
+      const group = groupCell ? groups.find(candidate => normalizeName(candidate.name) === normalizeName(groupCell)) : null;
+      if (groupCell && !group) errors.push(`Gruppe "${groupCell}" gibt es nicht.`);
+      groupId = group ? group.id : '';
+    }
+
+    let type = base.type || 'normal';
+    const typeCell = cell(row, 'type');
+    if (typeCell) {
+      const normalizedType = normalizeName(typeCell);
+      type = EMPLOYEE_TYPE_ORDER[normalizedType] !== undefined ? normalizedType : EMPLOYEE_TYPE_ALIASES[normalizedType];
+      if (!type) errors.push(`Typ "${typeCell}" ist unbekannt.`);
+    }
+
+    let presenceDays = base.presenceDays || [...workingDays];
+    const presenceCell = cell(row, 'presenceDays');
+    if (presenceCell !== undefined && presenceCell !== '') {
+      const { days, invalid } = parseCsvPresenceDays(presenceCell);
+      if (invalid.length > 0) errors.push(`Unbekannte Anwesenheitstage: ${invalid.join(', ')}.`);
+      presenceDays = days;
+    }
+    // Wie im Formular: Normale Mitarbeiter und Zusatzkräfte sind an allen Tagen anwesend
+    if (type === 'normal' || type === 'zusatzkraft') presenceDays = [...workingDays];
+
+    if (errors.length === 0) {
+      const validationError = validateEmployeeInput({ name, contractedHoursPerWeek, overriddenDisposalHours, type, presenceDays });
+      if (validationError) errors.push(validationError);
+    }
+    if (name && seenNames.has(normalizeName(name))) {
+      errors.push('Der Name kommt in der Datei mehrfach vor.');
+    }
+    seenNames.add(normalizeName(name));
+
+    const employee = {
+      ...base,
+      id: existing ? existing.id : null, // Neue Mitarbeiter erhalten ihre ID erst beim Übernehmen
+      name: existing ? existing.name : name,
+      contractedHoursPerWeek,
+      groupId,
+      overriddenDisposalHours,
+      type,
+      presenceDays,
+    };
+    return { rowNumber, status: errors.length > 0 ? 'rejected' : existing ? 'update' : 'create', employee, errors };
+  });
+};
+
+// --- Kalender-Export (iCalendar / .ics) ---
+// Jede Schicht wird zu einem wöchentlich wiederkehrenden Termin. Zeiten beziehen sich auf Europe/Berlin.
+const ICS_MIME_TYPE = 'text/calendar;charset=utf-8';
+const ICS_WEEKDAYS = { Montag: 'MO', Dienstag: 'TU', Mittwoch: 'WE', Donnerstag: 'TH', Freitag: 'FR', Samstag: 'SA', Sonntag: 'SU' };
+const ICS_TIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/Berlin',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0200',
+  'TZNAME:CEST',
+  'DTSTART:19700329T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0100',
+  'TZNAME:CET',
+  'DTSTART:19701025T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// Umlaute in Dateinamen ausschreiben, buildTimestampedFilename und ZIP-Einträge erlauben nur ASCII
+const transliterateFilename = (name) => name
+  .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue')
+  .replace(/Ä/g, 'Ae').replace(/Ö/g, 'Oe').replace(/Ü/g, 'Ue')
+  .replace(/ß/g, 'ss');
+
+const escapeIcsText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Zeilen länger als 75 Byte werden laut RFC 5545 umbrochen (Folgezeilen beginnen mit einem Leerzeichen)
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (encoder.encode(current + char).length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad2 = (number) => String(number).padStart(2, '0');
+const formatIcsLocalDateTime = (date) => `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}T${pad2(date.getHours())}${pad2(date.getMinutes())}00`;
+const formatIcsUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Erster Termin eines Wochentags am oder nach dem Startdatum, mit Uhrzeit (24:00 wird zu 0:00 am Folgetag)
+const firstOccurrence = (startDate, dayOfWeek, time) => {
+  const date = new Date(`${startDate}T00:00:00`);
+  const targetWeekday = (ALL_WEEK_DAYS.indexOf(dayOfWeek) + 1) % 7; // Date.getDay(): 0 = Sonntag
+  date.setDate(date.getDate() + ((targetWeekday - date.getDay() + 7) % 7));
+  date.setMinutes(timeToMinutes(time));
+  return date;
+};
+
+// Termine eines Mitarbeiters: mode 'segments' = ein Termin je Zeitabschnitt,
+// mode 'blocks' = direkt aneinander anschließende Abschnitte werden zu einem Arbeitsblock zusammengefasst.
+// Pausen werden nicht exportiert und trennen Arbeitsblöcke.
+const buildEmployeeCalendarEvents = (employee, shifts, { categories, subCategories, groups, mode }) => {
+  const groupName = groups.find(group => group.id === employee.groupId)?.name;
+  const segmentName = (segment) => subCategories.find(subCategory => subCategory.id === segment.subCategoryId)?.name
+    || categories.find(category => category.id === segment.categoryId)?.name
+    || 'Dienst';
+
+  const events = [];
+  shifts
+    .filter(shift => shift.employeeId === employee.id && ICS_WEEKDAYS[shift.dayOfWeek])
+    .forEach(shift => {
+      const workSegments = shift.segments
+        .filter(segment => segment.categoryId !== PAUSE_CATEGORY.id)
+        .sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
+
+      const blocks = [];
+      workSegments.forEach(segment => {
+        const lastBlock = blocks[blocks.length - 1];
+        if (mode === 'blocks' && lastBlock && lastBlock.endTime === segment.startTime) {
+          lastBlock.endTime = segment.endTime;
+          lastBlock.segments.push(segment);
+        } else {
+          blocks.push({ startTime: segment.startTime, endTime: segment.endTime, segments: [segment] });
+        }
+      });
+
+      blocks.forEach((block, index) => {
+        const descriptionLines = [];
+        if (groupName) descriptionLines.push(`Gruppe: ${groupName}`);
+        block.segments.forEach(segment => descriptionLines.push(`${segment.startTime}–${segment.endTime} ${segmentName(segment)}`));
+        events.push({
+          uid: `${shift.id}-${index}@kindergarten-dienstplan-app`,
+          dayOfWeek: shift.dayOfWeek,
+          startTime: block.startTime,
+          endTime: block.endTime,
+          summary: mode === 'blocks' ? `Dienst${groupName ? ` (${groupName})` : ''}` : segmentName(block.segments[0]),
+          description: descriptionLines.join('\n'),
+        });
+      });
+    });
+  return events;
+};
+
+// Baut die .ics-Datei. startDate/endDate im Format JJJJ-MM-TT, endDate ist optional (sonst unbegrenzt wiederholt).
+const buildIcsCalendar = (calendarName, events, { startDate, endDate }) => {
+  const now = formatIcsUtcDateTime(new Date());
+  const until = endDate ? `;UNTIL=${formatIcsUtcDateTime(new Date(`${endDate}T23:59:59`))}` : '';
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kindergarten Dienstplan App//DE',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    'X-WR-TIMEZONE:Europe/Berlin',
+    ...ICS_TIMEZONE,
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART;TZID=Europe/Berlin:${formatIcsLocalDateTime(firstOccurrence(startDate, event.dayOfWeek, event.startTime))}`,
+      `DTEND;TZID=Europe/Berlin:${formatIcsLocalDateTime(firstOccurrence(startDate, event.dayOfWeek, event.endTime))}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${ICS_WEEKDAYS[event.dayOfWeek]}${until}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      'END:VEVENT',
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+};
+
+
+// Define the days of the week for the constant plan
+// Standard-Arbeitstage. Welche Tage tatsächlich geplant werden, steht in settings.workingDays.
+const WEEK_DAYS_PLAN = ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag'];
+// NEU: Alle Wochentage in Kalenderreihenfolge, aus ihnen werden die Arbeitstage gewählt
+const ALL_WEEK_DAYS = [...WEEK_DAYS_PLAN, 'Samstag', 'Sonntag'];
+
+// --- German Labor Law Constants (in minutes) ---
+const MIN_BREAK_AFTER_6_HOURS = 30; // 30 minutes break after 6 hours work
+const MIN_BREAK_AFTER_9_HOURS = 45; // 45 minutes break after 9 hours work (can include the first 30 min)
+const MAX_DAILY_WORK_MINUTES = 10 * 60; // 10 hours max actual work time
+
+// --- Fixed System PAUSE Category ---
+const PAUSE_CATEGORY = {
+  id: '_pause_system_id',
+  name: 'Pause',
+  color: 'bg-gray-500', // A distinct color for system pause
+};
+
+// Employee Type Order for sorting within a group
+// Normal employees come first (0), then Zusatzkraft (0.5), then special types (1)
+const EMPLOYEE_TYPE_ORDER = {
+  'normal': 0,
+  'zusatzkraft': 0.5, // New: Added Zusatzkraft
+  'apprentice': 1,
+  'fsj': 1,
+  'intern': 1,
+};
+
+// Sort employees for rendering based on group order, then type, then hours/name
+const sortEmployeesForDisplay = (employeeList, orderedGroupIds) => {
+  const groupOrderMap = new Map(orderedGroupIds.map((id, index) => [id, index]));
+
+  const employeesCopy = [...employeeList];
+
+  employeesCopy.sort((a, b) => {
+    // 1. Primary sort: Group order
+    const groupAId = a.groupId || 'no-group';
+    const groupBId = b.groupId || 'no-group';
+    const orderA = groupOrderMap.has(groupAId) ? groupOrderMap.get(groupAId) : Infinity;
+    const orderB = groupOrderMap.has(groupBId) ? groupOrderMap.get(groupBId) : Infinity;
+
+    if (orderA !== orderB) {
+      return orderA - orderB;
+    }
+
+    // 2. Secondary sort (within the same group): Employee type (normal first, then zusatzkraft, then special)
+    const typeOrderA = EMPLOYEE_TYPE_ORDER[a.type];
+    const typeOrderB = EMPLOYEE_TYPE_ORDER[b.type];
+
+    if (typeOrderA !== typeOrderB) {
+      return typeOrderA - typeOrderB;
+    }
+
+    // 3. Tertiary sort (within same group and same type):
+    if (a.type === 'normal' || a.type === 'zusatzkraft') { // Both normal and zusatzkraft sort by contracted hours
+      // For normal/zusatzkraft employees: contracted hours descending, then name alphabetically
+      if (b.contractedHoursPerWeek !== a.contractedHoursPerWeek) {
+        return b.contractedHoursPerWeek - a.contractedHoursPerWeek;
+      }
+      return a.name.localeCompare(b.name);
+    } else {
+      // For special employees: name alphabetically
+      return a.name.localeCompare(b.name);
+    }
+  });
+  return employeesCopy;
+};
+
+// --- Kalenderwochen ---
+// Eine Kalenderwoche wird aus einer Wochenvorlage erzeugt: { id, weekStart: 'JJJJ-MM-TT' (Montag), templateId, overrides }.
+// Abweichungen gelten je Datum und Mitarbeiter und ersetzen dessen Schichten aus der Vorlage an diesem Tag:
+// { id, date, employeeId, shifts: [{ id, segments }] }, eine leere Liste bedeutet "an diesem Tag keine Schicht".
+
+// Datum als JJJJ-MM-TT in lokaler Zeit
+const toIsoDate = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// Prüft auf ein tatsächlich existierendes Datum im Format JJJJ-MM-TT
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toIsoDate(new Date(`${value}T00:00:00`)) === value;
+
+const addDaysToIsoDate = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toIsoDate(date);
+};
+
+// Montag der Woche, in der das Datum liegt
+const getWeekStartIsoDate = (isoDate) => {
+  const date = new Date(`${isoDate}T00:00:00`);
+  return addDaysToIsoDate(isoDate, -((date.getDay() + 6) % 7));
+};
+
+// Kalenderwoche nach ISO 8601 (die Woche mit dem ersten Donnerstag des Jahres ist KW 1)
+const getIsoWeekNumber = (isoDate) => {
+  const thursday = new Date(`${addDaysToIsoDate(getWeekStartIsoDate(isoDate), 3)}T00:00:00`);
+  const firstThursday = new Date(`${getWeekStartIsoDate(`${thursday.getFullYear()}-01-04`)}T00:00:00`);
+  firstThursday.setDate(firstThursday.getDate() + 3);
+  return Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000)) + 1;
+};
+
+// "03.11.2025" bzw. ohne Jahr "03.11."
+const formatGermanDate = (isoDate, withYear = true) => {
+  const [year, month, day] = isoDate.split('-');
+  return withYear ? `${day}.${month}.${year}` : `${day}.${month}.`;
+};
+
+// Datum jedes Wochentags der Woche: { Montag: '2025-11-03', ... }
+const getWeekDates = (weekStart) => Object.fromEntries(
+  ALL_WEEK_DAYS.map((day, index) => [day, addDaysToIsoDate(weekStart, index)])
+);
+
+// Beschriftung einer Kalenderwoche vom ersten bis zum letzten Arbeitstag, z.B. "KW 45 · 03.11.–07.11.2025"
+const formatCalendarWeekLabel = (weekStart, workingDays = WEEK_DAYS_PLAN) => {
+  const weekDates = getWeekDates(weekStart);
+  return `KW ${getIsoWeekNumber(weekStart)} · ${formatGermanDate(weekDates[workingDays[0]], false)}–${formatGermanDate(weekDates[workingDays[workingDays.length - 1]])}`;
+};
+
+// Schichten einer Kalenderwoche: Vorlage, bei Abweichungen ersetzt durch die Schichten für Datum und Mitarbeiter
+const buildCalendarWeekShifts = (templateShifts, calendarWeek) => {
+  const weekDates = getWeekDates(calendarWeek.weekStart);
+  const overrideMap = new Map(calendarWeek.overrides.map(override => [`${override.date}|${override.employeeId}`, override]));
+  const shifts = templateShifts.filter(shift => !overrideMap.has(`${weekDates[shift.dayOfWeek]}|${shift.employeeId}`));
+  calendarWeek.overrides.forEach(override => {
+    const dayOfWeek = ALL_WEEK_DAYS.find(day => weekDates[day] === override.date);
+    if (!dayOfWeek) return; // Datum liegt nicht in dieser Woche
+    override.shifts.forEach(shift => shifts.push({ ...shift, employeeId: override.employeeId, dayOfWeek }));
+  });
+  return shifts;
+};
+
+// Gegenstück zu buildCalendarWeekShifts: ermittelt aus den bearbeiteten Schichten der Woche die Abweichungen von der Vorlage.
+// Stimmen die Schichten eines Mitarbeiters an einem Tag wieder mit der Vorlage überein, entfällt die Abweichung.
+const buildCalendarWeekOverrides = (templateShifts, calendarWeek, shifts) => {
+  const weekDates = getWeekDates(calendarWeek.weekStart);
+  const toComparable = (list) => JSON.stringify(list.map(shift => ({ id: shift.id, segments: shift.segments })));
+  const shiftsFor = (list, day, employeeId) => list
+    .filter(shift => shift.dayOfWeek === day && shift.employeeId === employeeId)
+    .map(shift => ({ id: shift.id, segments: shift.segments }));
+
+  const overrides = [];
+  ALL_WEEK_DAYS.forEach(day => {
+    const employeeIds = new Set([...templateShifts, ...shifts].filter(shift => shift.dayOfWeek === day).map(shift => shift.employeeId));
+    employeeIds.forEach(employeeId => {
+      const weekShifts = shiftsFor(shifts, day, employeeId);
+      if (toComparable(weekShifts) === toComparable(shiftsFor(templateShifts, day, employeeId))) return;
+      const existing = calendarWeek.overrides.find(override => override.date === weekDates[day] && override.employeeId === employeeId);
+      overrides.push({ id: existing?.id || uuidv4(), date: weekDates[day], employeeId, shifts: weekShifts });
+    });
+  });
+  return overrides;
+};
+
+// --- Vertragsverlauf ---
+// Mitarbeiter können datierte Verträge { id, startDate, endDate, ...CONTRACT_FIELDS } haben (JJJJ-MM-TT, null = offen).
+// Ohne Verträge gelten immer die Felder des Mitarbeiters. Mit Verträgen gelten für ein Datum die Werte des dort gültigen
+// Vertrags, außerhalb aller Verträge ist der Mitarbeiter nicht eingeplant. Die Felder des Mitarbeiters spiegeln den aktuellen Vertrag.
+const CONTRACT_FIELDS = ['contractedHoursPerWeek', 'type', 'groupId', 'presenceDays', 'overriddenDisposalHours'];
+
+const pickContractFields = (source) => Object.fromEntries(CONTRACT_FIELDS.map(field => [field, source[field]]));
+
+const sortContracts = (contracts) => [...contracts].sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+
+const isContractActive = (contract, startDate, endDate) =>
+  (!contract.startDate || contract.startDate <= endDate) && (!contract.endDate || contract.endDate >= startDate);
+
+// Mitarbeiter für die Tage einer Woche ({ [Tag]: JJJJ-MM-TT }) oder null, wenn an keinem der Tage ein Vertrag gilt.
+// Der Vertrag wird je Tag bestimmt. Die Felder stammen vom Vertrag des ersten Tags mit Vertrag, dazu kommen
+// contractDays (Tage mit gültigem Vertrag, nur an diesen ist der Mitarbeiter eingeplant) und weeklyTargetMinutes
+// (Wochensoll: je Tag mit Vertrag ein Anteil der dort gültigen Wochenstunden).
+const getEmployeeForPeriod = (employee, dayDates) => {
+  const days = Object.keys(dayDates);
+  if (!employee.contracts?.length) {
+    return { ...employee, contractDays: days, weeklyTargetMinutes: Number(employee.contractedHoursPerWeek) * 60 };
+  }
+  const sortedContracts = sortContracts(employee.contracts);
+  const contractsByDay = days
+    .map(day => ({ day, contract: sortedContracts.find(candidate => isContractActive(candidate, dayDates[day], dayDates[day])) }))
+    .filter(({ contract }) => contract);
+  if (contractsByDay.length === 0) return null;
+  return {
+    ...employee,
+    ...pickContractFields(contractsByDay[0].contract),
+    contractDays: contractsByDay.map(({ day }) => day),
+    weeklyTargetMinutes: contractsByDay.reduce((sum, { contract }) => sum + Number(contract.contractedHoursPerWeek) * 60 / days.length, 0),
+  };
+};
+
+// Aktueller Vertrag: der heute gültige, sonst der zuletzt begonnene, sonst der nächste
+const getCurrentContract = (contracts, today) => {
+  const sorted = sortContracts(contracts);
+  return sorted.find(contract => isContractActive(contract, today, today))
+    || [...sorted].reverse().find(contract => !contract.startDate || contract.startDate <= today)
+    || sorted[0];
+};
+
+// Übernimmt die Werte des aktuellen Vertrags in die Felder des Mitarbeiters (nach Änderungen an den Verträgen)
+const syncEmployeeWithCurrentContract = (employee, today) => {
+  if (!employee.contracts?.length) return employee;
+  return { ...employee, ...pickContractFields(getCurrentContract(employee.contracts, today)) };
+};
+
+// Gegenrichtung: Änderungen an den Feldern des Mitarbeiters (Formular, CSV-Import) gelten für den aktuellen Vertrag
+const applyEmployeeFieldsToCurrentContract = (employee, today) => {
+  if (!employee.contracts?.length) return employee;
+  const current = getCurrentContract(employee.contracts, today);
+  return {
+    ...employee,
+    contracts: employee.contracts.map(contract => (contract === current ? { ...contract, ...pickContractFields(employee) } : contract)),
+  };
+};
+
+// --- Abwesenheiten ---
+// { id, employeeId, type, startDate, endDate, note }, Beginn und Ende als JJJJ-MM-TT (beide einschließlich).
+// creditsHours: Die an diesem Tag geplante Arbeitszeit wird in der Wochenübersicht angerechnet.
+// Beim Überstundenabbau nicht, die fehlenden Stunden gehen zu Lasten der Überstunden.
+const ABSENCE_TYPES = {
+  vacation: { label: 'Urlaub', color: 'bg-green-500', creditsHours: true },
+  sick: { label: 'Krank', color: 'bg-red-500', creditsHours: true },
+  training: { label: 'Fortbildung', color: 'bg-blue-500', creditsHours: true },
+  overtime: { label: 'Überstundenabbau', color: 'bg-amber-500', creditsHours: false },
+};
+
+// Abwesenheiten an den Tagen einer Woche: { [employeeId]: { [Tag]: absence } }
+const getWeekAbsences = (absences, weekStart) => {
+  const weekDates = getWeekDates(weekStart);
+  const result = {};
+  absences.forEach(absence => {
+    ALL_WEEK_DAYS.forEach(day => {
+      if (weekDates[day] < absence.startDate || weekDates[day] > absence.endDate) return;
+      result[absence.employeeId] = { ...result[absence.employeeId], [day]: absence };
+    });
+  });
+  return result;
+};
+
+// Kurzbeschreibung der freien Tage einer Woche (Abwesenheiten, Feiertage), z.B. "Urlaub Mo, Di · Feiertag Fr"
+// daysOff: [{ day, label }]
+const formatWeeklyDaysOff = (daysOff) => {
+  const daysByLabel = {};
+  daysOff.forEach(({ day, label }) => {
+    daysByLabel[label] = [...(daysByLabel[label] || []), day.slice(0, 2)];
+  });
+  return Object.entries(daysByLabel).map(([label, days]) => `${label} ${days.join(', ')}`).join(' · ');
+};
+
+// --- Gesetzliche Feiertage ---
+// Werden lokal berechnet, ohne Online-Dienst. Nur landesweite Feiertage, regionale (z.B. Mariä Himmelfahrt
+// in Teilen Bayerns, Fronleichnam in Teilen Sachsens und Thüringens) sind nicht enthalten.
+const FEDERAL_STATES = {
+  BW: 'Baden-Württemberg',
+  BY: 'Bayern',
+  BE: 'Berlin',
+  BB: 'Brandenburg',
+  HB: 'Bremen',
+  HH: 'Hamburg',
+  HE: 'Hessen',
+  MV: 'Mecklenburg-Vorpommern',
+  NI: 'Niedersachsen',
+  NW: 'Nordrhein-Westfalen',
+  RP: 'Rheinland-Pfalz',
+  SL: 'Saarland',
+  SN: 'Sachsen',
+  ST: 'Sachsen-Anhalt',
+  SH: 'Schleswig-Holstein',
+  TH: 'Thüringen',
+};
+
+// Wie ein Feiertag auf die Vertragsstunden angerechnet wird
+const HOLIDAY_CREDIT_RULES = {
+  planned: 'Geplante Stunden des Mitarbeiters an diesem Wochentag',
+  average: 'Durchschnittliche Tagesstunden (Vertragsstunden / Arbeitstage)',
+  none: 'Nicht anrechnen',
+};
+
+// Dateiweite Einstellungen ('settings' in der .dienstplan-Datei). Ohne Bundesland werden keine Feiertage berechnet.
+const DEFAULT_SETTINGS = {
+  federalState: '',
+  holidayCreditRule: 'planned',
+  maxClosingDays: null, // Vom Träger erlaubte Schließtage pro Jahr, null = keine Vorgabe
+  workingDays: WEEK_DAYS_PLAN, // Geplante Wochentage in Kalenderreihenfolge (siehe ALL_WEEK_DAYS)
+  deductClosingDaysFromVacation: false, // Schließtage mindern den Urlaubsanspruch (siehe getVacationDates)
+};
+
+// Ostersonntag nach der Gaußschen Osterformel (gregorianischer Kalender)
+const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+};
+
+// Feiertage eines Jahres in einem Bundesland: [{ date, name }], nach Datum sortiert
+const getPublicHolidays = (year, federalState) => {
+  if (!FEDERAL_STATES[federalState]) return [];
+  const easter = getEasterSunday(year);
+  const fixed = (monthDay) => `${year}-${monthDay}`;
+  // Buß- und Bettag: Mittwoch vor dem 23. November
+  const dayBeforeNov23 = new Date(`${year}-11-22T00:00:00`);
+  const repentanceDay = addDaysToIsoDate(fixed('11-22'), -((dayBeforeNov23.getDay() + 4) % 7));
+
+  const holidays = [
+    { date: fixed('01-01'), name: 'Neujahr' },
+    { date: fixed('01-06'), name: 'Heilige Drei Könige', states: ['BW', 'BY', 'ST'] },
+    { date: fixed('03-08'), name: 'Internationaler Frauentag', states: year >= 2023 ? ['BE', 'MV'] : year >= 2019 ? ['BE'] : [] },
+    { date: addDaysToIsoDate(easter, -2), name: 'Karfreitag' },
+    { date: easter, name: 'Ostersonntag', states: ['BB'] },
+    { date: addDaysToIsoDate(easter, 1), name: 'Ostermontag' },
+    { date: fixed('05-01'), name: 'Tag der Arbeit' },
+    { date: addDaysToIsoDate(easter, 39), name: 'Christi Himmelfahrt' },
+    { date: addDaysToIsoDate(easter, 49), name: 'Pfingstsonntag', states: ['BB'] },
+    { date: addDaysToIsoDate(easter, 50), name: 'Pfingstmontag' },
+    { date: addDaysToIsoDate(easter, 60), name: 'Fronleichnam', states: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'] },
+    { date: fixed('08-15'), name: 'Mariä Himmelfahrt', states: ['SL'] },
+    { date: fixed('09-20'), name: 'Weltkindertag', states: year >= 2019 ? ['TH'] : [] },
+    { date: fixed('10-03'), name: 'Tag der Deutschen Einheit' },
+    {
+      date: fixed('10-31'),
+      name: 'Reformationstag',
+      // 2017 (500 Jahre Reformation) bundesweit, seit 2018 auch in den norddeutschen Ländern
+      states: year === 2017 ? Object.keys(FEDERAL_STATES) : ['BB', 'MV', 'SN', 'ST', 'TH', ...(year >= 2018 ? ['HB', 'HH', 'NI', 'SH'] : [])],
+    },
+    { date: fixed('11-01'), name: 'Allerheiligen', states: ['BW', 'BY', 'NW', 'RP', 'SL'] },
+    { date: repentanceDay, name: 'Buß- und Bettag', states: ['SN'] },
+    { date: fixed('12-25'), name: '1. Weihnachtstag' },
+    { date: fixed('12-26'), name: '2. Weihnachtstag' },
+  ];
+
+  return holidays
+    .filter(holiday => !holiday.states || holiday.states.includes(federalState))
+    .map(({ date, name }) => ({ date, name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Feiertage an den Tagen einer Woche: { [Tag]: Name }
+const getWeekHolidays = (weekStart, federalState) => {
+  const weekDates = getWeekDates(weekStart);
+  const years = [...new Set(Object.values(weekDates).map(date => Number(date.slice(0, 4))))];
+  const holidayNames = new Map(years.flatMap(year => getPublicHolidays(year, federalState)).map(holiday => [holiday.date, holiday.name]));
+  const result = {};
+  ALL_WEEK_DAYS.forEach(day => {
+    if (holidayNames.has(weekDates[day])) result[day] = holidayNames.get(weekDates[day]);
+  });
+  return result;
+};
+
+// --- Schließtage ---
+// Ein Schließtag { id, name, startDate, endDate, groupIds } gilt für die ganze Einrichtung (groupIds leer)
+// oder nur für die angegebenen Gruppen. Mitarbeiter ohne Gruppe betreffen nur Schließtage der ganzen Einrichtung.
+const findClosingDay = (closingDays, isoDate, groupId) => closingDays.find(closingDay =>
+  closingDay.startDate <= isoDate && closingDay.endDate >= isoDate
+  && (closingDay.groupIds.length === 0 || closingDay.groupIds.includes(groupId)));
+
+// Anzahl der Schließtage eines Jahres für eine Gruppe (null = nur Schließtage der ganzen Einrichtung).
+// Gezählt werden Arbeitstage, die kein gesetzlicher Feiertag sind.
+const countClosingDays = (closingDays, year, federalState, workingDays, groupId = null) => {
+  const holidayDates = new Set(getPublicHolidays(year, federalState).map(holiday => holiday.date));
+  let count = 0;
+  for (let date = `${year}-01-01`; date <= `${year}-12-31`; date = addDaysToIsoDate(date, 1)) {
+    const weekday = ALL_WEEK_DAYS[(new Date(`${date}T00:00:00`).getDay() + 6) % 7];
+    if (!workingDays.includes(weekday) || holidayDates.has(date)) continue;
+    if (findClosingDay(closingDays, date, groupId)) count++;
+  }
+  return count;
+};
+
+// --- Arbeitszeitkonto ---
+// Einträge { id, employeeId, type, date, minutes, reason }. Je Mitarbeiter gibt es höchstens einen Anfangssaldo
+// und je Kalenderwoche (date = Montag) höchstens eine Wochenbuchung mit Ist minus Soll. Wochenbuchungen merken sich
+// zusätzlich Ist und Soll zum Zeitpunkt der Buchung (workedMinutes, targetMinutes). Ändert sich die Woche danach,
+// gilt die Buchung als veraltet (siehe getBookedWeekMinutes) und muss neu gebucht werden.
+const TIME_ACCOUNT_ENTRY_TYPES = {
+  opening: 'Anfangssaldo',
+  week: 'Wochenbuchung',
+  correction: 'Korrektur',
+};
+
+// Verlauf eines Mitarbeiters nach Datum mit laufendem Saldo. Am selben Tag steht der Anfangssaldo vor allen Buchungen.
+// Der Anfangssaldo setzt den Saldo neu, ältere Buchungen zählen danach nicht mehr.
+const getTimeAccountHistory = (entries, employeeId) => {
+  const typeOrder = Object.keys(TIME_ACCOUNT_ENTRY_TYPES);
+  let balance = 0;
+  return entries
+    .filter(entry => entry.employeeId === employeeId)
+    .sort((a, b) => a.date.localeCompare(b.date) || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type))
+    .map(entry => {
+      balance = entry.type === 'opening' ? entry.minutes : balance + entry.minutes;
+      return { ...entry, balance };
+    });
+};
+
+// Aktueller Saldo je Mitarbeiter in Minuten: { [employeeId]: minutes }
+const getTimeAccountBalances = (entries) => {
+  const balances = {};
+  new Set(entries.map(entry => entry.employeeId)).forEach(employeeId => {
+    balances[employeeId] = getTimeAccountHistory(entries, employeeId).at(-1).balance;
+  });
+  return balances;
+};
+
+// --- Urlaubsanspruch ---
+// Anspruch { id, employeeId, year, days, workDays, carryOverDays } je Mitarbeiter und Jahr.
+// days gilt für eine volle Arbeitswoche und wird nach workDays (Wochentage, an denen der Mitarbeiter arbeitet) anteilig gekürzt.
+// carryOverDays ist der Übertrag im ersten erfassten Jahr. Gibt es einen Anspruch für das Vorjahr, wird dessen Resturlaub übertragen.
+
+// Anteiliger Jahresurlaub auf halbe Tage gerundet, z.B. 30 Tage bei 3 von 5 Arbeitstagen = 18 Tage
+const getProRatedVacationDays = (days, employeeWorkDayCount, workingDayCount) =>
+  Math.round((days * employeeWorkDayCount / workingDayCount) * 2) / 2;
+
+// Urlaubstage eines Jahres: Tage mit der Abwesenheit "Urlaub", an denen der Mitarbeiter arbeitet und die kein Feiertag sind.
+// closingDays: Schließtage, die zusätzlich als Urlaub zählen (leer, wenn sie den Urlaub nicht mindern), groupId: Gruppe des Mitarbeiters
+const getVacationDates = (absences, employeeId, year, workDays, federalState, closingDays = [], groupId = null) => {
+  const holidayDates = new Set(getPublicHolidays(year, federalState).map(holiday => holiday.date));
+  const dates = new Set();
+  absences
+    .filter(absence => absence.employeeId === employeeId && absence.type === 'vacation'
+      && absence.startDate <= `${year}-12-31` && absence.endDate >= `${year}-01-01`)
+    .forEach(absence => {
+      const endDate = absence.endDate < `${year}-12-31` ? absence.endDate : `${year}-12-31`;
+      for (let date = absence.startDate > `${year}-01-01` ? absence.startDate : `${year}-01-01`; date <= endDate; date = addDaysToIsoDate(date, 1)) {
+        const weekday = ALL_WEEK_DAYS[(new Date(`${date}T00:00:00`).getDay() + 6) % 7];
+        if (workDays.includes(weekday) && !holidayDates.has(date)) dates.add(date);
+      }
+    });
+  if (closingDays.length > 0) {
+    for (let date = `${year}-01-01`; date <= `${year}-12-31`; date = addDaysToIsoDate(date, 1)) {
+      const weekday = ALL_WEEK_DAYS[(new Date(`${date}T00:00:00`).getDay() + 6) % 7];
+      if (workDays.includes(weekday) && !holidayDates.has(date) && findClosingDay(closingDays, date, groupId)) dates.add(date);
+    }
+  }
+  return [...dates].sort();
+};
+
+// Urlaubskonto eines Mitarbeiters in Tagen: { entitledDays, carryOver, taken, planned, remaining } oder null ohne Anspruch.
+// Genommen sind Urlaubstage bis einschließlich today, geplant alle späteren. closingDays/groupId: siehe getVacationDates.
+const getVacationBalance = (entitlements, absences, employeeId, year, { federalState, workingDays, today, closingDays = [], groupId = null }) => {
+  const entitlement = entitlements.find(candidate => candidate.employeeId === employeeId && candidate.year === year);
+  if (!entitlement) return null;
+  const workDays = entitlement.workDays.filter(day => workingDays.includes(day));
+  const previous = getVacationBalance(entitlements, absences, employeeId, year - 1, { federalState, workingDays, today, closingDays, groupId });
+  const entitledDays = getProRatedVacationDays(entitlement.days, workDays.length, workingDays.length);
+  const carryOver = previous ? previous.remaining : entitlement.carryOverDays;
+  const dates = getVacationDates(absences, employeeId, year, workDays, federalState, closingDays, groupId);
+  const taken = dates.filter(date => date <= today).length;
+  return { entitledDays, carryOver, taken, planned: dates.length - taken, remaining: entitledDays + carryOver - dates.length };
+};
+
+// --- Undo/Redo ---
+const MAX_HISTORY_STEPS = 100; // Maximale Anzahl an Rückgängig-Schritten
+// Daten, die im Undo/Redo-Verlauf festgehalten werden
+const HISTORY_KEYS = ['groups', 'employees', 'categories', 'subCategories', 'disposalTimeRules', 'masterSchedule', 'scheduleTemplates', 'calendarWeeks', 'absences', 'settings', 'closingDays', 'timeAccountEntries', 'vacationEntitlements', 'orderedGroupIds'];
+
+// Eingabefelder, deren Tastenanschläge im Verlauf zu einem Schritt zusammengefasst werden (Text, Zahlen, Datum, ...)
+const isTypingField = (element) => element?.tagName === 'TEXTAREA'
+  || (element?.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'color', 'range'].includes(element.type));
+
+// --- Versionierung des .dienstplan-Dateiformats ---
+// Dateien ohne 'schemaVersion' stammen aus der Zeit vor der Versionierung und gelten als Version 1.
+// Bei jeder Änderung am Dateiformat: Version erhöhen und unten eine Migration ergänzen.
+const CURRENT_SCHEMA_VERSION = 11;
+
+// Migrationen laufen vor der Prüfung (validateDienstplanData). Ungültige Einträge einer Liste (z.B. null) werden deshalb
+// unverändert durchgereicht, damit die Prüfung sie melden und entfernen kann, statt dass die Migration abbricht.
+const isEntryObject = (entry) => Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry);
+const migrateEntries = (list, migrateEntry) => list.map(entry => (isEntryObject(entry) ? migrateEntry(entry) : entry));
+
+// Geordnete Liste der Migrationen. Jede Migration hebt die Daten genau um eine Version an.
+const SCHEMA_MIGRATIONS = [
+  {
+    // 1 -> 2: Standardwerte für Felder, die nach und nach hinzugekommen sind
+    toVersion: 2,
+    migrate: (data) => ({
+      ...data,
+      groups: migrateEntries(data.groups, g => {
+        const openingHours = { ...(g.openingHours || {}) };
+        const daysWithOpeningHours = (typeof g.daysWithOpeningHours === 'object' && g.daysWithOpeningHours !== null)
+          ? { ...g.daysWithOpeningHours }
+          : {};
+        WEEK_DAYS_PLAN.forEach(day => {
+          if (!openingHours[day]) {
+            openingHours[day] = [];
+          }
+          if (daysWithOpeningHours[day] === undefined) {
+            daysWithOpeningHours[day] = false;
+          }
+        });
+        return {
+          ...g,
+          openingHours,
+          daysWithOpeningHours,
+          minStaffRequired: (g.minStaffRequired === undefined || g.minStaffRequired === null) ? undefined : g.minStaffRequired,
+          disableStaffingWarning: g.disableStaffingWarning ?? true,
+        };
+      }),
+      employees: migrateEntries(data.employees, emp => ({
+        ...emp,
+        overriddenDisposalHours: emp.overriddenDisposalHours ?? '',
+        type: emp.type ?? 'normal',
+        presenceDays: emp.presenceDays ?? [...WEEK_DAYS_PLAN],
+      })),
+      categories: migrateEntries(data.categories, cat => ({
+        ...cat,
+        isDisposalTimeCategory: cat.isDisposalTimeCategory ?? false,
+        isCareCategory: cat.isCareCategory ?? false,
+      })),
+      disposalTimeRules: data.disposalTimeRules || [],
+      orderedGroupIds: data.orderedGroupIds || data.groups.filter(isEntryObject).map(g => g.id),
+    }),
+  },
+  {
+    // 2 -> 3: Mehrere Wochenvorlagen. 'masterSchedule' ist die aktive Vorlage, 'scheduleTemplates' enthält alle übrigen.
+    toVersion: 3,
+    migrate: (data) => ({
+      ...data,
+      masterSchedule: { ...data.masterSchedule, id: data.masterSchedule.id || uuidv4() },
+      scheduleTemplates: data.scheduleTemplates || [],
+    }),
+  },
+  {
+    // 3 -> 4: Kalenderwochen mit Abweichungen je Datum (siehe buildCalendarWeekShifts)
+    toVersion: 4,
+    migrate: (data) => ({
+      ...data,
+      calendarWeeks: data.calendarWeeks || [],
+    }),
+  },
+  {
+    // 4 -> 5: Abwesenheiten (Urlaub, Krankheit, ...) je Mitarbeiter
+    toVersion: 5,
+    migrate: (data) => ({
+      ...data,
+      absences: data.absences || [],
+    }),
+  },
+  {
+    // 5 -> 6: Einstellungen für die Kalenderwochen (Bundesland für Feiertage, Anrechnung von Feiertagen)
+    toVersion: 6,
+    migrate: (data) => ({
+      ...data,
+      settings: { ...DEFAULT_SETTINGS, ...data.settings },
+    }),
+  },
+  {
+    // 6 -> 7: Schließtage der Einrichtung bzw. einzelner Gruppen
+    toVersion: 7,
+    migrate: (data) => ({
+      ...data,
+      closingDays: data.closingDays || [],
+      settings: { ...DEFAULT_SETTINGS, ...data.settings },
+    }),
+  },
+  {
+    // 7 -> 8: Konfigurierbare Arbeitstage. Bisherige Dateien behalten Montag bis Freitag.
+    toVersion: 8,
+    migrate: (data) => ({
+      ...data,
+      settings: { ...DEFAULT_SETTINGS, ...data.settings, workingDays: data.settings?.workingDays || [...WEEK_DAYS_PLAN] },
+    }),
+  },
+  {
+    // 8 -> 9: Arbeitszeitkonto je Mitarbeiter (siehe TIME_ACCOUNT_ENTRY_TYPES)
+    toVersion: 9,
+    migrate: (data) => ({
+      ...data,
+      timeAccountEntries: data.timeAccountEntries || [],
+    }),
+  },
+  {
+    // 9 -> 10: Urlaubsanspruch je Mitarbeiter und Jahr (siehe getVacationBalance)
+    toVersion: 10,
+    migrate: (data) => ({
+      ...data,
+      vacationEntitlements: data.vacationEntitlements || [],
+    }),
+  },
+  {
+    // 10 -> 11: Vertragsverlauf je Mitarbeiter (siehe getEmployeeForPeriod), bisherige Mitarbeiter ohne datierte Verträge
+    toVersion: 11,
+    migrate: (data) => ({
+      ...data,
+      employees: migrateEntries(data.employees, employee => ({ ...employee, contracts: employee.contracts || [] })),
+    }),
+  },
+];
+
+// Prüft die Grundstruktur, lehnt Dateien aus neueren App-Versionen ab und führt alle nötigen Migrationen aus.
+// Wirft einen Error mit deutscher Meldung, die direkt angezeigt werden kann.
+const loadDienstplanData = (importedData) => {
+  if (
+    !importedData ||
+    !Array.isArray(importedData.groups) ||
+    !Array.isArray(importedData.employees) ||
+    !Array.isArray(importedData.categories) ||
+    !Array.isArray(importedData.subCategories) ||
+    !importedData.masterSchedule ||
+    !Array.isArray(importedData.masterSchedule.shifts)
+  ) {
+    const error = new Error('Ungültiges Dateiformat. Die Datei scheint kein gültiger Dienstplan-Export zu sein.');
+    error.name = 'InvalidFileFormatError';
+    throw error;
+  }
+
+  const fileVersion = importedData.schemaVersion ?? 1;
+  if (!Number.isInteger(fileVersion) || fileVersion < 1) {
+    const error = new Error(`Unbekannte Dateiversion "${importedData.schemaVersion}". Die Datei kann nicht geladen werden.`);
+    error.name = 'InvalidFileFormatError';
+    throw error;
+  }
+  if (fileVersion > CURRENT_SCHEMA_VERSION) {
+    const error = new Error(`Diese Datei wurde mit einer neueren App-Version erstellt (Dateiversion ${fileVersion}, unterstützt bis ${CURRENT_SCHEMA_VERSION}). Bitte lade die App neu bzw. aktualisiere sie, um die Datei zu öffnen.`);
+    error.name = 'UnsupportedSchemaVersionError';
+    throw error;
+  }
+
+  let data = importedData;
+  SCHEMA_MIGRATIONS
+    .filter(migration => migration.toVersion > fileVersion)
+    .forEach(migration => {
+      console.log(`Migriere Dienstplan-Daten auf Version ${migration.toVersion}...`);
+      data = migration.migrate(data);
+    });
+
+  return { ...data, schemaVersion: CURRENT_SCHEMA_VERSION };
+};
+
+// --- Prüfung importierter Daten ---
+// Sucht nach strukturellen Fehlern und ungültigen Verweisen, bevor Daten geladen werden.
+// Jeder Fund: { location, field, problem, action: 'repariert' | 'entfernt' }. Die bereinigten Daten werden mitgeliefert.
+
+// Uhrzeit eines Zeitabschnitts; anders als isValidTime ist auch 24:00 als Ende erlaubt
+const isValidSegmentTime = (time) => {
+  const match = typeof time === 'string' ? time.match(/^(\d{1,2}):(\d{2})$/) : null;
+  if (!match) return false;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return minutes < 60 && (hours < 24 || (hours === 24 && minutes === 0));
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Prüft Einträge einer Liste auf gültige, eindeutige IDs. Fehlende IDs werden neu vergeben, Duplikate entfernt.
+// describe(entry, index) liefert die Ortsangabe für den Bericht.
+const validateIds = (list, describe, issues) => {
+  const seenIds = new Set();
+  const validEntries = [];
+  list.forEach((entry, index) => {
+    if (!isEntryObject(entry)) {
+      issues.push({ location: describe(null, index), field: '', problem: 'Kein gültiger Eintrag', action: 'entfernt' });
+      return;
+    }
+    if (!isNonEmptyString(entry.id)) {
+      issues.push({ location: describe(entry, index), field: 'id', problem: 'ID fehlt, es wird eine neue vergeben', action: 'repariert' });
+      validEntries.push({ ...entry, id: uuidv4() });
+      return;
+    }
+    if (seenIds.has(entry.id)) {
+      issues.push({ location: describe(entry, index), field: 'id', problem: `Doppelte ID "${entry.id}"`, action: 'entfernt' });
+      return;
+    }
+    seenIds.add(entry.id);
+    validEntries.push(entry);
+  });
+  return validEntries;
+};
+
+// Prüft die Schichten eines Wochenplans gegen die bekannten Mitarbeiter, Kategorien und Unterkategorien.
+// Wird für .dienstplan-Dateien (Verweise aus der Datei) und .wochenplan-Dateien (Verweise aus der App) genutzt.
+const validateMasterSchedule = (masterSchedule, { employees, categories, subCategories }) => {
+  const issues = [];
+  const employeeNames = new Map(employees.map(employee => [employee.id, employee.name]));
+  const categoryIds = new Set([PAUSE_CATEGORY.id, ...categories.map(category => category.id)]);
+  const subCategoryMap = new Map(subCategories.map(subCategory => [subCategory.id, subCategory]));
+
+  const describeShift = (shift, index) => (shift && employeeNames.has(shift.employeeId)
+    ? `Schicht von ${employeeNames.get(shift.employeeId)} am ${shift.dayOfWeek}`
+    : `Schicht ${index + 1}`);
+
+  const shifts = [];
+  validateIds(masterSchedule.shifts, describeShift, issues).forEach((shift, index) => {
+    const location = describeShift(shift, index);
+    if (!isNonEmptyString(shift.employeeId)) {
+      issues.push({ location, field: 'employeeId', problem: 'Mitarbeiter fehlt', action: 'entfernt' });
+      return;
+    }
+    if (!employeeNames.has(shift.employeeId)) {
+      issues.push({ location, field: 'employeeId', problem: `Unbekannter Mitarbeiter "${shift.employeeId}"`, action: 'entfernt' });
+      return;
+    }
+    if (!ALL_WEEK_DAYS.includes(shift.dayOfWeek)) {
+      issues.push({ location, field: 'dayOfWeek', problem: `Ungültiger Wochentag "${shift.dayOfWeek ?? ''}"`, action: 'entfernt' });
+      return;
+    }
+    if (!Array.isArray(shift.segments) || shift.segments.length === 0) {
+      issues.push({ location, field: 'segments', problem: 'Keine Zeitabschnitte vorhanden', action: 'entfernt' });
+      return;
+    }
+
+    const segments = [];
+    shift.segments.forEach((segment, segmentIndex) => {
+      const segmentLocation = `${location}, Abschnitt ${segmentIndex + 1}`;
+      if (!segment || typeof segment !== 'object') {
+        issues.push({ location: segmentLocation, field: '', problem: 'Kein gültiger Zeitabschnitt', action: 'entfernt' });
+        return;
+      }
+      for (const field of ['startTime', 'endTime']) {
+        if (!isValidSegmentTime(segment[field])) {
+          issues.push({ location: segmentLocation, field, problem: `Ungültige Uhrzeit "${segment[field] ?? ''}"`, action: 'entfernt' });
+          return;
+        }
+      }
+      if (timeToMinutes(segment.endTime) <= timeToMinutes(segment.startTime)) {
+        issues.push({ location: segmentLocation, field: 'endTime', problem: `Ende (${segment.endTime}) liegt nicht nach dem Beginn (${segment.startTime})`, action: 'entfernt' });
+        return;
+      }
+      if (!categoryIds.has(segment.categoryId)) {
+        issues.push({
+          location: segmentLocation,
+          field: 'categoryId',
+          problem: segment.categoryId ? `Unbekannte Kategorie "${segment.categoryId}"` : 'Kategorie fehlt',
+          action: 'entfernt',
+        });
+        return;
+      }
+
+      let subCategoryId = segment.subCategoryId || '';
+      if (subCategoryId) {
+        const subCategory = subCategoryMap.get(subCategoryId);
+        if (!subCategory || subCategory.parentCategoryId !== segment.categoryId) {
+          issues.push({
+            location: segmentLocation,
+            field: 'subCategoryId',
+            problem: subCategory
+              ? `Unterkategorie "${subCategory.name}" gehört nicht zur Kategorie, sie wird entfernt`
+              : `Unbekannte Unterkategorie "${subCategoryId}", sie wird entfernt`,
+            action: 'repariert',
+          });
+          subCategoryId = '';
+        }
+      }
+      segments.push({ ...segment, subCategoryId });
+    });
+
+    if (segments.length === 0) {
+      issues.push({ location, field: 'segments', problem: 'Keine gültigen Zeitabschnitte übrig', action: 'entfernt' });
+      return;
+    }
+    shifts.push({ ...shift, segments });
+  });
+
+  const repairedSchedule = { ...masterSchedule, shifts };
+  [['displayStartTime', '06:00'], ['displayEndTime', '18:00']].forEach(([field, defaultTime]) => {
+    if (repairedSchedule[field] !== undefined && !isValidSegmentTime(repairedSchedule[field])) {
+      issues.push({ location: 'Wochenplan', field, problem: `Ungültige Anzeigezeit "${repairedSchedule[field]}", Standard ${defaultTime} wird verwendet`, action: 'repariert' });
+      repairedSchedule[field] = defaultTime;
+    }
+  });
+
+  return { issues, masterSchedule: repairedSchedule };
+};
+
+// Prüft eine komplette (bereits migrierte) .dienstplan-Datei inklusive aller Verweise untereinander.
+const validateDienstplanData = (data) => {
+  const issues = [];
+
+  const settings = { ...DEFAULT_SETTINGS, ...data.settings };
+  if (settings.federalState && !FEDERAL_STATES[settings.federalState]) {
+    issues.push({ location: 'Einstellungen', field: 'federalState', problem: `Unbekanntes Bundesland "${settings.federalState}"`, action: 'repariert' });
+    settings.federalState = DEFAULT_SETTINGS.federalState;
+  }
+  if (!HOLIDAY_CREDIT_RULES[settings.holidayCreditRule]) {
+    issues.push({ location: 'Einstellungen', field: 'holidayCreditRule', problem: `Unbekannte Anrechnung "${settings.holidayCreditRule}"`, action: 'repariert' });
+    settings.holidayCreditRule = DEFAULT_SETTINGS.holidayCreditRule;
+  }
+  if (settings.maxClosingDays !== null && !(Number.isInteger(settings.maxClosingDays) && settings.maxClosingDays >= 0)) {
+    issues.push({ location: 'Einstellungen', field: 'maxClosingDays', problem: `Ungültige Anzahl Schließtage "${settings.maxClosingDays}"`, action: 'repariert' });
+    settings.maxClosingDays = DEFAULT_SETTINGS.maxClosingDays;
+  }
+  if (typeof settings.deductClosingDaysFromVacation !== 'boolean') {
+    issues.push({ location: 'Einstellungen', field: 'deductClosingDaysFromVacation', problem: `Ungültige Einstellung "${settings.deductClosingDaysFromVacation}" für Schließtage im Urlaub`, action: 'repariert' });
+    settings.deductClosingDaysFromVacation = DEFAULT_SETTINGS.deductClosingDaysFromVacation;
+  }
+  if (!Array.isArray(settings.workingDays) || !settings.workingDays.some(day => ALL_WEEK_DAYS.includes(day))) {
+    issues.push({ location: 'Einstellungen', field: 'workingDays', problem: 'Keine gültigen Arbeitstage, Montag bis Freitag werden verwendet', action: 'repariert' });
+    settings.workingDays = [...WEEK_DAYS_PLAN];
+  } else if (settings.workingDays.join() !== ALL_WEEK_DAYS.filter(day => settings.workingDays.includes(day)).join()) {
+    issues.push({ location: 'Einstellungen', field: 'workingDays', problem: 'Unbekannte, doppelte oder ungeordnete Arbeitstage', action: 'repariert' });
+    settings.workingDays = ALL_WEEK_DAYS.filter(day => settings.workingDays.includes(day));
+  }
+
+  const groups = validateIds(data.groups, (group, index) => `Gruppe "${group?.name || index + 1}"`, issues).map(group => {
+    if (isNonEmptyString(group.name)) return group;
+    issues.push({ location: `Gruppe ${group.id}`, field: 'name', problem: 'Name fehlt', action: 'repariert' });
+    return { ...group, name: 'Unbenannte Gruppe' };
+  });
+  const groupIds = new Set(groups.map(group => group.id));
+
+  const employees = validateIds(data.employees, (employee, index) => `Mitarbeiter "${employee?.name || index + 1}"`, issues).map(employee => {
+    const location = `Mitarbeiter "${employee.name || employee.id}"`;
+    const repaired = { ...employee };
+    if (!isNonEmptyString(employee.name)) {
+      issues.push({ location, field: 'name', problem: 'Name fehlt', action: 'repariert' });
+      repaired.name = 'Unbenannt';
+    }
+    if (employee.groupId && !groupIds.has(employee.groupId)) {
+      issues.push({ location, field: 'groupId', problem: `Unbekannte Gruppe "${employee.groupId}", Zuordnung wird entfernt`, action: 'repariert' });
+      repaired.groupId = '';
+    }
+    if (!Number.isFinite(Number(employee.contractedHoursPerWeek))) {
+      issues.push({ location, field: 'contractedHoursPerWeek', problem: `Ungültige Wochenstunden "${employee.contractedHoursPerWeek}", 0 wird verwendet`, action: 'repariert' });
+      repaired.contractedHoursPerWeek = 0;
+    }
+    if (!Array.isArray(employee.presenceDays)) {
+      issues.push({ location, field: 'presenceDays', problem: 'Anwesenheitstage fehlen, alle Arbeitstage werden gesetzt', action: 'repariert' });
+      repaired.presenceDays = [...settings.workingDays];
+    }
+    // NEU: Vertragsverlauf. Verträge, die sich mit einem früheren überschneiden, entfallen.
+    if (!Array.isArray(employee.contracts)) {
+      issues.push({ location, field: 'contracts', problem: 'Vertragsliste fehlt, es gelten die Werte des Mitarbeiters', action: 'repariert' });
+      repaired.contracts = [];
+    } else {
+      const contracts = [];
+      sortContracts(validateIds(employee.contracts, (contract, index) => `${location}, Vertrag ${index + 1}`, issues)).forEach(contract => {
+        const contractLocation = `${location}, Vertrag ab ${contract.startDate || 'Beginn'}`;
+        let problem = null;
+        let field = '';
+        if ((contract.startDate !== null && !isIsoDate(contract.startDate)) || (contract.endDate !== null && !isIsoDate(contract.endDate))) {
+          field = 'startDate';
+          problem = 'Ungültiges Datum';
+        } else if (contract.startDate && contract.endDate && contract.endDate < contract.startDate) {
+          field = 'endDate';
+          problem = 'Ende liegt vor dem Beginn';
+        } else if (!Number.isFinite(contract.contractedHoursPerWeek)) {
+          field = 'contractedHoursPerWeek';
+          problem = `Ungültige Wochenstunden "${contract.contractedHoursPerWeek ?? ''}"`;
+        } else if (EMPLOYEE_TYPE_ORDER[contract.type] === undefined) {
+          field = 'type';
+          problem = `Unbekannter Typ "${contract.type ?? ''}"`;
+        } else if (contracts.some(other => isContractActive(other, contract.startDate || '0000-01-01', contract.endDate || '9999-12-31'))) {
+          field = 'startDate';
+          problem = 'Überschneidet sich mit einem anderen Vertrag';
+        }
+        if (problem) {
+          issues.push({ location: contractLocation, field, problem, action: 'entfernt' });
+          return;
+        }
+        const repairedContract = { ...contract };
+        if (contract.groupId && !groupIds.has(contract.groupId)) {
+          issues.push({ location: contractLocation, field: 'groupId', problem: `Unbekannte Gruppe "${contract.groupId}", Zuordnung wird entfernt`, action: 'repariert' });
+          repairedContract.groupId = '';
+        }
+        if (!Array.isArray(contract.presenceDays)) {
+          issues.push({ location: contractLocation, field: 'presenceDays', problem: 'Anwesenheitstage fehlen, alle Arbeitstage werden gesetzt', action: 'repariert' });
+          repairedContract.presenceDays = [...settings.workingDays];
+        }
+        contracts.push(repairedContract);
+      });
+      repaired.contracts = contracts;
+    }
+    return repaired;
+  });
+
+  const categories = validateIds(data.categories, (category, index) => `Kategorie "${category?.name || index + 1}"`, issues).map(category => {
+    if (isNonEmptyString(category.name)) return category;
+    issues.push({ location: `Kategorie ${category.id}`, field: 'name', problem: 'Name fehlt', action: 'repariert' });
+    return { ...category, name: 'Unbenannte Kategorie' };
+  });
+  const categoryIds = new Set(categories.map(category => category.id));
+
+  const subCategories = validateIds(data.subCategories, (subCategory, index) => `Unterkategorie "${subCategory?.name || index + 1}"`, issues).filter(subCategory => {
+    if (categoryIds.has(subCategory.parentCategoryId)) return true;
+    issues.push({ location: `Unterkategorie "${subCategory.name || subCategory.id}"`, field: 'parentCategoryId', problem: `Unbekannte Oberkategorie "${subCategory.parentCategoryId ?? ''}"`, action: 'entfernt' });
+    return false;
+  });
+
+  const disposalTimeRules = validateIds(data.disposalTimeRules, (rule, index) => `Verfügungszeit-Regel ${index + 1}`, issues).filter(rule => {
+    if (Number.isFinite(Number(rule.contractedHours)) && Number.isFinite(Number(rule.disposalHours))) return true;
+    issues.push({ location: `Verfügungszeit-Regel für ${rule.contractedHours ?? '?'} Stunden`, field: 'disposalHours', problem: 'Stunden sind keine gültigen Zahlen', action: 'entfernt' });
+    return false;
+  });
+
+  const originalOrder = Array.isArray(data.orderedGroupIds) ? data.orderedGroupIds : [];
+  const knownOrderedIds = [...new Set(originalOrder.filter(id => groupIds.has(id)))];
+  const orderedGroupIds = [...knownOrderedIds, ...groups.map(group => group.id).filter(id => !knownOrderedIds.includes(id))];
+  if (orderedGroupIds.length !== originalOrder.length || orderedGroupIds.some((id, index) => id !== originalOrder[index])) {
+    issues.push({ location: 'Gruppenreihenfolge', field: 'orderedGroupIds', problem: 'Reihenfolge passt nicht zu den vorhandenen Gruppen', action: 'repariert' });
+  }
+
+  const scheduleResult = validateMasterSchedule(data.masterSchedule, { employees, categories, subCategories });
+
+  // Weitere Wochenvorlagen: gleiche Prüfung, Fundstellen mit dem Namen der Vorlage
+  const templateIssues = [];
+  const describeTemplate = (template, index) => `Vorlage "${template?.title || index + 1}"`;
+  const scheduleTemplates = validateIds(Array.isArray(data.scheduleTemplates) ? data.scheduleTemplates : [], describeTemplate, issues)
+    .filter((template, index) => {
+      if (Array.isArray(template.shifts) && template.id !== scheduleResult.masterSchedule.id) return true;
+      issues.push({
+        location: describeTemplate(template, index),
+        field: Array.isArray(template.shifts) ? 'id' : 'shifts',
+        problem: Array.isArray(template.shifts) ? 'ID entspricht der aktiven Vorlage' : 'Keine Schichtliste vorhanden',
+        action: 'entfernt',
+      });
+      return false;
+    })
+    .map((template, index) => {
+      const result = validateMasterSchedule(template, { employees, categories, subCategories });
+      result.issues.forEach(issue => templateIssues.push({ ...issue, location: `${describeTemplate(template, index)}: ${issue.location}` }));
+      return result.masterSchedule;
+    });
+
+  // Kalenderwochen: Vorlage muss existieren, Abweichungen müssen in der Woche liegen und gültige Schichten enthalten
+  const templateIds = new Set([scheduleResult.masterSchedule.id, ...scheduleTemplates.map(template => template.id)]);
+  const seenWeekStarts = new Set();
+  const calendarWeeks = validateIds(Array.isArray(data.calendarWeeks) ? data.calendarWeeks : [], (week, index) => `Kalenderwoche ${week?.weekStart || index + 1}`, issues)
+    .filter(week => {
+      const location = `Kalenderwoche ${week.weekStart ?? ''}`;
+      if (!isIsoDate(week.weekStart) || getWeekStartIsoDate(week.weekStart) !== week.weekStart) {
+        issues.push({ location, field: 'weekStart', problem: `Ungültiger Wochenbeginn "${week.weekStart ?? ''}"`, action: 'entfernt' });
+        return false;
+      }
+      if (seenWeekStarts.has(week.weekStart)) {
+        issues.push({ location, field: 'weekStart', problem: 'Woche ist doppelt vorhanden', action: 'entfernt' });
+        return false;
+      }
+      seenWeekStarts.add(week.weekStart);
+      return true;
+    })
+    .map(week => {
+      const location = `Kalenderwoche ${formatCalendarWeekLabel(week.weekStart, settings.workingDays)}`;
+      const repaired = { ...week };
+      if (!templateIds.has(week.templateId)) {
+        issues.push({ location, field: 'templateId', problem: 'Unbekannte Vorlage, die aktive Vorlage wird verwendet', action: 'repariert' });
+        repaired.templateId = scheduleResult.masterSchedule.id;
+      }
+      const weekDates = Object.values(getWeekDates(week.weekStart));
+      const describeOverride = (override, index) => `${location}, Abweichung ${override?.date || index + 1}`;
+      repaired.overrides = validateIds(Array.isArray(week.overrides) ? week.overrides : [], describeOverride, issues)
+        .filter((override, index) => {
+          if (!weekDates.includes(override.date)) {
+            issues.push({ location: describeOverride(override, index), field: 'date', problem: 'Datum liegt nicht in dieser Woche', action: 'entfernt' });
+            return false;
+          }
+          if (!employees.some(employee => employee.id === override.employeeId)) {
+            issues.push({ location: describeOverride(override, index), field: 'employeeId', problem: `Unbekannter Mitarbeiter "${override.employeeId ?? ''}"`, action: 'entfernt' });
+            return false;
+          }
+          if (!Array.isArray(override.shifts)) {
+            issues.push({ location: describeOverride(override, index), field: 'shifts', problem: 'Keine Schichtliste vorhanden', action: 'entfernt' });
+            return false;
+          }
+          return true;
+        })
+        .map((override, index) => {
+          // Dieselbe Prüfung wie für den Wochenplan, dafür Mitarbeiter und Tag vorübergehend ergänzen
+          const dayOfWeek = ALL_WEEK_DAYS[weekDates.indexOf(override.date)];
+          const result = validateMasterSchedule(
+            { shifts: override.shifts.map(shift => ({ ...shift, employeeId: override.employeeId, dayOfWeek })) },
+            { employees, categories, subCategories }
+          );
+          result.issues.forEach(issue => issues.push({ ...issue, location: `${describeOverride(override, index)}: ${issue.location}` }));
+          return { ...override, shifts: result.masterSchedule.shifts.map(({ id, segments }) => ({ id, segments })) };
+        });
+      return repaired;
+    });
+
+  const employeeNameMap = new Map(employees.map(employee => [employee.id, employee.name]));
+  const absences = validateIds(Array.isArray(data.absences) ? data.absences : [], (absence, index) => `Abwesenheit ${index + 1}`, issues)
+    .filter((absence, index) => {
+      const location = employeeNameMap.has(absence.employeeId)
+        ? `Abwesenheit von ${employeeNameMap.get(absence.employeeId)} ab ${absence.startDate}`
+        : `Abwesenheit ${index + 1}`;
+      let problem = null;
+      let field = '';
+      if (!employeeNameMap.has(absence.employeeId)) {
+        field = 'employeeId';
+        problem = `Unbekannter Mitarbeiter "${absence.employeeId ?? ''}"`;
+      } else if (!ABSENCE_TYPES[absence.type]) {
+        field = 'type';
+        problem = `Unbekannte Art "${absence.type ?? ''}"`;
+      } else if (!isIsoDate(absence.startDate) || !isIsoDate(absence.endDate)) {
+        field = isIsoDate(absence.startDate) ? 'endDate' : 'startDate';
+        problem = 'Ungültiges Datum';
+      } else if (absence.endDate < absence.startDate) {
+        field = 'endDate';
+        problem = 'Ende liegt vor dem Beginn';
+      }
+      if (!problem) return true;
+      issues.push({ location, field, problem, action: 'entfernt' });
+      return false;
+    });
+
+  const closingDays = validateIds(Array.isArray(data.closingDays) ? data.closingDays : [], (closingDay, index) => `Schließtag ${index + 1}`, issues)
+    .filter((closingDay, index) => {
+      const location = closingDay.name ? `Schließtag "${closingDay.name}"` : `Schließtag ${index + 1}`;
+      if (!isIsoDate(closingDay.startDate) || !isIsoDate(closingDay.endDate)) {
+        issues.push({ location, field: isIsoDate(closingDay.startDate) ? 'endDate' : 'startDate', problem: 'Ungültiges Datum', action: 'entfernt' });
+        return false;
+      }
+      if (closingDay.endDate < closingDay.startDate) {
+        issues.push({ location, field: 'endDate', problem: 'Ende liegt vor dem Beginn', action: 'entfernt' });
+        return false;
+      }
+      return true;
+    })
+    .map((closingDay, index) => {
+      const location = closingDay.name ? `Schließtag "${closingDay.name}"` : `Schließtag ${index + 1}`;
+      if (!Array.isArray(closingDay.groupIds)) {
+        issues.push({ location, field: 'groupIds', problem: 'Fehlende Gruppenliste, gilt jetzt für die ganze Einrichtung', action: 'repariert' });
+        return { ...closingDay, groupIds: [] };
+      }
+      const knownGroupIds = closingDay.groupIds.filter(groupId => groupIds.has(groupId));
+      if (knownGroupIds.length === closingDay.groupIds.length) return closingDay;
+      issues.push({ location, field: 'groupIds', problem: 'Verweist auf unbekannte Gruppen', action: knownGroupIds.length > 0 ? 'repariert' : 'entfernt' });
+      // Ohne verbleibende Gruppe würde der Schließtag sonst für die ganze Einrichtung gelten
+      return knownGroupIds.length > 0 ? { ...closingDay, groupIds: knownGroupIds } : null;
+    })
+    .filter(Boolean);
+
+  // Anfangssalden und Wochenbuchungen sind je Mitarbeiter (und Woche) eindeutig, spätere Duplikate entfallen
+  const bookedKeys = new Set();
+  const timeAccountEntries = validateIds(Array.isArray(data.timeAccountEntries) ? data.timeAccountEntries : [], (entry, index) => `Zeitkonto-Eintrag ${index + 1}`, issues)
+    .filter((entry, index) => {
+      const location = employeeNameMap.has(entry.employeeId)
+        ? `Zeitkonto von ${employeeNameMap.get(entry.employeeId)} am ${entry.date}`
+        : `Zeitkonto-Eintrag ${index + 1}`;
+      let problem = null;
+      let field = '';
+      if (!employeeNameMap.has(entry.employeeId)) {
+        field = 'employeeId';
+        problem = `Unbekannter Mitarbeiter "${entry.employeeId ?? ''}"`;
+      } else if (!TIME_ACCOUNT_ENTRY_TYPES[entry.type]) {
+        field = 'type';
+        problem = `Unbekannte Art "${entry.type ?? ''}"`;
+      } else if (!isIsoDate(entry.date) || (entry.type === 'week' && getWeekStartIsoDate(entry.date) !== entry.date)) {
+        field = 'date';
+        problem = 'Ungültiges Datum';
+      } else if (!Number.isFinite(entry.minutes)) {
+        field = 'minutes';
+        problem = `Ungültige Minuten "${entry.minutes ?? ''}"`;
+      } else if (entry.type !== 'correction') {
+        const key = entry.type === 'opening' ? `${entry.employeeId}|opening` : `${entry.employeeId}|${entry.date}`;
+        if (bookedKeys.has(key)) {
+          field = 'type';
+          problem = entry.type === 'opening' ? 'Anfangssaldo ist doppelt vorhanden' : 'Woche ist doppelt gebucht';
+        }
+        bookedKeys.add(key);
+      }
+      if (!problem) return true;
+      issues.push({ location, field, problem, action: 'entfernt' });
+      return false;
+    });
+
+  // Urlaubsanspruch: höchstens einer je Mitarbeiter und Jahr
+  const entitlementKeys = new Set();
+  const vacationEntitlements = validateIds(Array.isArray(data.vacationEntitlements) ? data.vacationEntitlements : [], (entitlement, index) => `Urlaubsanspruch ${index + 1}`, issues)
+    .filter((entitlement, index) => {
+      const location = employeeNameMap.has(entitlement.employeeId)
+        ? `Urlaubsanspruch von ${employeeNameMap.get(entitlement.employeeId)} ${entitlement.year}`
+        : `Urlaubsanspruch ${index + 1}`;
+      let problem = null;
+      let field = '';
+      if (!employeeNameMap.has(entitlement.employeeId)) {
+        field = 'employeeId';
+        problem = `Unbekannter Mitarbeiter "${entitlement.employeeId ?? ''}"`;
+      } else if (!Number.isInteger(entitlement.year)) {
+        field = 'year';
+        problem = `Ungültiges Jahr "${entitlement.year ?? ''}"`;
+      } else if (!Number.isFinite(entitlement.days) || entitlement.days < 0) {
+        field = 'days';
+        problem = `Ungültige Urlaubstage "${entitlement.days ?? ''}"`;
+      } else if (entitlementKeys.has(`${entitlement.employeeId}|${entitlement.year}`)) {
+        field = 'year';
+        problem = 'Für dieses Jahr ist bereits ein Urlaubsanspruch vorhanden';
+      }
+      entitlementKeys.add(`${entitlement.employeeId}|${entitlement.year}`);
+      if (!problem) return true;
+      issues.push({ location, field, problem, action: 'entfernt' });
+      return false;
+    })
+    .map(entitlement => {
+      const location = `Urlaubsanspruch von ${employeeNameMap.get(entitlement.employeeId)} ${entitlement.year}`;
+      const repaired = { ...entitlement };
+      const workDays = Array.isArray(entitlement.workDays) ? entitlement.workDays.filter(day => ALL_WEEK_DAYS.includes(day)) : [];
+      if (workDays.length === 0 || workDays.length !== entitlement.workDays.length) {
+        issues.push({ location, field: 'workDays', problem: 'Ungültige Arbeitstage, alle Arbeitstage werden gesetzt', action: 'repariert' });
+        repaired.workDays = workDays.length > 0 ? workDays : [...settings.workingDays];
+      }
+      if (!Number.isFinite(entitlement.carryOverDays)) {
+        issues.push({ location, field: 'carryOverDays', problem: 'Ungültiger Übertrag, auf 0 gesetzt', action: 'repariert' });
+        repaired.carryOverDays = 0;
+      }
+      return repaired;
+    });
+
+  return {
+    issues: [...issues, ...scheduleResult.issues, ...templateIssues],
+    data: { ...data, groups, employees, categories, subCategories, disposalTimeRules, orderedGroupIds, masterSchedule: scheduleResult.masterSchedule, scheduleTemplates, calendarWeeks, absences, settings, closingDays, timeAccountEntries, vacationEntitlements },
+  };
+};
+
+// --- Zuordnung unbekannter Verweise beim Import einer .wochenplan-Datei ---
+// .wochenplan-Dateien enthalten nur IDs. Damit beim Import in eine andere Datei Namen vorgeschlagen werden können,
+// legt der Export die Namen der verwendeten Mitarbeiter, Gruppen und Kategorien unter 'references' mit ab.
+const buildScheduleReferences = (masterSchedule, { employees, groups, categories, subCategories }) => {
+  const employeeIds = new Set(masterSchedule.shifts.map(shift => shift.employeeId));
+  const segments = masterSchedule.shifts.flatMap(shift => shift.segments);
+  const categoryIds = new Set(segments.map(segment => segment.categoryId));
+  const subCategoryIds = new Set(segments.map(segment => segment.subCategoryId).filter(Boolean));
+  const usedEmployees = employees.filter(employee => employeeIds.has(employee.id));
+  const groupIds = new Set(usedEmployees.map(employee => employee.groupId));
+  return {
+    employees: usedEmployees.map(({ id, name, groupId }) => ({ id, name, groupId })),
+    groups: groups.filter(group => groupIds.has(group.id)).map(({ id, name }) => ({ id, name })),
+    categories: categories.filter(category => categoryIds.has(category.id)).map(({ id, name }) => ({ id, name })),
+    subCategories: subCategories.filter(subCategory => subCategoryIds.has(subCategory.id)).map(({ id, name, parentCategoryId }) => ({ id, name, parentCategoryId })),
+  };
+};
+
+const normalizeName = (name) => (name || '').trim().toLocaleLowerCase('de-DE');
+
+// Vorschlag per Namen: exakt gleicher Name (ohne Groß-/Kleinschreibung), sonst eindeutiger Teiltreffer
+const suggestByName = (name, candidates) => {
+  const normalized = normalizeName(name);
+  if (!normalized) return '';
+  const exactMatch = candidates.find(candidate => normalizeName(candidate.name) === normalized);
+  if (exactMatch) return exactMatch.id;
+  const partialMatches = candidates.filter(candidate => {
+    const candidateName = normalizeName(candidate.name);
+    return candidateName && (candidateName.includes(normalized) || normalized.includes(candidateName));
+  });
+  return partialMatches.length === 1 ? partialMatches[0].id : '';
+};
+
+// Sammelt alle IDs aus den importierten Schichten, die es in der aktuellen Datei nicht gibt, samt Namen
+// (falls die Datei 'references' enthält), Anzahl betroffener Schichten und einem Zuordnungsvorschlag.
+const findUnknownScheduleReferences = (importedData, { employees, groups, categories, subCategories }) => {
+  const references = importedData.references || {};
+  const referenceName = (list, id) => (list || []).find(entry => entry.id === id)?.name || '';
+  const knownEmployeeIds = new Set(employees.map(employee => employee.id));
+  const knownCategoryIds = new Set([PAUSE_CATEGORY.id, ...categories.map(category => category.id)]);
+  const knownSubCategoryIds = new Set(subCategories.map(subCategory => subCategory.id));
+
+  const unknown = { employees: new Map(), categories: new Map(), subCategories: new Map() };
+  const countShift = (map, id, createEntry) => {
+    if (!map.has(id)) map.set(id, { ...createEntry(), id, shiftCount: 0 });
+    map.get(id).shiftCount += 1;
+  };
+
+  importedData.masterSchedule.shifts.forEach(shift => {
+    if (!shift || typeof shift !== 'object') return; // Kaputte Einträge meldet später validateMasterSchedule
+    if (shift.employeeId && !knownEmployeeIds.has(shift.employeeId)) {
+      countShift(unknown.employees, shift.employeeId, () => {
+        const referencedEmployee = (references.employees || []).find(entry => entry.id === shift.employeeId);
+        const groupName = referenceName(references.groups, referencedEmployee?.groupId);
+        // Bei gleichem Namen in mehreren Gruppen wird der Mitarbeiter aus der gleichnamigen Gruppe bevorzugt
+        const sameGroupEmployees = employees.filter(employee => normalizeName(groups.find(group => group.id === employee.groupId)?.name) === normalizeName(groupName));
+        return {
+          name: referencedEmployee?.name || '',
+          groupName,
+          suggestion: (groupName && suggestByName(referencedEmployee?.name, sameGroupEmployees)) || suggestByName(referencedEmployee?.name, employees),
+        };
+      });
+    }
+    const segments = Array.isArray(shift.segments) ? shift.segments : [];
+    new Set(segments.map(segment => segment.categoryId)).forEach(categoryId => {
+      if (categoryId && !knownCategoryIds.has(categoryId)) {
+        countShift(unknown.categories, categoryId, () => {
+          const name = referenceName(references.categories, categoryId);
+          return { name, suggestion: suggestByName(name, categories) };
+        });
       }
-    };
+    });
+    new Set(segments.map(segment => segment.subCategoryId).filter(Boolean)).forEach(subCategoryId => {
+      if (!knownSubCategoryIds.has(subCategoryId)) {
+        countShift(unknown.subCategories, subCategoryId, () => {
+          const name = referenceName(references.subCategories, subCategoryId);
+          return { name, suggestion: suggestByName(name, subCategories) || NO_SUBCATEGORY };
+        });
+      }
+    });
+  });
 
-    request.onsuccess = (event) => {
-      resolve(event.target.result);
-    };
+  return {
+    employees: [...unknown.employees.values()],
+    categories: [...unknown.categories.values()],
+    subCategories: [...unknown.subCategories.values()],
+  };
+};
 
-    request.onerror = (event) => {
-      console.error("IndexedDB error:", event.target.error);
-      reject(event.target.error);
-    };
+// Wendet die gewählte Zuordnung an. mapping: { employees, categories, subCategories } jeweils { alteId: neueId }.
+// Eine leere Zuordnung ('') bedeutet: Schichten mit diesem Verweis überspringen.
+const applyScheduleReferenceMapping = (masterSchedule, mapping) => {
+  const resolve = (mapForType, id) => (id in mapForType ? mapForType[id] : id);
+  const shifts = masterSchedule.shifts.flatMap(shift => {
+    const employeeId = resolve(mapping.employees, shift.employeeId);
+    if (!employeeId) return [];
+    const originalSegments = Array.isArray(shift.segments) ? shift.segments : [];
+    const isSkipped = originalSegments.some(segment => !resolve(mapping.categories, segment.categoryId)
+      || (segment.subCategoryId && !resolve(mapping.subCategories, segment.subCategoryId)));
+    if (isSkipped) return [];
+    const segments = originalSegments.map(segment => {
+      const subCategoryId = segment.subCategoryId ? resolve(mapping.subCategories, segment.subCategoryId) : '';
+      return {
+        ...segment,
+        categoryId: resolve(mapping.categories, segment.categoryId),
+        subCategoryId: subCategoryId === NO_SUBCATEGORY ? '' : subCategoryId,
+      };
+    });
+    return [{ ...shift, employeeId, segments }];
   });
+  return { ...masterSchedule, shifts };
 };
 
-// Helper function to get a file handle from IndexedDB
-const getFileHandleFromDb = async (key = 'lastFile') => {
-  const db = await openDb();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction(STORE_NAME, 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.get(key);
+// --- "Daten übernehmen": Stammdaten aus einer anderen .dienstplan-Datei ---
+// Reihenfolge ist wichtig: Gruppen und Kategorien zuerst, damit Mitarbeiter und Unterkategorien auf sie verweisen können.
+const MASTER_DATA_TYPES = ['groups', 'categories', 'subCategories', 'employees', 'disposalTimeRules'];
+const IMPORTED_NAME_SUFFIX = ' (übernommen)';
 
-    request.onsuccess = (event) => {
-      resolve(event.target.result);
-    };
+// Objekt als JSON mit sortierten Schlüsseln, damit gleiche Einstellungen unabhängig von der Reihenfolge gleich sind
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
 
-    request.onerror = (event) => {
-      console.error("IndexedDB get error:", event.target.error);
-      reject(event.target.error);
-    };
+// Woran ein Eintrag in beiden Dateien wiedererkannt wird: am Namen, bei Verfügungszeit-Regeln an den Vertragsstunden
+const masterDataKey = (type, item) => (type === 'disposalTimeRules' ? String(Number(item.contractedHours)) : normalizeName(item.name));
+
+// Einstellungen eines Eintrags ohne ID; Verweise werden über die Namen verglichen, da die IDs je Datei verschieden sind
+const comparableMasterData = (type, item, data) => {
+  const { id: _id, ...settings } = item;
+  if (type === 'employees') {
+    const groupName = (groupId) => normalizeName(data.groups.find(group => group.id === groupId)?.name);
+    settings.groupId = groupName(item.groupId);
+    if (item.contracts) {
+      settings.contracts = sortContracts(item.contracts).map(contract => {
+        const { id: _contractId, ...contractSettings } = contract;
+        return { ...contractSettings, groupId: groupName(contract.groupId) };
+      });
+    }
+  } else if (type === 'subCategories') {
+    settings.parentCategoryId = normalizeName(data.categories.find(category => category.id === item.parentCategoryId)?.name);
+  }
+  return stableStringify(settings);
+};
+
+// Vergleicht die Stammdaten der Quelldatei mit der aktuellen Datei.
+// Ergebnis je Art: [{ item, status: 'new' | 'identical' | 'conflict', existingId }]
+const analyzeMasterDataImport = (sourceData, currentData) => {
+  const analysis = {};
+  MASTER_DATA_TYPES.forEach(type => {
+    const existingByKey = new Map(currentData[type].map(item => [masterDataKey(type, item), item]));
+    analysis[type] = sourceData[type].map(item => {
+      const existingItem = existingByKey.get(masterDataKey(type, item));
+      if (!existingItem) return { item, status: 'new', existingId: null };
+      const isIdentical = comparableMasterData(type, item, sourceData) === comparableMasterData(type, existingItem, currentData);
+      return { item, status: isIdentical ? 'identical' : 'conflict', existingId: existingItem.id };
+    });
   });
+  return analysis;
 };
 
-// Helper function to save a file handle to IndexedDB
-const putFileHandleInDb = async (handle, key = 'lastFile') => {
-  const db = await openDb();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction(STORE_NAME, 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.put(handle, key);
+// Führt die gewählten Einträge mit neuen IDs in die aktuellen Daten ein.
+// choices: { [type]: { [quellId]: 'add' | 'overwrite' } }; 'overwrite' ersetzt die Einstellungen des gleichnamigen Eintrags.
+// Verweise (Gruppe eines Mitarbeiters und seiner Verträge, Oberkategorie) zeigen auf übernommene oder gleichnamige vorhandene Einträge.
+const mergeMasterData = (currentData, analysis, choices) => {
+  const merged = { ...currentData, orderedGroupIds: [...currentData.orderedGroupIds] };
+  const idMaps = { groups: new Map(), categories: new Map() };
+  const counts = { added: 0, updated: 0, skipped: 0 };
+
+  MASTER_DATA_TYPES.forEach(type => {
+    let items = [...currentData[type]];
+    analysis[type].forEach(({ item, status, existingId }) => {
+      const choice = choices[type]?.[item.id];
+      if (!choice) {
+        // Nicht übernommen: Verweise auf diesen Eintrag landen beim gleichnamigen vorhandenen Eintrag
+        if (existingId && idMaps[type]) idMaps[type].set(item.id, existingId);
+        return;
+      }
 
-    request.onsuccess = () => {
-      resolve();
-    };
+      const mergedItem = { ...item };
+      if (type === 'employees') {
+        mergedItem.groupId = idMaps.groups.get(item.groupId) || '';
+        if (item.contracts) {
+          mergedItem.contracts = item.contracts.map(contract => ({ ...contract, id: uuidv4(), groupId: idMaps.groups.get(contract.groupId) || '' }));
+        }
+      } else if (type === 'subCategories') {
+        const parentCategoryId = idMaps.categories.get(item.parentCategoryId);
+        if (!parentCategoryId) {
+          counts.skipped += 1; // Ohne Oberkategorie kann die Unterkategorie nicht übernommen werden
+          return;
+        }
+        mergedItem.parentCategoryId = parentCategoryId;
+      }
 
-    request.onerror = (event) => {
-      console.error("IndexedDB save error:", event.target.error);
-      reject(event.target.error);
-    };
+      if (choice === 'overwrite' && existingId) {
+        items = items.map(existingItem => (existingItem.id === existingId ? { ...mergedItem, id: existingId } : existingItem));
+        if (idMaps[type]) idMaps[type].set(item.id, existingId);
+        counts.updated += 1;
+      } else {
+        mergedItem.id = uuidv4();
+        if (status !== 'new' && type !== 'disposalTimeRules') mergedItem.name = `${item.name}${IMPORTED_NAME_SUFFIX}`;
+        items.push(mergedItem);
+        if (idMaps[type]) idMaps[type].set(item.id, mergedItem.id);
+        if (type === 'groups') merged.orderedGroupIds.push(mergedItem.id);
+        counts.added += 1;
+      }
+    });
+    merged[type] = items;
   });
+
+  return { data: merged, counts };
 };
 
-// Helper function to remove a file handle from IndexedDB
-const removeFileHandleFromDb = async (key = 'lastFile') => {
-  const db = await openDb();
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction(STORE_NAME, 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    const request = store.delete(key);
+// --- Erkennung externer Änderungen an der geöffneten Datei ---
+// SHA-256-Hash eines Strings als Hex-String (Web Crypto API)
+const hashString = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
 
-    request.onsuccess = () => {
-      resolve();
-    };
+// Stand der Datei beim Laden/Speichern: Änderungszeitpunkt, Inhalts-Hash und die Daten als Basis für das Zusammenführen
+const buildKnownFileState = async (handle, lastModified, content, baseData) => ({
+  handle,
+  lastModified,
+  hash: await hashString(content),
+  baseData,
+});
+
+// --- Optionale Verschlüsselung von .dienstplan-Dateien ---
+// Verschlüsselte Dateien enthalten statt der Daten einen Umschlag mit Schlüsselableitung (PBKDF2),
+// IV und dem mit AES-GCM verschlüsselten JSON der eigentlichen Datei.
+const ENCRYPTED_FILE_FORMAT = 'dienstplan-encrypted';
+const PBKDF2_ITERATIONS = 250000;
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000)); // In Blöcken, um den Stack nicht zu sprengen
+  }
+  return btoa(binary);
+};
 
-    request.onerror = (event) => {
-      console.error("IndexedDB delete error:", event.target.error);
-      reject(event.target.error);
-    };
+const base64ToBytes = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const deriveEncryptionKey = async (passphrase, salt, iterations) => {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const isEncryptedFileContent = (parsedContent) => parsedContent?.format === ENCRYPTED_FILE_FORMAT;
+
+// Schlüssel der geöffneten Datei: { key, salt, iterations }. Er wird einmal aus dem Passwort abgeleitet und ist nicht
+// exportierbar; das Passwort selbst wird nicht aufbewahrt. Ohne salt entsteht ein neuer Schlüssel (neues Passwort).
+const createEncryptionKey = async (passphrase, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PBKDF2_ITERATIONS) => ({
+  key: await deriveEncryptionKey(passphrase, salt, iterations),
+  salt: bytesToBase64(salt),
+  iterations,
+});
+
+// Passt der Schlüssel zum Umschlag (gleiche Schlüsselableitung), kann ohne erneute Passwortabfrage entschlüsselt werden
+const matchesEncryptionKey = (envelope, encryptionKey) => Boolean(encryptionKey)
+  && envelope.kdf?.salt === encryptionKey.salt && envelope.kdf?.iterations === encryptionKey.iterations;
+
+// Verschlüsselt den Dateiinhalt und gibt den Umschlag als Objekt zurück (jedes Mal mit neuem IV)
+const buildEncryptedEnvelope = async (plainText, encryptionKey) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const cipherText = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, encryptionKey.key, new TextEncoder().encode(plainText));
+  return {
+    format: ENCRYPTED_FILE_FORMAT,
+    version: 1,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: encryptionKey.iterations, salt: encryptionKey.salt },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(new Uint8Array(cipherText)),
+  };
+};
+
+// Verschlüsselt den Dateiinhalt und gibt den Umschlag als JSON-String zurück
+const encryptFileContent = async (plainText, encryptionKey) => JSON.stringify(await buildEncryptedEnvelope(plainText, encryptionKey), null, 2);
+
+// Daten für den Browser-Speicher (Arbeitskopie, Sicherungen): bei verschlüsselter Datei ebenfalls als Umschlag
+const sealStoredData = async (data, encryptionKey) => (encryptionKey ? buildEncryptedEnvelope(JSON.stringify(data), encryptionKey) : data);
+
+// Entschlüsselt einen Umschlag (siehe encryptFileContent) mit dem Passwort oder einem passenden Schlüssel.
+// Liefert den Klartext und den verwendeten Schlüssel. Bei falschem Passwort schlägt die AES-GCM-Prüfung fehl.
+const decryptFileContent = async (envelope, { passphrase = null, encryptionKey = null }) => {
+  try {
+    const usedKey = encryptionKey || await createEncryptionKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+    const plainBuffer = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv) }, usedKey.key, base64ToBytes(envelope.data));
+    return { plainText: new TextDecoder().decode(plainBuffer), encryptionKey: usedKey };
+  } catch (error) {
+    console.warn("Entschlüsselung fehlgeschlagen:", error);
+    const wrongPassphraseError = new Error('Falsches Passwort oder beschädigte Datei.');
+    wrongPassphraseError.name = 'WrongPassphraseError';
+    throw wrongPassphraseError;
+  }
+};
+
+// Führt zwei Listen mit 'id' anhand einer gemeinsamen Basis zusammen (Drei-Wege-Merge).
+// Ausgangspunkt ist die fremde Version, eigene Hinzufügungen, Änderungen und Löschungen werden darauf angewendet.
+// Haben beide Seiten dasselbe Element unterschiedlich geändert, gewinnt die eigene Version (wird als Konflikt gezählt).
+const mergeListsById = (baseList = [], ourList = [], theirList = []) => {
+  const toMap = (list) => new Map(list.map(item => [item.id, item]));
+  const baseMap = toMap(baseList);
+  const ourMap = toMap(ourList);
+  const theirMap = toMap(theirList);
+  const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  let conflicts = 0;
+  const merged = [];
+
+  theirList.forEach(theirItem => {
+    const baseItem = baseMap.get(theirItem.id);
+    const ourItem = ourMap.get(theirItem.id);
+    const theyChanged = !baseItem || !isSame(baseItem, theirItem);
+
+    if (ourItem) {
+      const weChanged = !baseItem || !isSame(baseItem, ourItem);
+      if (weChanged) {
+        if (theyChanged && !isSame(ourItem, theirItem)) conflicts++;
+        merged.push(ourItem);
+      } else {
+        merged.push(theirItem);
+      }
+    } else if (!baseItem) {
+      merged.push(theirItem); // Von der anderen Seite neu hinzugefügt
+    } else if (theyChanged) {
+      conflicts++; // Wir haben gelöscht, die andere Seite hat geändert: Änderung behalten
+      merged.push(theirItem);
+    }
+    // Sonst: von uns gelöscht und drüben unverändert -> entfällt
+  });
+
+  ourList.forEach(ourItem => {
+    if (theirMap.has(ourItem.id)) return;
+    const baseItem = baseMap.get(ourItem.id);
+    if (!baseItem) {
+      merged.push(ourItem); // Von uns neu hinzugefügt
+    } else if (!isSame(baseItem, ourItem)) {
+      conflicts++; // Drüben gelöscht, von uns geändert: Änderung behalten
+      merged.push(ourItem);
+    }
+    // Sonst: drüben gelöscht und bei uns unverändert -> entfällt
   });
+
+  return { merged, conflicts };
 };
 
+// Führt die Wochenvorlagen (aktive Vorlage und alle übrigen) je Vorlagen-ID zusammen.
+// Welche Vorlage auf einer Seite gerade aktiv ist, spielt für den Merge keine Rolle, erst am Ende wird die aktive Vorlage gewählt.
+const mergeScheduleTemplates = (baseData, ourData, theirData) => {
+  const allTemplates = (data) => [data.masterSchedule, ...(data.scheduleTemplates || [])];
+  const baseTemplates = allTemplates(baseData);
+  const ourTemplates = allTemplates(ourData);
+  const theirTemplates = allTemplates(theirData);
+  const toMap = (list) => new Map(list.map(template => [template.id, template]));
+  const baseMap = toMap(baseTemplates);
+  const ourMap = toMap(ourTemplates);
+  const theirMap = toMap(theirTemplates);
+  let conflicts = 0;
+
+  // Welche Vorlagen erhalten bleiben, entscheidet der Drei-Wege-Merge über die vollständigen Vorlagen
+  const templates = mergeListsById(baseTemplates, ourTemplates, theirTemplates).merged.map(template => {
+    const ourTemplate = ourMap.get(template.id);
+    const theirTemplate = theirMap.get(template.id);
+    if (!ourTemplate || !theirTemplate) {
+      // Nur auf einer Seite vorhanden: neu angelegt oder trotz Löschung auf der anderen Seite geändert
+      if (baseMap.has(template.id)) conflicts++;
+      return template;
+    }
 
-// Define the days of the week for the constant plan
-const WEEK_DAYS_PLAN = ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag'];
+    const baseTemplate = baseMap.get(template.id) || { shifts: [] };
+    const shiftsResult = mergeListsById(baseTemplate.shifts, ourTemplate.shifts, theirTemplate.shifts);
+    conflicts += shiftsResult.conflicts;
+    // Einfache Felder der Vorlage (Titel, Anzeigebereich): eigene Änderung vor fremder
+    const merged = { ...theirTemplate };
+    Object.keys(ourTemplate).forEach(key => {
+      if (key !== 'shifts' && ourTemplate[key] !== baseTemplate[key]) {
+        merged[key] = ourTemplate[key];
+      }
+    });
+    merged.shifts = shiftsResult.merged;
+    return merged;
+  });
 
-// --- German Labor Law Constants (in minutes) ---
-const MIN_BREAK_AFTER_6_HOURS = 30; // 30 minutes break after 6 hours work
-const MIN_BREAK_AFTER_9_HOURS = 45; // 45 minutes break after 9 hours work (can include the first 30 min)
-const MAX_DAILY_WORK_MINUTES = 10 * 60; // 10 hours max actual work time
+  // Aktiv bleibt die Vorlage, zu der wir gewechselt haben, sonst die der anderen Seite (falls noch vorhanden)
+  const weSwitched = ourData.masterSchedule.id !== baseData.masterSchedule.id;
+  const candidateIds = weSwitched
+    ? [ourData.masterSchedule.id, theirData.masterSchedule.id]
+    : [theirData.masterSchedule.id, ourData.masterSchedule.id];
+  // Haben beide Seiten je die Vorlage der anderen gelöscht, bleibt unsere aktive Vorlage erhalten
+  const masterSchedule = candidateIds.map(id => templates.find(template => template.id === id)).find(Boolean)
+    || templates[0]
+    || ourData.masterSchedule;
 
-// --- Fixed System PAUSE Category ---
-const PAUSE_CATEGORY = {
-  id: '_pause_system_id',
-  name: 'Pause',
-  color: 'bg-gray-500', // A distinct color for system pause
+  return {
+    masterSchedule,
+    scheduleTemplates: templates.filter(template => template !== masterSchedule),
+    conflicts,
+  };
 };
 
-// Employee Type Order for sorting within a group
-// Normal employees come first (0), then Zusatzkraft (0.5), then special types (1)
-const EMPLOYEE_TYPE_ORDER = {
-  'normal': 0,
-  'zusatzkraft': 0.5, // New: Added Zusatzkraft
-  'apprentice': 1,
-  'fsj': 1,
-  'intern': 1,
+// Führt die eigenen Daten und eine extern geänderte Dateiversion zusammen (alle Daten bereits migriert)
+const mergeDienstplanData = (baseData, ourData, theirData) => {
+  let conflicts = 0;
+  const mergeKey = (key) => {
+    const result = mergeListsById(baseData[key], ourData[key], theirData[key]);
+    conflicts += result.conflicts;
+    return result.merged;
+  };
+
+  const groups = mergeKey('groups');
+  const templatesResult = mergeScheduleTemplates(baseData, ourData, theirData);
+  conflicts += templatesResult.conflicts;
+
+  // Einstellungen: eigene Änderung vor fremder, wie bei den einfachen Feldern des Wochenplans
+  const settings = { ...theirData.settings };
+  Object.keys(ourData.settings).forEach(key => {
+    if (JSON.stringify(ourData.settings[key]) !== JSON.stringify(baseData.settings[key])) {
+      settings[key] = ourData.settings[key];
+    }
+  });
+
+  // Dieselbe Kalenderwoche kann auf beiden Seiten neu angelegt worden sein: die Version der anderen Seite gewinnt
+  const calendarWeekStarts = new Set();
+  const calendarWeeks = mergeKey('calendarWeeks').filter(week => {
+    if (calendarWeekStarts.has(week.weekStart)) {
+      conflicts++;
+      return false;
+    }
+    calendarWeekStarts.add(week.weekStart);
+    return true;
+  });
+
+  // Gruppenreihenfolge der anderen Seite, ergänzt um neue Gruppen
+  const groupIds = groups.map(g => g.id);
+  const orderedGroupIds = (theirData.orderedGroupIds || []).filter(id => groupIds.includes(id));
+  groupIds.forEach(id => {
+    if (!orderedGroupIds.includes(id)) orderedGroupIds.push(id);
+  });
+
+  return {
+    data: {
+      ...theirData,
+      groups,
+      employees: mergeKey('employees'),
+      categories: mergeKey('categories'),
+      subCategories: mergeKey('subCategories'),
+      disposalTimeRules: mergeKey('disposalTimeRules'),
+      masterSchedule: templatesResult.masterSchedule,
+      scheduleTemplates: templatesResult.scheduleTemplates,
+      calendarWeeks,
+      absences: mergeKey('absences'),
+      settings,
+      closingDays: mergeKey('closingDays'),
+      timeAccountEntries: mergeKey('timeAccountEntries'),
+      vacationEntitlements: mergeKey('vacationEntitlements'),
+      orderedGroupIds,
+    },
+    conflicts,
+  };
 };
 
 // Helper function to convert HH:MM to minutes from midnight
@@ -336,6 +2606,57 @@ const formatMinutesToDecimalHours = (totalMinutes) => {
   return hours.toFixed(2) + 'h'; // Format to 2 decimal places otherwise
 };
 
+// NEU: Minuten als Dezimalstunden-Zahl (auf 2 Stellen gerundet) für Exporte
+const minutesToDecimalHours = (totalMinutes) => Math.round((totalMinutes / 60) * 100) / 100;
+
+// NEU: Baut die "Wochenübersicht Mitarbeiter" als Tabelle (Kopfzeile + Zeilen) für den CSV-/Excel-Export.
+// Enthält dieselben Werte wie die Tabelle in der App, aber Ist und Soll jeweils in eigenen Spalten.
+// timeAccountBalances (optional): Saldo des Arbeitszeitkontos je Mitarbeiter, ergibt eine zusätzliche Spalte
+const buildWeeklySummaryTable = ({ employees, weeklySummaries, groups, disposalTimeCategory, dynamicCategoryHeaders, timeAccountBalances = null }) => {
+  const header = ['Mitarbeiter', 'Gruppe', 'Vertragsstunden', 'Arbeitszeit (Std.)', 'Pausen (Std.)'];
+  // Abwesenheiten und Feiertage gibt es nur in Kalenderwochen, die Spalten erscheinen nur bei Bedarf
+  const hasDaysOff = employees.some(employee => weeklySummaries[employee.id]?.weeklyDaysOff.length > 0);
+  if (hasDaysOff) {
+    header.push('davon angerechnet (Std.)', 'Abwesenheiten/Feiertage');
+  }
+  if (disposalTimeCategory) {
+    header.push(`${disposalTimeCategory.name} Ist (Std.)`, `${disposalTimeCategory.name} Soll (Std.)`);
+  }
+  dynamicCategoryHeaders.forEach(category => header.push(`${category.name} (Std.)`));
+  const hasTimeAccounts = timeAccountBalances && Object.keys(timeAccountBalances).length > 0;
+  if (hasTimeAccounts) {
+    header.push('Arbeitszeitkonto (Std.)');
+  }
+  header.push('Warnungen');
+
+  const rows = employees
+    .filter(employee => weeklySummaries[employee.id])
+    .map(employee => {
+      const summary = weeklySummaries[employee.id];
+      const row = [
+        summary.employeeName,
+        groups.find(group => group.id === employee.groupId)?.name || '',
+        Number(summary.contractedHours) || 0,
+        minutesToDecimalHours(summary.weeklyTotalWorkMinutes),
+        minutesToDecimalHours(summary.weeklyTotalBreakMinutes),
+      ];
+      if (hasDaysOff) {
+        row.push(minutesToDecimalHours(summary.weeklyCreditedMinutes), formatWeeklyDaysOff(summary.weeklyDaysOff));
+      }
+      if (disposalTimeCategory) {
+        row.push(minutesToDecimalHours(summary.weeklyTotalDisposalMinutes), minutesToDecimalHours(summary.targetDisposalMinutes));
+      }
+      dynamicCategoryHeaders.forEach(category => row.push(minutesToDecimalHours(summary.weeklyCategoryTotals[category.id] || 0)));
+      if (hasTimeAccounts) {
+        row.push(minutesToDecimalHours(timeAccountBalances[employee.id] || 0));
+      }
+      row.push(summary.weeklyWarnings.join(', '));
+      return row;
+    });
+
+  return { header, rows };
+};
+
 // Helper function to map Tailwind color classes to hex values
 // DIESE FUNKTION MUSS HIER EINGEFÜGT WERDEN!
 const getTailwindColorValue = (tailwindColorClass) => {
@@ -361,6 +2682,28 @@ const getTailwindColorValue = (tailwindColorClass) => {
     case 'bg-slate-500': return '#64748b';
     case 'bg-neutral-500': return '#737373';
     case 'bg-gray-200': return '#e5e7eb'; // For 'Ohne Gruppe' default
+    // NEU: Helle Gruppenfarben, werden für den PDF-Export benötigt
+    case 'bg-red-100': return '#fee2e2';
+    case 'bg-orange-100': return '#ffedd5';
+    case 'bg-amber-100': return '#fef3c7';
+    case 'bg-yellow-100': return '#fef9c3';
+    case 'bg-lime-100': return '#ecfccb';
+    case 'bg-green-100': return '#dcfce7';
+    case 'bg-emerald-100': return '#d1fae5';
+    case 'bg-teal-100': return '#ccfbf1';
+    case 'bg-cyan-100': return '#cffafe';
+    case 'bg-sky-100': return '#e0f2fe';
+    case 'bg-blue-100': return '#dbeafe';
+    case 'bg-indigo-100': return '#e0e7ff';
+    case 'bg-violet-100': return '#ede9fe';
+    case 'bg-purple-100': return '#f3e8ff';
+    case 'bg-fuchsia-100': return '#fae8ff';
+    case 'bg-pink-100': return '#fce7f3';
+    case 'bg-rose-100': return '#ffe4e6';
+    case 'bg-gray-100': return '#f3f4f6';
+    case 'bg-slate-100': return '#f1f5f9';
+    case 'bg-neutral-100': return '#f5f5f5';
+    case 'bg-gray-50': return '#f9fafb';
     default: return '#cccccc'; // Default fallback
   }
 };
@@ -534,6 +2877,560 @@ const calculateDailyWorkMetrics = (shiftsForDay, categories, subCategories) => {
   };
 };
 
+// Summen einer Woche für einen Mitarbeiter (mit contractDays, siehe getEmployeeForPeriod) aus den Schichten der Woche.
+// holidays: { [Tag]: Name }, getClosingDay(day, groupId), absences: { [employeeId]: { [Tag]: absence } } wie in der Kalenderwoche.
+// Wird von der Wochenübersicht und beim Prüfen gebuchter Wochen (siehe getBookedWeekMinutes) verwendet.
+const summarizeEmployeeWeek = (employee, { shifts, workingDays, categories, subCategories, holidays = {}, getClosingDay = () => undefined, absences = {}, holidayCreditRule }) => {
+  let weeklyTotalWorkMinutes = 0;
+  let weeklyTotalBreakMinutes = 0;
+  let weeklyTotalDisposalMinutes = 0; // New: weekly total disposal minutes
+  let weeklyWorkMinutesOnPresenceDays = 0; // New: for specific warning
+  let weeklyCreditedMinutes = 0; // NEU: angerechnete Arbeitszeit an Abwesenheits- und Feiertagen
+  const weeklyDaysOff = []; // NEU: [{ day, label }]
+  const weeklyCategoryTotals = {}; // Aggregate category totals for the week
+
+  workingDays.forEach(day => {
+    // NEU: Tage ohne gültigen Vertrag zählen weder zur Arbeitszeit noch zum Soll
+    if (!employee.contractDays.includes(day)) {
+        weeklyDaysOff.push({ day, label: 'Kein Vertrag' });
+        return;
+    }
+    const shiftsForDay = shifts.filter(shift =>
+        shift.employeeId === employee.id && shift.dayOfWeek === day
+    );
+    const {
+        categoryTotals, // This now contains all dynamic categories + PAUSE
+        totalWorkMinutes,
+        totalBreakMinutes,
+        totalDisposalMinutes // New: daily disposal minutes
+    } = calculateDailyWorkMetrics(
+        shiftsForDay,
+        categories,
+        subCategories
+    );
+
+    // NEU: An Feiertagen, Schließtagen und Abwesenheitstagen wird Arbeitszeit angerechnet, aber keiner Kategorie zugeordnet.
+    // Feiertage gehen vor, ein Urlaubstag über einen Feiertag hinweg kostet keinen Urlaub.
+    const holidayName = holidays[day];
+    const closingDay = getClosingDay(day, employee.groupId);
+    const absence = absences[employee.id]?.[day];
+    if (holidayName || closingDay || absence) {
+        let creditedMinutes = 0;
+        if (holidayName) {
+            weeklyDaysOff.push({ day, label: 'Feiertag' });
+            if (holidayCreditRule === 'planned') {
+                creditedMinutes = totalWorkMinutes;
+            } else if (holidayCreditRule === 'average') {
+                creditedMinutes = Math.round(employee.contractedHoursPerWeek * 60 / workingDays.length);
+            }
+        } else if (closingDay) {
+            // Schließtage werden wie Urlaub angerechnet. Ob sie auch den Urlaubsanspruch mindern, regelt deductClosingDaysFromVacation.
+            weeklyDaysOff.push({ day, label: 'Schließtag' });
+            creditedMinutes = totalWorkMinutes;
+        } else {
+            weeklyDaysOff.push({ day, label: ABSENCE_TYPES[absence.type].label });
+            if (ABSENCE_TYPES[absence.type].creditsHours) {
+                creditedMinutes = totalWorkMinutes;
+            }
+        }
+        weeklyCreditedMinutes += creditedMinutes;
+        weeklyTotalWorkMinutes += creditedMinutes;
+        if ((employee.type === 'normal' || employee.type === 'zusatzkraft') || (employee.presenceDays || []).includes(day)) {
+            weeklyWorkMinutesOnPresenceDays += creditedMinutes;
+        }
+        return;
+    }
+
+    weeklyTotalWorkMinutes += totalWorkMinutes;
+    weeklyTotalBreakMinutes += totalBreakMinutes;
+    weeklyTotalDisposalMinutes += totalDisposalMinutes; // Accumulate daily disposal minutes
+
+    Object.entries(categoryTotals).forEach(([catKey, mins]) => {
+      if (catKey === 'PAUSE') return; // falls Pausen nicht als Block anzeigen
+      weeklyCategoryTotals[catKey] = (weeklyCategoryTotals[catKey] || 0) + mins;
+    });
+
+    if (
+      (employee.type === 'normal' || employee.type === 'zusatzkraft') ||
+      (employee.presenceDays || []).includes(day)
+    ) {
+      weeklyWorkMinutesOnPresenceDays += totalWorkMinutes;
+    }
+  });
+
+  return { weeklyTotalWorkMinutes, weeklyTotalBreakMinutes, weeklyTotalDisposalMinutes, weeklyWorkMinutesOnPresenceDays, weeklyCreditedMinutes, weeklyDaysOff, weeklyCategoryTotals };
+};
+
+// Ist und Soll einer gebuchten Kalenderwoche nach dem aktuellen Stand der Daten, null wenn die Woche nicht mehr angelegt ist
+// oder der Mitarbeiter in ihr keinen Vertrag hat. Liefert dieselben Werte wie die Wochenübersicht dieser Woche.
+const getBookedWeekMinutes = (employee, weekStart, { masterSchedule, scheduleTemplates, calendarWeeks, absences, closingDays, categories, subCategories, settings }) => {
+  const calendarWeek = calendarWeeks.find(week => week.weekStart === weekStart);
+  if (!calendarWeek) return null;
+  const template = [masterSchedule, ...scheduleTemplates].find(candidate => candidate.id === calendarWeek.templateId) || masterSchedule;
+  const weekDates = getWeekDates(weekStart);
+  const weekEmployee = getEmployeeForPeriod(employee, Object.fromEntries(settings.workingDays.map(day => [day, weekDates[day]])));
+  if (!weekEmployee) return null;
+  const { weeklyTotalWorkMinutes } = summarizeEmployeeWeek(weekEmployee, {
+    shifts: buildCalendarWeekShifts(template.shifts, calendarWeek),
+    workingDays: settings.workingDays,
+    categories,
+    subCategories,
+    holidays: getWeekHolidays(weekStart, settings.federalState),
+    getClosingDay: (day, groupId) => findClosingDay(closingDays, weekDates[day], groupId),
+    absences: getWeekAbsences(absences, weekStart),
+    holidayCreditRule: settings.holidayCreditRule,
+  });
+  return { workedMinutes: weeklyTotalWorkMinutes, targetMinutes: weekEmployee.weeklyTargetMinutes };
+};
+
+// --- PDF-Export (Wochenplan) ---
+// Schreibt das PDF direkt (ohne Druckdialog des Browsers) mit den PDF-Standardschriften Helvetica und Helvetica-Bold.
+// So sehen Seitenumbrüche, Skalierung und Farben in jedem Browser gleich aus.
+const PDF_MIME_TYPE = 'application/pdf';
+// Querformat, Maße in pt (1/72 Zoll)
+const PDF_PAGE_SIZES = {
+  A4: { width: 841.89, height: 595.28 },
+  A3: { width: 1190.55, height: 841.89 },
+};
+
+// Zeichenbreiten (1/1000 em) für die Zeichen 32–126 laut Adobe-Fontmetriken
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+// Breiten häufiger Sonderzeichen [normal, fett], alle übrigen werden mit 556 angenähert
+const PDF_EXTRA_WIDTHS = {
+  'ä': [556, 556], 'ö': [556, 611], 'ü': [556, 611], 'Ä': [667, 722], 'Ö': [778, 778], 'Ü': [722, 722],
+  'ß': [611, 611], 'é': [556, 556], '–': [556, 556], '—': [1000, 1000], '…': [1000, 1000], '·': [278, 278],
+  '€': [556, 556], '„': [333, 500], '“': [333, 500],
+};
+// Zeichen außerhalb von Latin-1, die WinAnsiEncoding trotzdem kennt
+const WIN_ANSI_EXTRA = { '€': 0x80, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+
+const pdfTextWidth = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) {
+      total += widths[code - 32];
+    } else {
+      total += PDF_EXTRA_WIDTHS[char]?.[bold ? 1 : 0] || 556;
+    }
+  }
+  return (total * size) / 1000;
+};
+
+// Kürzt einen Text mit "…", bis er in die angegebene Breite passt
+const fitPdfText = (text, maxWidth, size, bold = false) => {
+  const value = String(text);
+  if (pdfTextWidth(value, size, bold) <= maxWidth) return value;
+  let shortened = value;
+  while (shortened.length > 0 && pdfTextWidth(`${shortened}…`, size, bold) > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return shortened ? `${shortened.trimEnd()}…` : '';
+};
+
+// Bricht einen Text wortweise in Zeilen um, die in die angegebene Breite passen
+const wrapPdfText = (text, maxWidth, size, bold = false) => {
+  const lines = [];
+  let current = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && pdfTextWidth(candidate, size, bold) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.map(line => fitPdfText(line, maxWidth, size, bold));
+};
+
+// Wandelt einen Text in einen PDF-String in WinAnsiEncoding um (nicht darstellbare Zeichen werden zu "?")
+const toPdfString = (text) => {
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRA[char]) {
+      encoded += String.fromCharCode(WIN_ANSI_EXTRA[char]);
+    } else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      encoded += char;
+    } else {
+      encoded += '?';
+    }
+  }
+  return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+};
+
+const formatPdfNumber = (number) => String(Math.round(number * 100) / 100);
+const hexToPdfColor = (hex) => hex.replace('#', '').match(/../g).map(part => formatPdfNumber(parseInt(part, 16) / 255)).join(' ');
+
+// Einfaches PDF-Dokument mit Rechtecken, Linien und Text. Koordinaten wie im Browser: Ursprung oben links, Maße in pt.
+const createPdfDocument = ({ width, height }, title) => {
+  const pages = [];
+  let operations = null;
+  const toPdfY = (y) => formatPdfNumber(height - y);
+
+  const pdf = {
+    width,
+    height,
+    pageCount: () => pages.length,
+    addPage: () => {
+      operations = [];
+      pages.push(operations);
+    },
+    setPage: (index) => {
+      operations = pages[index];
+    },
+    // translucent: Füllung mit 50 % Deckkraft (wie die roten Warnbereiche in der App)
+    rect: (x, y, rectWidth, rectHeight, { fill, stroke, lineWidth = 0.5, dashed = false, translucent = false } = {}) => {
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      operations.push([
+        'q',
+        translucent ? '/GS1 gs' : '',
+        fill ? `${hexToPdfColor(fill)} rg` : '',
+        stroke ? `${hexToPdfColor(stroke)} RG ${formatPdfNumber(lineWidth)} w` : '',
+        dashed ? '[2 1.5] 0 d' : '',
+        `${formatPdfNumber(x)} ${toPdfY(y + rectHeight)} ${formatPdfNumber(rectWidth)} ${formatPdfNumber(rectHeight)} re ${paint}`,
+        'Q',
+      ].filter(Boolean).join(' '));
+    },
+    line: (x1, y1, x2, y2, { stroke = '#d1d5db', lineWidth = 0.5 } = {}) => {
+      operations.push(`q ${hexToPdfColor(stroke)} RG ${formatPdfNumber(lineWidth)} w ${formatPdfNumber(x1)} ${toPdfY(y1)} m ${formatPdfNumber(x2)} ${toPdfY(y2)} l S Q`);
+    },
+    // y ist die Grundlinie. rotated: Text von unten nach oben (wie der Gruppenname in der App)
+    text: (text, x, y, { size = 9, bold = false, color = '#111827', align = 'left', rotated = false } = {}) => {
+      const textWidth = pdfTextWidth(text, size, bold);
+      const offset = align === 'center' ? textWidth / 2 : align === 'right' ? textWidth : 0;
+      const matrix = rotated
+        ? `0 1 -1 0 ${formatPdfNumber(x)} ${toPdfY(y + offset)}`
+        : `1 0 0 1 ${formatPdfNumber(x - offset)} ${toPdfY(y)}`;
+      operations.push(`BT /${bold ? 'F2' : 'F1'} ${formatPdfNumber(size)} Tf ${hexToPdfColor(color)} rg ${matrix} Tm ${toPdfString(text)} Tj ET`);
+    },
+    toBlob: () => {
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      ];
+      pages.forEach((pageOperations, index) => {
+        const stream = pageOperations.join('\n');
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatPdfNumber(width)} ${formatPdfNumber(height)}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /ExtGState << /GS1 << /ca 0.5 >> >> >> /Contents ${6 + index * 2} 0 R >>`,
+          `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+        );
+      });
+      objects.push(`<< /Title ${toPdfString(title)} /Producer (Kindergarten Dienstplan App) >>`);
+
+      // Alle Zeichen sind nach toPdfString einzelne Bytes, die Länge des Strings entspricht also den Byte-Offsets
+      let output = '%PDF-1.4\n';
+      const offsets = objects.map((object, index) => {
+        const offset = output.length;
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+      const xrefOffset = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+      return new Blob([Uint8Array.from(output, char => char.charCodeAt(0))], { type: PDF_MIME_TYPE });
+    },
+  };
+  return pdf;
+};
+
+// Baut den Wochenplan als PDF: je Tag die Zeitleisten aller (gefilterten) Mitarbeiter nach Gruppen,
+// darüber die Betreuungswarnungen der Gruppe, optional am Ende die Wochenübersicht als Tabelle.
+// Abwesende Mitarbeiter werden wie in der Zeitleiste ausgegraut und mit der Art der Abwesenheit markiert,
+// Feiertage und Schließtage stehen an der Tagesüberschrift (Schließtage einzelner Gruppen über der Gruppe)
+// und grauen die betroffenen Zeilen aus.
+// Ein Tag beginnt auf einer neuen Seite, wenn er dort vollständig Platz hat. Passt er auf keine Seite,
+// wird er zwischen zwei Mitarbeitern umgebrochen und die Kopfzeile mit Zeitachse wiederholt.
+const buildWeeklyPlanPdf = ({
+  pageSize,
+  title,
+  subtitle,
+  days,
+  orderedGroups,
+  employees,
+  shifts,
+  categories,
+  subCategories,
+  groups,
+  groupWarnings,
+  absences = {},
+  holidays = {},
+  getClosingDay = () => undefined,
+  displayStartMinutes,
+  displayEndMinutes,
+  summaryTable,
+}) => {
+  const pdf = createPdfDocument(PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.A4, title);
+  const margin = 28;
+  const headerHeight = 30;
+  const footerHeight = 16;
+  const contentWidth = pdf.width - 2 * margin;
+  const pageBottom = pdf.height - margin - footerHeight;
+  const groupColumnWidth = 16;
+  const nameColumnWidth = 110;
+  const summaryColumnWidth = 64;
+  const timelineX = margin + groupColumnWidth + nameColumnWidth;
+  const timelineWidth = contentWidth - groupColumnWidth - nameColumnWidth - summaryColumnWidth;
+  const totalDisplayMinutes = Math.max(1, displayEndMinutes - displayStartMinutes);
+  const rowHeight = 18;
+  const dayHeaderHeight = 30;
+  const warningLineHeight = 10;
+  const minuteToX = (minutes) => timelineX + ((minutes - displayStartMinutes) / totalDisplayMinutes) * timelineWidth;
+  const formatHours = (minutes) => `${minutesToDecimalHours(minutes).toLocaleString('de-DE')} Std.`;
+
+  let y = 0;
+  const startPage = () => {
+    pdf.addPage();
+    y = margin + headerHeight;
+  };
+
+  const drawDayHeader = (day, isContinued) => {
+    const dayLabel = isContinued ? `${day} (Fortsetzung)` : day;
+    pdf.text(dayLabel, margin, y + 13, { size: 12, bold: true });
+    // Hinweise wie in der Tagesüberschrift der App (Feiertag, Schließtag der ganzen Einrichtung)
+    let badgeX = margin + pdfTextWidth(dayLabel, 12, true) + 8;
+    const closingDay = getClosingDay(day, null);
+    const dayBadges = [
+      holidays[day] && { text: `Feiertag: ${holidays[day]}`, fill: '#ffe4e6', color: '#be123c' },
+      closingDay && { text: `Schließtag${closingDay.name ? `: ${closingDay.name}` : ''}`, fill: '#e2e8f0', color: '#334155' },
+    ].filter(Boolean);
+    dayBadges.forEach(badge => {
+      const badgeWidth = pdfTextWidth(badge.text, 7.5, true) + 10;
+      pdf.rect(badgeX, y + 3, badgeWidth, 13, { fill: badge.fill });
+      pdf.text(badge.text, badgeX + badgeWidth / 2, y + 12.5, { size: 7.5, bold: true, color: badge.color, align: 'center' });
+      badgeX += badgeWidth + 4;
+    });
+    // Zeitachse mit Stundenbeschriftung
+    for (let minute = Math.ceil(displayStartMinutes / 60) * 60; minute <= displayEndMinutes; minute += 60) {
+      pdf.text(`${minute / 60}:00`, minuteToX(minute), y + 26, { size: 7, color: '#4b5563', align: 'center' });
+    }
+    y += dayHeaderHeight;
+  };
+
+  const drawGroupWarnings = (group, day, warnings) => {
+    const lines = warnings.flatMap(warning => wrapPdfText(`• ${warning}`, contentWidth - 12, 7));
+    const boxHeight = 14 + lines.length * warningLineHeight;
+    pdf.rect(margin, y, contentWidth, boxHeight - 2, { fill: '#fee2e2' });
+    pdf.rect(margin, y, 3, boxHeight - 2, { fill: '#ef4444' });
+    pdf.text(`Warnung für Gruppe ${group.name} am ${day}:`, margin + 8, y + 9, { size: 7.5, bold: true, color: '#b91c1c' });
+    lines.forEach((line, index) => {
+      pdf.text(line, margin + 8, y + 9 + (index + 1) * warningLineHeight, { size: 7, color: '#b91c1c' });
+    });
+    y += boxHeight;
+  };
+  // Hinweis für einen Schließtag, der nur diese Gruppe betrifft
+  const groupClosingNoticeHeight = 16;
+  const drawGroupClosingNotice = (group, day, closingDay) => {
+    pdf.rect(margin, y, contentWidth, groupClosingNoticeHeight - 2, { fill: '#f1f5f9' });
+    pdf.rect(margin, y, 3, groupClosingNoticeHeight - 2, { fill: '#94a3b8' });
+    pdf.text(`Gruppe ${group.name} ist am ${day} geschlossen${closingDay.name ? ` (${closingDay.name})` : ''}.`, margin + 8, y + 9.5, { size: 7.5, color: '#334155' });
+    y += groupClosingNoticeHeight;
+  };
+  const groupWarningsHeight = (warnings) => 14 + warnings.flatMap(warning => wrapPdfText(`• ${warning}`, contentWidth - 12, 7)).length * warningLineHeight;
+
+  // Gruppenname senkrecht über alle Zeilen der Gruppe, die auf derselben Seite stehen
+  const drawGroupLabel = (group, fromY, toY) => {
+    pdf.rect(margin, fromY, groupColumnWidth, toY - fromY, { fill: getTailwindColorValue(group.color) });
+    const label = fitPdfText(group.name, toY - fromY - 4, 7, true);
+    pdf.text(label, margin + groupColumnWidth / 2 + 2.5, (fromY + toY) / 2, { size: 7, bold: true, align: 'center', rotated: true });
+  };
+
+  const drawEmployeeRow = (employee, group, day, visualWarningRanges) => {
+    const employeeShifts = shifts.filter(shift => shift.employeeId === employee.id && shift.dayOfWeek === day);
+    const { categoryTotals, totalWorkMinutes } = calculateDailyWorkMetrics(employeeShifts, categories, subCategories);
+    const isSchoolDay = (employee.type !== 'normal' && employee.type !== 'zusatzkraft') && !(employee.presenceDays || []).includes(day);
+    const absence = absences[employee.id]?.[day];
+    const isGreyedOut = Boolean(absence || holidays[day] || getClosingDay(day, group.id));
+    const rowTop = y + 1;
+    const blockHeight = rowHeight - 2;
+
+    pdf.rect(margin + groupColumnWidth, y, nameColumnWidth, rowHeight, { fill: getTailwindColorValue(group.color) });
+    let nameWidth = nameColumnWidth - 8;
+    if (absence) {
+      const absenceLabel = ABSENCE_TYPES[absence.type].label;
+      const labelWidth = pdfTextWidth(absenceLabel, 6.5, true) + 6;
+      pdf.rect(margin + groupColumnWidth + 3, y + 4, labelWidth, 10, { fill: getTailwindColorValue(ABSENCE_TYPES[absence.type].color) });
+      pdf.text(absenceLabel, margin + groupColumnWidth + 3 + labelWidth / 2, y + 11.5, { size: 6.5, bold: true, color: '#ffffff', align: 'center' });
+      nameWidth -= labelWidth + 3;
+    }
+    pdf.text(fitPdfText(employee.name, nameWidth, 8, true), timelineX - 4, y + 12, { size: 8, bold: true, align: 'right', color: absence ? '#6b7280' : undefined });
+
+    pdf.rect(timelineX, rowTop, timelineWidth, blockHeight, { fill: isSchoolDay || isGreyedOut ? '#f3f4f6' : '#ffffff', stroke: '#d1d5db' });
+    for (let minute = Math.ceil(displayStartMinutes / 15) * 15; minute <= displayEndMinutes; minute += 15) {
+      const isHourMark = minute % 60 === 0;
+      pdf.line(minuteToX(minute), rowTop, minuteToX(minute), rowTop + blockHeight, { stroke: isHourMark ? '#d1d5db' : '#eef0f3', lineWidth: isHourMark ? 0.6 : 0.3 });
+    }
+
+    employeeShifts.forEach(shift => shift.segments.forEach(segment => {
+      const { left, width, bgColorClass, textColorClass, borderHexColor } = getShiftBlockStyles(segment, displayStartMinutes, totalDisplayMinutes, categories, subCategories, groups);
+      const blockX = timelineX + (parseFloat(left) / 100) * timelineWidth;
+      const blockWidth = (parseFloat(width) / 100) * timelineWidth;
+      if (blockWidth <= 0) return;
+      const fill = isGreyedOut ? '#d1d5db' : getTailwindColorValue(bgColorClass);
+      pdf.rect(blockX, rowTop, blockWidth, blockHeight, borderHexColor
+        ? { fill, stroke: isGreyedOut ? '#9ca3af' : borderHexColor, lineWidth: 1.2, dashed: true }
+        : { fill });
+
+      const name = subCategories.find(subCategory => subCategory.id === segment.subCategoryId)?.name
+        || categories.find(category => category.id === segment.categoryId)?.name
+        || (segment.categoryId === PAUSE_CATEGORY.id ? PAUSE_CATEGORY.name : '');
+      const times = `${segment.startTime}–${segment.endTime}`;
+      const textOptions = { size: 6.5, color: isGreyedOut ? '#4b5563' : (textColorClass === 'text-white' ? '#ffffff' : '#111827'), align: 'center' };
+      const centerX = blockX + blockWidth / 2;
+      if (name && pdfTextWidth(name, 6.5, true) + 4 <= blockWidth && pdfTextWidth(times, 6.5) + 4 <= blockWidth) {
+        pdf.text(name, centerX, rowTop + 7, { ...textOptions, bold: true });
+        pdf.text(times, centerX, rowTop + 14, textOptions);
+      } else if (pdfTextWidth(times, 6.5) + 4 <= blockWidth) {
+        pdf.text(times, centerX, rowTop + 10.5, textOptions);
+      }
+    }));
+
+    visualWarningRanges.forEach(range => {
+      const start = Math.max(range.startMinutes, displayStartMinutes);
+      const end = Math.min(range.endMinutes, displayEndMinutes);
+      if (end > start) pdf.rect(minuteToX(start), rowTop, minuteToX(end) - minuteToX(start), blockHeight, { fill: '#ef4444', translucent: true });
+    });
+
+    pdf.text(formatHours(totalWorkMinutes), timelineX + timelineWidth + 6, y + 9, { size: 7.5, bold: true });
+    if (categoryTotals[PAUSE_CATEGORY.id] > 0) {
+      pdf.text(`Pause ${formatHours(categoryTotals[PAUSE_CATEGORY.id])}`, timelineX + timelineWidth + 6, y + 16, { size: 6.5, color: '#4b5563' });
+    } else if (isSchoolDay) {
+      pdf.text('Schultag', timelineX + timelineWidth + 6, y + 16, { size: 6.5, color: '#4b5563' });
+    }
+    y += rowHeight;
+  };
+
+  startPage();
+  days.forEach((day, dayIndex) => {
+    const sections = orderedGroups
+      .map(group => ({
+        group,
+        employees: employees.filter(employee => (employee.groupId || 'no-group') === group.id && employee.contractDays.includes(day)),
+        warnings: groupWarnings[group.id]?.[day],
+        closingDay: getClosingDay(day, group.id),
+      }))
+      .filter(section => section.employees.length > 0);
+    const isGroupOnlyClosingDay = (section) => section.closingDay && section.closingDay.groupIds.length > 0;
+
+    const dayHeight = dayHeaderHeight + sections.reduce((sum, section) => sum
+      + (isGroupOnlyClosingDay(section) ? groupClosingNoticeHeight : 0)
+      + (section.warnings?.textWarnings.length > 0 ? groupWarningsHeight(section.warnings.textWarnings) : 0)
+      + section.employees.length * rowHeight, 0);
+    const isPageEmpty = y === margin + headerHeight;
+    if (!isPageEmpty && (y + dayHeight > pageBottom || y + dayHeaderHeight + rowHeight > pageBottom)) {
+      startPage();
+    }
+    drawDayHeader(day, false);
+
+    sections.forEach(section => {
+      if (isGroupOnlyClosingDay(section)) {
+        if (y + groupClosingNoticeHeight + rowHeight > pageBottom) {
+          startPage();
+          drawDayHeader(day, true);
+        }
+        drawGroupClosingNotice(section.group, day, section.closingDay);
+      }
+      const textWarnings = section.warnings?.textWarnings || [];
+      if (textWarnings.length > 0) {
+        if (y + groupWarningsHeight(textWarnings) + rowHeight > pageBottom) {
+          startPage();
+          drawDayHeader(day, true);
+        }
+        drawGroupWarnings(section.group, day, textWarnings);
+      }
+
+      let labelStartY = y;
+      section.employees.forEach(employee => {
+        if (y + rowHeight > pageBottom) {
+          if (y > labelStartY) drawGroupLabel(section.group, labelStartY, y);
+          startPage();
+          drawDayHeader(day, true);
+          labelStartY = y;
+        }
+        drawEmployeeRow(employee, section.group, day, section.warnings?.visualWarningRanges || []);
+      });
+      drawGroupLabel(section.group, labelStartY, y);
+    });
+
+    if (dayIndex < days.length - 1) y += 12;
+  });
+
+  // Wochenübersicht als Tabelle; die Kopfzeile wird auf jeder Seite wiederholt
+  if (summaryTable && summaryTable.rows.length > 0) {
+    startPage();
+    pdf.text('Wochenübersicht Mitarbeiter', margin, y + 12, { size: 12, bold: true });
+    y += 22;
+
+    const { header, rows } = summaryTable;
+    const fixedWidths = { 0: 100, 1: 70, [header.length - 1]: 150 };
+    const numericColumnCount = header.length - Object.keys(fixedWidths).length;
+    const numericWidth = (contentWidth - Object.values(fixedWidths).reduce((sum, value) => sum + value, 0)) / Math.max(1, numericColumnCount);
+    const columnWidths = header.map((_, index) => fixedWidths[index] ?? numericWidth);
+    const columnX = columnWidths.map((_, index) => margin + columnWidths.slice(0, index).reduce((sum, value) => sum + value, 0));
+    const cellText = (value) => (typeof value === 'number' ? value.toLocaleString('de-DE') : String(value ?? ''));
+
+    const headerLines = header.map((text, index) => wrapPdfText(text, columnWidths[index] - 6, 7, true));
+    const headerRowHeight = 6 + Math.max(...headerLines.map(lines => lines.length)) * 9;
+    const drawTableHeader = () => {
+      pdf.rect(margin, y, contentWidth, headerRowHeight, { fill: '#f3f4f6', stroke: '#d1d5db' });
+      headerLines.forEach((lines, index) => lines.forEach((line, lineIndex) => {
+        pdf.text(line, columnX[index] + 3, y + 10 + lineIndex * 9, { size: 7, bold: true, color: '#374151' });
+      }));
+      y += headerRowHeight;
+    };
+
+    drawTableHeader();
+    rows.forEach(row => {
+      const cellLines = row.map((value, index) => wrapPdfText(cellText(value), columnWidths[index] - 6, 7.5));
+      const tableRowHeight = 6 + Math.max(1, ...cellLines.map(lines => lines.length)) * 9;
+      if (y + tableRowHeight > pageBottom) {
+        startPage();
+        drawTableHeader();
+      }
+      pdf.rect(margin, y, contentWidth, tableRowHeight, { stroke: '#e5e7eb' });
+      cellLines.forEach((lines, index) => lines.forEach((line, lineIndex) => {
+        const isWarningColumn = index === header.length - 1;
+        pdf.text(line, columnX[index] + 3, y + 10 + lineIndex * 9, { size: 7.5, bold: index === 0, color: isWarningColumn ? '#b91c1c' : '#111827' });
+      }));
+      y += tableRowHeight;
+    });
+  }
+
+  // Kopf- und Fußzeile erst am Ende, damit die Gesamtzahl der Seiten bekannt ist
+  const createdAt = new Date().toLocaleString('de-DE', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+  for (let index = 0; index < pdf.pageCount(); index++) {
+    pdf.setPage(index);
+    pdf.text(fitPdfText(title, contentWidth / 2, 14, true), margin, margin + 12, { size: 14, bold: true });
+    if (subtitle) pdf.text(subtitle, margin, margin + 23, { size: 8, color: '#4b5563' });
+    pdf.text(`Stand: ${createdAt}`, margin + contentWidth, margin + 12, { size: 8, color: '#4b5563', align: 'right' });
+    pdf.line(margin, margin + headerHeight - 3, margin + contentWidth, margin + headerHeight - 3, { stroke: '#9ca3af', lineWidth: 0.75 });
+    pdf.text(`Seite ${index + 1} von ${pdf.pageCount()}`, margin + contentWidth / 2, pdf.height - margin, { size: 7.5, color: '#6b7280', align: 'center' });
+  }
+
+  return pdf.toBlob();
+};
+
 // Define color palettes
 const groupColors = [
     'bg-red-100', 'bg-orange-100', 'bg-amber-100', 'bg-yellow-100', 'bg-lime-100',
@@ -701,6 +3598,7 @@ const ConfirmModal = ({ message, onConfirm, onCancel }) => {
 // --- Print Options Modal Component ---
 const PrintOptionsModal = ({
   onPrint,
+  onExportPdf, // NEU: Direkter PDF-Export (includeWeeklySummary, pageSize)
   onCancel,
   defaultPrintWeeklySummary,
   onPrintWeeklySummaryChange,
@@ -714,6 +3612,7 @@ const PrintOptionsModal = ({
   filteredGroupsForDisplayInFilter
 }) => {
   const [printWeeklySummary, setPrintWeeklySummary] = useState(defaultPrintWeeklySummary);
+  const [pdfPageSize, setPdfPageSize] = useState('A4'); // NEU: Papierformat für den PDF-Export (immer Querformat)
   const [isVisible, setIsVisible] = useState(false); // Steuert die Fade-In/Out-Animation des GESAMTEN Modals
 
   // Effekt für initialen Fade-In des gesamten Modals beim Mounten
@@ -728,7 +3627,7 @@ const PrintOptionsModal = ({
   const handleActionClick = (actionCallback) => {
     setIsVisible(false); // Startet die Fade-Out-Animation für das gesamte Modal (inkl. Hintergrund)
     setTimeout(() => {
-      actionCallback(printWeeklySummary);
+      actionCallback(printWeeklySummary, pdfPageSize);
     }, 300); // Wartezeit für die Fade-Out-Transition (muss zu 'duration-300' passen)
   };
 
@@ -797,13 +3696,35 @@ const PrintOptionsModal = ({
           />
           <label htmlFor="printWeeklySummary" className="ml-3 text-gray-700">Wochenübersicht mitdrucken</label>
         </div>
-        <div className="flex justify-center gap-4">
+
+        {/* NEU: Papierformat für den PDF-Export */}
+        <div className="mb-6">
+          <label htmlFor="pdfPageSize" className="block text-sm font-medium text-gray-700 mb-1">
+            Format für PDF:
+          </label>
+          <select
+            id="pdfPageSize"
+            className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
+            value={pdfPageSize}
+            onChange={(e) => setPdfPageSize(e.target.value)}
+          >
+            <option value="A4">A4 Querformat</option>
+            <option value="A3">A3 Querformat</option>
+          </select>
+        </div>
+        <div className="flex flex-wrap justify-center gap-4">
           <button
             onClick={() => handleActionClick(onPrint)}
             className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
           >
             Drucken
           </button>
+          <button
+            onClick={() => handleActionClick(onExportPdf)}
+            className="bg-pink-500 hover:bg-pink-600 text-white font-bold py-2 px-5 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            Als PDF speichern
+          </button>
           <button
             onClick={() => handleActionClick(onCancel)}
             className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
@@ -980,9 +3901,21 @@ const HelpModal = ({ onClose }) => {
               <p>Verwalte deine Dienstplandateien und sorge für persistente Speicherung:</p>
               <ul className="list-disc list-outside pl-5 space-y-1">
                 <li className="pl-1"><strong>Daten importieren:</strong> Lädt einen Dienstplan von deinem Computer in die App.</li>
+                <li className="pl-1"><strong>Daten übernehmen:</strong> Übernimmt ausgewählte Gruppen, Mitarbeiter, Kategorien, Unterkategorien und Verfügungszeit-Regeln aus einer anderen .dienstplan-Datei, z.B. beim Einrichten einer zweiten Einrichtung oder eines neuen Jahres. Einträge mit gleichem Namen, aber anderen Einstellungen werden markiert. Du entscheidest, ob sie als Kopie hinzugefügt werden oder den vorhandenen Eintrag überschreiben. Der Wochenplan bleibt unverändert.</li>
                 <li className="pl-1"><strong>Speichern:</strong> Speichert Änderungen in der zuletzt geöffneten oder gespeicherten Datei auf deinem Computer.</li>
                 <li className="pl-1"><strong>Daten exportieren:</strong> Speichert den aktuellen Dienstplan unter einem neuen Namen an einem beliebigen Ort auf deinem Computer.</li>
+                <li className="pl-1"><strong>Kalender exportieren:</strong> Exportiert die Schichten eines Mitarbeiters als .ics-Datei, die sich in Kalender-Apps (z.B. auf dem Handy) importieren lässt. Jede Schicht wird zu einem wöchentlich wiederkehrenden Termin ab dem gewählten Datum, optional bis zu einem Enddatum. Wähle, ob je Arbeitsblock oder je Zeitabschnitt ein Termin entsteht. Kategorien und Gruppe stehen in der Beschreibung, Pausen werden nicht exportiert. Mit <strong>"Alle Mitarbeiter"</strong> erhältst du eine ZIP-Datei mit einer .ics-Datei je Mitarbeiter.</li>
+                <li className="pl-1"><strong>Prüfung beim Import:</strong> Beim Import einer .dienstplan- oder .wochenplan-Datei prüft die App alle Einträge, z.B. ungültige Uhrzeiten, unbekannte Mitarbeiter oder Kategorien. Findet sie Probleme, zeigt sie einen Bericht (welche Schicht, welches Feld, warum) und bietet an, die Daten zu reparieren bzw. ungültige Einträge zu entfernen. Erst danach werden die Daten geladen.</li>
+                <li className="pl-1"><strong>Wochenplan in eine andere Datei importieren:</strong> Enthält ein importierter Wochenplan Mitarbeiter oder Kategorien, die es in der geöffneten Datei nicht gibt, kannst du sie vor dem Import vorhandenen Einträgen zuordnen. Gleichnamige Einträge werden vorgeschlagen. Schichten ohne Zuordnung werden übersprungen.</li>
+                <li className="pl-1"><strong>Zuletzt verwendete Dateien:</strong> Die App merkt sich die zuletzt geöffneten Dateien mit Titel, Dateiname und Zeitpunkt. Ein Klick öffnet die Datei wieder, fehlt die Berechtigung, fragt der Browser erneut nach. Über das <strong>X</strong> entfernst du eine Datei aus der Liste, die Datei selbst bleibt erhalten.</li>
+                <li className="pl-1"><strong>Gemeinsame Dateien:</strong> Wird die geöffnete Datei zwischendurch von jemand anderem geändert (z.B. auf einem gemeinsamen Laufwerk), pausiert das automatische Speichern. Du kannst dann die geänderte Datei <strong>neu laden</strong>, sie mit deinem Stand <strong>überschreiben</strong> oder beide Stände <strong>zusammenführen</strong>.</li>
+                <li className="pl-1"><strong>Mehrere Tabs:</strong> Ist die App in mehreren Tabs geöffnet, bearbeitet und speichert nur ein Tab. Die anderen Tabs zeigen den Plan schreibgeschützt an und übernehmen Änderungen automatisch. Mit <strong>"Hier bearbeiten"</strong> kannst du die Bearbeitung in einen anderen Tab holen.</li>
+                <li className="pl-1"><strong>Verschlüsselung:</strong> Schützt die .dienstplan-Datei mit einem Passwort (AES-GCM). Beim Öffnen einer verschlüsselten Datei fragt die App nach dem Passwort, unverschlüsselte Dateien öffnen sich wie gewohnt. Ohne das Passwort lässt sich die Datei <strong>nicht wiederherstellen</strong>. Die Arbeitskopie und die Sicherungen im Browser werden ebenfalls verschlüsselt; lesbar bleiben nur der Titel des Plans und die Anzahl der Mitarbeiter und Schichten in der Liste der Sicherungen. Nach <strong>Verschlüsselung entfernen</strong> benötigen bereits vorhandene Sicherungen weiterhin das alte Passwort.</li>
+                <li className="pl-1"><strong>Sicherungen:</strong> Beim automatischen Speichern legt die App zusätzlich stündliche und tägliche Sicherungen im Browser ab. Im Dialog <strong>"Sicherungen"</strong> siehst du alle Sicherungen mit Titel, Zeitpunkt und Anzahl der Mitarbeiter und Schichten, kannst sie in einer Vorschau ansehen und wiederherstellen. Wie viele Sicherungen aufbewahrt werden, lässt sich dort einstellen.</li>
                 <li className="pl-1"><strong>Daten vergessen:</strong> Leert die App und entfernt die interne Verknüpfung zur zuletzt verwendeten Datei. Die Datei auf deinem Computer wird dabei <strong>NICHT gelöscht</strong>.</li>
+                <li className="pl-1"><strong>App installieren und offline nutzen:</strong> Die App kann über das Installieren-Symbol in der Adressleiste (z.B. in Chrome oder Edge) wie ein Programm installiert werden. Nach dem ersten Aufruf funktioniert sie auch <strong>ohne Internetverbindung</strong>. Ist die App installiert, öffnet ein Doppelklick auf eine .dienstplan-Datei diese direkt in der App, eine .wochenplan-Datei wird als Wochenplan importiert. Vor dem Ersetzen der aktuellen Daten fragt die App wie gewohnt nach.</li>
+                <li className="pl-1"><strong>Browser ohne Dateizugriff (z.B. Firefox, Safari):</strong> Hier arbeitet die App im <strong>Speichermodus "Browser-Speicher"</strong>. Deine Daten werden automatisch als Arbeitskopie im Browser gespeichert. <strong>"Daten importieren"</strong> öffnet eine .dienstplan-Datei, <strong>"Daten exportieren"</strong> lädt den aktuellen Stand als Datei herunter. Exportiere regelmäßig, da Browser-Daten z.B. beim Löschen des Verlaufs verloren gehen können. Der aktive Speichermodus wird unter den Buttons angezeigt.</li>
+                <li className="pl-1"><strong>Rückgängig / Wiederholen:</strong> Macht die letzte Änderung an Gruppen, Mitarbeitern, Kategorien, Regeln oder am Wochenplan rückgängig bzw. stellt sie wieder her. Alternativ per <strong>Strg+Z</strong> und <strong>Strg+Y</strong>. Das Verschieben einer Schicht per Maus zählt dabei als ein Schritt. Beim Öffnen einer anderen Datei wird der Verlauf geleert.</li>
                 <li className="pl-1"><strong>Persistente Speicherung:</strong> Damit deine Daten automatisch geladen werden, wenn du die App erneut öffnest, ist es wichtig, deinem Browser die Berechtigung zur persistenten Speicherung zu erteilen. Hierfür exportierst du zunächst deine Daten über den Button <strong>"Daten exportieren"</strong> und speicherst die Datei an einem beliebigen Ort. Klicke danach auf <strong>"Daten importieren"</strong> und wähle die eben gespeicherte Datei aus. Bestätige anschließend die nun erscheinende Browser-Meldung zum Dateizugriff. Falls du die Wahl hast, solltest du den Zugriff immer erlauben. Dies ist entscheidend, damit die App deine zuletzt verwendete Datei automatisch wiederfindet und lädt.</li>
                 <li className="pl-1"><strong>Falls das nicht funktioniert:</strong> Klicke auf das <strong>Schloss-Symbol</strong> in der Adressleiste deines Browsers (neben der URL). Wähle dort die Option <strong>"Dateien bearbeiten"</strong> aus und stelle sicher, dass <strong>"Bei jedem Besuch erlauben"</strong> aktiviert ist.</li>
               </ul>
@@ -1015,6 +3948,7 @@ const HelpModal = ({ onClose }) => {
                 <li className="pl-1"><strong>Typ:</strong> Wähle den Mitarbeitertyp: "Normaler Mitarbeiter", "Zusatzkraft", "Auszubildender", "FSJler" oder "Praktikant". Zusatzkräfte werden in Listen zwischen normalen Mitarbeitern und Auszubildenden/FSJlern/Praktikanten sortiert.</li>
                 <li className="pl-1"><strong>Anwesenheitstage:</strong> Für "Auszubildende", "FSJler" und "Praktikanten" kannst du die spezifischen Tage festlegen, an denen sie in der Einrichtung anwesend sind. Schichten an nicht anwesenden Tagen werden im Wochenplan heller dargestellt.</li>
                 <li className="pl-1"><strong>Gruppe zuweisen:</strong> Ordne den Mitarbeiter einer deiner definierten Gruppen zu.</li>
+                <li className="pl-1"><strong>CSV importieren:</strong> Legt viele Mitarbeiter auf einmal aus einer CSV-Datei an (z.B. aus Excel). Ordne die Spalten den Feldern Name, Wochenstunden, Gruppe, Typ, Anwesenheitstage und Verfügungszeit zu, passende Überschriften werden automatisch erkannt. Gruppen werden über ihren Namen gefunden, Anwesenheitstage können z.B. als "Mo, Mi, Fr" angegeben werden. Die Vorschau zeigt für jede Zeile, ob der Mitarbeiter neu angelegt, aktualisiert (gleicher Name) oder abgelehnt wird, und warum. Es gelten dieselben Regeln wie beim Hinzufügen über das Formular.</li>
                 <li className="pl-1"><strong>Bearbeiten/Löschen:</strong> Mitarbeiter können bearbeitet oder gelöscht werden. Ein Mitarbeiter kann <strong>nicht gelöscht</strong> werden, wenn ihm noch Schichten im Wochenplan zugeordnet sind.</li>
               </ul>
             </div>
@@ -1072,6 +4006,15 @@ const HelpModal = ({ onClose }) => {
                 <li className="pl-1"><strong>Schichtblöcke bearbeiten:</strong> Klicke auf einen bestehenden Block, um ein Optionsmenü zu öffnen. Hier kannst du den Block löschen, die Kategorie ändern oder die Gruppe neu zuweisen.</li>
                 <li className="pl-1"><strong>Schichtblöcke verschieben/Größe ändern:</strong> Ziehe Blöcke per Drag & Drop, um sie in der Zeitleiste zu verschieben. Ziehe an den linken oder rechten Rändern eines Blocks, um seine Dauer anzupassen. Die Blöcke rasten automatisch in 15-Minuten-Intervallen ein. Überlappungen werden verhindert.</li>
                 <li className="pl-1"><strong>Wochenplan-Titel:</strong> Klicke auf den Stift neben dem Wochenplan-Titel, um ihn zu bearbeiten.</li>
+                <li className="pl-1"><strong>Wochenvorlagen:</strong> Eine Datei kann mehrere Wochenpläne enthalten, z.B. für A- und B-Wochen oder die Ferienwoche. Über "Wochenvorlage" oberhalb der Zeitleiste wechselst du zwischen ihnen, "Duplizieren" legt eine Kopie der aktiven Vorlage an, aus der du eine Variante ableiten kannst. Jede Vorlage hat ihren eigenen Titel, Anzeigebereich und ihre eigenen Schichten. Warnungen, Übersicht, Druck und Exporte beziehen sich immer auf die ausgewählte Vorlage.</li>
+                <li className="pl-1"><strong>Kalenderwochen:</strong> Mit "Kalenderwoche" über der Zeitleiste planst du konkrete Wochen. Wähle ein Datum oder blättere mit "Vorherige"/"Nächste" und erstelle die Woche aus der aktiven Vorlage. Änderungen in einer Kalenderwoche (geänderte, neue oder gelöschte Schichten) gelten nur für das jeweilige Datum, die Vorlage bleibt unverändert. Ein oranger Punkt vor dem Namen zeigt eine Abweichung an, ein Klick darauf stellt für diesen Tag die Vorlage wieder her.</li>
+                <li className="pl-1"><strong>Abwesenheiten:</strong> Über "Abwesenheiten" in der Mitarbeiterliste trägst du Urlaub, Krankheit, Fortbildung oder Überstundenabbau ein. In Kalenderwochen erscheinen abwesende Mitarbeiter ausgegraut, zählen nicht zur Besetzung der Gruppe und die an diesem Tag geplante Arbeitszeit wird in der Wochenübersicht angerechnet (außer beim Überstundenabbau).</li>
+                <li className="pl-1"><strong>Feiertage:</strong> Über "Feiertage" in der Kalenderwochen-Ansicht wählst du dein Bundesland. Die gesetzlichen Feiertage werden ohne Internetverbindung berechnet und in den Kalenderwochen markiert. An Feiertagen gibt es keine Besetzungswarnungen, und je nach Einstellung werden die geplanten Stunden des Wochentags, durchschnittliche Tagesstunden oder nichts auf die Vertragsstunden angerechnet.</li>
+                <li className="pl-1"><strong>Schließtage:</strong> Über "Schließtage" in der Kalenderwochen-Ansicht trägst du Zeiträume ein, in denen die Einrichtung oder einzelne Gruppen geschlossen sind. An diesen Tagen können keine Schichten geplant werden, es gibt keine Besetzungswarnungen und die geplante Arbeitszeit wird wie Urlaub angerechnet. Ist "Schließtage vom Urlaub abziehen" gewählt, zählen Schließtage in der Urlaubsübersicht als genommener bzw. geplanter Urlaub. Im Fenster siehst du, wie viele Schließtage im Jahr geplant sind und wie viele der Träger erlaubt.</li>
+                <li className="pl-1"><strong>Arbeitstage:</strong> Unter "Anzeigebereich der Zeitleiste & Filter" legst du fest, an welchen Wochentagen geplant wird, z.B. zusätzlich am Samstag. Zeitleiste, Öffnungszeiten, Anwesenheitstage, Wochenübersicht, Warnungen und Druck richten sich danach. Schichten an abgewählten Tagen bleiben gespeichert, werden aber ausgeblendet.</li>
+                <li className="pl-1"><strong>Arbeitszeitkonto:</strong> In einer Kalenderwoche bucht "Woche buchen" in der Wochenübersicht die Über- oder Unterstunden (Ist minus Soll) der angezeigten Mitarbeiter ins Arbeitszeitkonto. Erneutes Buchen derselben Woche ersetzt die alte Buchung. Unter "Zeitkonten" bzw. "Zeitkonto" beim Mitarbeiter setzt du einen Anfangssaldo, buchst Korrekturen mit Begründung (z.B. Auszahlung) und siehst den Verlauf mit laufendem Saldo.</li>
+                <li className="pl-1"><strong>Urlaubsanspruch:</strong> Über "Urlaub" in der Wochenübersicht legst du je Mitarbeiter und Jahr den Jahresurlaub für eine volle Arbeitswoche und die Wochentage fest, an denen er arbeitet. Bei Teilzeit mit weniger Arbeitstagen wird der Anspruch anteilig gekürzt (z.B. 30 Tage bei 3 von 5 Tagen = 18 Tage). Eingetragene Abwesenheiten "Urlaub" werden an diesen Tagen automatisch abgezogen, Feiertage nicht. Der Resturlaub des Vorjahres wird übertragen, im ersten erfassten Jahr trägst du den Übertrag selbst ein. Die Übersicht zeigt genommene, geplante und verbleibende Tage.</li>
+                <li className="pl-1"><strong>Verträge:</strong> Ändern sich Wochenstunden, Typ, Gruppe, Anwesenheitstage oder Verfügungszeit eines Mitarbeiters ab einem Datum, lege unter "Verträge" einen neuen Vertrag an. Der bisherige unbefristete Vertrag endet automatisch am Vortag, beim ersten Vertrag gelten die bisherigen Werte bis dahin weiter. Jede Kalenderwoche wird mit dem dort gültigen Vertrag berechnet, die Vorlage mit dem heutigen. Außerhalb aller Verträge (z.B. vor dem Eintritt oder nach dem Austritt) wird der Mitarbeiter im Plan und in der Wochenübersicht ausgeblendet. Das Formular "Mitarbeiter verwalten" ändert den aktuellen Vertrag.</li>
                 <li className="pl-1"><strong>Wochenplan verwalten:</strong> Der Button mit dem Zahnrad-Icon öffnet ein Fenster, in dem du den Wochenplan separat exportieren, importieren oder löschen kannst, ohne andere Daten (Mitarbeiter, Gruppen, Kategorien) zu beeinflussen.</li>
               </ul>
             </div>
@@ -1095,6 +4038,8 @@ const HelpModal = ({ onClose }) => {
               <p>Drucke deinen Wochenplan für die Dokumentation oder den Aushang:</p>
               <ul className="list-disc list-outside pl-5 space-y-1">
                 <li className="pl-1"><strong>Druckoptionen:</strong> Klicke auf "Wochenplan drucken", um ein Fenster mit Optionen zu öffnen. Hier kannst du wählen, ob du die Wochenübersicht mitdrucken möchtest.</li>
+                <li className="pl-1"><strong>Als PDF speichern:</strong> Erstellt den Wochenplan direkt als PDF im A4- oder A3-Querformat, ohne den Druckdialog des Browsers. Jede Seite hat eine Kopfzeile mit Titel und Datum, Tage werden nicht mitten in der Zeitleiste getrennt. Betreuungswarnungen der Gruppen und auf Wunsch die Wochenübersicht sind enthalten. So sieht der Aushang unabhängig vom Browser immer gleich aus.</li>
+                <li className="pl-1"><strong>Wochenübersicht exportieren:</strong> Mit den Buttons <strong>"CSV"</strong> und <strong>"Excel"</strong> über der Wochenübersicht lädst du die Tabelle herunter, z.B. für die Verwaltung. Enthalten sind Arbeitszeit, Pausen, Verfügungszeit (Ist und Soll), alle Kategorien in Stunden und die Warnungen. Die CSV-Datei nutzt Semikolon und Dezimalkomma, damit sie ein deutsches Excel direkt öffnet.</li>
                 <li className="pl-1"><strong>Filter für den Druck:</strong> Du kannst den angezeigten Plan vor dem Drucken nach Gruppen oder einzelnen Mitarbeitern filtern. Nur die gefilterten Daten werden gedruckt.</li>
                 <li className="pl-1">Die Druckansicht ist optimiert, um nur die relevanten Informationen anzuzeigen und unnötige UI-Elemente auszublenden.</li>
               </ul>
@@ -1464,8 +4409,8 @@ const NewVersionPopup = ({ version, onClose, releaseNotes }) => {
 
 
 // New component: OpeningHoursEditor - DEFINED DIRECTLY IN APP.JSX
-const OpeningHoursEditor = ({ group, onUpdateGroup }) => {
-  // KEINE Imports hier, da WEEK_DAYS_PLAN, timeToMinutes, minutesToTime global in App.jsx verfügbar sind
+const OpeningHoursEditor = ({ group, onUpdateGroup, days }) => {
+  // KEINE Imports hier, da timeToMinutes, minutesToTime global in App.jsx verfügbar sind (die Arbeitstage kommen als 'days')
   // oder von App.jsx selbst importiert werden.
 
   // NEU: useState für die temporäre Eingabe einer neuen Randzeit (bleibt global für die Komponente)
@@ -1628,7 +4573,7 @@ const OpeningHoursEditor = ({ group, onUpdateGroup }) => {
       const updatedDaysWithOpeningHours = { ...prevGroup.daysWithOpeningHours };
       const updatedEdgeTimes = { ...(prevGroup.edgeTimes || initialEdgeTimesTemplate) }; // NEU: Initialisieren, falls nicht vorhanden
 
-      WEEK_DAYS_PLAN.forEach(dayOfWeek => { // Umbenannt, um Konflikt mit 'day' im äußeren Scope zu vermeiden
+      days.forEach(dayOfWeek => { // Umbenannt, um Konflikt mit 'day' im äußeren Scope zu vermeiden
         if (dayOfWeek !== 'Montag') {
           updatedOpeningHours[dayOfWeek] = [...mondayOpeningHours];
           updatedDaysWithOpeningHours[dayOfWeek] = mondayDaysWithOpeningHours;
@@ -1665,7 +4610,7 @@ const OpeningHoursEditor = ({ group, onUpdateGroup }) => {
  return (
     <div className="p-4 bg-white rounded-lg shadow-sm border border-gray-200 mt-6">
       <div className="space-y-4"> {/* Container for all weekdays */}
-        {WEEK_DAYS_PLAN.map(day => {
+        {days.map(day => {
           const currentDayHours = group.openingHours?.[day] || [];
           const isDayEnabled = group.daysWithOpeningHours?.[day] ?? false;
 
@@ -1878,6 +4823,53 @@ useEffect(() => {
 
   // NEU: State für das File System Access API Handle
   const [fileHandle, setFileHandle] = useState(null);
+  // NEU: Zuletzt verwendete Dateien (siehe rememberRecentFile)
+  const [recentFiles, setRecentFiles] = useState([]);
+
+  // NEU: Browser-Speicher-Modus (ohne File System Access API): Name der zuletzt importierten/exportierten Datei
+  const [workingCopyName, setWorkingCopyName] = useState('');
+  const openFileInputRef = useRef(null);
+
+  // NEU: Stand der Datei beim letzten Laden/Speichern (siehe buildKnownFileState) und erkannte externe Änderung.
+  // Solange externalChange gesetzt ist, ist das automatische Speichern pausiert.
+  const knownFileStateRef = useRef(null);
+  const [externalChange, setExternalChange] = useState(null);
+
+  // NEU: Schlüssel der geöffneten Datei (siehe createEncryptionKey, nur im Speicher). Ist er gesetzt, werden Datei,
+  // Arbeitskopie und Sicherungen verschlüsselt gespeichert.
+  const [encryptionKey, setEncryptionKey] = useState(null);
+  // NEU: Verschlüsselte Arbeitskopie, deren Passwortabfrage abgebrochen wurde. Sie darf nicht überschrieben werden.
+  const [isWorkingCopyLocked, setIsWorkingCopyLocked] = useState(false);
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null); // { fileName, error, resolve } während der Passwortabfrage
+  const [showEncryptionModal, setShowEncryptionModal] = useState(false);
+
+  // NEU: Prüfbericht einer zu importierenden Datei ({ fileName, issues, onRepair, onCancel }), siehe validateDienstplanData
+  const [importValidation, setImportValidation] = useState(null);
+  // NEU: Zuordnung unbekannter Verweise beim .wochenplan-Import ({ fileName, unknownReferences, onApply, onCancel })
+  const [referenceMapping, setReferenceMapping] = useState(null);
+  // NEU: "Daten übernehmen" aus einer anderen Datei ({ fileName, sourceData, analysis })
+  const [masterDataImport, setMasterDataImport] = useState(null);
+  const masterDataFileInputRef = useRef(null);
+  // NEU: Dialog für den Kalender-Export (.ics)
+  const [showIcsExportModal, setShowIcsExportModal] = useState(false);
+  // NEU: Per Doppelklick gestartete Dateien (FileSystemFileHandle[] aus window.launchQueue)
+  const [launchedFileHandles, setLaunchedFileHandles] = useState([]);
+  // NEU: Mitarbeiter-Import aus einer CSV-Datei ({ fileName, rows, initialMapping })
+  const [employeeCsvImport, setEmployeeCsvImport] = useState(null);
+  const employeeCsvFileInputRef = useRef(null);
+
+  // NEU: Rolle dieses Tabs: 'owner' bearbeitet und speichert, 'follower' zeigt nur an ('pending' bis zur Klärung)
+  const [tabRole, setTabRole] = useState(SUPPORTS_TAB_SYNC ? 'pending' : 'owner');
+  const isReadOnlyTab = tabRole === 'follower';
+  const tabSyncChannelRef = useRef(null);
+  const handleTabSyncMessageRef = useRef(null);
+  const takeOverTabOwnershipRef = useRef(null);
+  const previousTabRoleRef = useRef(tabRole);
+
+  // NEU: Automatische Sicherungen
+  const [showBackupsModal, setShowBackupsModal] = useState(false);
+  const [backups, setBackups] = useState([]);
+  const [backupSettings, setBackupSettings] = useState(getBackupSettings);
 
   // Local data loading state
   const [isDataLoaded, setIsDataLoaded] = useState(false);
@@ -1897,13 +4889,13 @@ useEffect(() => {
   // Initial group state for new groups - now empty by default
   const initialOpeningHoursTemplate = {};
   const initialDaysWithOpeningHoursTemplate = {};
-  WEEK_DAYS_PLAN.forEach(day => {
+  ALL_WEEK_DAYS.forEach(day => { // Alle Wochentage, damit später aktivierte Arbeitstage vorbereitet sind
     initialOpeningHoursTemplate[day] = []; // No default times
     initialDaysWithOpeningHoursTemplate[day] = false; // All days disabled by default
   });
 
     // Randzeiten intitialisieren
-    const initialEdgeTimesTemplate = WEEK_DAYS_PLAN.reduce((acc, day) => {
+    const initialEdgeTimesTemplate = ALL_WEEK_DAYS.reduce((acc, day) => {
     acc[day] = [];
     return acc;
   }, {});
@@ -1931,17 +4923,11 @@ useEffect(() => {
   // Employee States
   const [employees, setEmployees] = useState([]);
   // Added overriddenDisposalHours, type, and presenceDays to newEmployee state
-  const [newEmployee, setNewEmployee] = useState({
-    name: '',
-    contractedHoursPerWeek: 0,
-    groupId: '',
-    overriddenDisposalHours: '',
-    type: 'normal', // 'normal', 'zusatzkraft', 'apprentice', 'fsj', 'intern'
-    presenceDays: [...WEEK_DAYS_PLAN], // Default to all days for normal employees
-  });
+  const [newEmployee, setNewEmployee] = useState(() => createEmptyEmployeeForm(DEFAULT_SETTINGS.workingDays));
   const [editingEmployeeId, setEditingEmployeeId] = useState(null);
   const [isEmployeesSectionMinimized, setIsEmployeesSectionMinimized] = useState(true); // Changed to true for default minimized
   const [isExistingEmployeesMinimized, setIsExistingEmployeesMinimized] = useState(true); // New state for existing employees section
+  const [contractsModalEmployeeId, setContractsModalEmployeeId] = useState(null); // NEU: Mitarbeiter, dessen Verträge bearbeitet werden
 
 
   // Category States (new)
@@ -1965,6 +4951,102 @@ useEffect(() => {
 
   // Master Schedule States (for the constant weekly plan)
   const [masterSchedule, setMasterSchedule] = useState({ shifts: [], displayStartTime: '06:00', displayEndTime: '18:00', title: 'Wochenplan' }); // Changed to 18:00
+  // NEU: Weitere Wochenvorlagen (z.B. A-/B-Woche, Ferienwoche). 'masterSchedule' ist immer die aktive Vorlage.
+  const [scheduleTemplates, setScheduleTemplates] = useState([]);
+  // NEU: Aus einer Vorlage erzeugte Kalenderwochen mit ihren Abweichungen je Datum (siehe buildCalendarWeekShifts)
+  const [calendarWeeks, setCalendarWeeks] = useState([]);
+  const [planViewMode, setPlanViewMode] = useState('template'); // 'template' oder 'calendar'
+  // NEU: Abwesenheiten der Mitarbeiter (siehe ABSENCE_TYPES)
+  const [absences, setAbsences] = useState([]);
+  const [absencesModalEmployeeId, setAbsencesModalEmployeeId] = useState(null); // Mitarbeiter, dessen Abwesenheiten bearbeitet werden
+  // NEU: Dateiweite Einstellungen, z.B. Bundesland für die Feiertage (siehe DEFAULT_SETTINGS)
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const workingDays = settings.workingDays; // NEU: Geplante Wochentage, ersetzt überall im Plan die feste Liste Montag bis Freitag
+  const [showCalendarSettingsModal, setShowCalendarSettingsModal] = useState(false);
+  // NEU: Schließtage der Einrichtung bzw. einzelner Gruppen (siehe findClosingDay)
+  const [closingDays, setClosingDays] = useState([]);
+  const [showClosingDaysModal, setShowClosingDaysModal] = useState(false);
+  // NEU: Arbeitszeitkonto (siehe TIME_ACCOUNT_ENTRY_TYPES)
+  const [timeAccountEntries, setTimeAccountEntries] = useState([]);
+  const [timeAccountModalEmployeeId, setTimeAccountModalEmployeeId] = useState(null); // '' = Übersicht ohne Auswahl
+  const timeAccountBalances = useMemo(() => getTimeAccountBalances(timeAccountEntries), [timeAccountEntries]);
+  // NEU: Urlaubsanspruch je Mitarbeiter und Jahr (siehe getVacationBalance)
+  const [vacationEntitlements, setVacationEntitlements] = useState([]);
+  const [showVacationModal, setShowVacationModal] = useState(false);
+  const [selectedWeekStart, setSelectedWeekStart] = useState(() => getWeekStartIsoDate(toIsoDate(new Date())));
+  // Schichten aller Vorlagen und Abweichungen, z.B. um zu prüfen, ob ein Mitarbeiter oder eine Kategorie noch verwendet wird
+  const allPlannedShifts = useMemo(() => [
+    ...[masterSchedule, ...scheduleTemplates].flatMap(template => template.shifts),
+    ...calendarWeeks.flatMap(week => week.overrides.flatMap(override => override.shifts.map(shift => ({ ...shift, employeeId: override.employeeId })))),
+  ], [masterSchedule, scheduleTemplates, calendarWeeks]);
+
+  // Angezeigte Kalenderwoche (nur in der Kalenderansicht und wenn sie bereits angelegt ist) und ihre Vorlage
+  const currentCalendarWeek = planViewMode === 'calendar'
+    ? calendarWeeks.find(week => week.weekStart === selectedWeekStart) || null
+    : null;
+  const currentWeekTemplate = currentCalendarWeek
+    ? [masterSchedule, ...scheduleTemplates].find(template => template.id === currentCalendarWeek.templateId) || masterSchedule
+    : masterSchedule;
+  // Der Plan, der in der Zeitleiste angezeigt und bearbeitet wird: die aktive Vorlage oder die gewählte Kalenderwoche
+  const displayedSchedule = useMemo(() => (currentCalendarWeek
+    ? { ...masterSchedule, shifts: buildCalendarWeekShifts(currentWeekTemplate.shifts, currentCalendarWeek) }
+    : masterSchedule
+  ), [masterSchedule, currentCalendarWeek, currentWeekTemplate]);
+
+  // Abwesenheiten in der angezeigten Kalenderwoche (in der Vorlage gibt es keine Daten und damit keine Abwesenheiten)
+  const displayedWeekAbsences = useMemo(
+    () => (currentCalendarWeek ? getWeekAbsences(absences, currentCalendarWeek.weekStart) : {}),
+    [absences, currentCalendarWeek]
+  );
+  // Gesetzliche Feiertage in der angezeigten Kalenderwoche: { [Tag]: Name }
+  const displayedWeekHolidays = useMemo(
+    () => (currentCalendarWeek ? getWeekHolidays(currentCalendarWeek.weekStart, settings.federalState) : {}),
+    [settings.federalState, currentCalendarWeek]
+  );
+  // Schließtag für eine Gruppe an einem Tag der angezeigten Kalenderwoche (in der Vorlage gibt es keine Schließtage)
+  const getDisplayedClosingDay = useCallback((day, groupId) => (currentCalendarWeek
+    ? findClosingDay(closingDays, getWeekDates(currentCalendarWeek.weekStart)[day], groupId)
+    : undefined
+  ), [closingDays, currentCalendarWeek]);
+  // NEU: Mitarbeiter mit den Vertragswerten der angezeigten Kalenderwoche (je Tag), in der Vorlage mit denen von heute.
+  // Mitarbeiter ohne gültigen Vertrag in dieser Woche werden im Plan, in der Wochenübersicht und in den Warnungen ausgeblendet,
+  // einzelne Tage ohne Vertrag (siehe contractDays) ebenso.
+  const activeEmployees = useMemo(() => {
+    const weekDates = currentCalendarWeek ? getWeekDates(currentCalendarWeek.weekStart) : null;
+    const today = toIsoDate(new Date());
+    const dayDates = Object.fromEntries(workingDays.map(day => [day, weekDates ? weekDates[day] : today]));
+    return employees.map(employee => getEmployeeForPeriod(employee, dayDates)).filter(Boolean);
+  }, [employees, currentCalendarWeek, workingDays]);
+  // NEU: Wochenbuchungen, die nicht mehr zum aktuellen Stand ihrer Woche passen: { [entryId]: { workedMinutes, targetMinutes } oder null }
+  // (null: Woche nicht mehr angelegt oder kein Vertrag mehr). Der Saldo zählt weiter den gebuchten Wert, bis neu gebucht wird.
+  const outdatedWeekBookings = useMemo(() => {
+    const data = { masterSchedule, scheduleTemplates, calendarWeeks, absences, closingDays, categories, subCategories, settings };
+    const result = {};
+    timeAccountEntries.filter(entry => entry.type === 'week').forEach(entry => {
+      const employee = employees.find(candidate => candidate.id === entry.employeeId);
+      const current = employee ? getBookedWeekMinutes(employee, entry.date, data) : null;
+      if (!current || Math.round(current.workedMinutes - current.targetMinutes) !== entry.minutes) {
+        result[entry.id] = current;
+      }
+    });
+    return result;
+  }, [timeAccountEntries, employees, masterSchedule, scheduleTemplates, calendarWeeks, absences, closingDays, categories, subCategories, settings]);
+
+  // Übernimmt geänderte Schichten der Zeitleiste: in die Vorlage bzw. als Abweichungen in die Kalenderwoche.
+  // updater ist wie bei setState eine neue Liste oder eine Funktion der bisherigen Liste.
+  const setDisplayedShifts = useCallback((updater) => {
+    if (!currentCalendarWeek) {
+      setMasterSchedule(prev => ({ ...prev, shifts: typeof updater === 'function' ? updater(prev.shifts) : updater }));
+      return;
+    }
+    const templateShifts = currentWeekTemplate.shifts;
+    setCalendarWeeks(prev => prev.map(week => {
+      if (week.id !== currentCalendarWeek.id) return week;
+      const weekShifts = buildCalendarWeekShifts(templateShifts, week);
+      const updatedShifts = typeof updater === 'function' ? updater(weekShifts) : updater;
+      return { ...week, overrides: buildCalendarWeekOverrides(templateShifts, week, updatedShifts) };
+    }));
+  }, [currentCalendarWeek, currentWeekTemplate]);
 
   // Display Time Range States (new)
   const [displayStartHour, setDisplayStartHour] = useState(6);
@@ -2059,18 +5141,18 @@ useEffect(() => {
   // Dieser Hook berechnet, ob es Mitarbeiter ohne groupId gibt.
   // Er wird nur neu berechnet, wenn sich die 'employees'-Liste ändert.
   const hasEmployeesWithoutGroup = useMemo(() => {
-    return employees.some(emp => !emp.groupId);
-  }, [employees]); // Abhängigkeit von 'employees'
+    return activeEmployees.some(emp => !emp.groupId);
+  }, [activeEmployees]); // Abhängigkeit von 'activeEmployees' (Vertragswerte des angezeigten Zeitraums)
 
  // NEU: useMemo für die Liste der Mitarbeiter für den Filter
   const availableEmployeesForFilter = useMemo(() => {
-    let employeesToFilter = employees;
+    let employeesToFilter = activeEmployees;
 
 
     // Wenn ein Gruppenfilter ausgewählt ist (außer "Alle Gruppen"),
     // filtern Sie die Mitarbeiter nach dieser Gruppe.
     if (selectedGroupIdFilter !== 'all') {
-      employeesToFilter = employees.filter(employee =>
+      employeesToFilter = activeEmployees.filter(employee =>
         (selectedGroupIdFilter === 'no-group' && !employee.groupId) ||
         (employee.groupId === selectedGroupIdFilter)
       );
@@ -2078,7 +5160,7 @@ useEffect(() => {
 
     // Sortiert die gefilterten Mitarbeiter nach Namen
     return [...employeesToFilter].sort((a, b) => a.name.localeCompare(b.name));
-  }, [employees, selectedGroupIdFilter]); // Abhängigkeiten aktualisiert: selectedGroupIdFilter hinzugefügt
+  }, [activeEmployees, selectedGroupIdFilter]); // Abhängigkeiten aktualisiert: selectedGroupIdFilter hinzugefügt
 
   // NEU: useMemo für die Liste der Gruppen, die im Gruppenfilter angezeigt werden sollen
   // DIESER BLOCK MUSS DIREKT UNTER ANDEREN TOP-LEVEL USEMEMOS/USESTATES STEHEN!
@@ -2087,7 +5169,7 @@ useEffect(() => {
 
     if (selectedEmployeeIdFilter !== 'all') {
       // Wenn ein spezifischer Mitarbeiter ausgewählt ist, zeigen Sie nur dessen Gruppe an
-      const selectedEmployee = employees.find(emp => emp.id === selectedEmployeeIdFilter);
+      const selectedEmployee = activeEmployees.find(emp => emp.id === selectedEmployeeIdFilter);
       if (selectedEmployee) {
         if (selectedEmployee.groupId) {
           const employeeGroup = groups.find(g => g.id === selectedEmployee.groupId);
@@ -2117,7 +5199,7 @@ useEffect(() => {
       ...sortedUserGroups,
       ...(ohneGruppeOption ? [ohneGruppeOption] : []) // "Ohne Gruppe" immer zuletzt, falls vorhanden
     ].filter(Boolean); // Entfernt mögliche null/undefined Einträge
-  }, [employees, groups, selectedEmployeeIdFilter, hasEmployeesWithoutGroup]); // Abhängigkeiten aktualisiert
+  }, [activeEmployees, groups, selectedEmployeeIdFilter, hasEmployeesWithoutGroup]); // Abhängigkeiten aktualisiert
 
 
   // Ref for the main container to calculate relative positions
@@ -2178,51 +5260,17 @@ useEffect(() => {
   }, []); // No dependencies, so it's stable
 
 
-  // Sort employees for rendering based on group order, then type, then hours/name
+  // Alle Mitarbeiter (Verwaltung, Modals) mit den Werten ihres heutigen Vertrags, sortiert nach Gruppe, Typ und Stunden/Name
   const sortedEmployees = useMemo(() => {
-    const groupOrderMap = new Map(orderedGroupIds.map((id, index) => [id, index]));
-
-    const employeesCopy = [...employees];
-
-    employeesCopy.sort((a, b) => {
-      // 1. Primary sort: Group order
-      const groupAId = a.groupId || 'no-group';
-      const groupBId = b.groupId || 'no-group';
-      const orderA = groupOrderMap.has(groupAId) ? groupOrderMap.get(groupAId) : Infinity;
-      const orderB = groupOrderMap.has(groupBId) ? groupOrderMap.get(groupBId) : Infinity;
-
-      if (orderA !== orderB) {
-        return orderA - orderB;
-      }
-
-      // 2. Secondary sort (within the same group): Employee type (normal first, then zusatzkraft, then special)
-      const typeOrderA = EMPLOYEE_TYPE_ORDER[a.type];
-      const typeOrderB = EMPLOYEE_TYPE_ORDER[b.type];
-
-      if (typeOrderA !== typeOrderB) {
-        return typeOrderA - typeOrderB;
-      }
-
-      // 3. Tertiary sort (within same group and same type):
-      if (a.type === 'normal' || a.type === 'zusatzkraft') { // Both normal and zusatzkraft sort by contracted hours
-        // For normal/zusatzkraft employees: contracted hours descending, then name alphabetically
-        if (b.contractedHoursPerWeek !== a.contractedHoursPerWeek) {
-          return b.contractedHoursPerWeek - a.contractedHoursPerWeek;
-        }
-        return a.name.localeCompare(b.name);
-      } else {
-        // For special employees: name alphabetically
-        return a.name.localeCompare(b.name);
-      }
-    });
-    return employeesCopy;
-  }, [employees, orderedGroupIds]); // Dependencies
+    const today = toIsoDate(new Date());
+    return sortEmployeesForDisplay(employees.map(employee => syncEmployeeWithCurrentContract(employee, today)), orderedGroupIds);
+  }, [employees, orderedGroupIds]);
 
 
   // Filtered employees based on selectedGroupIdFilter
   const filteredEmployeesForDisplay = useMemo(() => {
-    // Starten Sie mit den bereits sortierten Mitarbeitern
-    let currentFilteredEmployees = sortedEmployees;
+    // Starten Sie mit den im angezeigten Zeitraum eingeplanten Mitarbeitern, sortiert mit ihren Vertragswerten
+    let currentFilteredEmployees = sortEmployeesForDisplay(activeEmployees, orderedGroupIds);
 
     // Filter nach Gruppe (bestehende Logik)
     if (selectedGroupIdFilter !== 'all') {
@@ -2240,7 +5288,7 @@ useEffect(() => {
     }
 
     return currentFilteredEmployees;
-  }, [sortedEmployees, selectedGroupIdFilter, selectedEmployeeIdFilter]); // Abhängigkeiten aktualisiert
+  }, [activeEmployees, orderedGroupIds, selectedGroupIdFilter, selectedEmployeeIdFilter]); // Abhängigkeiten aktualisiert
 
 
 
@@ -2251,7 +5299,7 @@ useEffect(() => {
 
     // Always add a placeholder for 'Ohne Gruppe' if there are employees without a group,
     // regardless of the current filter, so it's available for filtering later.
-    const hasUnassignedEmployees = employees.some(emp => !emp.groupId);
+    const hasUnassignedEmployees = activeEmployees.some(emp => !emp.groupId);
     const ohneGruppePlaceholder = { id: 'no-group', name: 'Ohne Gruppe', color: 'bg-gray-200' };
     if (hasUnassignedEmployees && !allPossibleGroups.some(g => g.id === 'no-group')) {
         allPossibleGroups.push(ohneGruppePlaceholder);
@@ -2281,7 +5329,7 @@ useEffect(() => {
     }
 
     return finalOrderedGroups;
-  }, [orderedGroupIds, groups, employees]); // Depend on all employees to know if 'Ohne Gruppe' is needed
+  }, [orderedGroupIds, groups, activeEmployees]); // Depend on all planned employees to know if 'Ohne Gruppe' is needed
 
 
   // --- Calculate Weekly Summaries (Memoized for performance) ---
@@ -2290,7 +5338,7 @@ useEffect(() => {
     // Summarize for the currently filtered and sorted employees
     const employeesToSummarize = filteredEmployeesForDisplay;
 
-    if (employeesToSummarize.length === 0 || !masterSchedule.shifts || categories.length === 0) {
+    if (employeesToSummarize.length === 0 || !displayedSchedule.shifts || categories.length === 0) {
         return summaries;
     }
 
@@ -2302,47 +5350,27 @@ useEffect(() => {
     categoryMap.set(PAUSE_CATEGORY.id, PAUSE_CATEGORY);
 
     employeesToSummarize.forEach(employee => {
-        let weeklyTotalWorkMinutes = 0;
-        let weeklyTotalBreakMinutes = 0;
-        let weeklyTotalDisposalMinutes = 0; // New: weekly total disposal minutes
-        let weeklyWorkMinutesOnPresenceDays = 0; // New: for specific warning
-        const weeklyCategoryTotals = {}; // Aggregate category totals for the week
-
-        WEEK_DAYS_PLAN.forEach(day => {
-            const shiftsForDay = masterSchedule.shifts.filter(shift =>
-                shift.employeeId === employee.id && shift.dayOfWeek === day
-            );
-            const {
-                categoryTotals, // This now contains all dynamic categories + PAUSE
-                totalWorkMinutes,
-                totalBreakMinutes,
-                totalDisposalMinutes // New: daily disposal minutes
-            } = calculateDailyWorkMetrics(
-                shiftsForDay,
-                categories,
-                subCategories
-            );
-
-            weeklyTotalWorkMinutes += totalWorkMinutes;
-            weeklyTotalBreakMinutes += totalBreakMinutes;
-            weeklyTotalDisposalMinutes += totalDisposalMinutes; // Accumulate daily disposal minutes
-
-
-          Object.entries(categoryTotals).forEach(([catKey, mins]) => {
-            if (catKey === 'PAUSE') return; // falls Pausen nicht als Block anzeigen
-            weeklyCategoryTotals[catKey] = (weeklyCategoryTotals[catKey] || 0) + mins;
-          });
-
-          if (
-            (employee.type === 'normal' || employee.type === 'zusatzkraft') ||
-            (employee.presenceDays || []).includes(day)
-          ) {
-            weeklyWorkMinutesOnPresenceDays += totalWorkMinutes;
-          }
+        const {
+            weeklyTotalWorkMinutes,
+            weeklyTotalBreakMinutes,
+            weeklyTotalDisposalMinutes,
+            weeklyWorkMinutesOnPresenceDays,
+            weeklyCreditedMinutes,
+            weeklyDaysOff,
+            weeklyCategoryTotals,
+        } = summarizeEmployeeWeek(employee, {
+            shifts: displayedSchedule.shifts,
+            workingDays,
+            categories,
+            subCategories,
+            holidays: displayedWeekHolidays,
+            getClosingDay: getDisplayedClosingDay,
+            absences: displayedWeekAbsences,
+            holidayCreditRule: settings.holidayCreditRule,
         });
 
         const contractedMinutesPerWeek = employee.contractedHoursPerWeek * 60;
-        const discrepancy = weeklyTotalWorkMinutes - contractedMinutesPerWeek;
+        const discrepancy = weeklyTotalWorkMinutes - employee.weeklyTargetMinutes; // NEU: anteilig, falls der Vertrag nicht die ganze Woche gilt
         const toleranceMinutes = 0.1; // Allow for very minor rounding differences (e.g., 0.01h = 0.6 min)
 
         const weeklyWarnings = []; // Defined here to ensure it's always an array
@@ -2365,6 +5393,7 @@ useEffect(() => {
             });
             targetDisposalMinutes = targetDisposalRule ? targetDisposalRule.disposalHours * 60 : 0;
         }
+        targetDisposalMinutes = targetDisposalMinutes * employee.contractDays.length / workingDays.length; // NEU: anteilig wie das Wochensoll
 
         const disposalDiscrepancy = weeklyTotalDisposalMinutes - targetDisposalMinutes;
 
@@ -2380,9 +5409,9 @@ useEffect(() => {
         // This warning applies only to 'apprentice', 'fsj', 'intern'
         if (employee.type !== 'normal' && employee.type !== 'zusatzkraft' && (employee.presenceDays || []).length > 0) {
             // Calculate expected daily hours on presence days
-            const numPresenceDays = (employee.presenceDays || []).length;
+            const numPresenceDays = (employee.presenceDays || []).filter(day => employee.contractDays.includes(day)).length;
             if (numPresenceDays > 0) {
-                const expectedDailyMinutesOnPresenceDays = contractedMinutesPerWeek / WEEK_DAYS_PLAN.length; // Total contracted hours divided by 5 days
+                const expectedDailyMinutesOnPresenceDays = contractedMinutesPerWeek / workingDays.length; // Total contracted hours divided by the working days
                 const expectedWorkOnPresenceDays = expectedDailyMinutesOnPresenceDays * numPresenceDays; // Sum of expected daily hours for presence days
 
                 const presenceDayDiscrepancy = weeklyWorkMinutesOnPresenceDays - expectedWorkOnPresenceDays;
@@ -2399,16 +5428,89 @@ useEffect(() => {
         summaries[employee.id] = {
             employeeName: employee.name,
             contractedHours: employee.contractedHoursPerWeek,
+            targetMinutes: employee.weeklyTargetMinutes, // NEU: Wochensoll, anteilig bei Vertragsbeginn oder -ende in der Woche
             weeklyTotalWorkMinutes,
             weeklyTotalBreakMinutes,
             weeklyTotalDisposalMinutes, // New: actual weekly disposal minutes
             targetDisposalMinutes, // New: target weekly disposal minutes
             weeklyCategoryTotals, // New: contains totals for each specific category for the week
+            weeklyCreditedMinutes, // NEU: davon an Abwesenheits- und Feiertagen angerechnet
+            weeklyDaysOff,
             weeklyWarnings
         };
     });
     return summaries;
-  }, [employees, filteredEmployeesForDisplay, masterSchedule, categories, subCategories, selectedGroupIdFilter, disposalTimeRules, getTextColorForBg]); // Dependencies for useMemo
+  }, [employees, filteredEmployeesForDisplay, displayedSchedule, displayedWeekAbsences, displayedWeekHolidays, getDisplayedClosingDay, settings.holidayCreditRule, workingDays, categories, subCategories, selectedGroupIdFilter, disposalTimeRules, getTextColorForBg]); // Dependencies for useMemo
+
+  // NEU: Export der Wochenübersicht als CSV oder Excel-Datei (format: 'csv' | 'xlsx')
+  const handleExportWeeklySummary = useCallback((format) => {
+    const { header, rows } = buildWeeklySummaryTable({
+      employees: filteredEmployeesForDisplay,
+      weeklySummaries,
+      groups,
+      disposalTimeCategory,
+      dynamicCategoryHeaders,
+      timeAccountBalances,
+    });
+    if (rows.length === 0) {
+      setMessage('Die Wochenübersicht enthält keine Daten zum Exportieren.');
+      setMessageType('info');
+      return;
+    }
+
+    const filename = buildTimestampedFilename(`${weeklyPlanTitle} Wochenuebersicht`, format);
+    if (format === 'xlsx') {
+      downloadFile(buildXlsx('Wochenübersicht', header, rows), filename, XLSX_MIME_TYPE);
+    } else {
+      downloadFile(buildCsv(header, rows), filename, CSV_MIME_TYPE);
+    }
+    setMessage(`Wochenübersicht als "${filename}" exportiert.`);
+    setMessageType('success');
+  }, [filteredEmployeesForDisplay, weeklySummaries, groups, disposalTimeCategory, dynamicCategoryHeaders, timeAccountBalances, weeklyPlanTitle, setMessage]);
+
+  // NEU: Kalender-Export der Schichten als .ics (ein Mitarbeiter) oder als ZIP mit einer .ics-Datei je Mitarbeiter
+  const handleExportIcs = useCallback(({ employeeId, mode, startDate, endDate }) => {
+    setShowIcsExportModal(false);
+    const selectedEmployees = employeeId === ALL_EMPLOYEES
+      ? employees
+      : employees.filter(employee => employee.id === employeeId);
+
+    const calendars = selectedEmployees
+      .map(employee => ({
+        employee,
+        // Schichten an abgewählten Arbeitstagen sind ausgeblendet und werden auch nicht exportiert
+        events: buildEmployeeCalendarEvents(employee, masterSchedule.shifts.filter(shift => workingDays.includes(shift.dayOfWeek)), { categories, subCategories, groups, mode }),
+      }))
+      .filter(calendar => calendar.events.length > 0);
+    if (calendars.length === 0) {
+      setMessage('Für die Auswahl gibt es im Wochenplan keine Schichten zum Exportieren.');
+      setMessageType('info');
+      return;
+    }
+
+    const buildCalendar = ({ employee, events }) => buildIcsCalendar(`Dienstplan ${employee.name}`, events, { startDate, endDate });
+    let filename;
+    if (employeeId === ALL_EMPLOYEES) {
+      // Dateinamen innerhalb des ZIP eindeutig halten, falls Mitarbeiter gleich heißen
+      const usedNames = new Set();
+      const files = calendars.map(calendar => {
+        const baseName = transliterateFilename(calendar.employee.name).replace(/[^\x20-\x7e]|[\\/:*?"<>|]/g, '').trim() || 'Mitarbeiter';
+        let name = `${baseName}.ics`;
+        for (let counter = 2; usedNames.has(name.toLowerCase()); counter++) {
+          name = `${baseName} (${counter}).ics`;
+        }
+        usedNames.add(name.toLowerCase());
+        return { name, content: buildCalendar(calendar) };
+      });
+      filename = buildTimestampedFilename(transliterateFilename(`${weeklyPlanTitle} Kalender`), 'zip');
+      downloadFile(buildZip(files), filename, 'application/zip');
+    } else {
+      filename = buildTimestampedFilename(transliterateFilename(`Dienstplan ${calendars[0].employee.name}`), 'ics');
+      downloadFile(buildCalendar(calendars[0]), filename, ICS_MIME_TYPE);
+    }
+    setMessage(`Kalender als "${filename}" exportiert.`);
+    setMessageType('success');
+  }, [employees, masterSchedule.shifts, workingDays, categories, subCategories, groups, weeklyPlanTitle, setMessage]);
 
 
   // New memo for group warnings
@@ -2419,7 +5521,7 @@ useEffect(() => {
     }
 
     const warningsByGroupAndDay = {};
-    if (groups.length === 0 || employees.length === 0 || masterSchedule.shifts.length === 0 || categories.length === 0) {
+    if (groups.length === 0 || activeEmployees.length === 0 || displayedSchedule.shifts.length === 0 || categories.length === 0) {
       return warningsByGroupAndDay;
     }
 
@@ -2427,20 +5529,27 @@ useEffect(() => {
       ? uniqueSortedGroups
       : uniqueSortedGroups.filter(g => g.id === selectedGroupIdFilter);
 
+    // NEU: Abwesende Mitarbeiter zählen an diesem Tag nicht zur Besetzung
+    // NEU: ebenso Schichten an Tagen, an denen für den Mitarbeiter kein Vertrag gilt
+    const contractDaysByEmployee = new Map(activeEmployees.map(employee => [employee.id, employee.contractDays]));
+    const staffingShifts = displayedSchedule.shifts.filter(shift => !displayedWeekAbsences[shift.employeeId]?.[shift.dayOfWeek]
+      && contractDaysByEmployee.get(shift.employeeId)?.includes(shift.dayOfWeek));
+
     groupsToProcess.forEach(group => {
       // Only process groups that have employees assigned to them and warnings are not disabled for this specific group
-      const employeesInGroup = employees.filter(emp => (emp.groupId || 'no-group') === group.id);
+      const employeesInGroup = activeEmployees.filter(emp => (emp.groupId || 'no-group') === group.id);
       if (employeesInGroup.length === 0 || group.disableStaffingWarning) { // Also check group's own setting
         return;
       }
 
       warningsByGroupAndDay[group.id] = {};
-      WEEK_DAYS_PLAN.forEach(day => {
+      workingDays.forEach(day => {
+        if (displayedWeekHolidays[day] || getDisplayedClosingDay(day, group.id)) return; // NEU: An Feiertagen und Schließtagen ist geschlossen
         const { warnings, staffingWarningRanges } = checkGroupStaffingWarnings(
           group,
           day,
-          employees,
-          masterSchedule.shifts,
+          activeEmployees,
+          staffingShifts,
           categories,
           subCategories
         );
@@ -2450,7 +5559,123 @@ useEffect(() => {
       });
     });
     return warningsByGroupAndDay;
-  }, [groups, employees, masterSchedule.shifts, categories, subCategories, uniqueSortedGroups, selectedGroupIdFilter, showStaffingWarningsGlobally]); // Hinzugefügt: showStaffingWarningsGlobally
+  }, [groups, activeEmployees, displayedSchedule.shifts, displayedWeekAbsences, displayedWeekHolidays, getDisplayedClosingDay, workingDays, categories, subCategories, uniqueSortedGroups, selectedGroupIdFilter, showStaffingWarningsGlobally]); // Hinzugefügt: showStaffingWarningsGlobally
+
+  // --- Undo/Redo-Verlauf ---
+  // Jeder Eintrag ist ein Schnappschuss aller bearbeitbaren Daten (siehe HISTORY_KEYS).
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const lastHistorySnapshotRef = useRef(null); // Zuletzt festgehaltener Stand
+  const historyActionRef = useRef(null); // 'apply' nach Undo/Redo, 'reset' nach dem Laden einer Datei
+  const historyTypingFieldRef = useRef(null); // Eingabefeld, dessen Änderungen gerade zu einem Schritt zusammengefasst werden
+
+  // Übernimmt bereits geprüfte und migrierte Daten (siehe loadDienstplanData) in die States
+  // und passt den Anzeigebereich der Zeitleiste an die enthaltenen Schichten an.
+  const applyLoadedData = useCallback((loadedData) => {
+    historyActionRef.current = 'reset'; // Eine neu geladene Datei beginnt mit leerem Verlauf
+    setGroups(loadedData.groups);
+    setEmployees(loadedData.employees);
+    setCategories(loadedData.categories);
+    setSubCategories(loadedData.subCategories);
+    setDisposalTimeRules(loadedData.disposalTimeRules);
+    setMasterSchedule(loadedData.masterSchedule);
+    setScheduleTemplates(loadedData.scheduleTemplates);
+    setCalendarWeeks(loadedData.calendarWeeks);
+    setAbsences(loadedData.absences);
+    setSettings(loadedData.settings);
+    setClosingDays(loadedData.closingDays);
+    setTimeAccountEntries(loadedData.timeAccountEntries);
+    setVacationEntitlements(loadedData.vacationEntitlements);
+    setOrderedGroupIds(loadedData.orderedGroupIds);
+    // Das Mitarbeiterformular übernimmt die Arbeitstage der geladenen Datei
+    setNewEmployee(createEmptyEmployeeForm(loadedData.settings.workingDays));
+    setEditingEmployeeId(null);
+
+    // Dynamic adjustment of display time range based on imported shifts
+    let minOverallMinutes = 24 * 60;
+    let maxOverallMinutes = 0;
+    let hasShifts = false;
+
+    loadedData.masterSchedule.shifts.forEach(shift => {
+      shift.segments.forEach(segment => {
+        minOverallMinutes = Math.min(minOverallMinutes, timeToMinutes(segment.startTime));
+        maxOverallMinutes = Math.max(maxOverallMinutes, timeToMinutes(segment.endTime));
+        hasShifts = true;
+      });
+    });
+
+    if (hasShifts) {
+      let newDisplayStartMinutes = Math.floor(minOverallMinutes / 15) * 15;
+      let newDisplayEndMinutes = Math.ceil(maxOverallMinutes / 15) * 15;
+      if (newDisplayEndMinutes <= newDisplayStartMinutes) {
+          newDisplayEndMinutes = newDisplayStartMinutes + 15;
+      }
+      newDisplayStartMinutes = Math.max(0, newDisplayStartMinutes);
+      newDisplayEndMinutes = Math.min(24 * 60, newDisplayEndMinutes);
+
+      setDisplayStartHour(Math.floor(newDisplayStartMinutes / 60));
+      setDisplayStartMinute(newDisplayStartMinutes % 60);
+      setDisplayEndHour(Math.floor(newDisplayEndMinutes / 60));
+      setDisplayEndMinute(newDisplayEndMinutes % 60);
+    } else {
+      setDisplayStartHour(6);
+      setDisplayStartMinute(0);
+      setDisplayEndHour(18);
+      setDisplayEndMinute(0);
+    }
+    setWeeklyPlanTitle(loadedData.masterSchedule.title || 'Wochenplan');
+  }, []);
+
+  // NEU: Übernimmt Daten, die der bearbeitende Tab gesendet hat (ohne Anpassung des Anzeigebereichs)
+  const applySyncedData = useCallback((syncedData) => {
+    historyActionRef.current = 'reset'; // Fremde Änderungen sind hier nicht rückgängig zu machen
+    setGroups(syncedData.groups);
+    setEmployees(syncedData.employees);
+    setCategories(syncedData.categories);
+    setSubCategories(syncedData.subCategories);
+    setDisposalTimeRules(syncedData.disposalTimeRules);
+    setMasterSchedule(syncedData.masterSchedule);
+    setScheduleTemplates(syncedData.scheduleTemplates);
+    setCalendarWeeks(syncedData.calendarWeeks);
+    setAbsences(syncedData.absences);
+    setSettings(syncedData.settings);
+    setClosingDays(syncedData.closingDays);
+    setTimeAccountEntries(syncedData.timeAccountEntries);
+    setVacationEntitlements(syncedData.vacationEntitlements);
+    setOrderedGroupIds(syncedData.orderedGroupIds);
+    setWeeklyPlanTitle(syncedData.masterSchedule.title || 'Wochenplan');
+  }, []);
+
+  // NEU: Fragt das Passwort einer verschlüsselten Datei ab. Liefert null, wenn abgebrochen wurde.
+  const requestPassphrase = useCallback((fileName, error = '') => new Promise(resolve => {
+    setPassphrasePrompt({ fileName, error, resolve });
+  }), []);
+
+  // NEU: Parst den Inhalt einer .dienstplan-Datei. Verschlüsselte Dateien werden mit dem bekannten Schlüssel (falls er
+  // zur Datei passt) oder nach Abfrage des Passworts entschlüsselt. Liefert die (noch nicht migrierten) Daten und den Schlüssel.
+  const parseDienstplanFileContent = useCallback(async (content, fileName, knownEncryptionKey = null) => {
+    const parsedContent = JSON.parse(content);
+    if (!isEncryptedFileContent(parsedContent)) {
+      return { data: parsedContent, encryptionKey: null };
+    }
+
+    const tryDecrypt = async (encryptionKey, error) => {
+      const passphrase = encryptionKey ? null : await requestPassphrase(fileName, error);
+      if (!encryptionKey && passphrase === null) {
+        const cancelError = new Error('Die Datei ist verschlüsselt. Das Öffnen wurde abgebrochen.');
+        cancelError.name = 'PassphraseCancelledError';
+        throw cancelError;
+      }
+      try {
+        const result = await decryptFileContent(parsedContent, { passphrase, encryptionKey });
+        return { data: JSON.parse(result.plainText), encryptionKey: result.encryptionKey };
+      } catch (decryptError) {
+        if (decryptError.name !== 'WrongPassphraseError') throw decryptError;
+        return tryDecrypt(null, encryptionKey ? '' : 'Das Passwort ist falsch. Bitte versuche es erneut.');
+      }
+    };
+    return tryDecrypt(matchesEncryptionKey(parsedContent, knownEncryptionKey) ? knownEncryptionKey : null, '');
+  }, [requestPassphrase]);
 
   // Initiales Laden der Daten und Versionsprüfung
   useEffect(() => {
@@ -2464,9 +5689,41 @@ useEffect(() => {
     const loadInitialData = async () => {
       console.log("App startet: Versuche initiale Daten zu laden...");
       try {
-        const storedHandle = await getFileHandleFromDb();
+        const storedHandle = STORAGE_MODE === 'file' ? await getFileHandleFromDb() : null;
+        // NEU: Im Browser-Speicher-Modus liegt die Arbeitskopie direkt in IndexedDB
+        const workingCopy = STORAGE_MODE === 'browser' ? await getWorkingCopyFromDb() : null;
         let loadedSuccessfully = false;
-        console.log("IndexedDB: storedHandle gefunden?", !!storedHandle);
+        console.log("IndexedDB: storedHandle gefunden?", !!storedHandle, "Arbeitskopie gefunden?", !!workingCopy);
+        if (STORAGE_MODE === 'file') {
+          setRecentFiles(await getRecentFilesFromDb());
+        }
+
+        if (workingCopy) {
+          try {
+            // Die Arbeitskopie einer verschlüsselten Datei ist ebenfalls verschlüsselt
+            const { data: workingCopyData, encryptionKey: workingCopyKey } = isEncryptedFileContent(workingCopy.data)
+              ? await parseDienstplanFileContent(JSON.stringify(workingCopy.data), workingCopy.fileName || 'Arbeitskopie')
+              : { data: workingCopy.data, encryptionKey: null };
+            const loadedData = loadDienstplanData(workingCopyData);
+            applyLoadedData(loadedData);
+            setEncryptionKey(workingCopyKey);
+            setWorkingCopyName(workingCopy.fileName || '');
+            setMessage('Daten aus dem Browser-Speicher erfolgreich geladen!');
+            setMessageType('success');
+            loadedSuccessfully = true;
+          } catch (readError) {
+            console.error("Fehler beim Laden der Arbeitskopie:", readError);
+            if (readError.name === 'PassphraseCancelledError') {
+              setIsWorkingCopyLocked(true); // Bis zum Neuladen bzw. zum Import einer Datei nicht überschreiben
+            }
+            setMessage(readError.name === 'PassphraseCancelledError'
+              ? 'Die Daten im Browser-Speicher sind verschlüsselt. Lade die Seite neu, um das Passwort einzugeben, oder importiere eine Datei.'
+              : readError.name === 'UnsupportedSchemaVersionError'
+              ? readError.message
+              : 'Die Daten im Browser-Speicher sind ungültig. Bitte importiere eine Datei.');
+            setMessageType('error');
+          }
+        }
 
         if (storedHandle) {
           console.log("StoredHandle gefunden. Überprüfe Berechtigung...");
@@ -2478,119 +5735,43 @@ useEffect(() => {
               console.log("Berechtigung erteilt. Versuche Datei zu lesen...");
               const file = await storedHandle.getFile();
               const content = await file.text();
-              const importedData = JSON.parse(content);
+              const { data: importedData, encryptionKey: fileEncryptionKey } = await parseDienstplanFileContent(content, file.name);
               console.log("Dateiinhalt erfolgreich gelesen und geparst.");
 
-              // Basic validation of imported data structure
-              if (
-                importedData.groups && Array.isArray(importedData.groups) &&
-                importedData.employees && Array.isArray(importedData.employees) &&
-                importedData.categories && Array.isArray(importedData.categories) &&
-                importedData.subCategories && Array.isArray(importedData.subCategories) &&
-                importedData.masterSchedule && importedData.masterSchedule.shifts && Array.isArray(importedData.masterSchedule.shifts)
-              ) {
-                // Daten in die States laden
-                setGroups(importedData.groups.map(g => {
-                  const groupWithInitializedHours = { ...g };
-                  if (!groupWithInitializedHours.openingHours) {
-                    groupWithInitializedHours.openingHours = {};
-                  }
-                  WEEK_DAYS_PLAN.forEach(day => {
-                    if (!groupWithInitializedHours.openingHours[day]) {
-                      groupWithInitializedHours.openingHours[day] = [];
-                    }
-                  });
-                  groupWithInitializedHours.minStaffRequired = (g.minStaffRequired === undefined || g.minStaffRequired === null) ? undefined : g.minStaffRequired;
-                  groupWithInitializedHours.disableStaffingWarning = g.disableStaffingWarning ?? true;
-                  if (typeof groupWithInitializedHours.daysWithOpeningHours !== 'object' || groupWithInitializedHours.daysWithOpeningHours === null) {
-                      groupWithInitializedHours.daysWithOpeningHours = {};
-                      WEEK_DAYS_PLAN.forEach(day => groupWithInitializedHours.daysWithOpeningHours[day] = false);
-                  } else {
-                      WEEK_DAYS_PLAN.forEach(day => {
-                          if (groupWithInitializedHours.daysWithOpeningHours[day] === undefined) {
-                              groupWithInitializedHours.daysWithOpeningHours[day] = false;
-                          }
-                      });
-                  }
-                  return groupWithInitializedHours;
-                }));
-                setEmployees(importedData.employees.map(emp => ({
-                  ...emp,
-                  overriddenDisposalHours: emp.overriddenDisposalHours ?? '',
-                  type: emp.type ?? 'normal',
-                  presenceDays: emp.presenceDays ?? [...WEEK_DAYS_PLAN],
-                })));
-                setCategories(importedData.categories.map(cat => ({
-                  ...cat,
-                  isDisposalTimeCategory: cat.isDisposalTimeCategory ?? false,
-                  isCareCategory: cat.isCareCategory ?? false
-                })));
-                setSubCategories(importedData.subCategories);
-                setDisposalTimeRules(importedData.disposalTimeRules || []);
-                setMasterSchedule(importedData.masterSchedule);
-                setOrderedGroupIds(importedData.orderedGroupIds || importedData.groups.map(g => g.id));
-
-                // Dynamic adjustment of display time range based on imported shifts
-                let minOverallMinutes = 24 * 60;
-                let maxOverallMinutes = 0;
-                let hasShifts = false;
-
-                importedData.masterSchedule.shifts.forEach(shift => {
-                  shift.segments.forEach(segment => {
-                    const segmentStartMinutes = timeToMinutes(segment.startTime);
-                    const segmentEndMinutes = timeToMinutes(segment.endTime);
-
-                    minOverallMinutes = Math.min(minOverallMinutes, segmentStartMinutes);
-                    maxOverallMinutes = Math.max(maxOverallMinutes, segmentEndMinutes);
-                    hasShifts = true;
-                  });
-                });
-
-                if (hasShifts) {
-                  let newDisplayStartMinutes = Math.floor(minOverallMinutes / 15) * 15;
-                  let newDisplayEndMinutes = Math.ceil(maxOverallMinutes / 15) * 15;
-                  if (newDisplayEndMinutes <= newDisplayStartMinutes) {
-                      newDisplayEndMinutes = newDisplayStartMinutes + 15;
-                  }
-                  newDisplayStartMinutes = Math.max(0, newDisplayStartMinutes);
-                  newDisplayEndMinutes = Math.min(24 * 60, newDisplayEndMinutes);
-
-                  setDisplayStartHour(Math.floor(newDisplayStartMinutes / 60));
-                  setDisplayStartMinute(newDisplayStartMinutes % 60);
-                  setDisplayEndHour(Math.floor(newDisplayEndMinutes / 60));
-                  setDisplayEndMinute(newDisplayEndMinutes % 60);
-                } else {
-                  setDisplayStartHour(6);
-                  setDisplayStartMinute(0);
-                  setDisplayEndHour(18);
-                  setDisplayEndMinute(0);
-                }
-                setWeeklyPlanTitle(importedData.masterSchedule.title || 'Wochenplan');
-                setFileHandle(storedHandle); // Setze das geladene Handle
-                setMessage('Daten aus letzter Datei erfolgreich geladen!');
-                setMessageType('success');
-                loadedSuccessfully = true;
-                console.log("Daten erfolgreich aus gespeicherter Datei geladen.");
-              } else {
-                console.warn("Gespeicherte Datei hat ungültiges Format oder ist leer.");
-                setMessage('Die zuletzt importierte Datei ist ungültig oder leer. Bitte importiere eine neue Datei.');
-                setMessageType('error');
-                await deleteFileHandleFromDb(); // Ungültiges Handle entfernen
-                setFileHandle(null);
-              }
+              // Struktur prüfen, Version prüfen und ggf. migrieren
+              const loadedData = loadDienstplanData(importedData);
+              knownFileStateRef.current = await buildKnownFileState(storedHandle, file.lastModified, content, loadedData);
+              applyLoadedData(loadedData);
+              setEncryptionKey(fileEncryptionKey);
+              setFileHandle(storedHandle); // Setze das geladene Handle
+              setRecentFiles(await rememberRecentFile(storedHandle, loadedData.masterSchedule.title));
+              setMessage('Daten aus letzter Datei erfolgreich geladen!');
+              setMessageType('success');
+              loadedSuccessfully = true;
+              console.log("Daten erfolgreich aus gespeicherter Datei geladen.");
             } catch (readError) {
               console.error("Fehler beim Lesen der zuletzt verwendeten Datei:", readError);
-              setMessage('Fehler beim Lesen der zuletzt verwendeten Datei. Bitte importiere eine neue Datei.');
-              setMessageType('error');
-              await deleteFileHandleFromDb(); // Handle entfernen, da es nicht lesbar war
               setFileHandle(null);
+              if (readError.name === 'UnsupportedSchemaVersionError' || readError.name === 'PassphraseCancelledError') {
+                // Handle behalten: Nach einem App-Update bzw. mit dem richtigen Passwort kann die Datei wieder geöffnet werden
+                setMessage(readError.message);
+                setMessageType('error');
+              } else if (readError.name === 'InvalidFileFormatError') {
+                setMessage('Die zuletzt importierte Datei ist ungültig oder leer. Bitte importiere eine neue Datei.');
+                setMessageType('error');
+                await removeFileHandleFromDb(); // Ungültiges Handle entfernen
+              } else {
+                setMessage('Fehler beim Lesen der zuletzt verwendeten Datei. Bitte importiere eine neue Datei.');
+                setMessageType('error');
+                await removeFileHandleFromDb(); // Handle entfernen, da es nicht lesbar war
+              }
             }
           } else if (permissionStatus === 'prompt') {
-            setMessage('Berechtigung für die zuletzt verwendete Datei erforderlich. Bitte importiere die Datei manuell.');
+            setMessage('Berechtigung für die zuletzt verwendete Datei erforderlich. Klicke unter "Zuletzt verwendete Dateien" auf die Datei, um sie wieder zu öffnen.');
           } else if (permissionStatus === 'denied') {
             setMessage('Berechtigung für die zuletzt verwendete Datei verweigert. Bitte importiere die Datei manuell.');
             setMessageType('error');
-            await deleteFileHandleFromDb(); // Handle entfernen, da Berechtigung verweigert
+            await removeFileHandleFromDb(); // Handle entfernen, da Berechtigung verweigert
             setFileHandle(null);
           }
         }
@@ -2604,6 +5785,13 @@ useEffect(() => {
           setSubCategories([]);
           setDisposalTimeRules([]);
           setMasterSchedule({ shifts: [], displayStartTime: '06:00', displayEndTime: '18:00', title: 'Wochenplan' });
+          setScheduleTemplates([]);
+          setCalendarWeeks([]);
+          setAbsences([]);
+          setSettings(DEFAULT_SETTINGS);
+          setClosingDays([]);
+          setTimeAccountEntries([]);
+          setVacationEntitlements([]);
           setOrderedGroupIds([]);
           setSelectedGroupIdFilter('all');
           setDisplayStartHour(6);
@@ -2611,7 +5799,10 @@ useEffect(() => {
           setDisplayEndHour(18);
           setDisplayEndMinute(0);
           setWeeklyPlanTitle('Wochenplan');
-          setMessage('Keine vorherigen Daten gefunden. Starte mit einem leeren Plan oder importiere eine Datei.');
+          // Fehlermeldungen beim Laden einer gespeicherten Datei nicht überschreiben
+          if (!storedHandle && !workingCopy) {
+            setMessage('Keine vorherigen Daten gefunden. Starte mit einem leeren Plan oder importiere eine Datei.');
+          }
         }
 
         // Versionsprüfung (unabhängig vom Datenladen)
@@ -2632,7 +5823,7 @@ useEffect(() => {
     };
 
     loadInitialData();
-  }, []); // Empty dependency array means this runs once on mount
+  }, [applyLoadedData, parseDienstplanFileContent]); // Beide Callbacks sind stabil, der Effekt läuft nur einmal beim Mounten
 
   // --- Group Management ---
   const handleAddGroup = () => {
@@ -2658,7 +5849,7 @@ useEffect(() => {
 
   const handleDeleteGroup = (id) => {
     // Prevent deletion if group is assigned to any employee
-    const isGroupUsed = employees.some(emp => emp.groupId === id);
+    const isGroupUsed = employees.some(emp => emp.groupId === id || (emp.contracts || []).some(contract => contract.groupId === id)); // NEU: auch in früheren oder späteren Verträgen
     if (isGroupUsed) {
       setMessage('Gruppe kann nicht gelöscht werden, da ihr noch Mitarbeiter zugeordnet sind.');
       setMessageType('error');
@@ -2666,6 +5857,10 @@ useEffect(() => {
     }
     setGroups(prev => prev.filter(group => group.id !== id));
     setOrderedGroupIds(prev => prev.filter(groupId => groupId !== id)); // Remove from order
+    // NEU: Gruppe aus Schließtagen entfernen. Schließtage nur für diese Gruppe entfallen, damit sie nicht für alle gelten.
+    setClosingDays(prev => prev
+      .filter(closingDay => !(closingDay.groupIds.length === 1 && closingDay.groupIds[0] === id))
+      .map(closingDay => ({ ...closingDay, groupIds: closingDay.groupIds.filter(groupId => groupId !== id) })));
     setMessage('Gruppe erfolgreich gelöscht!');
     setMessageType('success');
   };
@@ -2674,7 +5869,7 @@ useEffect(() => {
     setEditingGroupId(group.id);
     const initialEditedOpeningHours = {};
     const initialEditedDaysWithOpeningHours = {};
-    WEEK_DAYS_PLAN.forEach(day => {
+    ALL_WEEK_DAYS.forEach(day => {
       initialEditedOpeningHours[day] = group.openingHours?.[day] || [];
       initialEditedDaysWithOpeningHours[day] = group.daysWithOpeningHours?.[day] ?? false;
     });
@@ -2738,7 +5933,7 @@ useEffect(() => {
     } else if (name === 'type') {
       // If type changes to 'normal' or 'zusatzkraft', reset presenceDays to all days
       if (value === 'normal' || value === 'zusatzkraft') {
-        setNewEmployee(prev => ({ ...prev, [name]: value, presenceDays: [...WEEK_DAYS_PLAN] }));
+        setNewEmployee(prev => ({ ...prev, [name]: value, presenceDays: [...workingDays] }));
       } else {
         setNewEmployee(prev => ({ ...prev, [name]: value }));
       }
@@ -2755,19 +5950,16 @@ useEffect(() => {
     const overriddenDisposalHoursNum = newEmployee.overriddenDisposalHours === '' ? null : Number(newEmployee.overriddenDisposalHours);
 
 
-    if (!newEmployee.name.trim() || contractedHoursNum <= 0) {
-      setMessage('Mitarbeitername und Stunden pro Woche sind erforderlich.');
-      setMessageType('error');
-      return;
-    }
-    if (overriddenDisposalHoursNum !== null && overriddenDisposalHoursNum < 0) {
-      setMessage('Überschriebene Verfügungszeit darf nicht negativ sein.');
-      setMessageType('error');
-      return;
-    }
-    // Validate presence days for special types (excluding 'normal' and 'zusatzkraft')
-    if (newEmployee.type !== 'normal' && newEmployee.type !== 'zusatzkraft' && (newEmployee.presenceDays || []).length === 0) {
-      setMessage('Für Auszubildende, FSJler und Praktikanten müssen Anwesenheitstage ausgewählt werden.');
+    // NEU: Gemeinsame Prüfung mit dem CSV-Import (validateEmployeeInput)
+    const validationError = validateEmployeeInput({
+      name: newEmployee.name,
+      contractedHoursPerWeek: contractedHoursNum,
+      overriddenDisposalHours: overriddenDisposalHoursNum,
+      type: newEmployee.type,
+      presenceDays: newEmployee.presenceDays,
+    });
+    if (validationError) {
+      setMessage(validationError);
       setMessageType('error');
       return;
     }
@@ -2775,13 +5967,14 @@ useEffect(() => {
 
     if (editingEmployeeId) {
       setEmployees(prev => prev.map(emp =>
-        emp.id === editingEmployeeId ? {
+        // NEU: Bei Mitarbeitern mit Vertragsverlauf gelten die Änderungen für den aktuellen Vertrag
+        emp.id === editingEmployeeId ? applyEmployeeFieldsToCurrentContract({
           ...newEmployee,
           contractedHoursPerWeek: contractedHoursNum,
           overriddenDisposalHours: overriddenDisposalHoursNum,
           // Ensure presenceDays is an array, default to all days if type is normal or zusatzkraft
-          presenceDays: (newEmployee.type === 'normal' || newEmployee.type === 'zusatzkraft') ? [...WEEK_DAYS_PLAN] : (newEmployee.presenceDays || [])
-        } : emp
+          presenceDays: (newEmployee.type === 'normal' || newEmployee.type === 'zusatzkraft') ? [...workingDays] : (newEmployee.presenceDays || [])
+        }, toIsoDate(new Date())) : emp
       ));
       setMessage('Mitarbeiter erfolgreich aktualisiert!');
       setMessageType('success');
@@ -2790,16 +5983,69 @@ useEffect(() => {
       const employeeToAdd = {
         ...newEmployee,
         id: uuidv4(),
+        contracts: [],
         contractedHoursPerWeek: contractedHoursNum,
         overriddenDisposalHours: overriddenDisposalHoursNum,
         // Ensure presenceDays is an array, default to all days if type is normal or zusatzkraft
-        presenceDays: (newEmployee.type === 'normal' || newEmployee.type === 'zusatzkraft') ? [...WEEK_DAYS_PLAN] : (newEmployee.presenceDays || [])
+        presenceDays: (newEmployee.type === 'normal' || newEmployee.type === 'zusatzkraft') ? [...workingDays] : (newEmployee.presenceDays || [])
       };
       setEmployees(prev => [...prev, employeeToAdd]);
       setMessage('Mitarbeiter erfolgreich hinzugefügt!');
       setMessageType('success');
     }
-    setNewEmployee({ name: '', contractedHoursPerWeek: 0, groupId: '', overriddenDisposalHours: '', type: 'normal', presenceDays: [...WEEK_DAYS_PLAN] });
+    setNewEmployee(createEmptyEmployeeForm(workingDays));
+  };
+
+  // NEU: CSV-Datei für den Mitarbeiter-Import einlesen. Excel speichert CSV oft in Windows-1252, das wird erkannt.
+  const handleEmployeeCsvFileInput = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Erlaubt das erneute Auswählen derselben Datei
+    if (!file) return;
+
+    try {
+      const buffer = await file.arrayBuffer();
+      let text = new TextDecoder('utf-8').decode(buffer);
+      if (text.includes('\uFFFD')) {
+        text = new TextDecoder('windows-1252').decode(buffer);
+      }
+      const rows = parseCsv(text);
+      if (rows.length === 0) {
+        setMessage(`Die Datei "${file.name}" enthält keine Daten.`);
+        setMessageType('error');
+        return;
+      }
+      setEmployeeCsvImport({ fileName: file.name, rows, initialMapping: suggestEmployeeCsvMapping(rows[0]) });
+    } catch (error) {
+      console.error('Fehler beim Lesen der CSV-Datei:', error);
+      setMessage(`Fehler beim Lesen der CSV-Datei: ${error.message}`);
+      setMessageType('error');
+    }
+  };
+
+  const analyzeEmployeeCsv = useCallback((mapping, hasHeaderRow) => (
+    analyzeEmployeeCsvImport(employeeCsvImport?.rows || [], mapping, hasHeaderRow, { employees: sortedEmployees, groups, workingDays })
+  ), [employeeCsvImport, sortedEmployees, groups, workingDays]);
+
+  const handleApplyEmployeeCsvImport = (results) => {
+    const accepted = results.filter(result => result.status !== 'rejected');
+    const updatesById = new Map(accepted.filter(result => result.status === 'update').map(result => [result.employee.id, result.employee]));
+    const createdEmployees = accepted
+      .filter(result => result.status === 'create')
+      .map(result => ({ ...result.employee, id: uuidv4(), contracts: [] }));
+    const today = toIsoDate(new Date());
+    setEmployees(prev => [
+      ...prev.map(employee => (updatesById.has(employee.id) ? applyEmployeeFieldsToCurrentContract(updatesById.get(employee.id), today) : employee)),
+      ...createdEmployees,
+    ]);
+    setEmployeeCsvImport(null);
+
+    const rejected = results.filter(result => result.status === 'rejected');
+    let summary = `CSV-Import abgeschlossen: ${createdEmployees.length} angelegt, ${updatesById.size} aktualisiert, ${rejected.length} abgelehnt.`;
+    if (rejected.length > 0) {
+      summary += ` Abgelehnte Zeilen: ${rejected.map(result => result.rowNumber).join(', ')}.`;
+    }
+    setMessage(summary);
+    setMessageType(rejected.length > 0 ? 'info' : 'success');
   };
 
   const handleEditEmployee = (employee) => {
@@ -2808,26 +6054,248 @@ useEffect(() => {
       ...employee,
       overriddenDisposalHours: employee.overriddenDisposalHours ?? '', // Ensure empty string for input
       type: employee.type ?? 'normal', // Ensure default type
-      presenceDays: employee.presenceDays ?? [...WEEK_DAYS_PLAN], // Ensure default presence days
+      presenceDays: employee.presenceDays ?? [...workingDays], // Ensure default presence days
     });
     setEditingEmployeeId(employee.id);
   };
 
   const handleDeleteEmployee = (id) => {
     // Prevent deletion if employee has any shifts assigned
-    const hasShifts = masterSchedule.shifts.some(shift => shift.employeeId === id);
+    const hasShifts = allPlannedShifts.some(shift => shift.employeeId === id);
     if (hasShifts) {
       setMessage('Mitarbeiter kann nicht gelöscht werden, da ihm noch Schichten zugeordnet sind.');
       setMessageType('error');
       return;
     }
     setEmployees(prev => prev.filter(employee => employee.id !== id));
+    setAbsences(prev => prev.filter(absence => absence.employeeId !== id)); // NEU: Abwesenheiten entfallen mit dem Mitarbeiter
+    setTimeAccountEntries(prev => prev.filter(entry => entry.employeeId !== id)); // NEU: ebenso das Arbeitszeitkonto
+    setVacationEntitlements(prev => prev.filter(entitlement => entitlement.employeeId !== id)); // NEU: und der Urlaubsanspruch
     setMessage('Mitarbeiter erfolgreich gelöscht!');
     setMessageType('success');
   };
 
+  // NEU: Trägt eine Abwesenheit ein. Liefert eine Fehlermeldung für das Modal oder null.
+  const handleAddAbsence = (absence) => {
+    if (!isIsoDate(absence.startDate) || !isIsoDate(absence.endDate)) {
+      return 'Bitte gib ein gültiges Datum an.';
+    }
+    if (absence.endDate < absence.startDate) {
+      return 'Das Ende darf nicht vor dem Beginn liegen.';
+    }
+    const overlapping = absences.find(other =>
+      other.employeeId === absence.employeeId && other.startDate <= absence.endDate && other.endDate >= absence.startDate
+    );
+    if (overlapping) {
+      return `Überschneidet sich mit ${ABSENCE_TYPES[overlapping.type].label} vom ${formatGermanDate(overlapping.startDate)} bis ${formatGermanDate(overlapping.endDate)}.`;
+    }
+    const newAbsence = {
+      id: uuidv4(),
+      employeeId: absence.employeeId,
+      type: absence.type,
+      startDate: absence.startDate,
+      endDate: absence.endDate,
+      note: absence.note.trim(),
+    };
+    setAbsences(prev => [...prev, newAbsence]);
+    // NEU: Bei Urlaub den verbleibenden Anspruch mit anzeigen, bei Urlaub über den Jahreswechsel für jedes betroffene Jahr
+    const years = [];
+    for (let year = Number(absence.startDate.slice(0, 4)); year <= Number(absence.endDate.slice(0, 4)); year++) years.push(year);
+    const vacationBalances = absence.type === 'vacation'
+      ? years
+        .map(year => ({ year, balance: getEmployeeVacationBalance(absence.employeeId, year, [...absences, newAbsence]) }))
+        .filter(({ balance }) => balance)
+      : [];
+    const remainingText = vacationBalances
+      .map(({ year, balance }) => ` Resturlaub ${year}: ${balance.remaining.toLocaleString('de-DE')} Tage.`)
+      .join('');
+    setMessage(`${ABSENCE_TYPES[absence.type].label} für ${employees.find(employee => employee.id === absence.employeeId)?.name || 'Unbekannt'} eingetragen.${remainingText}`);
+    setMessageType(vacationBalances.some(({ balance }) => balance.remaining < 0) ? 'info' : 'success');
+    return null;
+  };
+
+  const handleDeleteAbsence = (id) => {
+    setAbsences(prev => prev.filter(absence => absence.id !== id));
+    setMessage('Abwesenheit gelöscht.');
+    setMessageType('success');
+  };
+
+  // NEU: Bucht Ist minus Soll der angezeigten Kalenderwoche für die angezeigten Mitarbeiter ins Arbeitszeitkonto.
+  // Eine bereits vorhandene Buchung dieser Woche wird ersetzt.
+  const handleBookCalendarWeek = () => {
+    if (!currentCalendarWeek) return;
+    const weekStart = currentCalendarWeek.weekStart;
+    const bookings = filteredEmployeesForDisplay
+      .filter(employee => weeklySummaries[employee.id])
+      .map(employee => ({
+        employeeId: employee.id,
+        minutes: Math.round(weeklySummaries[employee.id].weeklyTotalWorkMinutes - weeklySummaries[employee.id].targetMinutes),
+        workedMinutes: weeklySummaries[employee.id].weeklyTotalWorkMinutes,
+        targetMinutes: weeklySummaries[employee.id].targetMinutes,
+      }));
+    if (bookings.length === 0) {
+      setMessage('Für diese Woche gibt es nichts zu buchen.');
+      setMessageType('info');
+      return;
+    }
+    setTimeAccountEntries(prev => {
+      const isReplaced = (entry) => entry.type === 'week' && entry.date === weekStart && bookings.some(booking => booking.employeeId === entry.employeeId);
+      return [
+        ...prev.filter(entry => !isReplaced(entry)),
+        ...bookings.map(booking => ({
+          id: prev.find(entry => isReplaced(entry) && entry.employeeId === booking.employeeId)?.id || uuidv4(),
+          employeeId: booking.employeeId,
+          type: 'week',
+          date: weekStart,
+          minutes: booking.minutes,
+          workedMinutes: booking.workedMinutes,
+          targetMinutes: booking.targetMinutes,
+          reason: '',
+        })),
+      ];
+    });
+    setMessage(`${formatCalendarWeekLabel(weekStart, workingDays)} für ${bookings.length} Mitarbeiter ins Arbeitszeitkonto gebucht.`);
+    setMessageType('success');
+  };
+
+  // NEU: Setzt den Anfangssaldo eines Mitarbeiters (ersetzt einen vorhandenen). Liefert eine Fehlermeldung oder null.
+  const handleSetOpeningBalance = ({ employeeId, date, minutes }) => {
+    if (!isIsoDate(date)) {
+      return 'Bitte gib ein gültiges Datum an.';
+    }
+    if (!Number.isFinite(minutes)) {
+      return 'Bitte gib den Saldo in Stunden an, z.B. 12,5 oder -3.';
+    }
+    setTimeAccountEntries(prev => {
+      const existing = prev.find(entry => entry.employeeId === employeeId && entry.type === 'opening');
+      return [
+        ...prev.filter(entry => entry !== existing),
+        { id: existing?.id || uuidv4(), employeeId, type: 'opening', date, minutes, reason: '' },
+      ];
+    });
+    setMessage('Anfangssaldo gespeichert.');
+    setMessageType('success');
+    return null;
+  };
+
+  // NEU: Manuelle Korrektur mit Begründung. Liefert eine Fehlermeldung oder null.
+  const handleAddTimeAccountCorrection = ({ employeeId, date, minutes, reason }) => {
+    if (!isIsoDate(date)) {
+      return 'Bitte gib ein gültiges Datum an.';
+    }
+    if (!Number.isFinite(minutes) || minutes === 0) {
+      return 'Bitte gib die Korrektur in Stunden an, z.B. 2 oder -1,5.';
+    }
+    if (!reason.trim()) {
+      return 'Bitte gib eine Begründung an.';
+    }
+    setTimeAccountEntries(prev => [...prev, { id: uuidv4(), employeeId, type: 'correction', date, minutes, reason: reason.trim() }]);
+    setMessage('Korrektur gebucht.');
+    setMessageType('success');
+    return null;
+  };
+
+  const handleDeleteTimeAccountEntry = (id) => {
+    setTimeAccountEntries(prev => prev.filter(entry => entry.id !== id));
+    setMessage('Eintrag aus dem Arbeitszeitkonto gelöscht.');
+    setMessageType('success');
+  };
+
+  // NEU: Urlaubskonto eines Mitarbeiters mit den Einstellungen dieser Datei, genommen ist alles bis heute
+  const getEmployeeVacationBalance = (employeeId, year, absenceList = absences) => getVacationBalance(
+    vacationEntitlements, absenceList, employeeId, year,
+    {
+      federalState: settings.federalState,
+      workingDays,
+      today: toIsoDate(new Date()),
+      closingDays: settings.deductClosingDaysFromVacation ? closingDays : [],
+      groupId: employees.find(employee => employee.id === employeeId)?.groupId || null,
+    }
+  );
+
+  // NEU: Legt den Urlaubsanspruch eines Mitarbeiters für ein Jahr an oder ersetzt ihn. Liefert eine Fehlermeldung oder null.
+  const handleSaveVacationEntitlement = ({ employeeId, year, days, workDays, carryOverDays }) => {
+    if (!Number.isFinite(days) || days < 0) {
+      return 'Bitte gib den Jahresurlaub in Tagen an, z.B. 30.';
+    }
+    if (workDays.length === 0) {
+      return 'Bitte wähle mindestens einen Arbeitstag aus.';
+    }
+    if (!Number.isFinite(carryOverDays)) {
+      return 'Bitte gib den Übertrag in Tagen an, z.B. 3 oder 2,5.';
+    }
+    setVacationEntitlements(prev => {
+      const existing = prev.find(entitlement => entitlement.employeeId === employeeId && entitlement.year === year);
+      return [
+        ...prev.filter(entitlement => entitlement !== existing),
+        { id: existing?.id || uuidv4(), employeeId, year, days, workDays, carryOverDays },
+      ];
+    });
+    setMessage(`Urlaubsanspruch ${year} für ${employees.find(employee => employee.id === employeeId)?.name || 'Unbekannt'} gespeichert.`);
+    setMessageType('success');
+    return null;
+  };
+
+  const handleDeleteVacationEntitlement = (id) => {
+    setVacationEntitlements(prev => prev.filter(entitlement => entitlement.id !== id));
+    setMessage('Urlaubsanspruch gelöscht.');
+    setMessageType('success');
+  };
+
+  // NEU: Legt einen Vertrag an oder ändert ihn (gleiche id). Liefert eine Fehlermeldung für das Modal oder null.
+  // Ein unbefristeter früherer Vertrag endet automatisch am Vortag des neuen. Beim ersten Vertrag gelten die bisherigen
+  // Werte des Mitarbeiters bis zum Vortag weiter, damit vergangene Wochen unverändert bleiben.
+  const handleSaveContract = (employeeId, contract) => {
+    const employee = employees.find(candidate => candidate.id === employeeId);
+    if (!employee) return 'Mitarbeiter nicht gefunden.';
+    if ((contract.startDate && !isIsoDate(contract.startDate)) || (contract.endDate && !isIsoDate(contract.endDate))) {
+      return 'Bitte gib ein gültiges Datum an.';
+    }
+    if (contract.startDate && contract.endDate && contract.endDate < contract.startDate) {
+      return 'Das Ende darf nicht vor dem Beginn liegen.';
+    }
+    const validationError = validateEmployeeInput({ ...contract, name: employee.name });
+    if (validationError) return validationError;
+
+    const savedContract = {
+      ...contract,
+      id: contract.id || uuidv4(),
+      startDate: contract.startDate || null,
+      endDate: contract.endDate || null,
+      presenceDays: (contract.type === 'normal' || contract.type === 'zusatzkraft') ? [...workingDays] : contract.presenceDays,
+    };
+    let otherContracts = (employee.contracts || []).filter(other => other.id !== savedContract.id);
+    if ((employee.contracts || []).length === 0 && savedContract.startDate) {
+      otherContracts = [{ id: uuidv4(), startDate: null, endDate: addDaysToIsoDate(savedContract.startDate, -1), ...pickContractFields(employee) }];
+    }
+    otherContracts = otherContracts.map(other => (
+      !other.endDate && savedContract.startDate && (!other.startDate || other.startDate < savedContract.startDate)
+        ? { ...other, endDate: addDaysToIsoDate(savedContract.startDate, -1) }
+        : other
+    ));
+    const overlapping = otherContracts.find(other => isContractActive(other, savedContract.startDate || '0000-01-01', savedContract.endDate || '9999-12-31'));
+    if (overlapping) {
+      return `Überschneidet sich mit dem Vertrag ${overlapping.startDate ? `ab ${formatGermanDate(overlapping.startDate)}` : 'seit Beginn'}.`;
+    }
+
+    setEmployees(prev => prev.map(candidate => (candidate.id === employeeId
+      ? syncEmployeeWithCurrentContract({ ...candidate, contracts: sortContracts([...otherContracts, savedContract]) }, toIsoDate(new Date()))
+      : candidate)));
+    setMessage(`Vertrag für ${employee.name} gespeichert.`);
+    setMessageType('success');
+    return null;
+  };
+
+  const handleDeleteContract = (employeeId, contractId) => {
+    setEmployees(prev => prev.map(employee => (employee.id === employeeId
+      ? syncEmployeeWithCurrentContract({ ...employee, contracts: employee.contracts.filter(contract => contract.id !== contractId) }, toIsoDate(new Date()))
+      : employee)));
+    setMessage('Vertrag gelöscht.');
+    setMessageType('success');
+  };
+
   const handleCancelEditEmployee = () => {
-    setNewEmployee({ name: '', contractedHoursPerWeek: 0, groupId: '', overriddenDisposalHours: '', type: 'normal', presenceDays: [...WEEK_DAYS_PLAN] });
+    setNewEmployee(createEmptyEmployeeForm(workingDays));
     setEditingEmployeeId(null);
   };
 
@@ -2911,7 +6379,7 @@ useEffect(() => {
 
   const handleDeleteCategory = (id) => {
     // Prevent deletion if category is used in any shift segment or as parent for subcategory
-    const isCategoryUsedInShifts = masterSchedule.shifts.some(shift =>
+    const isCategoryUsedInShifts = allPlannedShifts.some(shift =>
       shift.segments.some(segment => segment.categoryId === id)
     );
     const isCategoryUsedAsParent = subCategories.some(subCat => subCat.parentCategoryId === id);
@@ -2973,7 +6441,7 @@ useEffect(() => {
 
   const handleDeleteSubCategory = (id) => {
     // Prevent deletion if subcategory is used in any shift segment
-    const isSubCategoryUsedInShifts = masterSchedule.shifts.some(shift =>
+    const isSubCategoryUsedInShifts = allPlannedShifts.some(shift =>
       shift.segments.some(segment => segment.subCategoryId === id)
     );
     if (isSubCategoryUsedInShifts) {
@@ -3085,6 +6553,13 @@ useEffect(() => {
       setMessage('Bitte zuerst Kategorien erstellen, um Schichten erstellen zu können.');
       return;
     }
+    // NEU: An Schließtagen können keine Schichten geplant werden
+    const closingDay = getDisplayedClosingDay(dayOfWeek, activeEmployees.find(emp => emp.id === employeeId)?.groupId);
+    if (closingDay) {
+      setMessage(`${dayOfWeek} ist ein Schließtag${closingDay.name ? ` (${closingDay.name})` : ''}. Hier können keine Schichten geplant werden.`);
+      setMessageType('error');
+      return;
+    }
 
     const timelineDiv = e.currentTarget; // The timeline-row-container
     if (!timelineDiv) return;
@@ -3113,14 +6588,14 @@ useEffect(() => {
 
   const handleAddSegmentFromMenu = (categoryId, subCategoryId = '') => {
     setShowAddShiftMenu(false);
-    if (!addShiftContext || !masterSchedule) return;
+    if (!addShiftContext || !displayedSchedule) return;
 
     const { employeeId, dayOfWeek, clickedMinutes } = addShiftContext;
     let startTimeMinutes = clickedMinutes;
     let endTimeMinutes = clickedMinutes + 30; // Default 30 min duration
 
     // --- Collision detection for adding new segments ---
-    const existingSegmentsForEmployeeDay = masterSchedule.shifts
+    const existingSegmentsForEmployeeDay = displayedSchedule.shifts
         .filter(s => s.employeeId === employeeId && s.dayOfWeek === dayOfWeek)
         .flatMap(s => s.segments)
         .map(s => ({
@@ -3157,8 +6632,8 @@ useEffect(() => {
       ],
     };
 
-    const updatedShifts = [...(masterSchedule.shifts || []), newShift];
-    setMasterSchedule(prev => ({ ...prev, shifts: updatedShifts }));
+    const updatedShifts = [...(displayedSchedule.shifts || []), newShift];
+    setDisplayedShifts(updatedShifts);
 
     // Find the name of the effective category for the message
     let displayCategoryName = '';
@@ -3296,7 +6771,7 @@ useEffect(() => {
         }
     }
 
-    const otherSegments = masterSchedule.shifts
+    const otherSegments = displayedSchedule.shifts
         .filter(s => s.employeeId === draggedShiftInfo.employeeId && s.dayOfWeek === draggedShiftInfo.dayOfWeek && s.id !== draggedShiftInfo.shiftId)
         .flatMap(s => s.segments)
         .map(s => ({
@@ -3350,8 +6825,8 @@ useEffect(() => {
         }
     }
 
-    setMasterSchedule(prevMasterSchedule => {
-        const updatedShifts = prevMasterSchedule.shifts.map(s => {
+    setDisplayedShifts(prevShifts => {
+        return prevShifts.map(s => {
             if (s.id === draggedShiftInfo.shiftId) {
                 const updatedSegments = s.segments.map((seg, idx) => {
                     if (idx === draggedShiftInfo.segmentIndex) {
@@ -3367,9 +6842,8 @@ useEffect(() => {
             }
             return s;
         });
-        return { ...prevMasterSchedule, shifts: updatedShifts };
     });
-}, [isDragging, draggedShiftInfo, totalDisplayMinutes, masterSchedule.shifts]);
+}, [isDragging, draggedShiftInfo, totalDisplayMinutes, displayedSchedule.shifts, setDisplayedShifts]);
 
   const handleMouseUp = useCallback((e) => {
     if (!isDragging || !draggedShiftInfo) return;
@@ -3380,7 +6854,7 @@ useEffect(() => {
     if (deltaX < clickThreshold) {
         // This was a click, not a drag
         const { shiftId, segmentIndex } = draggedShiftInfo;
-        const clickedShift = masterSchedule.shifts.find(s => s.id === shiftId);
+        const clickedShift = displayedSchedule.shifts.find(s => s.id === shiftId);
         if (clickedShift) {
             const mainContainerRect = mainContainerRef.current.getBoundingClientRect();
             const menuXRelativeToContainerRight = mainContainerRect.right - e.pageX;
@@ -3399,7 +6873,7 @@ useEffect(() => {
     setIsDragging(false);
     setDraggedShiftInfo(null);
     dragStartMouseX.current = 0;
-  }, [isDragging, draggedShiftInfo, masterSchedule, mainContainerRef]); // Add mainContainerRef to dependencies
+  }, [isDragging, draggedShiftInfo, displayedSchedule, mainContainerRef]); // Add mainContainerRef to dependencies
 
   useEffect(() => {
     if (isDragging) {
@@ -3435,8 +6909,8 @@ useEffect(() => {
     // Collect all keys for currently rendered shift blocks based on filtered employees
     const currentRenderedBlockKeys = new Set();
     filteredEmployeesForDisplay.forEach(employee => {
-      WEEK_DAYS_PLAN.forEach(day => {
-        const employeeShiftsForDay = masterSchedule.shifts.filter(shift =>
+      workingDays.forEach(day => {
+        const employeeShiftsForDay = displayedSchedule.shifts.filter(shift =>
           shift.employeeId === employee.id && shift.dayOfWeek === day
         );
         employeeShiftsForDay.forEach(shift => {
@@ -3475,7 +6949,7 @@ useEffect(() => {
         }
       }
     };
-  }, [masterSchedule.shifts, displayStartHour, displayStartMinute, displayEndHour, displayEndMinute, filteredEmployeesForDisplay]); // Added filteredEmployeesForDisplay to dependencies
+  }, [displayedSchedule.shifts, displayStartHour, displayStartMinute, displayEndHour, displayEndMinute, filteredEmployeesForDisplay, workingDays]); // Added filteredEmployeesForDisplay to dependencies
 
 
   // --- Dynamic Cursor for Shift Blocks ---
@@ -3502,25 +6976,25 @@ useEffect(() => {
   // --- Delete Shift Logic ---
   const handleDeleteShift = () => {
     setShowShiftOptionsMenu(false); // Close menu
-    if (!shiftOptionsContext || !masterSchedule) return;
+    if (!shiftOptionsContext || !displayedSchedule) return;
 
     const { shift, segmentIndex } = shiftOptionsContext;
     let updatedShifts;
 
     // If there's only one segment in the shift, delete the whole shift
     if (shift.segments.length === 1) {
-      updatedShifts = masterSchedule.shifts.filter(s => s.id !== shift.id);
+      updatedShifts = displayedSchedule.shifts.filter(s => s.id !== shift.id);
       setMessage("Schicht erfolgreich gelöscht!");
       setMessageType('success');
     } else {
       // If multiple segments, delete only the specific segment
       const updatedShift = { ...shift };
       updatedShift.segments = updatedShift.segments.filter((_, idx) => idx !== segmentIndex);
-      updatedShifts = masterSchedule.shifts.map(s => s.id === updatedShift.id ? updatedShift : s);
+      updatedShifts = displayedSchedule.shifts.map(s => s.id === updatedShift.id ? updatedShift : s);
       setMessage("Segment erfolgreich gelöscht!");
       setMessageType('success');
     }
-    setMasterSchedule(prev => ({ ...prev, shifts: updatedShifts }));
+    setDisplayedShifts(updatedShifts);
     localStorage.setItem('masterSchedule', JSON.stringify({ ...masterSchedule, shifts: updatedShifts })); // Save to localStorage
     setShiftOptionsContext(null); // Clear context
   };
@@ -3542,7 +7016,7 @@ useEffect(() => {
     if (shiftOptionsContext) {
       const { shift, segmentIndex } = shiftOptionsContext;
       const currentSegment = shift.segments[segmentIndex];
-      const employee = employees.find(emp => emp.id === shift.employeeId);
+      const employee = activeEmployees.find(emp => emp.id === shift.employeeId);
       const originalShiftColor = employee ? (groups.find(g => g.id === employee.groupId)?.color || 'bg-gray-100') : 'bg-gray-100';
 
       setChangeGroupContext({ shift, segmentIndex, originalShiftColor });
@@ -3553,16 +7027,16 @@ useEffect(() => {
 
   const handleUpdateSegmentGroup = (newGroupId) => {
     setShowChangeGroupMenu(false);
-    if (!changeGroupContext || !masterSchedule) return;
+    if (!changeGroupContext || !displayedSchedule) return;
 
     const { shift, segmentIndex } = changeGroupContext;
 
-    const updatedShifts = masterSchedule.shifts.map(s => {
+    const updatedShifts = displayedSchedule.shifts.map(s => {
       if (s.id === shift.id) {
         const updatedSegments = s.segments.map((seg, idx) => {
           if (idx === segmentIndex) {
             // Find the employee to get their default group ID
-            const employee = employees.find(emp => emp.id === shift.employeeId);
+            const employee = activeEmployees.find(emp => emp.id === shift.employeeId);
             // Determine the employee's default group ID, defaulting to 'no-group' if not set
             const employeeDefaultGroupId = employee?.groupId || 'no-group';
 
@@ -3581,7 +7055,7 @@ useEffect(() => {
       return s;
     });
 
-    setMasterSchedule(prev => ({ ...prev, shifts: updatedShifts }));
+    setDisplayedShifts(updatedShifts);
     // Wir speichern direkt, da dies eine Zustandsänderung ist, die permanent sein soll
     localStorage.setItem('masterSchedule', JSON.stringify({ ...masterSchedule, shifts: updatedShifts }));
     setMessage("Schichtgruppe erfolgreich aktualisiert!");
@@ -3591,11 +7065,11 @@ useEffect(() => {
 
   const handleUpdateSegmentCategory = (newCategoryId, newSubCategoryId = '') => {
       setShowChangeShiftMenu(false);
-      if (!changeShiftContext || !masterSchedule) return;
+      if (!changeShiftContext || !displayedSchedule) return;
 
       const { shift, segmentIndex } = changeShiftContext;
 
-      const updatedShifts = masterSchedule.shifts.map(s => {
+      const updatedShifts = displayedSchedule.shifts.map(s => {
           if (s.id === shift.id) {
               const updatedSegments = s.segments.map((seg, idx) => {
                   if (idx === segmentIndex) {
@@ -3613,7 +7087,7 @@ useEffect(() => {
           return s;
       });
 
-      setMasterSchedule(prev => ({ ...prev, shifts: updatedShifts }));
+      setDisplayedShifts(updatedShifts);
       localStorage.setItem('masterSchedule', JSON.stringify({ ...masterSchedule, shifts: updatedShifts }));
       setMessage("Schichtkategorie erfolgreich aktualisiert!");
       setMessageType('success');
@@ -3656,15 +7130,254 @@ useEffect(() => {
     setIsEditingWeeklyPlanTitle(false);
   };
 
-  const handleCancelEditWeeklyPlanTitle = () => {
-    setIsEditingWeeklyPlanTitle(false);
-    // Revert to the last saved title if available, or default
-    setWeeklyPlanTitle(masterSchedule.title || 'Wochenplan');
-  };
+  const handleCancelEditWeeklyPlanTitle = () => {
+    setIsEditingWeeklyPlanTitle(false);
+    // Revert to the last saved title if available, or default
+    setWeeklyPlanTitle(masterSchedule.title || 'Wochenplan');
+  };
+
+  // --- NEU: Wochenvorlagen ---
+  // Aktive Vorlage inklusive des aktuell eingestellten Anzeigebereichs, damit sie beim Wechsel erhalten bleibt
+  const captureActiveTemplate = () => ({
+    ...masterSchedule,
+    id: masterSchedule.id || uuidv4(),
+    title: masterSchedule.title || 'Wochenplan',
+    displayStartTime: minutesToTime(displayStartHour * 60 + displayStartMinute),
+    displayEndTime: minutesToTime(displayEndHour * 60 + displayEndMinute),
+  });
+
+  // Macht eine Vorlage zur aktiven Vorlage und übernimmt ihren Titel und Anzeigebereich
+  const activateTemplate = (template) => {
+    const startTime = template.displayStartTime || '06:00';
+    const endTime = template.displayEndTime || '18:00';
+    setMasterSchedule(template);
+    setDisplayStartHour(parseInt(startTime.split(':')[0], 10));
+    setDisplayStartMinute(parseInt(startTime.split(':')[1], 10));
+    setDisplayEndHour(parseInt(endTime.split(':')[0], 10));
+    setDisplayEndMinute(parseInt(endTime.split(':')[1], 10));
+    setWeeklyPlanTitle(template.title || 'Wochenplan');
+    setIsEditingWeeklyPlanTitle(false);
+  };
+
+  const handleSelectScheduleTemplate = (templateId) => {
+    const template = scheduleTemplates.find(t => t.id === templateId);
+    if (!template) return;
+    setScheduleTemplates(prev => [...prev.filter(t => t.id !== templateId), captureActiveTemplate()]);
+    activateTemplate(template);
+    setMessage(`Vorlage "${template.title || 'Wochenplan'}" ausgewählt.`);
+    setMessageType('info');
+  };
+
+  // Legt eine Kopie der aktiven Vorlage an (mit neuen Schicht-IDs) und wechselt zu ihr
+  const handleDuplicateScheduleTemplate = () => {
+    const activeTemplate = captureActiveTemplate();
+    const existingTitles = new Set([activeTemplate, ...scheduleTemplates].map(t => t.title));
+    let title = `${activeTemplate.title} (Kopie)`;
+    for (let counter = 2; existingTitles.has(title); counter++) {
+      title = `${activeTemplate.title} (Kopie ${counter})`;
+    }
+    const copy = {
+      ...activeTemplate,
+      id: uuidv4(),
+      title,
+      shifts: activeTemplate.shifts.map(shift => ({ ...shift, id: uuidv4() })),
+    };
+    setScheduleTemplates(prev => [...prev, activeTemplate]);
+    activateTemplate(copy);
+    setMessage(`Vorlage "${title}" angelegt. Du bearbeitest jetzt die Kopie.`);
+    setMessageType('success');
+  };
+
+  const handleDeleteScheduleTemplate = () => {
+    if (scheduleTemplates.length === 0) return; // Die letzte Vorlage bleibt immer erhalten
+    const title = masterSchedule.title || 'Wochenplan';
+    setConfirmModalMessage(`Möchtest du die Vorlage "${title}" mit allen ${masterSchedule.shifts.length} Schichten wirklich löschen? Die Aktion kann mit „Rückgängig“ (Strg+Z) widerrufen werden.`);
+    setConfirmModalAction(() => () => {
+      const [nextTemplate] = [...scheduleTemplates].sort((a, b) => (a.title || '').localeCompare(b.title || '', 'de'));
+      setScheduleTemplates(prev => prev.filter(t => t.id !== nextTemplate.id));
+      // Kalenderwochen der gelöschten Vorlage bauen ab jetzt auf der neuen aktiven Vorlage auf
+      setCalendarWeeks(prev => prev.map(week => (week.templateId === masterSchedule.id ? { ...week, templateId: nextTemplate.id } : week)));
+      activateTemplate(nextTemplate);
+      setMessage(`Vorlage "${title}" gelöscht. Aktiv ist jetzt "${nextTemplate.title || 'Wochenplan'}".`);
+      setMessageType('success');
+      setShowConfirmModal(false);
+    });
+    setShowConfirmModal(true);
+  };
+
+  // --- NEU: Kalenderwochen ---
+  const handleShowCalendarWeek = (isoDate) => {
+    if (!isIsoDate(isoDate)) return; // Leeres oder unvollständiges Datumsfeld
+    setSelectedWeekStart(getWeekStartIsoDate(isoDate));
+  };
+
+  // Legt die gewählte Woche auf Basis der aktiven Vorlage an
+  const handleCreateCalendarWeek = () => {
+    const templateId = masterSchedule.id || uuidv4();
+    if (!masterSchedule.id) {
+      setMasterSchedule(prev => ({ ...prev, id: templateId }));
+    }
+    setCalendarWeeks(prev => [...prev, { id: uuidv4(), weekStart: selectedWeekStart, templateId, overrides: [] }]);
+    setMessage(`${formatCalendarWeekLabel(selectedWeekStart, workingDays)} aus der Vorlage "${masterSchedule.title || 'Wochenplan'}" erstellt.`);
+    setMessageType('success');
+  };
+
+  // Wechselt die Vorlage der angezeigten Woche. Abweichungen bleiben erhalten.
+  const handleSetCalendarWeekTemplate = (templateId) => {
+    if (!currentCalendarWeek) return;
+    setCalendarWeeks(prev => prev.map(week => (week.id === currentCalendarWeek.id ? { ...week, templateId } : week)));
+  };
+
+  // Stellt für einen Mitarbeiter an einem Tag wieder die Schichten aus der Vorlage her
+  const handleResetCalendarOverride = (employeeId, date) => {
+    if (!currentCalendarWeek) return;
+    setCalendarWeeks(prev => prev.map(week => (week.id === currentCalendarWeek.id
+      ? { ...week, overrides: week.overrides.filter(override => !(override.employeeId === employeeId && override.date === date)) }
+      : week)));
+    setMessage(`Schichten vom ${formatGermanDate(date)} entsprechen wieder der Vorlage.`);
+    setMessageType('success');
+  };
+
+  const handleResetCalendarWeek = () => {
+    if (!currentCalendarWeek) return;
+    const weekLabel = formatCalendarWeekLabel(currentCalendarWeek.weekStart, workingDays);
+    setConfirmModalMessage(`Möchtest du alle ${currentCalendarWeek.overrides.length} Abweichungen in ${weekLabel} verwerfen? Die Woche entspricht danach wieder ihrer Vorlage.`);
+    setConfirmModalAction(() => () => {
+      setCalendarWeeks(prev => prev.map(week => (week.id === currentCalendarWeek.id ? { ...week, overrides: [] } : week)));
+      setMessage(`Abweichungen in ${weekLabel} verworfen.`);
+      setMessageType('success');
+      setShowConfirmModal(false);
+    });
+    setShowConfirmModal(true);
+  };
+
+  const handleDeleteCalendarWeek = () => {
+    if (!currentCalendarWeek) return;
+    const weekLabel = formatCalendarWeekLabel(currentCalendarWeek.weekStart, workingDays);
+    setConfirmModalMessage(`Möchtest du ${weekLabel} mit allen Abweichungen wirklich entfernen? Die Vorlage bleibt unverändert.`);
+    setConfirmModalAction(() => () => {
+      setCalendarWeeks(prev => prev.filter(week => week.id !== currentCalendarWeek.id));
+      setMessage(`${weekLabel} entfernt.`);
+      setMessageType('success');
+      setShowConfirmModal(false);
+    });
+    setShowConfirmModal(true);
+  };
+
+  // NEU: Übernimmt die Einstellungen aus dem Kalender-Einstellungen-Modal (Bundesland, Anrechnung der Feiertage)
+  const handleApplyCalendarSettings = (newSettings) => {
+    setSettings(newSettings);
+    setShowCalendarSettingsModal(false);
+    setMessage(newSettings.federalState
+      ? `Feiertage für ${FEDERAL_STATES[newSettings.federalState]} werden berücksichtigt.`
+      : 'Es werden keine Feiertage berücksichtigt.');
+    setMessageType('success');
+  };
+
+  // NEU: Trägt Schließtage ein. Liefert eine Fehlermeldung für das Modal oder null.
+  const handleAddClosingDay = (closingDay) => {
+    if (!isIsoDate(closingDay.startDate) || !isIsoDate(closingDay.endDate)) {
+      return 'Bitte gib ein gültiges Datum an.';
+    }
+    if (closingDay.endDate < closingDay.startDate) {
+      return 'Das Ende darf nicht vor dem Beginn liegen.';
+    }
+    setClosingDays(prev => [...prev, {
+      id: uuidv4(),
+      name: closingDay.name.trim(),
+      startDate: closingDay.startDate,
+      endDate: closingDay.endDate,
+      groupIds: closingDay.groupIds,
+    }]);
+    setMessage(`Schließtag${closingDay.startDate === closingDay.endDate ? '' : 'e'} eingetragen.`);
+    setMessageType('success');
+    return null;
+  };
+
+  const handleDeleteClosingDay = (id) => {
+    setClosingDays(prev => prev.filter(closingDay => closingDay.id !== id));
+    setMessage('Schließtag gelöscht.');
+    setMessageType('success');
+  };
+
+  const handleChangeMaxClosingDays = (maxClosingDays) => {
+    setSettings(prev => ({ ...prev, maxClosingDays }));
+  };
+
+  const handleChangeDeductClosingDaysFromVacation = (deductClosingDaysFromVacation) => {
+    setSettings(prev => ({ ...prev, deductClosingDaysFromVacation }));
+  };
+
+  // NEU: Wochentag als Arbeitstag an- oder abwählen. Schichten an abgewählten Tagen bleiben gespeichert, werden aber ausgeblendet.
+  const handleToggleWorkingDay = (day) => {
+    if (!workingDays.includes(day)) {
+      setSettings(prev => ({ ...prev, workingDays: ALL_WEEK_DAYS.filter(weekDay => weekDay === day || prev.workingDays.includes(weekDay)) }));
+      return;
+    }
+    if (workingDays.length === 1) {
+      setMessage('Mindestens ein Arbeitstag muss ausgewählt bleiben.');
+      setMessageType('error');
+      return;
+    }
+    const removeDay = () => setSettings(prev => ({ ...prev, workingDays: prev.workingDays.filter(weekDay => weekDay !== day) }));
+    const plannedShiftCount = [masterSchedule, ...scheduleTemplates].flatMap(template => template.shifts).filter(shift => shift.dayOfWeek === day).length
+      + calendarWeeks.flatMap(week => week.overrides.filter(override => override.date === getWeekDates(week.weekStart)[day])).length;
+    if (plannedShiftCount === 0) {
+      removeDay();
+      return;
+    }
+    setConfirmModalMessage(`Am ${day} sind Schichten geplant. Sie bleiben gespeichert, werden aber ausgeblendet und nicht mehr berechnet, bis der ${day} wieder als Arbeitstag gewählt wird. Fortfahren?`);
+    setConfirmModalAction(() => () => {
+      removeDay();
+      setShowConfirmModal(false);
+    });
+    setShowConfirmModal(true);
+  };
+
+  // Alle Vorlagen alphabetisch für den Umschalter
+  const sortedScheduleTemplates = useMemo(
+    () => [masterSchedule, ...scheduleTemplates].sort((a, b) => (a.title || '').localeCompare(b.title || '', 'de')),
+    [masterSchedule, scheduleTemplates]
+  );
+
+  // NEU: Alle zu speichernden Daten im aktuellen Dateiformat
+  const getDataToSave = useCallback(() => ({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    groups: groups,
+    employees: employees,
+    categories: categories,
+    subCategories: subCategories,
+    disposalTimeRules: disposalTimeRules,
+    masterSchedule: masterSchedule,
+    scheduleTemplates: scheduleTemplates,
+    calendarWeeks: calendarWeeks,
+    absences: absences,
+    settings: settings,
+    closingDays: closingDays,
+    timeAccountEntries: timeAccountEntries,
+    vacationEntitlements: vacationEntitlements,
+    orderedGroupIds: orderedGroupIds,
+  }), [groups, employees, categories, subCategories, disposalTimeRules, masterSchedule, scheduleTemplates, calendarWeeks, absences, settings, closingDays, timeAccountEntries, vacationEntitlements, orderedGroupIds]);
 
 // Funktion zum Speichern von Daten in einer Datei
   // NEU: 'showSuccessMessage' Parameter hinzugefügt, Standard ist true
   const handleSaveFile = useCallback(async (currentHandle = fileHandle, showSuccessMessage = true) => {
+    // NEU: Ohne File System Access API wird die Arbeitskopie im Browser-Speicher aktualisiert
+    if (STORAGE_MODE === 'browser') {
+      try {
+        await putWorkingCopyInDb({ data: await sealStoredData(getDataToSave(), encryptionKey), fileName: workingCopyName, savedAt: new Date().toISOString() });
+        if (showSuccessMessage) {
+          setMessage('Daten im Browser-Speicher gesichert. Mit "Daten exportieren" lädst du eine Datei herunter.');
+          setMessageType('success');
+        }
+      } catch (error) {
+        console.error("Fehler beim Speichern der Arbeitskopie:", error);
+        setMessage(`Fehler beim Speichern im Browser-Speicher: ${error.message}`);
+        setMessageType('error');
+      }
+      return;
+    }
+
     console.log("handleSaveFile aufgerufen. Aktuelles Handle:", !!currentHandle);
     if (!currentHandle) {
       // Wenn kein Handle vorhanden ist, fragen Sie nach einem neuen Speicherort (Save As)
@@ -3694,28 +7407,47 @@ useEffect(() => {
         setMessage('Schreibberechtigung für die Datei ist verweigert. Bitte wähle eine neue Datei.');
         setMessageType('error');
         setFileHandle(null);
-        await deleteFileHandleFromDb(); // Handle aus IndexedDB entfernen
+        await removeFileHandleFromDb(); // Handle aus IndexedDB entfernen
         console.log("Schreibberechtigung verweigert, Handle aus DB gelöscht.");
         return;
       }
 
-      const dataToSave = {
-        groups: groups,
-        employees: employees,
-        categories: categories,
-        subCategories: subCategories,
-        disposalTimeRules: disposalTimeRules,
-        masterSchedule: masterSchedule,
-        orderedGroupIds: orderedGroupIds,
-      };
-      const jsonString = JSON.stringify(dataToSave, null, 2);
+      // NEU: Vor dem Überschreiben prüfen, ob die Datei seit dem Laden/letzten Speichern extern geändert wurde
+      const knownFileState = knownFileStateRef.current;
+      if (knownFileState && await currentHandle.isSameEntry(knownFileState.handle)) {
+        const diskFile = await currentHandle.getFile();
+        if (diskFile.lastModified !== knownFileState.lastModified) {
+          const diskContent = await diskFile.text();
+          const diskHash = await hashString(diskContent);
+          if (diskHash !== knownFileState.hash) {
+            console.warn("Datei wurde extern geändert. Speichern pausiert.");
+            setExternalChange({ handle: currentHandle, fileName: diskFile.name, lastModified: diskFile.lastModified, content: diskContent });
+            setMessage('Die Datei wurde zwischenzeitlich von jemand anderem geändert. Das automatische Speichern ist pausiert.');
+            setMessageType('error');
+            return;
+          }
+          // Nur der Zeitstempel hat sich geändert, der Inhalt ist identisch
+          knownFileStateRef.current = { ...knownFileState, lastModified: diskFile.lastModified };
+        }
+      }
+
+      const dataToSave = getDataToSave();
+      // NEU: Mit gesetztem Passwort verschlüsselt speichern
+      const jsonString = encryptionKey
+        ? await encryptFileContent(JSON.stringify(dataToSave, null, 2), encryptionKey)
+        : JSON.stringify(dataToSave, null, 2);
 
       const writable = await currentHandle.createWritable();
       await writable.write(jsonString);
       await writable.close();
 
+      // NEU: Neuen Stand der Datei merken
+      const writtenFile = await currentHandle.getFile();
+      knownFileStateRef.current = await buildKnownFileState(currentHandle, writtenFile.lastModified, jsonString, dataToSave);
+
       await putFileHandleInDb(currentHandle);
       console.log("FileHandle erfolgreich in IndexedDB gespeichert.");
+      setRecentFiles(await rememberRecentFile(currentHandle, dataToSave.masterSchedule.title, { opened: false }));
 
       // NEU: Zeige die Nachricht nur an, wenn showSuccessMessage true ist
       if (showSuccessMessage) {
@@ -3728,36 +7460,33 @@ useEffect(() => {
       setMessage(`Fehler beim Speichern der Datei: ${error.message}`);
       setMessageType('error');
     }
-  }, [groups, employees, categories, subCategories, disposalTimeRules, masterSchedule, orderedGroupIds, fileHandle, setMessage]); // setMessage als Abhängigkeit hinzugefügt
+  }, [getDataToSave, fileHandle, workingCopyName, encryptionKey, setMessage]); // setMessage als Abhängigkeit hinzugefügt
 
 
   // Funktion zum Speichern von Daten unter einem neuen Dateinamen (Export)
   const handleSaveFileAs = useCallback(async () => {
-    if (!window.showSaveFilePicker) {
-      setMessage('Ihr Browser unterstützt die File System Access API nicht.');
-      setMessageType('error');
+    const suggestedFilename = buildTimestampedFilename(weeklyPlanTitle, 'dienstplan');
+
+    // NEU: Ohne File System Access API als Download speichern
+    if (STORAGE_MODE === 'browser') {
+      try {
+        const jsonString = encryptionKey
+          ? await encryptFileContent(JSON.stringify(getDataToSave(), null, 2), encryptionKey)
+          : JSON.stringify(getDataToSave(), null, 2);
+        downloadFile(jsonString, suggestedFilename, 'application/dienstplan+json');
+        setWorkingCopyName(suggestedFilename);
+        await putWorkingCopyInDb({ data: await sealStoredData(getDataToSave(), encryptionKey), fileName: suggestedFilename, savedAt: new Date().toISOString() });
+        setMessage(`Daten als "${suggestedFilename}" heruntergeladen.`);
+        setMessageType('success');
+      } catch (error) {
+        console.error("Fehler beim Herunterladen der Datei:", error);
+        setMessage(`Fehler beim Speichern der Datei: ${error.message}`);
+        setMessageType('error');
+      }
       return;
     }
 
     try {
-      // NEU: Dateinamenslogik von handleExportSchedule hierher kopiert
-      const now = new Date();
-      const day = String(now.getDate()).padStart(2, '0');
-      const month = String(now.getMonth() + 1).padStart(2, '0'); // Month is 0-indexed
-      const year = now.getFullYear();
-      const hours = String(now.getHours()).padStart(2, '0');
-      const minutes = String(now.getMinutes()).padStart(2, '0');
-
-      // Sanitize the weeklyPlanTitle for filename usage
-      const sanitizedTitle = weeklyPlanTitle
-        .replace(/[^a-zA-Z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/--+/g, '-')
-        .trim();
-
-      // Konstruiere den vorgeschlagenen Dateinamen
-      const suggestedFilename = `${sanitizedTitle}_${day}.${month}.${year}_${hours}.${minutes}.dienstplan`; // Angepasste Endung
-
       const newHandle = await window.showSaveFilePicker({
         types: [{
           description: 'Dienstplan Datei',
@@ -3775,14 +7504,84 @@ useEffect(() => {
         setMessageType('error');
       }
     }
-  }, [handleSaveFile, weeklyPlanTitle]); // weeklyPlanTitle als Abhängigkeit hinzugefügt
+  }, [handleSaveFile, getDataToSave, encryptionKey, weeklyPlanTitle]); // weeklyPlanTitle als Abhängigkeit hinzugefügt
+
+
+  // NEU: Prüft eingelesene Dateidaten und ersetzt nach Bestätigung die aktuellen Daten.
+  // Gemeinsamer Weg für Dateiauswahl per File System Access API (mit Handle) und per Datei-Input (Browser-Speicher).
+  const confirmAndLoadImportedData = useCallback((importedData, { handle = null, fileName = '', lastModified = 0, content = '', encryptionKey: fileEncryptionKey = null } = {}) => {
+    // Struktur prüfen, Version prüfen und ggf. migrieren (wirft bei ungültigen Dateien)
+    let loadedData;
+    try {
+      loadedData = loadDienstplanData(importedData);
+    } catch (loadError) {
+      setMessage(loadError.message);
+      setMessageType('error');
+      console.warn("Importierte Datei konnte nicht geladen werden:", loadError);
+      return;
+    }
+
+    // Ersetzt nach Bestätigung die aktuellen Daten
+    const confirmReplace = (loadedData) => {
+      setConfirmModalMessage('Möchtest du die aktuellen Daten wirklich durch die importierten Daten ersetzen? Dies kann nicht rückgängig gemacht werden.');
+      setConfirmModalAction(() => async () => { // Hinzugefügt: 'async' hier, da putFileHandleInDb async ist
+        // This code runs if the user confirms
+        applyLoadedData(loadedData);
+        setEncryptionKey(fileEncryptionKey); // NEU: Verschlüsselte Dateien bleiben beim Speichern verschlüsselt
+        setIsWorkingCopyLocked(false);
+
+        if (handle) {
+          knownFileStateRef.current = await buildKnownFileState(handle, lastModified, content, loadedData);
+          setExternalChange(null);
+          setFileHandle(handle); // Speichern Sie das neue Handle
+          // NEU: Speichere das FileHandle in IndexedDB
+          await putFileHandleInDb(handle);
+          console.log("Neues FileHandle erfolgreich in IndexedDB gespeichert nach Import.");
+          setRecentFiles(await rememberRecentFile(handle, loadedData.masterSchedule.title));
+        } else {
+          // Browser-Speicher: Die importierte Datei wird zur neuen Arbeitskopie
+          setWorkingCopyName(fileName);
+          await putWorkingCopyInDb({ data: await sealStoredData(loadedData, fileEncryptionKey), fileName, savedAt: new Date().toISOString() });
+          console.log("Importierte Datei als Arbeitskopie im Browser-Speicher abgelegt.");
+        }
+
+        setMessage('Daten erfolgreich importiert!');
+        setMessageType('success');
+        setShowConfirmModal(false);
+      });
+      setShowConfirmModal(true);
+    };
+
+    // NEU: Inhalte und Verweise prüfen. Bei Problemen zuerst den Prüfbericht zeigen, repariert wird nur nach Zustimmung.
+    const { issues, data: validatedData } = validateDienstplanData(loadedData);
+    if (issues.length > 0) {
+      console.warn("Probleme in der importierten Datei:", issues);
+      setImportValidation({
+        fileName,
+        issues,
+        onRepair: () => confirmReplace(validatedData),
+        onCancel: () => setMessage('Import abgebrochen. Es wurden keine Daten geändert.'),
+      });
+    } else {
+      confirmReplace(loadedData);
+    }
+  }, [setConfirmModalMessage, setConfirmModalAction, applyLoadedData, setMessage, setShowConfirmModal]);
 
+  // NEU: Liest eine .dienstplan-Datei über ihr Handle und lädt sie nach Bestätigung (Dateiauswahl und Start per Doppelklick)
+  const loadDienstplanFileHandle = useCallback(async (handle) => {
+    const file = await handle.getFile();
+    const content = await file.text();
+    const { data: importedData, encryptionKey: fileEncryptionKey } = await parseDienstplanFileContent(content, file.name);
+    console.log("Dateiinhalt erfolgreich gelesen und geparst.");
+
+    confirmAndLoadImportedData(importedData, { handle, fileName: file.name, lastModified: file.lastModified, content, encryptionKey: fileEncryptionKey });
+  }, [confirmAndLoadImportedData, parseDienstplanFileContent]);
 
 // Funktion zum Öffnen einer Datei (Import)
   const handleOpenFile = useCallback(async () => {
-    if (!window.showOpenFilePicker) {
-      setMessage('Ihr Browser unterstützt die File System Access API nicht.');
-      setMessageType('error');
+    // NEU: Ohne File System Access API über ein normales Datei-Input öffnen (siehe handleOpenFileFromInput)
+    if (STORAGE_MODE === 'browser') {
+      openFileInputRef.current?.click();
       return;
     }
 
@@ -3797,135 +7596,162 @@ useEffect(() => {
       });
       console.log("Datei ausgewählt. Handle erhalten.");
 
-      const file = await newHandle.getFile();
-      const content = await file.text();
-      const importedData = JSON.parse(content);
-      console.log("Dateiinhalt erfolgreich gelesen und geparst.");
-
-      // Basic validation of imported data structure
-      if (
-        !importedData.groups ||
-        !importedData.employees ||
-        !importedData.categories ||
-        !importedData.subCategories ||
-        !importedData.masterSchedule ||
-        !Array.isArray(importedData.groups) ||
-        !Array.isArray(importedData.employees) ||
-        !Array.isArray(importedData.categories) ||
-        !Array.isArray(importedData.subCategories) ||
-        !Array.isArray(importedData.masterSchedule.shifts)
-      ) {
-        setMessage('Ungültiges Dateiformat. Die importierte Datei scheint kein gültiger Dienstplan-Export zu sein.');
+      await loadDienstplanFileHandle(newHandle);
+
+    } catch (error) {
+      if (error.name === 'PassphraseCancelledError') {
+        setMessage(error.message);
+        setMessageType('info');
+      } else if (error.name === 'AbortError') {
+        setMessage('Importvorgang abgebrochen.');
+        console.log("Importvorgang abgebrochen.");
+      } else {
+        console.error("Fehler beim Importieren der Daten:", error);
+        setMessage(`Fehler beim Importieren der Daten: ${error.message}. Stelle sicher, dass es sich um eine gültige Datei handelt.`);
         setMessageType('error');
-        console.warn("Importierte Datei hat ungültiges Format.");
-        return;
       }
+    }
+  }, [loadDienstplanFileHandle, setMessage]);
 
-      setConfirmModalMessage('Möchtest du die aktuellen Daten wirklich durch die importierten Daten ersetzen? Dies kann nicht rückgängig gemacht werden.');
-      setConfirmModalAction(() => async () => { // Hinzugefügt: 'async' hier, da putFileHandleInDb async ist
-        // This code runs if the user confirms
-        setGroups(importedData.groups.map(g => {
-          const groupWithInitializedHours = { ...g };
-          if (!groupWithInitializedHours.openingHours) {
-            groupWithInitializedHours.openingHours = {};
-          }
-          WEEK_DAYS_PLAN.forEach(day => {
-            if (!groupWithInitializedHours.openingHours[day]) {
-              groupWithInitializedHours.openingHours[day] = [];
-            }
-          });
-          groupWithInitializedHours.minStaffRequired = (g.minStaffRequired === undefined || g.minStaffRequired === null) ? undefined : g.minStaffRequired;
-          groupWithInitializedHours.disableStaffingWarning = g.disableStaffingWarning ?? true;
-          if (typeof groupWithInitializedHours.daysWithOpeningHours !== 'object' || groupWithInitializedHours.daysWithOpeningHours === null) {
-              groupWithInitializedHours.daysWithOpeningHours = {};
-              WEEK_DAYS_PLAN.forEach(day => groupWithInitializedHours.daysWithOpeningHours[day] = false);
-          } else {
-              WEEK_DAYS_PLAN.forEach(day => {
-                  if (groupWithInitializedHours.daysWithOpeningHours[day] === undefined) {
-                      groupWithInitializedHours.daysWithOpeningHours[day] = false;
-                  }
-              });
-          }
-          return groupWithInitializedHours;
-        }));
-        setEmployees(importedData.employees.map(emp => ({
-          ...emp,
-          overriddenDisposalHours: emp.overriddenDisposalHours ?? '',
-          type: emp.type ?? 'normal',
-          presenceDays: emp.presenceDays ?? [...WEEK_DAYS_PLAN],
-        })));
-        setCategories(importedData.categories.map(cat => ({
-          ...cat,
-          isDisposalTimeCategory: cat.isDisposalTimeCategory ?? false,
-          isCareCategory: cat.isCareCategory ?? false
-        })));
-        setSubCategories(importedData.subCategories);
-        setDisposalTimeRules(importedData.disposalTimeRules || []);
-        setMasterSchedule(importedData.masterSchedule);
-        setOrderedGroupIds(importedData.orderedGroupIds || importedData.groups.map(g => g.id));
-
-        // Dynamic adjustment of display time range based on imported shifts
-        let minOverallMinutes = 24 * 60;
-        let maxOverallMinutes = 0;
-        let hasShifts = false;
-
-        importedData.masterSchedule.shifts.forEach(shift => {
-          shift.segments.forEach(segment => {
-            const segmentStartMinutes = timeToMinutes(segment.startTime);
-            const segmentEndMinutes = timeToMinutes(segment.endTime);
-
-            minOverallMinutes = Math.min(minOverallMinutes, segmentStartMinutes);
-            maxOverallMinutes = Math.max(maxOverallMinutes, segmentEndMinutes);
-            hasShifts = true;
-          });
-        });
-
-        if (hasShifts) {
-          let newDisplayStartMinutes = Math.floor(minOverallMinutes / 15) * 15;
-          let newDisplayEndMinutes = Math.ceil(maxOverallMinutes / 15) * 15;
-
-          if (newDisplayEndMinutes <= newDisplayStartMinutes) {
-              newDisplayEndMinutes = newDisplayStartMinutes + 15;
-          }
-
-          newDisplayStartMinutes = Math.max(0, newDisplayStartMinutes);
-          newDisplayEndMinutes = Math.min(24 * 60, newDisplayEndMinutes);
+  // NEU: Öffnet eine Datei aus der Liste der zuletzt verwendeten Dateien.
+  // Fehlt die Berechtigung (z.B. nach einem Neustart des Browsers), wird sie hier erneut angefragt.
+  const handleOpenRecentFile = useCallback(async (recentFile) => {
+    try {
+      let permissionStatus = await recentFile.handle.queryPermission({ mode: 'readwrite' });
+      if (permissionStatus === 'prompt') {
+        permissionStatus = await recentFile.handle.requestPermission({ mode: 'readwrite' });
+      }
+      if (permissionStatus !== 'granted') {
+        setMessage(`Kein Zugriff auf "${recentFile.name}". Bitte erlaube den Dateizugriff, um die Datei zu öffnen.`);
+        setMessageType('error');
+        return;
+      }
 
-          setDisplayStartHour(Math.floor(newDisplayStartMinutes / 60));
-          setDisplayStartMinute(newDisplayStartMinutes % 60);
-          setDisplayEndHour(Math.floor(newDisplayEndMinutes / 60));
-          setDisplayEndMinute(newDisplayEndMinutes % 60);
-        } else {
-          setDisplayStartHour(6);
-          setDisplayStartMinute(0);
-          setDisplayEndHour(18);
-          setDisplayEndMinute(0);
-        }
+      const file = await recentFile.handle.getFile();
+      const content = await file.text();
+      const { data: importedData, encryptionKey: fileEncryptionKey } = await parseDienstplanFileContent(content, file.name);
+      confirmAndLoadImportedData(importedData, { handle: recentFile.handle, fileName: file.name, lastModified: file.lastModified, content, encryptionKey: fileEncryptionKey });
+    } catch (error) {
+      if (error.name === 'PassphraseCancelledError') {
+        setMessage(error.message);
+        setMessageType('info');
+      } else if (error.name === 'NotFoundError') {
+        setMessage(`Die Datei "${recentFile.name}" wurde nicht gefunden. Sie wurde vermutlich verschoben oder gelöscht.`);
+        setMessageType('error');
+      } else {
+        console.error("Fehler beim Öffnen der zuletzt verwendeten Datei:", error);
+        setMessage(`Fehler beim Öffnen der Datei: ${error.message}`);
+        setMessageType('error');
+      }
+    }
+  }, [confirmAndLoadImportedData, parseDienstplanFileContent, setMessage]);
 
-        setWeeklyPlanTitle(importedData.masterSchedule.title || 'Wochenplan');
-        setFileHandle(newHandle); // Speichern Sie das neue Handle
+  const handleRemoveRecentFile = useCallback(async (recentFile) => {
+    try {
+      setRecentFiles(await removeRecentFileFromDb(recentFile.id));
+    } catch (error) {
+      console.error("Fehler beim Entfernen aus der Liste:", error);
+      setMessage('Die Datei konnte nicht aus der Liste entfernt werden.');
+      setMessageType('error');
+    }
+  }, [setMessage]);
 
-        // NEU: Speichere das FileHandle in IndexedDB
-        await putFileHandleInDb(newHandle);
-        console.log("Neues FileHandle erfolgreich in IndexedDB gespeichert nach Import.");
+  // NEU: "Daten übernehmen" – liest eine andere .dienstplan-Datei und zeigt ihre Stammdaten zur Auswahl an
+  const startMasterDataImport = useCallback(async (file) => {
+    try {
+      const content = await file.text();
+      const { data: importedData } = await parseDienstplanFileContent(content, file.name);
+      // Ungültige Einträge werden wie beim Import automatisch repariert bzw. ausgelassen
+      const { data: sourceData } = validateDienstplanData(loadDienstplanData(importedData));
+      const analysis = analyzeMasterDataImport(sourceData, getDataToSave());
+      if (MASTER_DATA_TYPES.every(type => analysis[type].length === 0)) {
+        setMessage(`"${file.name}" enthält keine Gruppen, Mitarbeiter, Kategorien oder Regeln.`);
+        setMessageType('info');
+        return;
+      }
+      setMasterDataImport({ fileName: file.name, sourceData, analysis });
+    } catch (error) {
+      if (error.name === 'PassphraseCancelledError') {
+        setMessage(error.message);
+        setMessageType('info');
+        return;
+      }
+      console.error("Fehler beim Lesen der Datei für die Datenübernahme:", error);
+      setMessage(`Die Datei konnte nicht gelesen werden: ${error.message}`);
+      setMessageType('error');
+    }
+  }, [parseDienstplanFileContent, getDataToSave, setMessage]);
 
-        setMessage('Daten erfolgreich importiert!');
-        setMessageType('success');
-        setShowConfirmModal(false);
+  const handleOpenMasterDataImport = useCallback(async () => {
+    if (STORAGE_MODE === 'browser') {
+      masterDataFileInputRef.current?.click();
+      return;
+    }
+    try {
+      // Die gewählte Datei wird nur gelesen und NICHT als aktuelle Datei gemerkt
+      const [handle] = await window.showOpenFilePicker({
+        types: [{
+          description: 'Dienstplan Datei',
+          accept: { 'application/dienstplan+json': ['.dienstplan'] },
+        }],
+        multiple: false,
       });
-      setShowConfirmModal(true);
-
+      await startMasterDataImport(await handle.getFile());
     } catch (error) {
       if (error.name === 'AbortError') {
-        setMessage('Importvorgang abgebrochen.');
-        console.log("Importvorgang abgebrochen.");
+        setMessage('Datenübernahme abgebrochen.');
       } else {
-        console.error("Fehler beim Importieren der Daten:", error);
-        setMessage(`Fehler beim Importieren der Daten: ${error.message}. Stelle sicher, dass es sich um eine gültige Datei handelt.`);
+        console.error("Fehler bei der Dateiauswahl:", error);
+        setMessage(`Fehler bei der Dateiauswahl: ${error.message}`);
         setMessageType('error');
       }
     }
-  }, [setConfirmModalMessage, setConfirmModalAction, setGroups, setEmployees, setCategories, setSubCategories, setDisposalTimeRules, setMasterSchedule, setOrderedGroupIds, setDisplayStartHour, setDisplayStartMinute, setDisplayEndHour, setDisplayEndMinute, setWeeklyPlanTitle, setMessage, setShowConfirmModal]);
+  }, [startMasterDataImport, setMessage]);
+
+  const handleMasterDataFileInput = useCallback((event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Erlaubt das erneute Auswählen derselben Datei
+    if (file) startMasterDataImport(file);
+  }, [startMasterDataImport]);
+
+  const handleApplyMasterDataImport = useCallback((choices) => {
+    if (!masterDataImport) return;
+    const { data: mergedData, counts } = mergeMasterData(getDataToSave(), masterDataImport.analysis, choices);
+    setGroups(mergedData.groups);
+    setCategories(mergedData.categories);
+    setSubCategories(mergedData.subCategories);
+    setEmployees(mergedData.employees);
+    setDisposalTimeRules(mergedData.disposalTimeRules);
+    setOrderedGroupIds(mergedData.orderedGroupIds);
+    setMasterDataImport(null);
+
+    const parts = [`${counts.added} hinzugefügt`, `${counts.updated} aktualisiert`];
+    if (counts.skipped > 0) parts.push(`${counts.skipped} Unterkategorien ohne Oberkategorie übersprungen`);
+    setMessage(`Daten aus "${masterDataImport.fileName}" übernommen: ${parts.join(', ')}.`);
+    setMessageType(counts.skipped > 0 ? 'info' : 'success');
+  }, [masterDataImport, getDataToSave, setMessage]);
+
+  // NEU: Datei-Input für den Browser-Speicher-Modus
+  const handleOpenFileFromInput = useCallback(async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Erlaubt das erneute Auswählen derselben Datei
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      const { data: importedData, encryptionKey: fileEncryptionKey } = await parseDienstplanFileContent(content, file.name);
+      confirmAndLoadImportedData(importedData, { fileName: file.name, encryptionKey: fileEncryptionKey });
+    } catch (error) {
+      if (error.name === 'PassphraseCancelledError') {
+        setMessage(error.message);
+        setMessageType('info');
+        return;
+      }
+      console.error("Fehler beim Importieren der Daten:", error);
+      setMessage(`Fehler beim Importieren der Daten: ${error.message}. Stelle sicher, dass es sich um eine gültige Datei handelt.`);
+      setMessageType('error');
+    }
+  }, [confirmAndLoadImportedData, parseDienstplanFileContent, setMessage]);
 
 
 // Aktualisieren Sie handleClearAllData, um auch das fileHandle zu löschen
@@ -3938,7 +7764,16 @@ useEffect(() => {
       setSubCategories([]);
       setDisposalTimeRules([]);
       setMasterSchedule({ shifts: [], displayStartTime: '06:00', displayEndTime: '18:00', title: 'Wochenplan' });
+      setScheduleTemplates([]);
+      setCalendarWeeks([]);
+      setAbsences([]);
+      setSettings(DEFAULT_SETTINGS);
+      setClosingDays([]);
+      setTimeAccountEntries([]);
+      setVacationEntitlements([]);
       setOrderedGroupIds([]);
+      setNewEmployee(createEmptyEmployeeForm(DEFAULT_SETTINGS.workingDays));
+      setEditingEmployeeId(null);
       setSelectedGroupIdFilter('all');
       setDisplayStartHour(6);
       setDisplayStartMinute(0);
@@ -3946,10 +7781,17 @@ useEffect(() => {
       setDisplayEndMinute(0);
       setWeeklyPlanTitle('Wochenplan');
       setFileHandle(null); // NEU: fileHandle löschen
+      knownFileStateRef.current = null;
+      setExternalChange(null);
+      setEncryptionKey(null);
+      setIsWorkingCopyLocked(false);
 
       // NEU: Lösche das FileHandle aus IndexedDB
-      await deleteFileHandleFromDb();
+      await removeFileHandleFromDb();
       console.log("FileHandle erfolgreich aus IndexedDB gelöscht.");
+      // NEU: Auch die Arbeitskopie des Browser-Speicher-Modus entfernen
+      setWorkingCopyName('');
+      await removeWorkingCopyFromDb();
 
       setMessage('Alle Daten erfolgreich gelöscht!');
       setMessageType('success');
@@ -3961,7 +7803,11 @@ useEffect(() => {
   // NEU: Auto-Save Effekt
   useEffect(() => {
     // Speichern nur, wenn der initiale Ladevorgang abgeschlossen ist UND ein FileHandle existiert
-    if (!isInitialLoadComplete || !fileHandle) {
+    // NEU: Im Browser-Speicher-Modus wird immer in die Arbeitskopie in IndexedDB gespeichert
+    // NEU: Bei einer erkannten externen Änderung pausiert, bis der Nutzer entschieden hat
+    // NEU: Nur der bearbeitende Tab speichert
+    // NEU: Eine gesperrte (verschlüsselte, nicht geöffnete) Arbeitskopie wird nicht überschrieben
+    if (!isInitialLoadComplete || (STORAGE_MODE === 'file' && !fileHandle) || externalChange || tabRole !== 'owner' || isWorkingCopyLocked) {
       console.log("Auto-Save übersprungen: Initialer Ladevorgang nicht abgeschlossen oder kein FileHandle.");
       return;
     }
@@ -3976,6 +7822,10 @@ useEffect(() => {
       console.log("Auto-Save Timer abgelaufen, führe Speicherung aus...");
       // Rufe handleSaveFile auf, aber ohne Erfolgsmeldung (showSuccessMessage = false)
       handleSaveFile(fileHandle, false);
+      // NEU: Bei Fälligkeit zusätzlich eine stündliche/tägliche Sicherung im Browser ablegen
+      createRollingBackups(getDataToSave(), { encryptionKey, settings: backupSettings }).catch(error => {
+        console.error("Fehler beim Anlegen der automatischen Sicherung:", error);
+      });
     }, 1000); // Speichert nach 1 Sekunde Inaktivität
 
     // Cleanup-Funktion: Löscht den Timer, wenn die Komponente unmountet oder Abhängigkeiten sich ändern
@@ -3984,26 +7834,406 @@ useEffect(() => {
         clearTimeout(autoSaveTimeoutRef.current);
       }
     };
-  }, [
-    groups, employees, categories, subCategories, disposalTimeRules,
-    masterSchedule, orderedGroupIds, // Überwache alle relevanten Daten-States
-    fileHandle, isInitialLoadComplete, handleSaveFile // Abhängigkeiten für den Effekt
-  ]);
+  }, [
+    groups, employees, categories, subCategories, disposalTimeRules,
+    masterSchedule, scheduleTemplates, calendarWeeks, absences, settings, closingDays, timeAccountEntries, vacationEntitlements, orderedGroupIds, // Überwache alle relevanten Daten-States
+    fileHandle, isInitialLoadComplete, handleSaveFile, getDataToSave, backupSettings, externalChange, tabRole, encryptionKey, isWorkingCopyLocked // Abhängigkeiten für den Effekt
+  ]);
+
+  // --- NEU: Abstimmung mehrerer Tabs ---
+  // Kanal zu den anderen Tabs öffnen. Nachrichten werden über eine Ref an den aktuellen Handler weitergereicht.
+  useEffect(() => {
+    if (!SUPPORTS_TAB_SYNC) return;
+    const channel = new BroadcastChannel(TAB_SYNC_CHANNEL_NAME);
+    channel.onmessage = (event) => handleTabSyncMessageRef.current?.(event.data);
+    tabSyncChannelRef.current = channel;
+    return () => {
+      channel.close();
+      tabSyncChannelRef.current = null;
+    };
+  }, []);
+
+  // Besitz der Datei über eine Web-Lock-Sperre klären: Wer sie hält, bearbeitet. Die anderen warten,
+  // bis der Tab geschlossen wird, oder übernehmen sie ausdrücklich ("Hier bearbeiten").
+  useEffect(() => {
+    if (!SUPPORTS_TAB_SYNC) return;
+    let isActive = true;
+    let releaseLock = null;
+    let waitController = null;
+
+    const requestOwnership = (options) => {
+      navigator.locks.request(TAB_OWNER_LOCK_NAME, options, (lock) => {
+        if (!isActive) return;
+        if (!lock) { // Nur bei ifAvailable: Ein anderer Tab bearbeitet bereits
+          setTabRole('follower');
+          waitForOwnership();
+          return;
+        }
+        setTabRole('owner');
+        return new Promise(resolve => { releaseLock = resolve; }); // Sperre halten, bis der Tab geschlossen wird
+      }).catch(error => {
+        // Warteanfrage abgebrochen oder Sperre von einem anderen Tab übernommen
+        if (!isActive || options.signal?.aborted) return;
+        console.log("Bearbeitung an einen anderen Tab abgegeben:", error.name);
+        releaseLock = null;
+        setTabRole('follower');
+        waitForOwnership();
+      });
+    };
+    const waitForOwnership = () => {
+      waitController = new AbortController();
+      requestOwnership({ signal: waitController.signal });
+    };
+
+    takeOverTabOwnershipRef.current = () => {
+      waitController?.abort();
+      requestOwnership({ steal: true });
+    };
+
+    requestOwnership({ ifAvailable: true });
+
+    return () => {
+      isActive = false;
+      waitController?.abort();
+      releaseLock?.();
+      takeOverTabOwnershipRef.current = null;
+    };
+  }, []);
+
+  // Nachrichten anderer Tabs: Daten übernehmen (nur anzeigende Tabs) bzw. auf Anfrage den aktuellen Stand senden
+  useEffect(() => {
+    handleTabSyncMessageRef.current = (message) => {
+      if (message.type === 'state' && tabRole !== 'owner') {
+        applySyncedData(message.data);
+        // Nur der abgeleitete, nicht exportierbare Schlüssel wird geteilt, nie das Passwort.
+        // Damit wird bei einer Übernahme weiter verschlüsselt gespeichert.
+        setEncryptionKey(message.encryptionKey ?? null);
+      } else if (message.type === 'request-state' && tabRole === 'owner' && isInitialLoadComplete) {
+        tabSyncChannelRef.current?.postMessage({ type: 'state', data: getDataToSave(), encryptionKey });
+      }
+    };
+  }, [tabRole, isInitialLoadComplete, applySyncedData, getDataToSave, encryptionKey]);
+
+  // Bearbeitender Tab: jede Änderung (bei Drags erst nach dem Loslassen) an die anderen Tabs senden
+  useEffect(() => {
+    if (!tabSyncChannelRef.current || tabRole !== 'owner' || !isInitialLoadComplete || isDragging) return;
+    tabSyncChannelRef.current.postMessage({ type: 'state', data: getDataToSave(), encryptionKey });
+  }, [tabRole, isInitialLoadComplete, isDragging, getDataToSave, encryptionKey]);
+
+  // Rollenwechsel behandeln
+  useEffect(() => {
+    const previousRole = previousTabRoleRef.current;
+    previousTabRoleRef.current = tabRole;
+
+    if (tabRole === 'follower') {
+      // Aktuellen Stand beim bearbeitenden Tab anfordern
+      tabSyncChannelRef.current?.postMessage({ type: 'request-state' });
+      return;
+    }
+    if (tabRole !== 'owner' || previousRole !== 'follower') return;
+
+    // Übernahme der Bearbeitung: Die Datei wurde inzwischen vom anderen Tab geschrieben,
+    // daher den bekannten Dateistand auffrischen, bevor wieder automatisch gespeichert wird.
+    setMessage('Dieser Tab bearbeitet jetzt den Dienstplan.');
+    setMessageType('info');
+    if (STORAGE_MODE !== 'file') return;
+    setFileHandle(null);
+    (async () => {
+      try {
+        const handle = await getFileHandleFromDb();
+        if (!handle || await handle.queryPermission({ mode: 'readwrite' }) !== 'granted') return;
+        const file = await handle.getFile();
+        const content = await file.text();
+        // Ohne Basisdaten: Ein späteres Zusammenführen nutzt dann die Dateiversion als Basis
+        knownFileStateRef.current = await buildKnownFileState(handle, file.lastModified, content, null);
+        setFileHandle(handle);
+      } catch (error) {
+        console.error("Fehler beim Übernehmen der Datei:", error);
+        setMessage('Die Datei konnte nicht übernommen werden. Bitte importiere sie erneut.');
+        setMessageType('error');
+      }
+    })();
+  }, [tabRole]);
+
+  // --- NEU: Umgang mit extern geänderten Dateien ---
+  // Fremde Version laden und eigene, ungespeicherte Änderungen verwerfen
+  const handleReloadExternalChange = useCallback(async () => {
+    if (!externalChange) return;
+    try {
+      const { data: importedData, encryptionKey: fileEncryptionKey } = await parseDienstplanFileContent(externalChange.content, externalChange.fileName, encryptionKey);
+      const loadedData = loadDienstplanData(importedData);
+      knownFileStateRef.current = await buildKnownFileState(externalChange.handle, externalChange.lastModified, externalChange.content, loadedData);
+      applyLoadedData(loadedData);
+      setEncryptionKey(fileEncryptionKey);
+      setExternalChange(null);
+      setMessage('Die geänderte Datei wurde neu geladen.');
+      setMessageType('success');
+    } catch (error) {
+      console.error("Fehler beim Laden der geänderten Datei:", error);
+      setMessage(`Die geänderte Datei konnte nicht geladen werden: ${error.message}`);
+      setMessageType('error');
+    }
+  }, [externalChange, applyLoadedData, parseDienstplanFileContent, encryptionKey]);
+
+  // Fremde Änderungen verwerfen und die Datei mit dem eigenen Stand überschreiben
+  const handleOverwriteExternalChange = useCallback(async () => {
+    if (!externalChange) return;
+    knownFileStateRef.current = await buildKnownFileState(externalChange.handle, externalChange.lastModified, externalChange.content, knownFileStateRef.current?.baseData);
+    setExternalChange(null);
+    await handleSaveFile(externalChange.handle, true);
+  }, [externalChange, handleSaveFile]);
+
+  // Eigene und fremde Änderungen zusammenführen; bei widersprüchlichen Änderungen gewinnt der eigene Stand
+  const handleMergeExternalChange = useCallback(async () => {
+    if (!externalChange) return;
+    try {
+      const { data: importedData } = await parseDienstplanFileContent(externalChange.content, externalChange.fileName, encryptionKey);
+      const theirData = loadDienstplanData(importedData);
+      const baseData = knownFileStateRef.current?.baseData || theirData;
+      const { data: mergedData, conflicts } = mergeDienstplanData(baseData, getDataToSave(), theirData);
+      knownFileStateRef.current = await buildKnownFileState(externalChange.handle, externalChange.lastModified, externalChange.content, theirData);
+      applyLoadedData(mergedData);
+      setExternalChange(null); // Das automatische Speichern schreibt den zusammengeführten Stand
+      setMessage(conflicts > 0
+        ? `Änderungen zusammengeführt. Bei ${conflicts} widersprüchlichen Änderungen wurde deine Version übernommen.`
+        : 'Änderungen erfolgreich zusammengeführt.');
+      setMessageType('success');
+    } catch (error) {
+      console.error("Fehler beim Zusammenführen:", error);
+      setMessage(`Die Änderungen konnten nicht zusammengeführt werden: ${error.message}`);
+      setMessageType('error');
+    }
+  }, [externalChange, getDataToSave, applyLoadedData, parseDienstplanFileContent, encryptionKey]);
+
+  // --- NEU: Verschlüsselung ---
+  // Nach dem Setzen/Entfernen des Passworts sofort speichern, damit Datei bzw. Arbeitskopie den neuen Zustand haben.
+  // Über ein Flag, weil handleSaveFile den neuen Schlüssel erst nach dem nächsten Render kennt.
+  const saveAfterEncryptionChangeRef = useRef(false);
+  useEffect(() => {
+    if (!saveAfterEncryptionChangeRef.current) return;
+    saveAfterEncryptionChangeRef.current = false;
+    if (STORAGE_MODE === 'browser' || fileHandle) {
+      handleSaveFile(fileHandle, false);
+    }
+  }, [encryptionKey, fileHandle, handleSaveFile]);
+
+  const handleSetEncryption = useCallback(async (passphrase) => {
+    setShowEncryptionModal(false);
+    const newEncryptionKey = await createEncryptionKey(passphrase);
+    saveAfterEncryptionChangeRef.current = true;
+    setEncryptionKey(newEncryptionKey);
+    // Ältere Sicherungen enthalten die Daten noch unverschlüsselt
+    encryptStoredBackups(newEncryptionKey).catch(error => {
+      console.error("Fehler beim Verschlüsseln der Sicherungen:", error);
+    });
+    setMessage(STORAGE_MODE === 'file' && fileHandle
+      ? 'Die Datei und ihre Sicherungen werden ab jetzt verschlüsselt gespeichert.'
+      : 'Exportierte Dateien, der Browser-Speicher und die Sicherungen werden ab jetzt verschlüsselt.');
+    setMessageType('success');
+  }, [fileHandle]);
+
+  const handleRemoveEncryption = useCallback(() => {
+    setShowEncryptionModal(false);
+    saveAfterEncryptionChangeRef.current = true;
+    setEncryptionKey(null);
+    setMessage('Die Verschlüsselung wurde entfernt. Die Datei wird ab jetzt unverschlüsselt gespeichert.');
+    setMessageType('info');
+  }, []);
+
+  // Beantwortet die laufende Passwortabfrage (null = abgebrochen)
+  const handlePassphrasePromptResult = useCallback((passphrase) => {
+    passphrasePrompt?.resolve(passphrase);
+    setPassphrasePrompt(null);
+  }, [passphrasePrompt]);
+
+  // --- NEU: Sicherungen ---
+  const handleOpenBackups = useCallback(async () => {
+    try {
+      const storedBackups = await getAllFromDb(BACKUP_STORE_NAME);
+      setBackups(storedBackups.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+      setShowBackupsModal(true);
+    } catch (error) {
+      console.error("Fehler beim Laden der Sicherungen:", error);
+      setMessage('Die Sicherungen konnten nicht geladen werden.');
+      setMessageType('error');
+    }
+  }, []);
+
+  const handleBackupSettingsChange = useCallback((newSettings) => {
+    setBackupSettings(newSettings);
+    localStorage.setItem(BACKUP_SETTINGS_STORAGE_KEY, JSON.stringify(newSettings));
+  }, []);
+
+  const handleDeleteBackup = useCallback(async (backup) => {
+    try {
+      await removeValueFromDb(BACKUP_STORE_NAME, backup.id);
+      setBackups(prev => prev.filter(b => b.id !== backup.id));
+    } catch (error) {
+      console.error("Fehler beim Löschen der Sicherung:", error);
+      setMessage('Die Sicherung konnte nicht gelöscht werden.');
+      setMessageType('error');
+    }
+  }, []);
+
+  const handleRestoreBackup = useCallback(async (backup) => {
+    // Sicherungen können aus älteren App-Versionen stammen, daher ebenfalls migrieren.
+    // Verschlüsselte Sicherungen werden mit dem aktuellen Schlüssel bzw. nach Passwortabfrage entschlüsselt.
+    let loadedData;
+    try {
+      const { data: backupData } = isEncryptedFileContent(backup.data)
+        ? await parseDienstplanFileContent(JSON.stringify(backup.data), `Sicherung "${backup.title}"`, encryptionKey)
+        : { data: backup.data };
+      loadedData = loadDienstplanData(backupData);
+    } catch (loadError) {
+      setMessage(loadError.message);
+      setMessageType('error');
+      return;
+    }
+
+    const backupTime = new Date(backup.createdAt).toLocaleString('de-DE');
+    setConfirmModalMessage(`Möchtest du die Sicherung "${backup.title}" vom ${backupTime} wiederherstellen? Der aktuelle Stand wird vorher als zusätzliche Sicherung abgelegt.`);
+    setConfirmModalAction(() => async () => {
+      try {
+        await createBackup(getDataToSave(), 'manual', { encryptionKey });
+        await pruneBackups(await getAllFromDb(BACKUP_STORE_NAME, true), 'manual', MAX_MANUAL_BACKUPS);
+      } catch (error) {
+        console.error("Fehler beim Sichern des aktuellen Stands:", error);
+      }
+      applyLoadedData(loadedData);
+      setShowBackupsModal(false);
+      setShowConfirmModal(false);
+      setMessage(`Sicherung vom ${backupTime} wiederhergestellt.`);
+      setMessageType('success');
+    });
+    setShowConfirmModal(true);
+  }, [getDataToSave, applyLoadedData, parseDienstplanFileContent, encryptionKey]);
+
+  // NEU: Verlauf für Undo/Redo mitschreiben
+  // Alle State-Änderungen eines Renders (z.B. mehrere setX-Aufrufe in einem Handler) ergeben einen Schritt.
+  // Während eines Drags wird nichts festgehalten, erst beim Loslassen entsteht ein einziger Schritt.
+  // Aufeinanderfolgende Eingaben im selben Textfeld ergeben ebenfalls nur einen Schritt (bis das Feld verlassen wird).
+  useEffect(() => {
+    const snapshot = { groups, employees, categories, subCategories, disposalTimeRules, masterSchedule, scheduleTemplates, calendarWeeks, absences, settings, closingDays, timeAccountEntries, vacationEntitlements, orderedGroupIds };
+
+    if (!isInitialLoadComplete) {
+      lastHistorySnapshotRef.current = snapshot;
+      return;
+    }
+    if (historyActionRef.current === 'reset') {
+      historyActionRef.current = null;
+      historyTypingFieldRef.current = null;
+      lastHistorySnapshotRef.current = snapshot;
+      setUndoStack([]);
+      setRedoStack([]);
+      return;
+    }
+    if (historyActionRef.current === 'apply') {
+      historyActionRef.current = null;
+      historyTypingFieldRef.current = null;
+      lastHistorySnapshotRef.current = snapshot;
+      return;
+    }
+    if (isDragging) return;
+
+    const previousSnapshot = lastHistorySnapshotRef.current;
+    if (!previousSnapshot || HISTORY_KEYS.every(key => previousSnapshot[key] === snapshot[key])) {
+      lastHistorySnapshotRef.current = snapshot;
+      return;
+    }
+
+    const typingField = isTypingField(document.activeElement) ? document.activeElement : null;
+    if (!typingField || typingField !== historyTypingFieldRef.current) {
+      setUndoStack(prev => [...prev, previousSnapshot].slice(-MAX_HISTORY_STEPS));
+    }
+    historyTypingFieldRef.current = typingField;
+    setRedoStack([]);
+    lastHistorySnapshotRef.current = snapshot;
+  }, [groups, employees, categories, subCategories, disposalTimeRules, masterSchedule, scheduleTemplates, calendarWeeks, absences, settings, closingDays, timeAccountEntries, vacationEntitlements, orderedGroupIds, isDragging, isInitialLoadComplete]);
+
+  // Verlässt der Fokus das Textfeld, beginnt die nächste Eingabe einen neuen Schritt
+  useEffect(() => {
+    const handleFocusOut = () => {
+      historyTypingFieldRef.current = null;
+    };
+    document.addEventListener('focusout', handleFocusOut);
+    return () => document.removeEventListener('focusout', handleFocusOut);
+  }, []);
+
+  // Setzt alle bearbeitbaren Daten auf einen Schnappschuss aus dem Verlauf
+  const applyHistorySnapshot = useCallback((snapshot) => {
+    historyActionRef.current = 'apply';
+    setGroups(snapshot.groups);
+    setEmployees(snapshot.employees);
+    setCategories(snapshot.categories);
+    setSubCategories(snapshot.subCategories);
+    setDisposalTimeRules(snapshot.disposalTimeRules);
+    setMasterSchedule(snapshot.masterSchedule);
+    setScheduleTemplates(snapshot.scheduleTemplates);
+    setCalendarWeeks(snapshot.calendarWeeks);
+    setAbsences(snapshot.absences);
+    setSettings(snapshot.settings);
+    setClosingDays(snapshot.closingDays);
+    setTimeAccountEntries(snapshot.timeAccountEntries);
+    setVacationEntitlements(snapshot.vacationEntitlements);
+    setOrderedGroupIds(snapshot.orderedGroupIds);
+    setWeeklyPlanTitle(snapshot.masterSchedule.title || 'Wochenplan');
+  }, []);
+
+  const handleUndo = useCallback(() => {
+    if (undoStack.length === 0 || isDragging || isReadOnlyTab) return;
+    const previousSnapshot = undoStack[undoStack.length - 1];
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack([...redoStack, lastHistorySnapshotRef.current]);
+    applyHistorySnapshot(previousSnapshot);
+    setMessage('Letzte Änderung rückgängig gemacht.');
+    setMessageType('info');
+  }, [undoStack, redoStack, isDragging, isReadOnlyTab, applyHistorySnapshot]);
+
+  const handleRedo = useCallback(() => {
+    if (redoStack.length === 0 || isDragging || isReadOnlyTab) return;
+    const nextSnapshot = redoStack[redoStack.length - 1];
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack([...undoStack, lastHistorySnapshotRef.current]);
+    applyHistorySnapshot(nextSnapshot);
+    setMessage('Änderung wiederhergestellt.');
+    setMessageType('info');
+  }, [undoStack, redoStack, isDragging, isReadOnlyTab, applyHistorySnapshot]);
+
+  // Tastenkürzel: Strg+Z = Rückgängig, Strg+Y bzw. Strg+Umschalt+Z = Wiederholen
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      // In Eingabefeldern bleibt das native Rückgängig des Browsers aktiv
+      const tagName = e.target.tagName;
+      if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || e.target.isContentEditable) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
 
 // NEU: Funktion zum Löschen nur des Wochenplans
   const handleClearSchedule = useCallback(() => {
-    setConfirmModalMessage('Möchtest du WIRKLICH den Wochenplan löschen? Mitarbeiter, Gruppen und Kategorien bleiben erhalten. Diese Aktion lässt sich NICHT rückgängig machen!');
+    setConfirmModalMessage('Möchtest du WIRKLICH den Wochenplan löschen? Mitarbeiter, Gruppen und Kategorien bleiben erhalten. Die Aktion kann mit „Rückgängig“ (Strg+Z) widerrufen werden.');
     setConfirmModalAction(() => () => {
       // Setzt den Wochenplan auf den initialen leeren Zustand zurück
       const defaultSchedule = { shifts: [], displayStartTime: '06:00', displayEndTime: '18:00', title: 'Wochenplan' };
-      setMasterSchedule(defaultSchedule);
+      setMasterSchedule(prev => ({ ...defaultSchedule, id: prev.id })); // Die Vorlage selbst bleibt bestehen
       setDisplayStartHour(6);
       setDisplayStartMinute(0);
       setDisplayEndHour(18);
       setDisplayEndMinute(0);
       setWeeklyPlanTitle('Wochenplan');
 
-      // Wichtig: Hier NICHT deleteFileHandleFromDb() aufrufen,
+      // Wichtig: Hier NICHT removeFileHandleFromDb() aufrufen,
       // da nur der Plan geleert wird, nicht die Datei.
       // Die Änderungen werden erst beim nächsten "Speichern" in die Datei geschrieben.
 
@@ -4021,25 +8251,12 @@ useEffect(() => {
     try {
       const dataToExport = {
         masterSchedule: masterSchedule,
-        // Optional: Fügen Sie hier weitere relevante Daten hinzu, die für den Wochenplan wichtig sind
+        // NEU: Namen der verwendeten Mitarbeiter/Kategorien für die Zuordnung beim Import in eine andere Datei
+        references: buildScheduleReferences(masterSchedule, { employees, groups, categories, subCategories }),
       };
       const jsonString = JSON.stringify(dataToExport, null, 2); // Pretty print JSON
 
-      const now = new Date();
-      const day = String(now.getDate()).padStart(2, '0');
-      const month = String(now.getMonth() + 1).padStart(2, '0'); // Month is 0-indexed
-      const year = now.getFullYear();
-      const hours = String(now.getHours()).padStart(2, '0');
-      const minutes = String(now.getMinutes()).padStart(2, '0');
-
-      // Sanitize the weeklyPlanTitle for filename usage
-      const sanitizedTitle = weeklyPlanTitle
-        .replace(/[^a-zA-Z0-9\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/--+/g, '-')
-        .trim();
-
-      const filename = `${sanitizedTitle}_${day}.${month}.${year}_${hours}.${minutes}.wochenplan`;
+      const filename = buildTimestampedFilename(weeklyPlanTitle, 'wochenplan');
 
     // NEU: Logik für Ordnerauswahl mit showSaveFilePicker
     if (window.showSaveFilePicker) { // Prüfen, ob die API unterstützt wird
@@ -4076,17 +8293,7 @@ useEffect(() => {
     }
 
       // Fallback: Standard-Download-Link, falls showSaveFilePicker nicht verfügbar ist oder fehlschlägt
-      const blob = new Blob([jsonString], { type: 'application/wochenplan+json' });
-      const url = URL.createObjectURL(blob);
-
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url); // Clean up the URL object
+      downloadFile(jsonString, filename, 'application/wochenplan+json');
 
       setMessage(`Wochenplan "${filename}" erfolgreich heruntergeladen.`);
       setMessageType('success');
@@ -4096,17 +8303,12 @@ useEffect(() => {
       setMessage('Fehler beim Exportieren des Wochenplans.');
       setMessageType('error');
     }
-  }, [masterSchedule, weeklyPlanTitle, setMessage]); // Abhängigkeiten für useMemo
+  }, [masterSchedule, employees, groups, categories, subCategories, weeklyPlanTitle, setMessage]); // Abhängigkeiten für useMemo
 
 
 // NEU: Funktion zum Importieren nur des Wochenplans
-  const handleImportSchedule = useCallback((event) => {
-    const file = event.target.files[0];
-    if (!file) {
-      setMessage('Bitte eine Datei zum Importieren auswählen.');
-      return;
-    }
-
+  // NEU: Importiert den Wochenplan aus einer .wochenplan-Datei (Datei-Input oder Start per Doppelklick)
+  const importScheduleFile = useCallback((file) => {
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
@@ -4122,33 +8324,73 @@ useEffect(() => {
           return;
         }
 
-        setConfirmModalMessage('Möchtest du den aktuellen Wochenplan wirklich durch den importierten Wochenplan ersetzen? Mitarbeiter, Gruppen und Kategorien bleiben erhalten.');
-        setConfirmModalAction(() => () => {
-          // This code runs if the user confirms
-          setMasterSchedule(importedData.masterSchedule);
-
-          // Update display times and title from imported schedule
-          const importedStartTime = importedData.masterSchedule.displayStartTime || '06:00';
-          const importedEndTime = importedData.masterSchedule.displayEndTime || '18:00';
-          setDisplayStartHour(parseInt(importedStartTime.split(':')[0], 10));
-          setDisplayStartMinute(parseInt(importedStartTime.split(':')[1], 10));
-          setDisplayEndHour(parseInt(importedEndTime.split(':')[0], 10));
-          setDisplayEndMinute(parseInt(importedEndTime.split(':')[1], 10));
-          setWeeklyPlanTitle(importedData.masterSchedule.title || 'Wochenplan');
-
-          // Wichtig: Hier NICHT putFileHandleInDb() aufrufen,
-          // da nur der Plan importiert wird, nicht die Datei.
-          // Die Änderungen werden erst beim nächsten "Speichern" in die Hauptdatei geschrieben.
-
-          setMessage('Wochenplan erfolgreich importiert!');
-          setMessageType('success');
-          setShowConfirmModal(false);
-          setShowScheduleManagementModal(false); // Modal schließen
-          if (fileInputScheduleRef.current) { // Use the new ref here
+        const confirmScheduleImport = (importedSchedule) => {
+          setConfirmModalMessage('Möchtest du den aktuellen Wochenplan wirklich durch den importierten Wochenplan ersetzen? Mitarbeiter, Gruppen und Kategorien bleiben erhalten.');
+          setConfirmModalAction(() => () => {
+            // This code runs if the user confirms
+            setMasterSchedule(prev => ({ ...importedSchedule, id: prev.id })); // Ersetzt den Inhalt der aktiven Vorlage
+
+            // Update display times and title from imported schedule
+            const importedStartTime = importedSchedule.displayStartTime || '06:00';
+            const importedEndTime = importedSchedule.displayEndTime || '18:00';
+            setDisplayStartHour(parseInt(importedStartTime.split(':')[0], 10));
+            setDisplayStartMinute(parseInt(importedStartTime.split(':')[1], 10));
+            setDisplayEndHour(parseInt(importedEndTime.split(':')[0], 10));
+            setDisplayEndMinute(parseInt(importedEndTime.split(':')[1], 10));
+            setWeeklyPlanTitle(importedSchedule.title || 'Wochenplan');
+
+            // Wichtig: Hier NICHT putFileHandleInDb() aufrufen,
+            // da nur der Plan importiert wird, nicht die Datei.
+            // Die Änderungen werden erst beim nächsten "Speichern" in die Hauptdatei geschrieben.
+
+            setMessage('Wochenplan erfolgreich importiert!');
+            setMessageType('success');
+            setShowConfirmModal(false);
+            setShowScheduleManagementModal(false); // Modal schließen
+            if (fileInputScheduleRef.current) { // Use the new ref here
+              fileInputScheduleRef.current.value = '';
+            }
+          });
+          setShowConfirmModal(true);
+        };
+
+        const cancelScheduleImport = () => {
+          setMessage('Import abgebrochen. Der Wochenplan wurde nicht geändert.');
+          if (fileInputScheduleRef.current) {
             fileInputScheduleRef.current.value = '';
           }
-        });
-        setShowConfirmModal(true);
+        };
+
+        // NEU: Schichten gegen die Mitarbeiter und Kategorien dieser App prüfen
+        const validateAndConfirmScheduleImport = (importedSchedule) => {
+          const { issues, masterSchedule: validatedSchedule } = validateMasterSchedule(importedSchedule, { employees, categories, subCategories });
+          if (issues.length > 0) {
+            console.warn("Probleme im importierten Wochenplan:", issues);
+            setShowScheduleManagementModal(false); // Der Bericht soll nicht vom Wochenplan-Dialog verdeckt werden
+            setImportValidation({
+              fileName: file.name,
+              issues,
+              onRepair: () => confirmScheduleImport(validatedSchedule),
+              onCancel: cancelScheduleImport,
+            });
+          } else {
+            confirmScheduleImport(importedSchedule);
+          }
+        };
+
+        // NEU: Unbekannte Mitarbeiter und Kategorien zuerst zuordnen lassen (z.B. beim Import in eine andere Datei)
+        const unknownReferences = findUnknownScheduleReferences(importedData, { employees, groups, categories, subCategories });
+        if (Object.values(unknownReferences).some(entries => entries.length > 0)) {
+          setShowScheduleManagementModal(false);
+          setReferenceMapping({
+            fileName: file.name,
+            unknownReferences,
+            onApply: (mapping) => validateAndConfirmScheduleImport(applyScheduleReferenceMapping(importedData.masterSchedule, mapping)),
+            onCancel: cancelScheduleImport,
+          });
+        } else {
+          validateAndConfirmScheduleImport(importedData.masterSchedule);
+        }
 
       } catch (error) {
         console.error("Fehler beim Importieren des Wochenplans:", error);
@@ -4160,7 +8402,57 @@ useEffect(() => {
       }
     };
     reader.readAsText(file);
-  }, [setMessage, setMasterSchedule, setDisplayStartHour, setDisplayStartMinute, setDisplayEndHour, setDisplayEndMinute, setWeeklyPlanTitle]);
+  }, [employees, groups, categories, subCategories, setMessage, setMasterSchedule, setDisplayStartHour, setDisplayStartMinute, setDisplayEndHour, setDisplayEndMinute, setWeeklyPlanTitle]);
+
+  const handleImportSchedule = useCallback((event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      setMessage('Bitte eine Datei zum Importieren auswählen.');
+      return;
+    }
+    importScheduleFile(file);
+  }, [importScheduleFile, setMessage]);
+
+  // NEU: Öffnet eine per Doppelklick gestartete Datei (installierte App, "file_handlers" im Manifest).
+  // .dienstplan-Dateien laufen über denselben Weg wie "Daten importieren", .wochenplan-Dateien wie der Wochenplan-Import.
+  const openLaunchedFile = useCallback(async (handle) => {
+    try {
+      if (handle.name.toLowerCase().endsWith('.wochenplan')) {
+        importScheduleFile(await handle.getFile());
+      } else {
+        await loadDienstplanFileHandle(handle);
+      }
+    } catch (error) {
+      if (error.name === 'PassphraseCancelledError') {
+        setMessage(error.message);
+        setMessageType('info');
+      } else {
+        console.error("Fehler beim Öffnen der gestarteten Datei:", error);
+        setMessage(`Fehler beim Öffnen von "${handle.name}": ${error.message}`);
+        setMessageType('error');
+      }
+    }
+  }, [importScheduleFile, loadDienstplanFileHandle, setMessage]);
+
+  // Dateien aus der launchQueue werden erst geöffnet, wenn die App ihre Daten geladen hat
+  useEffect(() => {
+    if (!('launchQueue' in window)) return;
+    window.launchQueue.setConsumer((launchParams) => {
+      if (launchParams.files && launchParams.files.length > 0) {
+        setLaunchedFileHandles([...launchParams.files]);
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!isDataLoaded || launchedFileHandles.length === 0) return;
+    const [handle, ...ignoredHandles] = launchedFileHandles;
+    setLaunchedFileHandles([]);
+    if (ignoredHandles.length > 0) {
+      console.warn("Es wird nur die erste gestartete Datei geöffnet:", ignoredHandles.map(ignored => ignored.name));
+    }
+    openLaunchedFile(handle);
+  }, [isDataLoaded, launchedFileHandles, openLaunchedFile]);
 
 
   // --- Confirmation Modal Handlers ---
@@ -4270,6 +8562,59 @@ useEffect(() => {
     }, 500); // Adjust delay if needed
   };
 
+  // NEU: Wochenplan direkt als PDF speichern (ohne Druckdialog), berücksichtigt die Filter wie der Druck
+  const handleExportPdfFromModal = (includeWeeklySummary, pageSize) => {
+    setShowPrintOptionsModal(false);
+    if (filteredEmployeesForDisplay.length === 0) {
+      setMessage('Es gibt keine Mitarbeiter für den PDF-Export.');
+      setMessageType('info');
+      return;
+    }
+
+    const filterDescriptions = [];
+    if (currentCalendarWeek) {
+      filterDescriptions.push(formatCalendarWeekLabel(currentCalendarWeek.weekStart, workingDays));
+    }
+    if (selectedGroupIdFilter !== 'all') {
+      filterDescriptions.push(`Gruppe: ${uniqueSortedGroups.find(group => group.id === selectedGroupIdFilter)?.name || 'Unbekannt'}`);
+    }
+    if (selectedEmployeeIdFilter !== 'all') {
+      filterDescriptions.push(`Mitarbeiter: ${employees.find(employee => employee.id === selectedEmployeeIdFilter)?.name || 'Unbekannt'}`);
+    }
+
+    try {
+      const blob = buildWeeklyPlanPdf({
+        pageSize,
+        title: weeklyPlanTitle,
+        subtitle: filterDescriptions.join(' · '),
+        days: workingDays,
+        orderedGroups: uniqueSortedGroups,
+        employees: filteredEmployeesForDisplay,
+        shifts: displayedSchedule.shifts,
+        categories,
+        subCategories,
+        groups,
+        groupWarnings,
+        absences: displayedWeekAbsences,
+        holidays: displayedWeekHolidays,
+        getClosingDay: getDisplayedClosingDay,
+        displayStartMinutes,
+        displayEndMinutes,
+        summaryTable: includeWeeklySummary
+          ? buildWeeklySummaryTable({ employees: filteredEmployeesForDisplay, weeklySummaries, groups, disposalTimeCategory, dynamicCategoryHeaders, timeAccountBalances })
+          : null,
+      });
+      const filename = buildTimestampedFilename(weeklyPlanTitle, 'pdf');
+      downloadFile(blob, filename, PDF_MIME_TYPE);
+      setMessage(`Wochenplan als "${filename}" gespeichert.`);
+      setMessageType('success');
+    } catch (error) {
+      console.error('Fehler beim Erstellen des PDFs:', error);
+      setMessage(`Fehler beim Erstellen des PDFs: ${error.message}`);
+      setMessageType('error');
+    }
+  };
+
   const handleCancelPrintModal = () => {
     setShowPrintOptionsModal(false);
   };
@@ -4279,14 +8624,24 @@ useEffect(() => {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-100">
         <div className="text-lg font-semibold text-gray-700">Lade Anwendung und Daten...</div>
+        {/* NEU: Die zuletzt verwendete Datei kann beim Start verschlüsselt sein */}
+        {passphrasePrompt && (
+          <PassphraseModal
+            mode="unlock"
+            fileName={passphrasePrompt.fileName}
+            error={passphrasePrompt.error}
+            onSubmit={handlePassphrasePromptResult}
+            onCancel={() => handlePassphrasePromptResult(null)}
+          />
+        )}
       </div>
     );
   }
 
-  // Helper to get shifts for a specific employee and day from masterSchedule
+  // Helper to get shifts for a specific employee and day from the displayed schedule (Vorlage oder Kalenderwoche)
   const getShiftsForEmployeeAndDay = (employeeId, dayOfWeek) => {
-    if (!masterSchedule || !masterSchedule.shifts) return [];
-    return masterSchedule.shifts.filter(shift =>
+    if (!displayedSchedule || !displayedSchedule.shifts) return [];
+    return displayedSchedule.shifts.filter(shift =>
       shift.employeeId === employeeId && shift.dayOfWeek === dayOfWeek
     );
   };
@@ -4332,7 +8687,22 @@ useEffect(() => {
         `}
       </style>
       <div className="w-screen min-h-screen font-sans text-gray-800 bg-gray-100 flex flex-col overflow-x-hidden py-8 px-8 animated-gradient"> {/* Added animated-gradient */}
-        <div ref={mainContainerRef} className="w-full max-w-[156.25rem] mx-auto bg-white rounded-xl shadow-lg p-4 sm:p-6 lg:p-8 main-container flex-grow overflow-hidden relative">
+        {/* NEU: Hinweis für schreibgeschützte Tabs */}
+        {isReadOnlyTab && (
+          <div className="w-full max-w-[156.25rem] mx-auto mb-4 p-4 bg-amber-100 border-l-4 border-amber-500 text-amber-800 rounded-lg shadow-md flex flex-wrap items-center justify-between gap-4 print-hidden-element">
+            <p>
+              <strong>Nur Ansicht:</strong> Der Dienstplan ist bereits in einem anderen Tab geöffnet und wird dort bearbeitet.
+              Änderungen aus dem anderen Tab erscheinen hier automatisch.
+            </p>
+            <button
+              onClick={() => takeOverTabOwnershipRef.current?.()}
+              className="bg-amber-500 hover:bg-amber-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              Hier bearbeiten
+            </button>
+          </div>
+        )}
+        <div ref={mainContainerRef} inert={isReadOnlyTab} className="w-full max-w-[156.25rem] mx-auto bg-white rounded-xl shadow-lg p-4 sm:p-6 lg:p-8 main-container flex-grow overflow-hidden relative">
           {/* Version number */}
           <div
             className="absolute top-4 left-4 text-xs text-gray-400 print-hidden-element cursor-pointer" // Added cursor-pointer
@@ -4391,6 +8761,19 @@ useEffect(() => {
             </div>
           )}
 
+          {/* NEU: Startbereich mit den zuletzt verwendeten Dateien, solange keine Datei geöffnet ist */}
+          {STORAGE_MODE === 'file' && !fileHandle && recentFiles.length > 0 && (
+            <div className="mb-10 p-6 bg-blue-50 rounded-lg shadow-inner text-center w-full mx-auto print-hidden-element">
+              <h2 className="text-2xl font-bold text-gray-700 mb-2">Willkommen zurück!</h2>
+              <p className="text-gray-600 mb-4">Öffne eine zuletzt verwendete Datei mit einem Klick oder importiere eine andere Datei.</p>
+              <RecentFilesList
+                recentFiles={recentFiles}
+                onOpen={handleOpenRecentFile}
+                onRemove={handleRemoveRecentFile}
+              />
+            </div>
+          )}
+
          {/* --- Datenverwaltung Section (Renamed) --- */}
           <div className="mb-10 p-6 bg-gray-50 rounded-lg shadow-inner text-center w-full mx-auto data-management-buttons-container">
             <h2 className="text-2xl font-bold text-gray-700 mb-6 text-center">Datenverwaltung</h2>
@@ -4401,6 +8784,13 @@ useEffect(() => {
               >
                 Daten importieren
               </button>
+              <button
+                onClick={handleOpenMasterDataImport}
+                className="bg-indigo-500 hover:bg-indigo-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                title="Gruppen, Mitarbeiter, Kategorien und Regeln aus einer anderen Datei übernehmen"
+              >
+                Daten übernehmen
+              </button>
               <button
                 onClick={() => handleSaveFile(fileHandle, true)} // Explizit showSuccessMessage = true
                 className="bg-green-500 hover:bg-green-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
@@ -4419,13 +8809,100 @@ useEffect(() => {
               >
                 Wochenplan drucken
               </button>
+              {/* NEU: Schichten als wiederkehrende Termine für Kalender-Apps */}
+              <button
+                onClick={() => setShowIcsExportModal(true)}
+                className="bg-cyan-600 hover:bg-cyan-700 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center gap-2"
+                title="Schichten als .ics-Datei für Kalender-Apps exportieren"
+              >
+                <CalendarDays size={18} /> Kalender exportieren
+              </button>
+              <button
+                onClick={handleOpenBackups}
+                className="bg-teal-500 hover:bg-teal-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+              >
+                Sicherungen
+              </button>
+              {/* NEU: Passwortschutz für .dienstplan-Dateien */}
+              <button
+                onClick={() => setShowEncryptionModal(true)}
+                className="bg-slate-600 hover:bg-slate-700 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center gap-2"
+                title={encryptionKey ? 'Die Datei wird verschlüsselt gespeichert' : 'Die Datei wird unverschlüsselt gespeichert'}
+              >
+                {encryptionKey ? <Lock size={18} /> : <LockOpen size={18} />} Verschlüsselung
+              </button>
               <button
                 onClick={handleClearAllData}
                 className="bg-red-500 hover:bg-red-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
               >
                 Daten vergessen
               </button>
+              {/* NEU: Undo/Redo */}
+              <button
+                onClick={handleUndo}
+                disabled={undoStack.length === 0}
+                className="bg-gray-500 hover:bg-gray-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+                title="Letzte Änderung rückgängig machen (Strg+Z)"
+              >
+                <Undo2 size={18} /> Rückgängig
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={redoStack.length === 0}
+                className="bg-gray-500 hover:bg-gray-600 text-white font-bold rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+                title="Rückgängig gemachte Änderung wiederholen (Strg+Y)"
+              >
+                <Redo2 size={18} /> Wiederholen
+              </button>
+            </div>
+            {/* NEU: Verstecktes Datei-Input zum Öffnen im Browser-Speicher-Modus */}
+            <input
+              type="file"
+              accept=".dienstplan,application/json"
+              ref={openFileInputRef}
+              onChange={handleOpenFileFromInput}
+              className="hidden"
+            />
+            <input
+              type="file"
+              accept=".dienstplan,application/json"
+              ref={masterDataFileInputRef}
+              onChange={handleMasterDataFileInput}
+              className="hidden"
+            />
+            {/* NEU: Anzeige des aktiven Speichermodus */}
+            <div className="print-hidden-element flex justify-center">
+              {STORAGE_MODE === 'file' ? (
+                <span
+                  className="inline-flex items-center gap-2 text-sm px-3 py-1 rounded-full bg-green-100 text-green-800"
+                  title="Änderungen werden automatisch direkt in die verknüpfte Datei auf deinem Computer gespeichert."
+                >
+                  <HardDrive size={16} />
+                  Speichermodus: Datei
+                  {fileHandle ? ` – automatisches Speichern in "${fileHandle.name}"` : ' – keine Datei verknüpft, Änderungen werden nicht automatisch gespeichert'}
+                </span>
+              ) : (
+                <span
+                  className="inline-flex items-center gap-2 text-sm px-3 py-1 rounded-full bg-amber-100 text-amber-800"
+                  title="Dein Browser unterstützt keinen direkten Dateizugriff. Änderungen werden automatisch im Browser gespeichert. Mit &quot;Daten exportieren&quot; lädst du eine Sicherungsdatei herunter."
+                >
+                  <Database size={16} />
+                  Speichermodus: Browser-Speicher
+                  {workingCopyName ? ` – Arbeitskopie von "${workingCopyName}"` : ' – Arbeitskopie im Browser'}
+                </span>
+              )}
             </div>
+            {/* NEU: Zuletzt verwendete Dateien */}
+            {STORAGE_MODE === 'file' && fileHandle && recentFiles.length > 0 && (
+              <div className="mt-6 print-hidden-element">
+                <RecentFilesList
+                  heading="Zuletzt verwendete Dateien"
+                  recentFiles={recentFiles}
+                  onOpen={handleOpenRecentFile}
+                  onRemove={handleRemoveRecentFile}
+                />
+              </div>
+            )}
           </div>
 
           {/* --- Management Sections Container --- */}
@@ -4541,11 +9018,13 @@ useEffect(() => {
                         <OpeningHoursEditor
                           group={editingGroup}
                           onUpdateGroup={setEditingGroup}
+                          days={workingDays}
                         />
                       ) : (
                         <OpeningHoursEditor
                           group={newGroup}
                           onUpdateGroup={setNewGroup}
+                          days={workingDays}
                         />
                       )
                     )}
@@ -4562,9 +9041,9 @@ useEffect(() => {
                           if (!group) return null;
 
                           // Display opening hours summary
-                          const hasOpeningHours = WEEK_DAYS_PLAN.some(day => group.openingHours?.[day]?.length > 0 && (group.daysWithOpeningHours?.[day] ?? false));
+                          const hasOpeningHours = workingDays.some(day => group.openingHours?.[day]?.length > 0 && (group.daysWithOpeningHours?.[day] ?? false));
                           const openingHoursSummary = hasOpeningHours ?
-                            WEEK_DAYS_PLAN.map(day => {
+                            workingDays.map(day => {
                               const hours = group.openingHours?.[day] || [];
                               const isDayEnabled = group.daysWithOpeningHours?.[day] ?? false;
                               if (hours.length > 0 && isDayEnabled) {
@@ -4707,7 +9186,7 @@ useEffect(() => {
                     <div className="mb-4 p-3 bg-white rounded-lg border border-gray-300 shadow-sm">
                       <h4 className="text-md font-semibold text-gray-700 mb-2">Anwesenheitstage in der Einrichtung:</h4>
                       <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-5 gap-2">
-                        {WEEK_DAYS_PLAN.map(day => (
+                        {workingDays.map(day => (
                           <label key={day} className="flex items-center space-x-2">
                             <input
                               type="checkbox"
@@ -4734,6 +9213,24 @@ useEffect(() => {
                     >
                       {editingEmployeeId ? 'Mitarbeiter aktualisieren' : 'Mitarbeiter hinzufügen'}
                     </button>
+                    {/* NEU: Mehrere Mitarbeiter auf einmal aus einer CSV-Datei importieren */}
+                    {!editingEmployeeId && (
+                      <>
+                        <button
+                          onClick={() => employeeCsvFileInputRef.current?.click()}
+                          className="bg-indigo-500 hover:bg-indigo-600 text-white font-bold py-3 px-6 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center justify-center gap-2"
+                        >
+                          <FileSpreadsheet size={18} /> CSV importieren
+                        </button>
+                        <input
+                          type="file"
+                          ref={employeeCsvFileInputRef}
+                          onChange={handleEmployeeCsvFileInput}
+                          accept=".csv,.txt,text/csv"
+                          className="hidden"
+                        />
+                      </>
+                    )}
                     {editingEmployeeId && (
                       <button
                         onClick={handleCancelEditEmployee}
@@ -4794,6 +9291,24 @@ useEffect(() => {
                                   )}
                                 </div>
                                 <div className="flex-shrink-0"> {/* Added flex-shrink-0 to button container */}
+                                  <button
+                                    onClick={() => setAbsencesModalEmployeeId(employee.id)}
+                                    className="text-teal-700 hover:text-teal-900 mr-3 text-sm transition duration-300 ease-in-out transform hover:scale-105"
+                                  >
+                                    Abwesenheiten
+                                  </button>
+                                  <button
+                                    onClick={() => setTimeAccountModalEmployeeId(employee.id)}
+                                    className="text-teal-700 hover:text-teal-900 mr-3 text-sm transition duration-300 ease-in-out transform hover:scale-105"
+                                  >
+                                    Zeitkonto
+                                  </button>
+                                  <button
+                                    onClick={() => setContractsModalEmployeeId(employee.id)}
+                                    className="text-teal-700 hover:text-teal-900 mr-3 text-sm transition duration-300 ease-in-out transform hover:scale-105"
+                                  >
+                                    Verträge
+                                  </button>
                                   <button
                                     onClick={() => handleEditEmployee(employee)}
                                     className="text-indigo-600 hover:text-indigo-800 mr-3 text-sm transition duration-300 ease-in-out transform hover:scale-105"
@@ -5242,6 +9757,131 @@ useEffect(() => {
               </button>
             </div>
 
+            {/* NEU: Umschalter zwischen Vorlage und Kalenderwoche */}
+            <div className="mb-4 flex justify-center print-hidden-element">
+              <div className="inline-flex rounded-lg shadow-sm border border-gray-300 overflow-hidden">
+                {[['template', 'Vorlage'], ['calendar', 'Kalenderwoche']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setPlanViewMode(mode)}
+                    className={`px-4 py-2 text-sm font-medium transition duration-300 ease-in-out ${planViewMode === mode ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {planViewMode === 'template' ? (
+              // NEU: Umschalter für die Wochenvorlagen (z.B. A-/B-Woche, Ferienwoche)
+              <div className="mb-4 flex flex-wrap items-center justify-center gap-3 print-hidden-element">
+                <label className="flex items-center gap-2 text-gray-700 font-medium">
+                  Wochenvorlage:
+                  <select
+                    value={masterSchedule.id || ''}
+                    onChange={(e) => handleSelectScheduleTemplate(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-md font-normal"
+                  >
+                    {sortedScheduleTemplates.map(template => (
+                      <option key={template.id || ''} value={template.id || ''}>
+                        {template.title || 'Wochenplan'} ({template.shifts.length} {template.shifts.length === 1 ? 'Schicht' : 'Schichten'})
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <button
+                  onClick={handleDuplicateScheduleTemplate}
+                  className="bg-indigo-500 hover:bg-indigo-600 text-white text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out transform hover:scale-105"
+                  title="Aktive Vorlage als neue Vorlage kopieren"
+                >
+                  Duplizieren
+                </button>
+                <button
+                  onClick={handleDeleteScheduleTemplate}
+                  disabled={scheduleTemplates.length === 0}
+                  className="bg-red-500 hover:bg-red-600 text-white text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+                  title={scheduleTemplates.length === 0 ? 'Die einzige Vorlage kann nicht gelöscht werden' : 'Aktive Vorlage löschen'}
+                >
+                  Löschen
+                </button>
+              </div>
+            ) : (
+              // NEU: Navigation zwischen den Kalenderwochen
+              <div className="mb-4 flex flex-wrap items-center justify-center gap-3 print-hidden-element">
+                <button
+                  onClick={() => setSelectedWeekStart(addDaysToIsoDate(selectedWeekStart, -7))}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out"
+                  title="Vorherige Woche"
+                >
+                  ‹ Vorherige
+                </button>
+                <input
+                  type="date"
+                  value={selectedWeekStart}
+                  onChange={(e) => handleShowCalendarWeek(e.target.value)}
+                  className="p-2 border border-gray-300 rounded-md"
+                  title="Datum wählen, die zugehörige Woche wird angezeigt"
+                />
+                <button
+                  onClick={() => setSelectedWeekStart(addDaysToIsoDate(selectedWeekStart, 7))}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out"
+                  title="Nächste Woche"
+                >
+                  Nächste ›
+                </button>
+                <button
+                  onClick={() => handleShowCalendarWeek(toIsoDate(new Date()))}
+                  className="text-indigo-600 hover:text-indigo-800 text-sm transition duration-300 ease-in-out"
+                >
+                  Aktuelle Woche
+                </button>
+                <span className="font-semibold text-gray-700">{formatCalendarWeekLabel(selectedWeekStart, workingDays)}</span>
+                <button
+                  onClick={() => setShowCalendarSettingsModal(true)}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out"
+                  title="Bundesland für die Feiertage und deren Anrechnung festlegen"
+                >
+                  Feiertage{settings.federalState ? ` (${settings.federalState})` : ''}
+                </button>
+                <button
+                  onClick={() => setShowClosingDaysModal(true)}
+                  className="bg-gray-200 hover:bg-gray-300 text-gray-700 text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out"
+                  title="Schließtage der Einrichtung oder einzelner Gruppen verwalten"
+                >
+                  Schließtage
+                </button>
+                {currentCalendarWeek && (
+                  <>
+                    <label className="flex items-center gap-2 text-gray-700">
+                      Vorlage:
+                      <select
+                        value={currentWeekTemplate.id || ''}
+                        onChange={(e) => handleSetCalendarWeekTemplate(e.target.value)}
+                        className="p-2 border border-gray-300 rounded-md"
+                      >
+                        {sortedScheduleTemplates.map(template => (
+                          <option key={template.id || ''} value={template.id || ''}>{template.title || 'Wochenplan'}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <button
+                      onClick={handleResetCalendarWeek}
+                      disabled={currentCalendarWeek.overrides.length === 0}
+                      className="bg-amber-500 hover:bg-amber-600 text-white text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {currentCalendarWeek.overrides.length} {currentCalendarWeek.overrides.length === 1 ? 'Abweichung' : 'Abweichungen'} verwerfen
+                    </button>
+                    <button
+                      onClick={handleDeleteCalendarWeek}
+                      className="bg-red-500 hover:bg-red-600 text-white text-sm px-3 py-2 rounded-md shadow-sm transition duration-300 ease-in-out"
+                    >
+                      Woche entfernen
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Display Time Range Configuration and Group Filter */}
             <div className="mb-6 p-4 bg-white rounded-lg shadow-sm border border-gray-200 display-time-config">
               <h3 className="text-lg font-semibold text-gray-700 mb-3">Anzeigebereich der Zeitleiste & Filter</h3> {/* Titel angepasst */}
@@ -5327,17 +9967,43 @@ useEffect(() => {
                   </label>
                 </div>
               </div>
+              {/* NEU: Arbeitstage der Datei */}
+              <div className="flex flex-wrap items-center gap-3 mt-4" title="Wochentage, die im Plan, in den Öffnungszeiten und in der Wochenübersicht erscheinen">
+                <span className="text-gray-700">Arbeitstage:</span>
+                {ALL_WEEK_DAYS.map(day => (
+                  <label key={day} className="flex items-center gap-1 text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={workingDays.includes(day)}
+                      onChange={() => handleToggleWorkingDay(day)}
+                      className="h-4 w-4 cursor-pointer"
+                    />
+                    {day.slice(0, 2)}
+                  </label>
+                ))}
+              </div>
             </div>
 
 
-            {filteredEmployeesForDisplay.length === 0 && selectedGroupIdFilter !== 'all' ? (
+            {planViewMode === 'calendar' && !currentCalendarWeek ? (
+              // NEU: Die gewählte Woche gibt es noch nicht
+              <div className="text-center p-6 bg-white rounded-lg shadow-md border border-gray-200">
+                <p className="text-gray-600 mb-4">Für {formatCalendarWeekLabel(selectedWeekStart, workingDays)} gibt es noch keinen Plan.</p>
+                <button
+                  onClick={handleCreateCalendarWeek}
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+                >
+                  Woche aus Vorlage "{masterSchedule.title || 'Wochenplan'}" erstellen
+                </button>
+              </div>
+            ) : filteredEmployeesForDisplay.length === 0 && selectedGroupIdFilter !== 'all' ? (
               <p className="text-center text-gray-500">Keine Mitarbeiter in der ausgewählten Gruppe vorhanden.</p>
             ) : employees.length === 0 ? (
               <p className="text-center text-gray-500">Bitte füge zuerst Mitarbeiter hinzu, um den Dienstplan zu erstellen.</p>
             ) : (
               // Apply styling to the outer container for a cohesive look
               <div className="weekly-plan-days-container bg-white p-4 rounded-lg shadow-md border border-gray-200">
-                {WEEK_DAYS_PLAN.map(day => (
+                {workingDays.map(day => (
                   // Added printable-day-container class here
                   <div key={day} className="mb-4 last:mb-0 printable-day-container">
                     {/* Main grid for the day's schedule */}
@@ -5345,6 +10011,19 @@ useEffect(() => {
                       {/* Weekday Name - now in the grid, spanning first two columns */}
                       <h4 className="col-span-2 font-bold text-xl text-gray-800 mb-4 text-left pl-2">
                         {day}
+                        {currentCalendarWeek && (
+                          <span className="font-normal text-gray-500">, {formatGermanDate(getWeekDates(currentCalendarWeek.weekStart)[day])}</span>
+                        )}
+                        {displayedWeekHolidays[day] && (
+                          <span className="ml-2 align-middle text-sm font-semibold px-2 py-0.5 rounded-full bg-rose-100 text-rose-700">
+                            Feiertag: {displayedWeekHolidays[day]}
+                          </span>
+                        )}
+                        {getDisplayedClosingDay(day, null) && (
+                          <span className="ml-2 align-middle text-sm font-semibold px-2 py-0.5 rounded-full bg-slate-200 text-slate-700">
+                            Schließtag{getDisplayedClosingDay(day, null).name ? `: ${getDisplayedClosingDay(day, null).name}` : ''}
+                          </span>
+                        )}
                       </h4>
                       {/* Empty div to align time axis header correctly */}
                       <div className="col-span-2"></div>
@@ -5383,15 +10062,23 @@ useEffect(() => {
                       {/* Render employees grouped by group, then sorted within the group */}
                       {uniqueSortedGroups.map(group => {
                           // Filter employees from the already globally sorted list that belong to this group
-                          const employeesInThisGroup = filteredEmployeesForDisplay.filter(emp => (emp.groupId || 'no-group') === group.id);
+                          const employeesInThisGroup = filteredEmployeesForDisplay.filter(emp => (emp.groupId || 'no-group') === group.id && emp.contractDays.includes(day)); // NEU: Tage ohne Vertrag ausblenden
 
                           if (employeesInThisGroup.length === 0) return null;
 
                           // Get group staffing warnings for this group and day
                           const currentGroupDayWarnings = groupWarnings[group.id]?.[day];
+                          // NEU: Schließtag nur für diese Gruppe (Schließtage der ganzen Einrichtung stehen an der Tagesüberschrift)
+                          const groupClosingDay = getDisplayedClosingDay(day, group.id);
+                          const isGroupOnlyClosingDay = groupClosingDay && groupClosingDay.groupIds.length > 0;
 
                           return (
                               <React.Fragment key={group.id}>
+                                  {isGroupOnlyClosingDay && (
+                                    <div className="col-span-4 bg-slate-100 border-l-4 border-slate-400 text-slate-700 p-2 my-2 rounded-md text-sm">
+                                      Gruppe {group.name} ist am {day} geschlossen{groupClosingDay.name ? ` (${groupClosingDay.name})` : ''}.
+                                    </div>
+                                  )}
                                   {/* Display group-level warnings here */}
                                   {currentGroupDayWarnings && currentGroupDayWarnings.textWarnings.length > 0 && (
                                     <div className="col-span-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-2 my-2 rounded-md print-hidden-warning">
@@ -5436,6 +10123,9 @@ useEffect(() => {
                                       // Get visual staffing warning ranges for this group and day
                                       const visualStaffingWarnings = currentGroupDayWarnings?.visualWarningRanges || [];
 
+                                      // NEU: Abwesenheit an diesem Datum (nur in Kalenderwochen)
+                                      const absence = displayedWeekAbsences[employee.id]?.[day];
+
 
                                       return (
                                           // This div now represents a single grid row for the employee's content
@@ -5461,13 +10151,26 @@ useEffect(() => {
                                                 {/* Employee Name column - in the second column, with group background */}
                                                 {/* Ensure no rounded corners here to make it seamless with the group background */}
                                                 <div className={`col-start-2 h-full px-2 text-right font-medium flex items-center justify-end ${group.color} ${getTextColorForBg(group.color)} rounded-none employee-name-cell`}>
-                                                    <span className="">{employee.name}</span> {/* Removed py-2 from here */}
+                                                    {/* NEU: Markierung für Abweichungen von der Vorlage an diesem Datum, Klick stellt die Vorlage wieder her */}
+                                                    {currentCalendarWeek && currentCalendarWeek.overrides.some(override => override.employeeId === employee.id && override.date === getWeekDates(currentCalendarWeek.weekStart)[day]) && (
+                                                        <button
+                                                            onClick={() => handleResetCalendarOverride(employee.id, getWeekDates(currentCalendarWeek.weekStart)[day])}
+                                                            className="mr-1 w-3 h-3 rounded-full bg-amber-500 hover:bg-amber-600 p-0 border-0 flex-shrink-0 print-hidden-element"
+                                                            title="Abweichung von der Vorlage. Klicken, um für diesen Tag die Schichten der Vorlage wiederherzustellen."
+                                                        />
+                                                    )}
+                                                    <span className={absence ? 'line-through opacity-60' : ''}>{employee.name}</span> {/* Removed py-2 from here */}
+                                                    {absence && (
+                                                        <span className={`ml-1 text-xs px-1.5 py-0.5 rounded-full text-white ${ABSENCE_TYPES[absence.type].color}`} title={absence.note || ABSENCE_TYPES[absence.type].label}>
+                                                            {ABSENCE_TYPES[absence.type].label}
+                                                        </span>
+                                                    )}
                                                 </div>
 
                                                 {/* Timeline column - in the third column */}
                                                 <div
                                                     ref={el => timelineRefs.current[`${employee.id}-${day}`] = el}
-                                                    className={`col-start-3 relative h-full border border-gray-300 rounded-md bg-white timeline-row-container px-2 flex items-center justify-center ${isSchoolDay ? 'opacity-50' : ''}`}
+                                                    className={`col-start-3 relative h-full border border-gray-300 rounded-md bg-white timeline-row-container px-2 flex items-center justify-center ${isSchoolDay ? 'opacity-50' : ''} ${absence || displayedWeekHolidays[day] || groupClosingDay ? 'opacity-40 grayscale' : ''}`}
                                                     onClick={(e) => {
                                                         if (!isDragging) { // Only allow click-to-add if no drag is active
                                                             handleTimelineClick(e, employee.id, day);
@@ -5739,6 +10442,47 @@ useEffect(() => {
           {/* --- Weekly Summary Section --- */}
           <div className="p-6 bg-gray-50 rounded-lg shadow-inner weekly-summary-section">
               <h2 className="text-2xl font-bold text-gray-700 mb-6 text-center">Wochenübersicht Mitarbeiter</h2>
+              {/* NEU: Export für die Verwaltung */}
+              {employees.length > 0 && (
+                <div className="flex justify-center gap-3 mb-4 print-hidden-element">
+                  <button
+                    onClick={() => handleExportWeeklySummary('csv')}
+                    className="bg-emerald-500 hover:bg-emerald-600 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center gap-2"
+                    title="Wochenübersicht als CSV-Datei (Semikolon-getrennt, Dezimalkomma) herunterladen"
+                  >
+                    <FileDown size={16} /> CSV
+                  </button>
+                  <button
+                    onClick={() => handleExportWeeklySummary('xlsx')}
+                    className="bg-green-700 hover:bg-green-800 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105 flex items-center gap-2"
+                    title="Wochenübersicht als Excel-Datei (.xlsx) herunterladen"
+                  >
+                    <FileSpreadsheet size={16} /> Excel
+                  </button>
+                  {/* NEU: Arbeitszeitkonto */}
+                  {currentCalendarWeek && (
+                    <button
+                      onClick={handleBookCalendarWeek}
+                      className="bg-teal-600 hover:bg-teal-700 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                      title="Über- und Unterstunden dieser Kalenderwoche ins Arbeitszeitkonto der angezeigten Mitarbeiter buchen"
+                    >
+                      Woche buchen
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setTimeAccountModalEmployeeId('')}
+                    className="bg-teal-500 hover:bg-teal-600 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                  >
+                    Zeitkonten
+                  </button>
+                  <button
+                    onClick={() => setShowVacationModal(true)}
+                    className="bg-green-500 hover:bg-green-600 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+                  >
+                    Urlaub
+                  </button>
+                </div>
+              )}
               {employees.length === 0 ? (
                   <p className="text-center text-gray-500">Bitte füge Mitarbeiter hinzu, um die Wochenübersicht zu sehen.</p>
               ) : (
@@ -5802,9 +10546,25 @@ useEffect(() => {
                                       <tr key={employee.id}>
                                           <td className={`px-4 py-3 whitespace-nowrap text-sm font-medium border-r border-gray-200 ${employeeGroupTextColorClass} ${employeeGroupColorClass}`}>
                                               {summary.employeeName}
+                                              {summary.weeklyDaysOff.length > 0 && (
+                                                  <span className="block text-xs font-normal opacity-80">{formatWeeklyDaysOff(summary.weeklyDaysOff)}</span>
+                                              )}
                                           </td>
                                           <td className={`px-4 py-3 whitespace-nowrap text-sm text-center border-r border-gray-200 ${workHourCellClasses}`}>
-                                              {formatMinutesToDecimalHours(summary.weeklyTotalWorkMinutes)} / {summary.contractedHours}h
+                                              {formatMinutesToDecimalHours(summary.weeklyTotalWorkMinutes)} / {formatMinutesToDecimalHours(summary.targetMinutes)}
+                                              {summary.weeklyCreditedMinutes > 0 && (
+                                                  <span className="block text-xs opacity-80">davon {formatMinutesToDecimalHours(summary.weeklyCreditedMinutes)} angerechnet</span>
+                                              )}
+                                              {timeAccountBalances[employee.id] !== undefined && (
+                                                  <span className="block text-xs opacity-80">
+                                                      Konto: {timeAccountBalances[employee.id] > 0 ? '+' : ''}{formatMinutesToDecimalHours(timeAccountBalances[employee.id])}
+                                                  </span>
+                                              )}
+                                              {currentCalendarWeek && timeAccountEntries.some(entry => entry.type === 'week' && entry.date === currentCalendarWeek.weekStart && entry.employeeId === employee.id && entry.id in outdatedWeekBookings) && (
+                                                  <span className="block text-xs font-semibold text-amber-700" title="Die Woche wurde nach der Buchung geändert. Über „Woche buchen“ neu buchen.">
+                                                      Buchung veraltet, neu buchen
+                                                  </span>
+                                              )}
                                           </td>
                                           {disposalTimeCategory && (
                                               <td className={`px-4 py-3 whitespace-nowrap text-sm text-center border-r border-gray-200 ${disposalTimeCellClasses}`}>
@@ -5920,9 +10680,9 @@ useEffect(() => {
               {/* Option to revert to employee's default group */}
               <button
                 className={`flex items-center w-full text-left px-3 py-2 text-sm rounded-md transition duration-150 ease-in-out border-2 border-gray-200 opacity-80 hover:opacity-100 hover:border-gray-300 hover:scale-105 ${getTextColorForBg('bg-gray-100')} mb-1`}
-                onClick={() => handleUpdateSegmentGroup(employees.find(emp => emp.id === changeGroupContext.shift.employeeId)?.groupId || 'no-group')}
+                onClick={() => handleUpdateSegmentGroup(activeEmployees.find(emp => emp.id === changeGroupContext.shift.employeeId)?.groupId || 'no-group')}
               >
-                Standardgruppe ({employees.find(emp => emp.id === changeGroupContext.shift.employeeId)?.groupId ? groups.find(g => g.id === employees.find(emp => emp.id === changeGroupContext.shift.employeeId)?.groupId)?.name : 'Ohne Gruppe'})
+                Standardgruppe ({activeEmployees.find(emp => emp.id === changeGroupContext.shift.employeeId)?.groupId ? groups.find(g => g.id === activeEmployees.find(emp => emp.id === changeGroupContext.shift.employeeId)?.groupId)?.name : 'Ohne Gruppe'})
               </button>
               <hr className="my-2 border-gray-200" /> {/* Separator */}
 
@@ -5998,6 +10758,198 @@ useEffect(() => {
               </div>
             )}
 
+            {/* NEU: Sicherungen-Dialog (vor dem ConfirmModal, damit dieses darüber liegt) */}
+            {showBackupsModal && (
+              <BackupsModal
+                backups={backups}
+                settings={backupSettings}
+                onSettingsChange={handleBackupSettingsChange}
+                onRestore={handleRestoreBackup}
+                onDelete={handleDeleteBackup}
+                onClose={() => setShowBackupsModal(false)}
+              />
+            )}
+
+            {/* NEU: Entscheidung bei extern geänderter Datei */}
+            {externalChange && (
+              <ExternalChangeModal
+                fileName={externalChange.fileName}
+                lastModified={externalChange.lastModified}
+                onReload={handleReloadExternalChange}
+                onOverwrite={handleOverwriteExternalChange}
+                onMerge={handleMergeExternalChange}
+              />
+            )}
+
+            {/* NEU: Passwort für die Verschlüsselung festlegen oder entfernen */}
+            {showEncryptionModal && (
+              <PassphraseModal
+                mode="set"
+                isEncrypted={!!encryptionKey}
+                onSubmit={handleSetEncryption}
+                onRemove={handleRemoveEncryption}
+                onCancel={() => setShowEncryptionModal(false)}
+              />
+            )}
+
+            {/* NEU: Passwortabfrage beim Öffnen einer verschlüsselten Datei */}
+            {passphrasePrompt && (
+              <PassphraseModal
+                mode="unlock"
+                fileName={passphrasePrompt.fileName}
+                error={passphrasePrompt.error}
+                onSubmit={handlePassphrasePromptResult}
+                onCancel={() => handlePassphrasePromptResult(null)}
+              />
+            )}
+
+            {/* NEU: Mitarbeiter-Import aus einer CSV-Datei */}
+            {employeeCsvImport && (
+              <EmployeeCsvImportModal
+                fileName={employeeCsvImport.fileName}
+                rows={employeeCsvImport.rows}
+                fields={EMPLOYEE_CSV_FIELDS}
+                initialMapping={employeeCsvImport.initialMapping}
+                groups={groups}
+                onAnalyze={analyzeEmployeeCsv}
+                onApply={handleApplyEmployeeCsvImport}
+                onCancel={() => { setEmployeeCsvImport(null); setMessage('CSV-Import abgebrochen.'); }}
+              />
+            )}
+
+            {/* NEU: Abwesenheitskalender */}
+            {absencesModalEmployeeId && (
+              <AbsencesModal
+                employees={sortedEmployees}
+                absences={absences}
+                absenceTypes={ABSENCE_TYPES}
+                initialEmployeeId={absencesModalEmployeeId}
+                onAdd={handleAddAbsence}
+                onDelete={handleDeleteAbsence}
+                onClose={() => setAbsencesModalEmployeeId(null)}
+              />
+            )}
+
+            {/* NEU: Kalender-Einstellungen (Feiertage) */}
+            {showCalendarSettingsModal && (
+              <CalendarSettingsModal
+                settings={settings}
+                federalStates={FEDERAL_STATES}
+                holidayCreditRules={HOLIDAY_CREDIT_RULES}
+                getHolidays={getPublicHolidays}
+                initialYear={Number(selectedWeekStart.slice(0, 4))}
+                onApply={handleApplyCalendarSettings}
+                onCancel={() => setShowCalendarSettingsModal(false)}
+              />
+            )}
+
+            {/* NEU: Schließtage */}
+            {showClosingDaysModal && (
+              <ClosingDaysModal
+                closingDays={closingDays}
+                groups={groups}
+                maxClosingDays={settings.maxClosingDays}
+                deductFromVacation={settings.deductClosingDaysFromVacation}
+                initialYear={Number(selectedWeekStart.slice(0, 4))}
+                countClosingDays={(year, groupId) => countClosingDays(closingDays, year, settings.federalState, workingDays, groupId)}
+                onAdd={handleAddClosingDay}
+                onDelete={handleDeleteClosingDay}
+                onChangeMax={handleChangeMaxClosingDays}
+                onChangeDeductFromVacation={handleChangeDeductClosingDaysFromVacation}
+                onClose={() => setShowClosingDaysModal(false)}
+              />
+            )}
+
+            {/* NEU: Arbeitszeitkonto */}
+            {timeAccountModalEmployeeId !== null && (
+              <TimeAccountModal
+                employees={sortedEmployees}
+                entries={timeAccountEntries}
+                balances={timeAccountBalances}
+                outdatedWeekBookings={outdatedWeekBookings}
+                entryTypes={TIME_ACCOUNT_ENTRY_TYPES}
+                getHistory={getTimeAccountHistory}
+                formatWeekLabel={(weekStart) => formatCalendarWeekLabel(weekStart, workingDays)}
+                initialEmployeeId={timeAccountModalEmployeeId}
+                onSetOpeningBalance={handleSetOpeningBalance}
+                onAddCorrection={handleAddTimeAccountCorrection}
+                onDelete={handleDeleteTimeAccountEntry}
+                onClose={() => setTimeAccountModalEmployeeId(null)}
+              />
+            )}
+
+            {/* NEU: Vertragsverlauf */}
+            {contractsModalEmployeeId && employees.some(employee => employee.id === contractsModalEmployeeId) && (
+              <ContractsModal
+                employee={employees.find(employee => employee.id === contractsModalEmployeeId)}
+                groups={groups}
+                workingDays={workingDays}
+                onSave={(contract) => handleSaveContract(contractsModalEmployeeId, contract)}
+                onDelete={(contractId) => handleDeleteContract(contractsModalEmployeeId, contractId)}
+                onClose={() => setContractsModalEmployeeId(null)}
+              />
+            )}
+
+            {/* NEU: Urlaubsübersicht */}
+            {showVacationModal && (
+              <VacationModal
+                employees={sortedEmployees}
+                entitlements={vacationEntitlements}
+                workingDays={workingDays}
+                deductsClosingDays={settings.deductClosingDaysFromVacation}
+                initialYear={Number(selectedWeekStart.slice(0, 4))}
+                getBalance={(employeeId, year) => getEmployeeVacationBalance(employeeId, year)}
+                onSave={handleSaveVacationEntitlement}
+                onDelete={handleDeleteVacationEntitlement}
+                onClose={() => setShowVacationModal(false)}
+              />
+            )}
+
+            {/* NEU: Kalender-Export (.ics) */}
+            {showIcsExportModal && (
+              <IcsExportModal
+                employees={employees}
+                groups={groups}
+                onExport={handleExportIcs}
+                onCancel={() => setShowIcsExportModal(false)}
+              />
+            )}
+
+            {/* NEU: Stammdaten aus einer anderen Datei übernehmen */}
+            {masterDataImport && (
+              <MasterDataImportModal
+                fileName={masterDataImport.fileName}
+                analysis={masterDataImport.analysis}
+                sourceData={masterDataImport.sourceData}
+                onApply={handleApplyMasterDataImport}
+                onCancel={() => { setMasterDataImport(null); setMessage('Datenübernahme abgebrochen.'); }}
+              />
+            )}
+
+            {/* NEU: Zuordnung unbekannter Verweise beim Wochenplan-Import */}
+            {referenceMapping && (
+              <ReferenceMappingModal
+                fileName={referenceMapping.fileName}
+                unknownReferences={referenceMapping.unknownReferences}
+                employees={employees}
+                groups={groups}
+                categories={categories}
+                subCategories={subCategories}
+                onApply={(mapping) => { setReferenceMapping(null); referenceMapping.onApply(mapping); }}
+                onCancel={() => { setReferenceMapping(null); referenceMapping.onCancel(); }}
+              />
+            )}
+
+            {/* NEU: Prüfbericht vor dem Import */}
+            {importValidation && (
+              <ImportValidationModal
+                fileName={importValidation.fileName}
+                issues={importValidation.issues}
+                onRepair={() => { setImportValidation(null); importValidation.onRepair(); }}
+                onCancel={() => { setImportValidation(null); importValidation.onCancel(); }}
+              />
+            )}
+
             {/* Render the custom confirmation modal */}
             {showConfirmModal && (
               <ConfirmModal
@@ -6011,6 +10963,7 @@ useEffect(() => {
             {showPrintOptionsModal && (
               <PrintOptionsModal
                 onPrint={handlePrintFromModal}
+                onExportPdf={handleExportPdfFromModal}
                 onCancel={handleCancelPrintModal}
                 defaultPrintWeeklySummary={printWeeklySummary}
                 onPrintWeeklySummaryChange={setPrintWeeklySummary}
@@ -0,0 +1,227 @@
+// AbsencesModal.jsx
+import React, { useState, useEffect } from 'react';
+
+const WEEKDAY_HEADERS = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+
+// Datum als JJJJ-MM-TT in lokaler Zeit (für <input type="date">)
+const toDateInputValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('.');
+
+// Abwesenheitskalender je Mitarbeiter: Monatsansicht, Liste und Formular für neue Abwesenheiten.
+// Ein Klick auf einen Tag im Kalender setzt zuerst den Beginn, ein zweiter Klick das Ende.
+// absenceTypes: siehe ABSENCE_TYPES in App.jsx, onAdd(absence) liefert eine Fehlermeldung oder null
+const AbsencesModal = ({ employees, absences, absenceTypes, initialEmployeeId, onAdd, onDelete, onClose }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [employeeId, setEmployeeId] = useState(initialEmployeeId);
+  const [month, setMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+  const [newAbsence, setNewAbsence] = useState({ type: 'vacation', startDate: '', endDate: '', note: '' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  const handleClose = () => {
+    setIsVisible(false);
+    setTimeout(() => {
+      onClose();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const employeeAbsences = absences
+    .filter(absence => absence.employeeId === employeeId)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const absenceOn = (isoDate) => employeeAbsences.find(absence => absence.startDate <= isoDate && absence.endDate >= isoDate);
+
+  // Tage des Monats, vorne mit leeren Feldern bis zum Montag aufgefüllt
+  const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+  const leadingBlanks = (month.getDay() + 6) % 7;
+  const calendarCells = [
+    ...Array.from({ length: leadingBlanks }, () => null),
+    ...Array.from({ length: daysInMonth }, (_, index) => toDateInputValue(new Date(month.getFullYear(), month.getMonth(), index + 1))),
+  ];
+
+  const handleDayClick = (isoDate) => {
+    setError('');
+    setNewAbsence(prev => (!prev.startDate || prev.endDate || isoDate < prev.startDate
+      ? { ...prev, startDate: isoDate, endDate: '' }
+      : { ...prev, endDate: isoDate }));
+  };
+
+  const handleAdd = () => {
+    const absence = { ...newAbsence, employeeId, endDate: newAbsence.endDate || newAbsence.startDate };
+    const message = onAdd(absence);
+    if (message) {
+      setError(message);
+      return;
+    }
+    setError('');
+    setNewAbsence(prev => ({ ...prev, startDate: '', endDate: '', note: '' }));
+  };
+
+  const changeMonth = (offset) => setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Abwesenheiten</h3>
+
+        <label className="block text-sm font-medium text-gray-700 mb-4">
+          Mitarbeiter
+          <select
+            value={employeeId}
+            onChange={(e) => { setEmployeeId(e.target.value); setError(''); }}
+            className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+          >
+            {employees.map(employee => (
+              <option key={employee.id} value={employee.id}>{employee.name}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Monatskalender */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <button onClick={() => changeMonth(-1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Vorheriger Monat">‹</button>
+              <span className="font-semibold text-gray-800">
+                {month.toLocaleDateString('de-DE', { month: 'long', year: 'numeric' })}
+              </span>
+              <button onClick={() => changeMonth(1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Nächster Monat">›</button>
+            </div>
+            <div className="grid grid-cols-7 gap-1 text-center text-sm">
+              {WEEKDAY_HEADERS.map(header => (
+                <span key={header} className="text-xs font-medium text-gray-500">{header}</span>
+              ))}
+              {calendarCells.map((isoDate, index) => {
+                if (!isoDate) return <span key={`blank-${index}`} />;
+                const absence = absenceOn(isoDate);
+                const isSelected = isoDate === newAbsence.startDate
+                  || (newAbsence.endDate && isoDate >= newAbsence.startDate && isoDate <= newAbsence.endDate);
+                return (
+                  <button
+                    key={isoDate}
+                    onClick={() => handleDayClick(isoDate)}
+                    title={absence ? `${absenceTypes[absence.type].label}${absence.note ? `: ${absence.note}` : ''}` : undefined}
+                    className={`py-1 rounded-md transition duration-150 ease-in-out ${absence ? `${absenceTypes[absence.type].color} text-white` : 'hover:bg-gray-100 text-gray-700'} ${isSelected ? 'ring-2 ring-indigo-500' : ''}`}
+                  >
+                    {Number(isoDate.slice(8))}
+                  </button>
+                );
+              })}
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3 text-xs">
+              {Object.entries(absenceTypes).map(([type, { label, color }]) => (
+                <span key={type} className="flex items-center gap-1 text-gray-600">
+                  <span className={`inline-block w-3 h-3 rounded-full ${color}`} /> {label}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {/* Neue Abwesenheit */}
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">
+              Art
+              <select
+                value={newAbsence.type}
+                onChange={(e) => setNewAbsence(prev => ({ ...prev, type: e.target.value }))}
+                className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+              >
+                {Object.entries(absenceTypes).map(([type, { label }]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="flex gap-3">
+              <label className="flex-1 text-sm font-medium text-gray-700">
+                Von
+                <input
+                  type="date"
+                  value={newAbsence.startDate}
+                  onChange={(e) => setNewAbsence(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <label className="flex-1 text-sm font-medium text-gray-700">
+                Bis
+                <input
+                  type="date"
+                  value={newAbsence.endDate}
+                  min={newAbsence.startDate}
+                  onChange={(e) => setNewAbsence(prev => ({ ...prev, endDate: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+            </div>
+            <label className="block text-sm font-medium text-gray-700">
+              Notiz (optional)
+              <input
+                type="text"
+                value={newAbsence.note}
+                onChange={(e) => setNewAbsence(prev => ({ ...prev, note: e.target.value }))}
+                className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+              />
+            </label>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              onClick={handleAdd}
+              disabled={!newAbsence.startDate}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Abwesenheit eintragen
+            </button>
+          </div>
+        </div>
+
+        {/* Liste der Abwesenheiten */}
+        <h4 className="font-semibold text-gray-800 mt-6 mb-2">Eingetragene Abwesenheiten</h4>
+        {employeeAbsences.length === 0 ? (
+          <p className="text-sm text-gray-500">Für diesen Mitarbeiter sind keine Abwesenheiten eingetragen.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+            {employeeAbsences.map(absence => (
+              <li key={absence.id} className="flex items-center gap-3 px-3 py-2">
+                <span className={`text-xs px-2 py-0.5 rounded-full text-white whitespace-nowrap ${absenceTypes[absence.type].color}`}>
+                  {absenceTypes[absence.type].label}
+                </span>
+                <span className="flex-1 min-w-0 text-sm text-gray-800 truncate">
+                  {absence.startDate === absence.endDate ? formatDate(absence.startDate) : `${formatDate(absence.startDate)} – ${formatDate(absence.endDate)}`}
+                  {absence.note && <span className="text-gray-500"> · {absence.note}</span>}
+                </span>
+                <button
+                  onClick={() => onDelete(absence.id)}
+                  className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out"
+                >
+                  Löschen
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={handleClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Schließen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AbsencesModal;
@@ -0,0 +1,190 @@
+// BackupsModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Bezeichnungen für die Arten von Sicherungen
+const BACKUP_KIND_LABELS = {
+  hourly: 'Stündlich',
+  daily: 'Täglich',
+  manual: 'Vor Wiederherstellung',
+};
+
+// Formatiert einen ISO-Zeitstempel als deutsches Datum mit Uhrzeit
+const formatBackupTime = (isoString) => new Date(isoString).toLocaleString('de-DE', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+const BackupsModal = ({ backups, settings, onSettingsChange, onRestore, onDelete, onClose }) => {
+  // Steuert die Fade-In/Fade-Out-Animation (wie bei den anderen Modals)
+  const [isVisible, setIsVisible] = useState(false);
+  // Die Sicherung, deren Vorschau gerade angezeigt wird
+  const [selectedBackupId, setSelectedBackupId] = useState(null);
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  const handleClose = () => {
+    setIsVisible(false);
+    setTimeout(() => {
+      onClose();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const selectedBackup = backups.find(backup => backup.id === selectedBackupId);
+
+  // Vorschau: Mitarbeiter mit Anzahl der geplanten Tage, gruppiert nach Gruppe
+  // Verschlüsselte Sicherungen haben keine Vorschau, sie werden erst beim Wiederherstellen entschlüsselt
+  const renderPreview = (backup) => {
+    const { groups = [], employees = [], masterSchedule = { shifts: [] } } = backup.encrypted ? {} : backup.data;
+    const shiftCountByEmployee = {};
+    masterSchedule.shifts.forEach(shift => {
+      shiftCountByEmployee[shift.employeeId] = (shiftCountByEmployee[shift.employeeId] || 0) + 1;
+    });
+    const groupName = (groupId) => groups.find(g => g.id === groupId)?.name || 'Ohne Gruppe';
+
+    return (
+      <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200 text-left">
+        <h4 className="font-semibold text-gray-800 mb-2">
+          Vorschau: {backup.title} ({formatBackupTime(backup.createdAt)})
+        </h4>
+        {backup.encrypted ? (
+          <p className="text-sm text-gray-600 mb-2">
+            Diese Sicherung ist verschlüsselt. Beim Wiederherstellen wird das Passwort der Datei benötigt.
+          </p>
+        ) : (
+          <p className="text-sm text-gray-600 mb-2">
+            {groups.length} Gruppen, {employees.length} Mitarbeiter, {masterSchedule.shifts.length} Schichten
+          </p>
+        )}
+        {backup.encrypted ? null : employees.length === 0 ? (
+          <p className="text-sm text-gray-500">Keine Mitarbeiter in dieser Sicherung.</p>
+        ) : (
+          <ul className="text-sm text-gray-700 max-h-40 overflow-y-auto space-y-1">
+            {employees.map(employee => (
+              <li key={employee.id} className="flex justify-between gap-4">
+                <span>{employee.name} <span className="text-gray-500">({groupName(employee.groupId)})</span></span>
+                <span className="text-gray-600">{shiftCountByEmployee[employee.id] || 0} Schichten</span>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex justify-end mt-4">
+          <button
+            onClick={() => onRestore(backup)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Diese Sicherung wiederherstellen
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Sicherungen</h3>
+
+        {/* Einstellungen: Anzahl der aufbewahrten Sicherungen */}
+        <div className="flex flex-wrap justify-center gap-6 mb-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            Stündliche Sicherungen behalten:
+            <input
+              type="number"
+              min="0"
+              max="168"
+              value={settings.hourlyCount}
+              onChange={(e) => onSettingsChange({ ...settings, hourlyCount: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              className="w-20 p-2 border border-gray-300 rounded-md text-center"
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            Tägliche Sicherungen behalten:
+            <input
+              type="number"
+              min="0"
+              max="365"
+              value={settings.dailyCount}
+              onChange={(e) => onSettingsChange({ ...settings, dailyCount: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+              className="w-20 p-2 border border-gray-300 rounded-md text-center"
+            />
+          </label>
+        </div>
+        <p className="text-xs text-gray-500 mb-4 text-center">
+          Die Sicherungen werden automatisch beim Speichern im Browser abgelegt. 0 deaktiviert die jeweilige Sicherung.
+        </p>
+
+        {backups.length === 0 ? (
+          <p className="text-center text-gray-500">Noch keine Sicherungen vorhanden.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-300 text-sm">
+              <thead className="bg-gray-100">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-700">Zeitpunkt</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-700">Art</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-700">Titel</th>
+                  <th className="px-3 py-2 text-center font-medium text-gray-700">Mitarbeiter</th>
+                  <th className="px-3 py-2 text-center font-medium text-gray-700">Schichten</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {backups.map(backup => (
+                  <tr key={backup.id} className={backup.id === selectedBackupId ? 'bg-blue-50' : ''}>
+                    <td className="px-3 py-2 whitespace-nowrap">{formatBackupTime(backup.createdAt)}</td>
+                    <td className="px-3 py-2 whitespace-nowrap">{BACKUP_KIND_LABELS[backup.kind] || backup.kind}</td>
+                    <td className="px-3 py-2">{backup.title}</td>
+                    <td className="px-3 py-2 text-center">{backup.employeeCount}</td>
+                    <td className="px-3 py-2 text-center">{backup.shiftCount}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => setSelectedBackupId(backup.id === selectedBackupId ? null : backup.id)}
+                        className="text-indigo-600 hover:text-indigo-800 mr-3 text-sm transition duration-300 ease-in-out transform hover:scale-105"
+                      >
+                        {backup.id === selectedBackupId ? 'Vorschau schließen' : 'Vorschau'}
+                      </button>
+                      <button
+                        onClick={() => {
+                          if (backup.id === selectedBackupId) setSelectedBackupId(null);
+                          onDelete(backup);
+                        }}
+                        className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out transform hover:scale-105"
+                      >
+                        Löschen
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {selectedBackup && renderPreview(selectedBackup)}
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={handleClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Schließen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupsModal;
@@ -0,0 +1,114 @@
+// CalendarSettingsModal.jsx
+import React, { useState, useEffect } from 'react';
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('.');
+
+// Einstellungen für die Kalenderwochen: Bundesland für die gesetzlichen Feiertage und deren Anrechnung auf die Vertragsstunden.
+// Zeigt die Feiertage des gewählten Jahres als Vorschau.
+// federalStates / holidayCreditRules: siehe FEDERAL_STATES / HOLIDAY_CREDIT_RULES, getHolidays: getPublicHolidays aus App.jsx
+const CalendarSettingsModal = ({ settings, federalStates, holidayCreditRules, getHolidays, initialYear, onApply, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [draft, setDraft] = useState(settings);
+  const [previewYear, setPreviewYear] = useState(initialYear);
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const holidays = draft.federalState ? getHolidays(previewYear, draft.federalState) : [];
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Kalender-Einstellungen</h3>
+
+        <h4 className="font-semibold text-gray-800 mb-2">Gesetzliche Feiertage</h4>
+        <p className="text-sm text-gray-600 mb-3">
+          Feiertage werden in den Kalenderwochen markiert. An diesen Tagen gibt es keine Besetzungswarnungen.
+          Regionale Feiertage, die nur in Teilen eines Bundeslandes gelten, sind nicht enthalten.
+        </p>
+        <label className="block text-sm font-medium text-gray-700 mb-3">
+          Bundesland
+          <select
+            value={draft.federalState}
+            onChange={(e) => setDraft(prev => ({ ...prev, federalState: e.target.value }))}
+            className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+          >
+            <option value="">– keine Feiertage –</option>
+            {Object.entries(federalStates).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </label>
+
+        <span className="block text-sm font-medium text-gray-700 mb-1">Anrechnung auf die Vertragsstunden</span>
+        <div className="space-y-1 mb-4">
+          {Object.entries(holidayCreditRules).map(([rule, label]) => (
+            <label key={rule} className="flex items-center gap-2 text-gray-700">
+              <input
+                type="radio"
+                name="holidayCreditRule"
+                value={rule}
+                checked={draft.holidayCreditRule === rule}
+                onChange={() => setDraft(prev => ({ ...prev, holidayCreditRule: rule }))}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        {draft.federalState && (
+          <>
+            <div className="flex items-center justify-between mb-2">
+              <button onClick={() => setPreviewYear(prev => prev - 1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Vorheriges Jahr">‹</button>
+              <span className="font-semibold text-gray-800">Feiertage {previewYear}</span>
+              <button onClick={() => setPreviewYear(prev => prev + 1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Nächstes Jahr">›</button>
+            </div>
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto text-sm">
+              {holidays.map(holiday => (
+                <li key={holiday.date} className="flex justify-between gap-3 px-3 py-1.5">
+                  <span className="text-gray-800">{holiday.name}</span>
+                  <span className="text-gray-500 whitespace-nowrap">
+                    {new Date(`${holiday.date}T00:00:00`).toLocaleDateString('de-DE', { weekday: 'short' })}, {formatDate(holiday.date)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <div className="flex justify-center gap-4 mt-6">
+          <button
+            onClick={() => closeWith(() => onApply(draft))}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Übernehmen
+          </button>
+          <button
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalendarSettingsModal;
@@ -0,0 +1,208 @@
+// ClosingDaysModal.jsx
+import React, { useState, useEffect } from 'react';
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('.');
+
+// Schließtage verwalten: Formular für neue Zeiträume (ganze Einrichtung oder einzelne Gruppen), Liste und
+// Zähler der geplanten Schließtage eines Jahres im Vergleich zur Vorgabe des Trägers.
+// countClosingDays(year, groupId) zählt Arbeitstage ohne Feiertage, onAdd(closingDay) liefert eine Fehlermeldung oder null.
+// deductFromVacation: Schließtage mindern den Urlaubsanspruch der Mitarbeiter (siehe getVacationDates in App.jsx)
+const ClosingDaysModal = ({ closingDays, groups, maxClosingDays, deductFromVacation, initialYear, countClosingDays, onAdd, onDelete, onChangeMax, onChangeDeductFromVacation, onClose }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [year, setYear] = useState(initialYear);
+  const [newClosingDay, setNewClosingDay] = useState({ name: '', startDate: '', endDate: '', groupIds: [] });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  const handleClose = () => {
+    setIsVisible(false);
+    setTimeout(() => {
+      onClose();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const toggleGroup = (groupId) => {
+    setNewClosingDay(prev => ({
+      ...prev,
+      groupIds: prev.groupIds.includes(groupId) ? prev.groupIds.filter(id => id !== groupId) : [...prev.groupIds, groupId],
+    }));
+  };
+
+  const handleAdd = () => {
+    const message = onAdd({ ...newClosingDay, endDate: newClosingDay.endDate || newClosingDay.startDate });
+    if (message) {
+      setError(message);
+      return;
+    }
+    setError('');
+    setNewClosingDay({ name: '', startDate: '', endDate: '', groupIds: [] });
+  };
+
+  const groupName = (groupId) => groups.find(group => group.id === groupId)?.name || 'Unbekannt';
+
+  // Schließtage, die das gewählte Jahr berühren
+  const closingDaysOfYear = closingDays
+    .filter(closingDay => closingDay.startDate <= `${year}-12-31` && closingDay.endDate >= `${year}-01-01`)
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const facilityCount = countClosingDays(year, null);
+  const isOverLimit = maxClosingDays !== null && facilityCount > maxClosingDays;
+  // Gruppen mit eigenen Schließtagen zählen zusätzlich die Schließtage der ganzen Einrichtung
+  const groupsWithOwnClosingDays = groups.filter(group => closingDaysOfYear.some(closingDay => closingDay.groupIds.includes(group.id)));
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Schließtage</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Zähler je Jahr */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <button onClick={() => setYear(prev => prev - 1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Vorheriges Jahr">‹</button>
+              <span className="font-semibold text-gray-800">{year}</span>
+              <button onClick={() => setYear(prev => prev + 1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Nächstes Jahr">›</button>
+            </div>
+            <div className={`p-3 rounded-lg border ${isOverLimit ? 'bg-red-50 border-red-300 text-red-700' : 'bg-gray-50 border-gray-200 text-gray-800'}`}>
+              <span className="block text-2xl font-bold">
+                {facilityCount}{maxClosingDays !== null && <span className="text-base font-normal"> von max. {maxClosingDays}</span>}
+              </span>
+              <span className="block text-sm">Schließtage der ganzen Einrichtung (nur Arbeitstage, ohne Feiertage)</span>
+              {isOverLimit && <span className="block text-sm font-semibold mt-1">{facilityCount - maxClosingDays} mehr als vom Träger erlaubt.</span>}
+            </div>
+            {groupsWithOwnClosingDays.length > 0 && (
+              <ul className="text-sm text-gray-700 mt-2 space-y-0.5">
+                {groupsWithOwnClosingDays.map(group => (
+                  <li key={group.id}>Gruppe {group.name}: {countClosingDays(year, group.id)} Schließtage insgesamt</li>
+                ))}
+              </ul>
+            )}
+            <label className="block text-sm font-medium text-gray-700 mt-4">
+              Vom Träger erlaubte Schließtage pro Jahr
+              <input
+                type="number"
+                min="0"
+                value={maxClosingDays ?? ''}
+                onChange={(e) => onChangeMax(e.target.value === '' ? null : Math.max(0, Math.round(Number(e.target.value))))}
+                placeholder="keine Vorgabe"
+                className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+              />
+            </label>
+            <label className="flex items-start gap-2 text-sm text-gray-700 mt-3">
+              <input
+                type="checkbox"
+                checked={deductFromVacation}
+                onChange={(e) => onChangeDeductFromVacation(e.target.checked)}
+                className="h-4 w-4 mt-0.5"
+              />
+              <span>
+                <span className="font-medium">Schließtage vom Urlaub abziehen</span>
+                <span className="block text-gray-500">Schließtage an den Arbeitstagen eines Mitarbeiters zählen in der Urlaubsübersicht als Urlaubstage.</span>
+              </span>
+            </label>
+          </div>
+
+          {/* Neue Schließtage */}
+          <div className="space-y-3">
+            <label className="block text-sm font-medium text-gray-700">
+              Bezeichnung (optional)
+              <input
+                type="text"
+                value={newClosingDay.name}
+                placeholder="z.B. Sommerschließung, Teamtag"
+                onChange={(e) => setNewClosingDay(prev => ({ ...prev, name: e.target.value }))}
+                className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+              />
+            </label>
+            <div className="flex gap-3">
+              <label className="flex-1 text-sm font-medium text-gray-700">
+                Von
+                <input
+                  type="date"
+                  value={newClosingDay.startDate}
+                  onChange={(e) => { setNewClosingDay(prev => ({ ...prev, startDate: e.target.value })); setError(''); }}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <label className="flex-1 text-sm font-medium text-gray-700">
+                Bis
+                <input
+                  type="date"
+                  value={newClosingDay.endDate}
+                  min={newClosingDay.startDate}
+                  onChange={(e) => { setNewClosingDay(prev => ({ ...prev, endDate: e.target.value })); setError(''); }}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+            </div>
+            {groups.length > 0 && (
+              <div>
+                <span className="block text-sm font-medium text-gray-700 mb-1">Gilt für (ohne Auswahl: ganze Einrichtung)</span>
+                <div className="flex flex-wrap gap-x-4 gap-y-1">
+                  {groups.map(group => (
+                    <label key={group.id} className="flex items-center gap-2 text-gray-700">
+                      <input type="checkbox" checked={newClosingDay.groupIds.includes(group.id)} onChange={() => toggleGroup(group.id)} className="h-4 w-4" />
+                      {group.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              onClick={handleAdd}
+              disabled={!newClosingDay.startDate}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Schließtage eintragen
+            </button>
+          </div>
+        </div>
+
+        {/* Liste der Schließtage im gewählten Jahr */}
+        <h4 className="font-semibold text-gray-800 mt-6 mb-2">Schließtage {year}</h4>
+        {closingDaysOfYear.length === 0 ? (
+          <p className="text-sm text-gray-500">Für dieses Jahr sind keine Schließtage eingetragen.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg max-h-60 overflow-y-auto">
+            {closingDaysOfYear.map(closingDay => (
+              <li key={closingDay.id} className="flex items-center gap-3 px-3 py-2">
+                <span className="flex-1 min-w-0 text-sm text-gray-800 truncate">
+                  {closingDay.startDate === closingDay.endDate ? formatDate(closingDay.startDate) : `${formatDate(closingDay.startDate)} – ${formatDate(closingDay.endDate)}`}
+                  {closingDay.name && <span className="font-medium"> · {closingDay.name}</span>}
+                  <span className="text-gray-500"> · {closingDay.groupIds.length === 0 ? 'ganze Einrichtung' : closingDay.groupIds.map(groupName).join(', ')}</span>
+                </span>
+                <button
+                  onClick={() => onDelete(closingDay.id)}
+                  className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out"
+                >
+                  Löschen
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={handleClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Schließen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClosingDaysModal;
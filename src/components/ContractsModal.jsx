@@ -0,0 +1,243 @@
+// ContractsModal.jsx
+import React, { useState, useEffect } from 'react';
+
+const TYPE_LABELS = {
+  normal: 'Normal',
+  zusatzkraft: 'Zusatzkraft',
+  apprentice: 'Auszubildender',
+  fsj: 'FSJler',
+  intern: 'Praktikant',
+};
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('.');
+
+// Zahl mit Komma oder Punkt, leere Eingabe ergibt null
+const parseNumber = (value) => (String(value).trim() === '' ? null : Number(String(value).trim().replace(',', '.')));
+
+const toDraft = (source, workingDays) => ({
+  id: source.id || null,
+  startDate: source.startDate || '',
+  endDate: source.endDate || '',
+  contractedHoursPerWeek: String(source.contractedHoursPerWeek ?? ''),
+  overriddenDisposalHours: source.overriddenDisposalHours === null || source.overriddenDisposalHours === undefined ? '' : String(source.overriddenDisposalHours),
+  groupId: source.groupId || '',
+  type: source.type || 'normal',
+  presenceDays: source.presenceDays || [...workingDays],
+});
+
+// Vertragsverlauf eines Mitarbeiters: Liste der Verträge und Formular für einen neuen oder geänderten Vertrag.
+// Ein neuer Vertrag übernimmt die aktuellen Werte des Mitarbeiters als Vorschlag.
+// onSave(contract) liefert eine Fehlermeldung oder null, siehe handleSaveContract in App.jsx
+const ContractsModal = ({ employee, groups, workingDays, onSave, onDelete, onClose }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [draft, setDraft] = useState(() => toDraft({ ...employee, id: null }, workingDays));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  const handleClose = () => {
+    setIsVisible(false);
+    setTimeout(() => {
+      onClose();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const updateDraft = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+    setError('');
+  };
+
+  const togglePresenceDay = (day) => {
+    setDraft(prev => ({
+      ...prev,
+      presenceDays: prev.presenceDays.includes(day) ? prev.presenceDays.filter(other => other !== day) : workingDays.filter(other => other === day || prev.presenceDays.includes(other)),
+    }));
+  };
+
+  const handleSave = () => {
+    const message = onSave({
+      id: draft.id,
+      startDate: draft.startDate || null,
+      endDate: draft.endDate || null,
+      contractedHoursPerWeek: parseNumber(draft.contractedHoursPerWeek) ?? 0,
+      overriddenDisposalHours: parseNumber(draft.overriddenDisposalHours),
+      groupId: draft.groupId,
+      type: draft.type,
+      presenceDays: draft.presenceDays,
+    });
+    if (message) {
+      setError(message);
+      return;
+    }
+    setError('');
+    setDraft(toDraft({ ...employee, id: null }, workingDays));
+  };
+
+  const groupName = (groupId) => groups.find(group => group.id === groupId)?.name || 'Ohne Gruppe';
+  const contracts = [...(employee.contracts || [])].sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+  const isSpecialType = draft.type !== 'normal' && draft.type !== 'zusatzkraft';
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-2 text-center">Verträge von {employee.name}</h3>
+        <p className="text-sm text-gray-600 mb-4 text-center">
+          Jede Woche wird mit dem dort gültigen Vertrag berechnet. Außerhalb aller Verträge ist der Mitarbeiter nicht eingeplant.
+          {contracts.length === 0 && ' Beim ersten Vertrag gelten die bisherigen Werte bis zu dessen Beginn weiter.'}
+        </p>
+
+        {/* Liste der Verträge */}
+        {contracts.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">Noch keine datierten Verträge, es gelten immer die Werte des Mitarbeiters.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg mb-4">
+            {contracts.map(contract => (
+              <li key={contract.id} className={`flex items-center gap-3 px-3 py-2 ${contract.id === draft.id ? 'bg-indigo-50' : ''}`}>
+                <span className="flex-1 min-w-0 text-sm text-gray-800">
+                  <span className="font-medium">
+                    {contract.startDate ? formatDate(contract.startDate) : 'seit Beginn'} – {contract.endDate ? formatDate(contract.endDate) : 'unbefristet'}
+                  </span>
+                  <span className="text-gray-500">
+                    {' '}· {contract.contractedHoursPerWeek.toLocaleString('de-DE')} Std. · {TYPE_LABELS[contract.type]} · {groupName(contract.groupId)}
+                    {contract.overriddenDisposalHours !== null && contract.overriddenDisposalHours !== '' && ` · VZ ${contract.overriddenDisposalHours}h`}
+                  </span>
+                </span>
+                <button
+                  onClick={() => { setDraft(toDraft(contract, workingDays)); setError(''); }}
+                  className="text-indigo-600 hover:text-indigo-800 text-sm transition duration-300 ease-in-out"
+                >
+                  Bearbeiten
+                </button>
+                <button
+                  onClick={() => onDelete(contract.id)}
+                  className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out"
+                >
+                  Löschen
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Neuer oder bearbeiteter Vertrag */}
+        <h4 className="font-semibold text-gray-800 mb-2">{draft.id ? 'Vertrag bearbeiten' : 'Neuer Vertrag'}</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="text-sm font-medium text-gray-700">
+            Gültig ab (leer = seit Beginn)
+            <input
+              type="date"
+              value={draft.startDate}
+              onChange={(e) => updateDraft('startDate', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Gültig bis (leer = unbefristet)
+            <input
+              type="date"
+              value={draft.endDate}
+              min={draft.startDate}
+              onChange={(e) => updateDraft('endDate', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Wochenstunden
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft.contractedHoursPerWeek}
+              onChange={(e) => updateDraft('contractedHoursPerWeek', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Verfügungszeit überschreiben (optional)
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft.overriddenDisposalHours}
+              onChange={(e) => updateDraft('overriddenDisposalHours', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Gruppe
+            <select
+              value={draft.groupId}
+              onChange={(e) => updateDraft('groupId', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            >
+              <option value="">Ohne Gruppe</option>
+              {groups.map(group => (
+                <option key={group.id} value={group.id}>{group.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Typ
+            <select
+              value={draft.type}
+              onChange={(e) => updateDraft('type', e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            >
+              {Object.entries(TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {isSpecialType && (
+          <div className="mt-3">
+            <span className="block text-sm font-medium text-gray-700 mb-1">Anwesenheitstage</span>
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {workingDays.map(day => (
+                <label key={day} className="flex items-center gap-2 text-gray-700">
+                  <input type="checkbox" checked={draft.presenceDays.includes(day)} onChange={() => togglePresenceDay(day)} className="h-4 w-4" />
+                  {day}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+        {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={handleSave}
+            className="flex-1 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out"
+          >
+            {draft.id ? 'Änderungen speichern' : 'Vertrag hinzufügen'}
+          </button>
+          {draft.id && (
+            <button
+              onClick={() => { setDraft(toDraft({ ...employee, id: null }, workingDays)); setError(''); }}
+              className="bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-4 rounded-lg transition duration-300 ease-in-out"
+            >
+              Neuer Vertrag
+            </button>
+          )}
+        </div>
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={handleClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Schließen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContractsModal;
@@ -0,0 +1,150 @@
+// EmployeeCsvImportModal.jsx
+import React, { useState, useEffect, useMemo } from 'react';
+
+const STATUS_LABELS = {
+  create: { text: 'Neu', className: 'bg-green-100 text-green-800' },
+  update: { text: 'Aktualisieren', className: 'bg-blue-100 text-blue-800' },
+  rejected: { text: 'Abgelehnt', className: 'bg-red-100 text-red-700' },
+};
+
+const TYPE_LABELS = {
+  normal: 'Normal',
+  zusatzkraft: 'Zusatzkraft',
+  apprentice: 'Auszubildender',
+  fsj: 'FSJler',
+  intern: 'Praktikant',
+};
+
+// Mitarbeiter-Import aus einer CSV-Datei: Spalten den Feldern zuordnen, Vorschau mit Prüfergebnis je Zeile.
+// fields: siehe EMPLOYEE_CSV_FIELDS in App.jsx, onAnalyze(mapping, hasHeaderRow) liefert das Ergebnis von analyzeEmployeeCsvImport
+const EmployeeCsvImportModal = ({ fileName, rows, fields, initialMapping, groups, onAnalyze, onApply, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [mapping, setMapping] = useState(initialMapping);
+  // Ohne erkannte Überschriften wird die erste Zeile als Daten behandelt
+  const [hasHeaderRow, setHasHeaderRow] = useState(() => Object.values(initialMapping).some(index => index !== ''));
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const results = useMemo(() => onAnalyze(mapping, hasHeaderRow), [onAnalyze, mapping, hasHeaderRow]);
+  const counts = results.reduce((sum, result) => ({ ...sum, [result.status]: sum[result.status] + 1 }), { create: 0, update: 0, rejected: 0 });
+  const acceptedCount = counts.create + counts.update;
+  const missingRequired = fields.filter(field => field.required && mapping[field.key] === '');
+
+  const columnCount = Math.max(...rows.map(row => row.length));
+  const columnLabel = (index) => (hasHeaderRow && rows[0][index]?.trim() ? `Spalte ${index + 1}: ${rows[0][index].trim()}` : `Spalte ${index + 1}`);
+  const groupName = (groupId) => groups.find(group => group.id === groupId)?.name || '–';
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Mitarbeiter aus CSV importieren</h3>
+        <p className="text-gray-700 mb-4">
+          Ordne die Spalten aus <strong>"{fileName}"</strong> den Feldern zu. Mitarbeiter mit einem bereits vorhandenen Namen werden aktualisiert,
+          alle anderen neu angelegt. Gruppen werden anhand ihres Namens gefunden.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+          {fields.map(field => (
+            <label key={field.key} className="text-sm font-medium text-gray-700">
+              {field.label}{field.required && <span className="text-red-600"> *</span>}
+              <select
+                value={mapping[field.key]}
+                onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value === '' ? '' : Number(e.target.value) }))}
+                className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+              >
+                <option value="">– nicht importieren –</option>
+                {Array.from({ length: columnCount }, (_, index) => (
+                  <option key={index} value={index}>{columnLabel(index)}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-gray-700 mb-4">
+          <input type="checkbox" checked={hasHeaderRow} onChange={(e) => setHasHeaderRow(e.target.checked)} className="h-4 w-4" />
+          Erste Zeile enthält Überschriften
+        </label>
+
+        {missingRequired.length > 0 ? (
+          <p className="text-sm text-red-600 mb-4">
+            Bitte ordne eine Spalte für {missingRequired.map(field => `"${field.label}"`).join(' und ')} zu.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-700 mb-2">
+              {counts.create} neu · {counts.update} aktualisiert · {counts.rejected} abgelehnt
+            </p>
+            <div className="overflow-x-auto max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-300 text-sm">
+                <thead className="bg-gray-100 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-700">Zeile</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-700">Name</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-700">Std.</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-700">Gruppe</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-700">Typ</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-700">Ergebnis</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {results.map(result => (
+                    <tr key={result.rowNumber} className={result.status === 'rejected' ? 'bg-red-50' : ''}>
+                      <td className="px-3 py-2 text-gray-500">{result.rowNumber}</td>
+                      <td className="px-3 py-2 font-medium">{result.employee.name || <span className="italic text-gray-500">ohne Name</span>}</td>
+                      <td className="px-3 py-2">{Number.isFinite(result.employee.contractedHoursPerWeek) ? result.employee.contractedHoursPerWeek.toLocaleString('de-DE') : '–'}</td>
+                      <td className="px-3 py-2">{groupName(result.employee.groupId)}</td>
+                      <td className="px-3 py-2">{TYPE_LABELS[result.employee.type] || '–'}</td>
+                      <td className="px-3 py-2">
+                        <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${STATUS_LABELS[result.status].className}`}>
+                          {STATUS_LABELS[result.status].text}
+                        </span>
+                        {result.errors.length > 0 && (
+                          <span className="block text-xs text-red-700 mt-1">{result.errors.join(' ')}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div className="flex justify-center gap-4 mt-6">
+          <button
+            onClick={() => closeWith(() => onApply(results))}
+            disabled={missingRequired.length > 0 || acceptedCount === 0}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            {acceptedCount} Mitarbeiter übernehmen
+          </button>
+          <button
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmployeeCsvImportModal;
@@ -0,0 +1,69 @@
+// ExternalChangeModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Wird angezeigt, wenn die geöffnete Datei seit dem Laden/letzten Speichern extern geändert wurde.
+// Das automatische Speichern bleibt pausiert, bis eine der drei Optionen gewählt wurde.
+const ExternalChangeModal = ({ fileName, lastModified, onReload, onOverwrite, onMerge }) => {
+  const [isVisible, setIsVisible] = useState(false);
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und führt danach die gewählte Aktion aus
+  const handleChoice = (action) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      action();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const changedAt = new Date(lastModified).toLocaleString('de-DE');
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-lg w-full relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Datei wurde extern geändert</h3>
+        <p className="text-gray-700 mb-2">
+          Die Datei <strong>"{fileName}"</strong> wurde am {changedAt} außerhalb dieses Fensters geändert,
+          z.B. von einer Kollegin oder einem Kollegen auf einem gemeinsamen Laufwerk.
+        </p>
+        <p className="text-gray-700 mb-6">
+          Das automatische Speichern ist pausiert, damit keine Änderungen verloren gehen. Wie möchtest du fortfahren?
+        </p>
+        <div className="flex flex-col gap-3">
+          <button
+            onClick={() => handleChoice(onMerge)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+            title="Beide Änderungen übernehmen. Wurde dasselbe Element auf beiden Seiten geändert, gilt deine Version."
+          >
+            Zusammenführen
+          </button>
+          <button
+            onClick={() => handleChoice(onReload)}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+            title="Die geänderte Datei laden. Deine nicht gespeicherten Änderungen gehen verloren."
+          >
+            Geänderte Datei neu laden
+          </button>
+          <button
+            onClick={() => handleChoice(onOverwrite)}
+            className="bg-red-500 hover:bg-red-600 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+            title="Die Datei mit deinem Stand überschreiben. Die fremden Änderungen gehen verloren."
+          >
+            Mit meinem Stand überschreiben
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExternalChangeModal;
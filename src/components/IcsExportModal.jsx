@@ -0,0 +1,121 @@
+// IcsExportModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Alle Mitarbeiter als ZIP mit einer .ics-Datei je Mitarbeiter
+export const ALL_EMPLOYEES = '_all_employees';
+
+// Datum als JJJJ-MM-TT in lokaler Zeit (für <input type="date">)
+const toDateInputValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Kalender-Export: Auswahl des Mitarbeiters (oder aller Mitarbeiter), der Terminart und des Zeitraums,
+// ab dem die Schichten im Kalender wöchentlich wiederholt werden.
+const IcsExportModal = ({ employees, groups, onExport, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [employeeId, setEmployeeId] = useState(ALL_EMPLOYEES);
+  const [mode, setMode] = useState('blocks');
+  const [startDate, setStartDate] = useState(() => toDateInputValue(new Date()));
+  const [endDate, setEndDate] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const groupName = (groupId) => groups.find(group => group.id === groupId)?.name;
+  const isDateRangeValid = !!startDate && (!endDate || endDate >= startDate);
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Kalender exportieren</h3>
+        <p className="text-gray-700 mb-4">
+          Erstellt eine .ics-Datei, die in Kalender-Apps (z.B. auf dem Handy) importiert werden kann.
+          Die Schichten aus dem Wochenplan werden dort als wöchentlich wiederkehrende Termine angelegt.
+        </p>
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">Mitarbeiter</label>
+        <select
+          value={employeeId}
+          onChange={(e) => setEmployeeId(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-md mb-4"
+        >
+          <option value={ALL_EMPLOYEES}>Alle Mitarbeiter (ZIP mit einer Datei je Mitarbeiter)</option>
+          {employees.map(employee => (
+            <option key={employee.id} value={employee.id}>
+              {groupName(employee.groupId) ? `${employee.name} (${groupName(employee.groupId)})` : employee.name}
+            </option>
+          ))}
+        </select>
+
+        <span className="block text-sm font-medium text-gray-700 mb-1">Termine</span>
+        <div className="space-y-1 mb-4">
+          <label className="flex items-center gap-2 text-gray-700">
+            <input type="radio" name="icsMode" value="blocks" checked={mode === 'blocks'} onChange={() => setMode('blocks')} />
+            Ein Termin je Arbeitsblock (zusammenhängende Zeiten)
+          </label>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input type="radio" name="icsMode" value="segments" checked={mode === 'segments'} onChange={() => setMode('segments')} />
+            Ein Termin je Zeitabschnitt (mit Kategorie als Titel)
+          </label>
+        </div>
+
+        <div className="flex gap-4 mb-2">
+          <label className="flex-1 text-sm font-medium text-gray-700">
+            Gültig ab
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            />
+          </label>
+          <label className="flex-1 text-sm font-medium text-gray-700">
+            Gültig bis (optional)
+            <input
+              type="date"
+              value={endDate}
+              min={startDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+            />
+          </label>
+        </div>
+        {!isDateRangeValid && (
+          <p className="text-sm text-red-600 mb-2">Das Enddatum darf nicht vor dem Startdatum liegen.</p>
+        )}
+
+        <div className="flex justify-center gap-4 mt-6">
+          <button
+            onClick={() => closeWith(() => onExport({ employeeId, mode, startDate, endDate }))}
+            disabled={!isDateRangeValid || employees.length === 0}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            Exportieren
+          </button>
+          <button
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default IcsExportModal;
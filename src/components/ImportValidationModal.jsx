@@ -0,0 +1,86 @@
+// ImportValidationModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Zeigt die Probleme einer zu importierenden Datei (siehe validateDienstplanData) und bietet an,
+// sie automatisch zu reparieren bzw. ungültige Einträge zu entfernen, bevor die Daten geladen werden.
+// issues: [{ location, field, problem, action: 'repariert' | 'entfernt' }]
+const ImportValidationModal = ({ fileName, issues, onRepair, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const repairedCount = issues.filter(issue => issue.action === 'repariert').length;
+  const removedCount = issues.length - repairedCount;
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Probleme in der Datei gefunden</h3>
+        <p className="text-gray-700 mb-4">
+          In <strong>"{fileName}"</strong> wurden {issues.length} Probleme gefunden.
+          {repairedCount > 0 && ` ${repairedCount} davon können automatisch repariert werden.`}
+          {removedCount > 0 && ` ${removedCount} ungültige Einträge werden beim Import entfernt.`}
+        </p>
+
+        <div className="overflow-x-auto max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full divide-y divide-gray-300 text-sm">
+            <thead className="bg-gray-100 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Wo</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Feld</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Problem</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Aktion</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {issues.map((issue, index) => (
+                <tr key={index}>
+                  <td className="px-3 py-2">{issue.location}</td>
+                  <td className="px-3 py-2 font-mono text-xs text-gray-600">{issue.field}</td>
+                  <td className="px-3 py-2">{issue.problem}</td>
+                  <td className={`px-3 py-2 whitespace-nowrap font-semibold ${issue.action === 'repariert' ? 'text-green-700' : 'text-red-600'}`}>
+                    {issue.action === 'repariert' ? 'Reparieren' : 'Entfernen'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-center gap-4 mt-6">
+          <button
+            onClick={() => closeWith(onRepair)}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Reparieren und importieren
+          </button>
+          <button
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportValidationModal;
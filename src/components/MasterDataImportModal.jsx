@@ -0,0 +1,184 @@
+// MasterDataImportModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Abschnitte in der Reihenfolge, in der sie angezeigt werden
+const SECTIONS = [
+  { type: 'groups', title: 'Gruppen' },
+  { type: 'employees', title: 'Mitarbeiter' },
+  { type: 'categories', title: 'Kategorien' },
+  { type: 'subCategories', title: 'Unterkategorien' },
+  { type: 'disposalTimeRules', title: 'Verfügungszeit-Regeln' },
+];
+
+const STATUS_LABELS = {
+  new: { text: 'Neu', className: 'bg-green-100 text-green-800' },
+  conflict: { text: 'Abweichend', className: 'bg-amber-100 text-amber-800' },
+  identical: { text: 'Bereits vorhanden', className: 'bg-gray-100 text-gray-600' },
+};
+
+// "Daten übernehmen": Zeigt die Stammdaten einer anderen Datei als Auswahllisten.
+// Gleichnamige Einträge mit anderen Einstellungen (Konflikte) können als Kopie hinzugefügt oder zum Überschreiben gewählt werden.
+// analysis: siehe analyzeMasterDataImport in App.jsx, sourceData: die (geprüften) Daten der gewählten Datei
+const MasterDataImportModal = ({ fileName, analysis, sourceData, onApply, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  // { [type]: { [quellId]: 'add' | 'overwrite' } }, neue Einträge sind vorausgewählt
+  const [choices, setChoices] = useState(() => {
+    const initialChoices = {};
+    SECTIONS.forEach(({ type }) => {
+      initialChoices[type] = Object.fromEntries(analysis[type]
+        .filter(entry => entry.status === 'new')
+        .map(entry => [entry.item.id, 'add']));
+    });
+    return initialChoices;
+  });
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const setChoice = (type, id, choice) => {
+    setChoices(prev => {
+      const typeChoices = { ...prev[type] };
+      if (choice) {
+        typeChoices[id] = choice;
+      } else {
+        delete typeChoices[id];
+      }
+      return { ...prev, [type]: typeChoices };
+    });
+  };
+
+  // Alle auswählbaren Einträge eines Abschnitts an- bzw. abwählen
+  const toggleSection = (type, selectAll) => {
+    setChoices(prev => ({
+      ...prev,
+      [type]: selectAll
+        ? Object.fromEntries(analysis[type]
+          .filter(entry => entry.status !== 'identical')
+          .map(entry => [entry.item.id, prev[type][entry.item.id] || (entry.status === 'new' || type !== 'disposalTimeRules' ? 'add' : 'overwrite')]))
+        : {},
+    }));
+  };
+
+  const groupName = (groupId) => sourceData.groups.find(group => group.id === groupId)?.name;
+  const categoryName = (categoryId) => sourceData.categories.find(category => category.id === categoryId)?.name || 'Unbekannt';
+
+  const describe = (type, item) => {
+    switch (type) {
+      case 'employees':
+        return { label: item.name, details: `${item.contractedHoursPerWeek} Std./Woche${groupName(item.groupId) ? ` · ${groupName(item.groupId)}` : ''}` };
+      case 'subCategories':
+        return { label: item.name, details: `Unterkategorie von ${categoryName(item.parentCategoryId)}` };
+      case 'disposalTimeRules':
+        return { label: `${item.contractedHours} Std. Vertrag`, details: `${item.disposalHours} Std. Verfügungszeit` };
+      default:
+        return { label: item.name, details: '' };
+    }
+  };
+
+  const selectedCount = SECTIONS.reduce((sum, { type }) => sum + Object.keys(choices[type]).length, 0);
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Daten übernehmen</h3>
+        <p className="text-gray-700 mb-4">
+          Wähle aus, welche Einträge aus <strong>"{fileName}"</strong> in die aktuelle Datei übernommen werden.
+          Übernommene Einträge erhalten neue IDs, der Wochenplan bleibt unverändert.
+          Einträge mit gleichem Namen, aber anderen Einstellungen sind als <strong>"Abweichend"</strong> markiert.
+        </p>
+
+        {SECTIONS.filter(({ type }) => analysis[type].length > 0).map(({ type, title }) => {
+          const selectableCount = analysis[type].filter(entry => entry.status !== 'identical').length;
+          const allSelected = selectableCount > 0 && Object.keys(choices[type]).length === selectableCount;
+          return (
+            <div key={type} className="mb-5">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-gray-800">{title}</h4>
+                {selectableCount > 0 && (
+                  <button
+                    onClick={() => toggleSection(type, !allSelected)}
+                    className="text-indigo-600 hover:text-indigo-800 text-sm transition duration-300 ease-in-out"
+                  >
+                    {allSelected ? 'Keine auswählen' : 'Alle auswählen'}
+                  </button>
+                )}
+              </div>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                {analysis[type].map(({ item, status }) => {
+                  const { label, details } = describe(type, item);
+                  const choice = choices[type][item.id];
+                  return (
+                    <li key={item.id} className={`flex flex-col sm:flex-row sm:items-center gap-2 px-3 py-2 ${status === 'identical' ? 'opacity-60' : ''}`}>
+                      <label className="flex-1 flex items-center gap-3 min-w-0 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={!!choice}
+                          disabled={status === 'identical'}
+                          onChange={(e) => setChoice(type, item.id, e.target.checked ? (status === 'conflict' && type === 'disposalTimeRules' ? 'overwrite' : 'add') : null)}
+                          className="h-4 w-4"
+                        />
+                        <span className="min-w-0">
+                          <span className="block font-medium text-gray-800 truncate">{label}</span>
+                          {details && <span className="block text-xs text-gray-500 truncate">{details}</span>}
+                        </span>
+                      </label>
+                      <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap self-start sm:self-auto ${STATUS_LABELS[status].className}`}>
+                        {STATUS_LABELS[status].text}
+                      </span>
+                      {/* Bei Konflikten: als Kopie hinzufügen oder den vorhandenen Eintrag überschreiben.
+                          Regeln sind je Vertragsstundenzahl eindeutig und können nur überschrieben werden. */}
+                      {status === 'conflict' && choice && type !== 'disposalTimeRules' && (
+                        <select
+                          value={choice}
+                          onChange={(e) => setChoice(type, item.id, e.target.value)}
+                          className="p-1 border border-gray-300 rounded-md text-sm"
+                        >
+                          <option value="add">Als Kopie hinzufügen</option>
+                          <option value="overwrite">Vorhandenen überschreiben</option>
+                        </select>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          );
+        })}
+
+        <div className="flex justify-center gap-4 mt-6">
+          <button
+            onClick={() => closeWith(() => onApply(choices))}
+            disabled={selectedCount === 0}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:scale-100"
+          >
+            {selectedCount} {selectedCount === 1 ? 'Eintrag' : 'Einträge'} übernehmen
+          </button>
+          <button
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MasterDataImportModal;
@@ -0,0 +1,118 @@
+// PassphraseModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Modal für das Passwort verschlüsselter .dienstplan-Dateien.
+// mode 'unlock': Passwort zum Öffnen einer Datei abfragen.
+// mode 'set': Passwort für das Speichern festlegen, ändern oder (bei isEncrypted) die Verschlüsselung entfernen.
+const PassphraseModal = ({ mode, fileName, error, isEncrypted, onSubmit, onRemove, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseRepeat, setPassphraseRepeat] = useState('');
+  const [validationError, setValidationError] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!passphrase) {
+      setValidationError('Bitte gib ein Passwort ein.');
+      return;
+    }
+    if (mode === 'set') {
+      if (passphrase.length < 8) {
+        setValidationError('Das Passwort muss mindestens 8 Zeichen lang sein.');
+        return;
+      }
+      if (passphrase !== passphraseRepeat) {
+        setValidationError('Die Passwörter stimmen nicht überein.');
+        return;
+      }
+    }
+    closeWith(() => onSubmit(passphrase));
+  };
+
+  const displayedError = validationError || error;
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <form
+        onSubmit={handleSubmit}
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-sm w-full relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">
+          {mode === 'unlock' ? 'Verschlüsselte Datei' : 'Datei verschlüsseln'}
+        </h3>
+        <p className="text-gray-700 mb-4">
+          {mode === 'unlock'
+            ? <>Die Datei <strong>"{fileName}"</strong> ist mit einem Passwort geschützt. Bitte gib das Passwort ein.</>
+            : 'Beim Speichern wird die Datei mit diesem Passwort verschlüsselt. Ohne das Passwort kann sie nicht mehr geöffnet werden. Bewahre es gut auf!'}
+        </p>
+        <input
+          type="password"
+          autoFocus
+          autoComplete={mode === 'unlock' ? 'current-password' : 'new-password'}
+          value={passphrase}
+          onChange={(e) => { setPassphrase(e.target.value); setValidationError(''); }}
+          className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent transition duration-200 mb-3"
+          placeholder="Passwort"
+        />
+        {mode === 'set' && (
+          <input
+            type="password"
+            autoComplete="new-password"
+            value={passphraseRepeat}
+            onChange={(e) => { setPassphraseRepeat(e.target.value); setValidationError(''); }}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-400 focus:border-transparent transition duration-200 mb-3"
+            placeholder="Passwort wiederholen"
+          />
+        )}
+        {displayedError && (
+          <p className="text-sm text-red-600 mb-3">{displayedError}</p>
+        )}
+        <div className="flex justify-center gap-4 mt-2">
+          <button
+            type="submit"
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            {mode === 'unlock' ? 'Öffnen' : 'Speichern'}
+          </button>
+          <button
+            type="button"
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+        {mode === 'set' && isEncrypted && (
+          <div className="flex justify-center mt-4">
+            <button
+              type="button"
+              onClick={() => closeWith(onRemove)}
+              className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out transform hover:scale-105"
+            >
+              Verschlüsselung entfernen
+            </button>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default PassphraseModal;
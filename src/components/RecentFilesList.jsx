@@ -0,0 +1,52 @@
+// RecentFilesList.jsx
+import React from 'react';
+import { FileText, X } from 'lucide-react';
+
+// Formatiert einen ISO-Zeitstempel als deutsches Datum mit Uhrzeit
+const formatOpenedAt = (isoString) => new Date(isoString).toLocaleString('de-DE', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// Liste der zuletzt verwendeten Dateien. Ein Klick öffnet die Datei erneut (ggf. mit neuer Berechtigungsabfrage).
+// recentFiles: [{ id, handle, name, title, lastOpened }], neueste zuerst
+const RecentFilesList = ({ recentFiles, heading, onOpen, onRemove }) => {
+  if (recentFiles.length === 0) return null;
+
+  return (
+    <div className="w-full max-w-2xl mx-auto text-left">
+      {heading && <h3 className="text-lg font-semibold text-gray-700 mb-2">{heading}</h3>}
+      <ul className="divide-y divide-gray-200 bg-white rounded-lg border border-gray-200">
+        {recentFiles.map(recentFile => (
+          <li key={recentFile.id} className="flex items-center gap-2 pr-2">
+            <button
+              onClick={() => onOpen(recentFile)}
+              className="flex-1 flex items-center gap-3 px-3 py-2 text-left rounded-lg hover:bg-blue-50 transition duration-200 ease-in-out"
+              title={`"${recentFile.name}" öffnen`}
+            >
+              <FileText size={18} className="text-blue-500 shrink-0" />
+              <span className="flex-1 min-w-0">
+                <span className="block font-medium text-gray-800 truncate">{recentFile.title || recentFile.name}</span>
+                <span className="block text-xs text-gray-500 truncate">
+                  {recentFile.name} · zuletzt geöffnet am {formatOpenedAt(recentFile.lastOpened)}
+                </span>
+              </span>
+            </button>
+            <button
+              onClick={() => onRemove(recentFile)}
+              className="p-1 text-gray-400 hover:text-red-600 transition duration-200 ease-in-out"
+              title="Aus der Liste entfernen (die Datei selbst bleibt erhalten)"
+            >
+              <X size={16} />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RecentFilesList;
@@ -0,0 +1,134 @@
+// ReferenceMappingModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Zuordnungswert für "ohne Unterkategorie übernehmen"
+export const NO_SUBCATEGORY = '_no_subcategory';
+
+// Zuordnungsschritt beim Import einer .wochenplan-Datei: Jede unbekannte ID aus den importierten Schichten
+// kann einem vorhandenen Mitarbeiter bzw. einer vorhandenen (Unter-)Kategorie zugeordnet oder übersprungen werden.
+// unknownReferences: { employees, categories, subCategories } mit [{ id, name, groupName?, shiftCount, suggestion }]
+const ReferenceMappingModal = ({ fileName, unknownReferences, employees, groups, categories, subCategories, onApply, onCancel }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  // Gewählte Zuordnung je Art: { alteId: neueId }, '' = Schichten überspringen. Startet mit den Vorschlägen.
+  const [mapping, setMapping] = useState(() => {
+    const initialMapping = {};
+    Object.entries(unknownReferences).forEach(([type, entries]) => {
+      initialMapping[type] = Object.fromEntries(entries.map(entry => [entry.id, entry.suggestion]));
+    });
+    return initialMapping;
+  });
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  // Schließt das Modal mit Animation und ruft danach den übergebenen Callback auf
+  const closeWith = (callback) => {
+    setIsVisible(false);
+    setTimeout(() => {
+      callback();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const updateMapping = (type, id, value) => {
+    setMapping(prev => ({ ...prev, [type]: { ...prev[type], [id]: value } }));
+  };
+
+  const groupName = (groupId) => groups.find(group => group.id === groupId)?.name;
+  const categoryName = (categoryId) => categories.find(category => category.id === categoryId)?.name || 'Unbekannt';
+
+  const employeeOptions = employees.map(employee => ({
+    id: employee.id,
+    label: groupName(employee.groupId) ? `${employee.name} (${groupName(employee.groupId)})` : employee.name,
+  }));
+  const categoryOptions = categories.map(category => ({ id: category.id, label: category.name }));
+  const subCategoryOptions = subCategories.map(subCategory => ({
+    id: subCategory.id,
+    label: `${categoryName(subCategory.parentCategoryId)} › ${subCategory.name}`,
+  }));
+
+  const sections = [
+    { type: 'employees', title: 'Mitarbeiter', options: employeeOptions },
+    { type: 'categories', title: 'Kategorien', options: categoryOptions },
+    { type: 'subCategories', title: 'Unterkategorien', options: subCategoryOptions, allowWithout: true },
+  ].filter(section => unknownReferences[section.type].length > 0);
+
+  // Anzahl der Schichten, die mit der aktuellen Auswahl übersprungen werden (obere Schranke, Schichten können mehrfach betroffen sein)
+  const skippedShiftCount = sections.reduce((sum, section) => sum + unknownReferences[section.type]
+    .filter(entry => !mapping[section.type][entry.id])
+    .reduce((sectionSum, entry) => sectionSum + entry.shiftCount, 0), 0);
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Verweise zuordnen</h3>
+        <p className="text-gray-700 mb-4">
+          Der Wochenplan <strong>"{fileName}"</strong> enthält Schichten für Mitarbeiter oder Kategorien, die es in dieser Datei nicht gibt.
+          Ordne sie vorhandenen Einträgen zu oder überspringe die betroffenen Schichten. Vorschläge anhand gleicher Namen sind bereits ausgewählt.
+        </p>
+
+        {sections.map(section => (
+          <div key={section.type} className="mb-5">
+            <h4 className="font-semibold text-gray-800 mb-2">{section.title}</h4>
+            <div className="space-y-2">
+              {unknownReferences[section.type].map(entry => (
+                <div key={entry.id} className="flex flex-col sm:flex-row sm:items-center gap-2 p-2 bg-gray-50 rounded-lg border border-gray-200">
+                  <div className="flex-1 min-w-0">
+                    <span className="block font-medium text-gray-800 truncate">
+                      {entry.name || <span className="italic text-gray-500">Name unbekannt</span>}
+                      {entry.groupName && <span className="text-gray-500 font-normal"> ({entry.groupName})</span>}
+                    </span>
+                    <span className="block text-xs text-gray-500 truncate">
+                      ID {entry.id} · {entry.shiftCount} {entry.shiftCount === 1 ? 'Schicht' : 'Schichten'}
+                    </span>
+                  </div>
+                  <select
+                    value={mapping[section.type][entry.id]}
+                    onChange={(e) => updateMapping(section.type, entry.id, e.target.value)}
+                    className="sm:w-64 p-2 border border-gray-300 rounded-md text-sm"
+                  >
+                    <option value="">– Schichten überspringen –</option>
+                    {section.allowWithout && <option value={NO_SUBCATEGORY}>– Ohne Unterkategorie übernehmen –</option>}
+                    {section.options.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {skippedShiftCount > 0 && (
+          <p className="text-sm text-amber-700 mb-4">
+            Mit dieser Auswahl werden bis zu {skippedShiftCount} Schichten nicht importiert.
+          </p>
+        )}
+
+        <div className="flex justify-center gap-4 mt-2">
+          <button
+            onClick={() => closeWith(() => onApply(mapping))}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Zuordnung übernehmen
+          </button>
+          <button
+            onClick={() => closeWith(onCancel)}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Abbrechen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReferenceMappingModal;
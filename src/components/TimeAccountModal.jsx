@@ -0,0 +1,246 @@
+// TimeAccountModal.jsx
+import React, { useState, useEffect } from 'react';
+
+const formatDate = (isoDate) => isoDate.split('-').reverse().join('.');
+
+// Minuten als Stunden mit Vorzeichen, z.B. "+1,5 Std." oder "-3 Std."
+const formatSignedHours = (minutes) => {
+  const hours = Math.round((minutes / 60) * 100) / 100;
+  return `${hours > 0 ? '+' : ''}${hours.toLocaleString('de-DE')} Std.`;
+};
+
+// Minuten als Stunden ohne Vorzeichen, z.B. "38,5 Std."
+const formatHours = (minutes) => `${(Math.round((minutes / 60) * 100) / 100).toLocaleString('de-DE')} Std.`;
+
+// Stunden mit Komma oder Punkt in Minuten, ungültige Eingaben ergeben NaN
+const parseHoursToMinutes = (value) => Math.round(Number(String(value).trim().replace(',', '.')) * 60);
+
+const todayIsoDate = () => {
+  const today = new Date();
+  return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+};
+
+// Arbeitszeitkonto: links alle Mitarbeiter mit aktuellem Saldo, rechts Verlauf, Anfangssaldo und Korrekturen des gewählten Mitarbeiters.
+// entryTypes: siehe TIME_ACCOUNT_ENTRY_TYPES, getHistory: getTimeAccountHistory aus App.jsx,
+// outdatedWeekBookings: { [entryId]: { workedMinutes, targetMinutes } oder null } für Wochen, die sich seit der Buchung geändert haben,
+// onSetOpeningBalance / onAddCorrection liefern eine Fehlermeldung oder null
+const TimeAccountModal = ({ employees, entries, balances, outdatedWeekBookings = {}, entryTypes, getHistory, formatWeekLabel, initialEmployeeId, onSetOpeningBalance, onAddCorrection, onDelete, onClose }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [employeeId, setEmployeeId] = useState(initialEmployeeId || employees[0]?.id || '');
+  const [opening, setOpening] = useState({ date: todayIsoDate(), hours: '' });
+  const [correction, setCorrection] = useState({ date: todayIsoDate(), hours: '', reason: '' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  const handleClose = () => {
+    setIsVisible(false);
+    setTimeout(() => {
+      onClose();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const selectEmployee = (id) => {
+    setEmployeeId(id);
+    setError('');
+  };
+
+  const handleSetOpening = () => {
+    const message = onSetOpeningBalance({ employeeId, date: opening.date, minutes: parseHoursToMinutes(opening.hours) });
+    setError(message || '');
+    if (!message) setOpening(prev => ({ ...prev, hours: '' }));
+  };
+
+  const handleAddCorrection = () => {
+    const message = onAddCorrection({ employeeId, date: correction.date, minutes: parseHoursToMinutes(correction.hours), reason: correction.reason });
+    setError(message || '');
+    if (!message) setCorrection(prev => ({ ...prev, hours: '', reason: '' }));
+  };
+
+  // Neueste Einträge zuerst, der Saldo ist bereits chronologisch berechnet
+  const history = getHistory(entries, employeeId).reverse();
+  const describeEntry = (entry) => {
+    if (entry.type === 'week') return `${entryTypes.week} ${formatWeekLabel(entry.date)}`;
+    if (entry.type === 'correction') return `${entryTypes.correction}: ${entry.reason}`;
+    return entryTypes[entry.type];
+  };
+  // Hinweis für eine veraltete Wochenbuchung mit gebuchtem und aktuellem Ist/Soll
+  const describeOutdatedBooking = (entry) => {
+    const current = outdatedWeekBookings[entry.id];
+    const booked = Number.isFinite(entry.workedMinutes) && Number.isFinite(entry.targetMinutes)
+      ? `gebucht Ist ${formatHours(entry.workedMinutes)} / Soll ${formatHours(entry.targetMinutes)}`
+      : `gebucht ${formatSignedHours(entry.minutes)}`;
+    const now = current
+      ? `jetzt Ist ${formatHours(current.workedMinutes)} / Soll ${formatHours(current.targetMinutes)} (${formatSignedHours(Math.round(current.workedMinutes - current.targetMinutes))})`
+      : 'die Woche ist nicht mehr angelegt oder ohne Vertrag';
+    return `Veraltet: ${booked}, ${now}. Bitte die Woche neu buchen.`;
+  };
+  const balanceClass = (minutes) => (minutes > 0 ? 'text-green-700' : minutes < 0 ? 'text-red-600' : 'text-gray-600');
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Arbeitszeitkonto</h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-[14rem_1fr] gap-6">
+          {/* Übersicht aller Mitarbeiter */}
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg self-start max-h-[60vh] overflow-y-auto">
+            {employees.map(employee => (
+              <li key={employee.id}>
+                <button
+                  onClick={() => selectEmployee(employee.id)}
+                  className={`w-full flex justify-between gap-2 px-3 py-2 text-left text-sm transition duration-150 ease-in-out ${employee.id === employeeId ? 'bg-indigo-50 font-semibold' : 'hover:bg-gray-50'}`}
+                >
+                  <span className="truncate text-gray-800">{employee.name}</span>
+                  <span className={`whitespace-nowrap ${balanceClass(balances[employee.id] || 0)}`}>{formatSignedHours(balances[employee.id] || 0)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div>
+            {/* Anfangssaldo */}
+            <div className="flex flex-wrap items-end gap-3 mb-3">
+              <label className="text-sm font-medium text-gray-700">
+                Anfangssaldo am
+                <input
+                  type="date"
+                  value={opening.date}
+                  onChange={(e) => setOpening(prev => ({ ...prev, date: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                Stunden
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={opening.hours}
+                  placeholder="z.B. 12,5"
+                  onChange={(e) => setOpening(prev => ({ ...prev, hours: e.target.value }))}
+                  className="w-28 block p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <button
+                onClick={handleSetOpening}
+                disabled={!employeeId || !opening.hours.trim()}
+                className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Anfangssaldo setzen
+              </button>
+            </div>
+
+            {/* Korrektur */}
+            <div className="flex flex-wrap items-end gap-3 mb-3">
+              <label className="text-sm font-medium text-gray-700">
+                Korrektur am
+                <input
+                  type="date"
+                  value={correction.date}
+                  onChange={(e) => setCorrection(prev => ({ ...prev, date: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                Stunden
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  value={correction.hours}
+                  placeholder="z.B. -2"
+                  onChange={(e) => setCorrection(prev => ({ ...prev, hours: e.target.value }))}
+                  className="w-28 block p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <label className="flex-1 min-w-[10rem] text-sm font-medium text-gray-700">
+                Begründung
+                <input
+                  type="text"
+                  value={correction.reason}
+                  placeholder="z.B. Auszahlung Überstunden"
+                  onChange={(e) => setCorrection(prev => ({ ...prev, reason: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                />
+              </label>
+              <button
+                onClick={handleAddCorrection}
+                disabled={!employeeId || !correction.hours.trim()}
+                className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Korrektur buchen
+              </button>
+            </div>
+            {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+            {/* Verlauf */}
+            <h4 className="font-semibold text-gray-800 mt-4 mb-2">Verlauf</h4>
+            {history.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                Noch keine Einträge. Wochen werden in der Kalenderwochen-Ansicht über "Woche buchen" in der Wochenübersicht gebucht.
+              </p>
+            ) : (
+              <div className="overflow-x-auto max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-100 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-700">Datum</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-700">Eintrag</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-700">Buchung</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-700">Saldo</th>
+                      <th className="px-3 py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {history.map(entry => (
+                      <tr key={entry.id}>
+                        <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatDate(entry.date)}</td>
+                        <td className="px-3 py-2 text-gray-800">
+                          {describeEntry(entry)}
+                          {entry.id in outdatedWeekBookings && (
+                            <span className="block text-xs font-semibold text-amber-700">{describeOutdatedBooking(entry)}</span>
+                          )}
+                        </td>
+                        <td className={`px-3 py-2 whitespace-nowrap text-right ${balanceClass(entry.minutes)}`}>
+                          {entry.type === 'opening' ? formatSignedHours(entry.minutes).replace('+', '') : formatSignedHours(entry.minutes)}
+                        </td>
+                        <td className={`px-3 py-2 whitespace-nowrap text-right font-semibold ${balanceClass(entry.balance)}`}>{formatSignedHours(entry.balance)}</td>
+                        <td className="px-3 py-2 text-right">
+                          <button
+                            onClick={() => onDelete(entry.id)}
+                            className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out"
+                          >
+                            Löschen
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={handleClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Schließen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TimeAccountModal;
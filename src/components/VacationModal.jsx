@@ -0,0 +1,218 @@
+// VacationModal.jsx
+import React, { useState, useEffect } from 'react';
+
+// Tage mit Dezimalkomma, z.B. "18" oder "2,5"
+const formatDays = (days) => days.toLocaleString('de-DE');
+
+// Tage mit Komma oder Punkt, ungültige Eingaben ergeben NaN
+const parseDays = (value) => Number(String(value).trim().replace(',', '.'));
+
+// Jahresübersicht Urlaub: Anspruch, Übertrag, genommene, geplante und verbleibende Tage je Mitarbeiter.
+// Über "Bearbeiten" wird der Anspruch eines Mitarbeiters für das gewählte Jahr festgelegt.
+// getBalance(employeeId, year): siehe getVacationBalance in App.jsx, onSave(entitlement) liefert eine Fehlermeldung oder null
+const VacationModal = ({ employees, entitlements, workingDays, deductsClosingDays, initialYear, getBalance, onSave, onDelete, onClose }) => {
+  const [isVisible, setIsVisible] = useState(false);
+  const [year, setYear] = useState(initialYear);
+  const [draft, setDraft] = useState(null); // { employeeId, days, workDays, carryOverDays } des bearbeiteten Mitarbeiters
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const timerId = setTimeout(() => {
+      setIsVisible(true);
+    }, 0);
+    return () => clearTimeout(timerId);
+  }, []);
+
+  const handleClose = () => {
+    setIsVisible(false);
+    setTimeout(() => {
+      onClose();
+    }, 300); // Muss mit duration-300 übereinstimmen
+  };
+
+  const findEntitlement = (employeeId, entitlementYear) => entitlements.find(entitlement => entitlement.employeeId === employeeId && entitlement.year === entitlementYear);
+
+  const changeYear = (offset) => {
+    setYear(prev => prev + offset);
+    setDraft(null);
+    setError('');
+  };
+
+  // Ohne Anspruch in diesem Jahr werden Urlaubstage und Arbeitstage aus dem Vorjahr vorgeschlagen
+  const startEditing = (employee) => {
+    const entitlement = findEntitlement(employee.id, year) || findEntitlement(employee.id, year - 1);
+    setDraft({
+      employeeId: employee.id,
+      days: entitlement ? formatDays(entitlement.days) : '',
+      workDays: entitlement?.workDays.filter(day => workingDays.includes(day)) || (employee.presenceDays || workingDays).filter(day => workingDays.includes(day)),
+      carryOverDays: formatDays(findEntitlement(employee.id, year)?.carryOverDays || 0),
+    });
+    setError('');
+  };
+
+  const toggleWorkDay = (day) => {
+    setDraft(prev => ({
+      ...prev,
+      workDays: prev.workDays.includes(day) ? prev.workDays.filter(other => other !== day) : workingDays.filter(other => other === day || prev.workDays.includes(other)),
+    }));
+  };
+
+  const handleSave = () => {
+    const message = onSave({
+      employeeId: draft.employeeId,
+      year,
+      days: parseDays(draft.days),
+      workDays: draft.workDays,
+      carryOverDays: parseDays(draft.carryOverDays || 0),
+    });
+    setError(message || '');
+    if (!message) setDraft(null);
+  };
+
+  const hasPreviousYear = (employeeId) => Boolean(findEntitlement(employeeId, year - 1));
+
+  return (
+    <div
+      className={`fixed inset-0 bg-gray-300 backdrop-blur-md bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300 ease-in-out print-hidden-modal ${isVisible ? 'opacity-100' : 'opacity-0'}`}
+    >
+      <div
+        className={`bg-white rounded-lg shadow-xl p-6 max-w-4xl w-full max-h-[90vh] overflow-y-auto relative transform transition-all duration-300 ease-in-out ${isVisible ? 'scale-100' : 'scale-95'}`}
+      >
+        <h3 className="text-xl font-bold text-gray-800 mb-4 text-center">Urlaubsübersicht</h3>
+
+        <div className="flex items-center justify-center gap-4 mb-2">
+          <button onClick={() => changeYear(-1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Vorheriges Jahr">‹</button>
+          <span className="font-semibold text-gray-800">{year}</span>
+          <button onClick={() => changeYear(1)} className="px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300 text-gray-700" title="Nächstes Jahr">›</button>
+        </div>
+        <p className="text-sm text-gray-600 mb-4 text-center">
+          Gezählt werden eingetragene Urlaubstage an den Arbeitstagen des Mitarbeiters, gesetzliche Feiertage nicht.
+          {deductsClosingDays && ' Schließtage zählen ebenfalls als Urlaub.'}
+          Der Jahresurlaub gilt für eine volle Arbeitswoche ({workingDays.length} Tage) und wird anteilig gekürzt.
+        </p>
+
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-700">Mitarbeiter</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-700">Anspruch</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-700">Übertrag</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-700">Genommen</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-700">Geplant</th>
+                <th className="px-3 py-2 text-right font-medium text-gray-700">Rest</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {employees.map(employee => {
+                const balance = getBalance(employee.id, year);
+                const entitlement = findEntitlement(employee.id, year);
+                const isEditing = draft?.employeeId === employee.id;
+                return (
+                  <React.Fragment key={employee.id}>
+                    <tr className={isEditing ? 'bg-indigo-50' : ''}>
+                      <td className="px-3 py-2 font-medium text-gray-800">{employee.name}</td>
+                      {balance ? (
+                        <>
+                          <td className="px-3 py-2 text-right text-gray-700" title={`${formatDays(entitlement.days)} Tage bei voller Woche, ${entitlement.workDays.length} Arbeitstage`}>
+                            {formatDays(balance.entitledDays)}
+                          </td>
+                          <td className="px-3 py-2 text-right text-gray-700">{formatDays(balance.carryOver)}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{balance.taken}</td>
+                          <td className="px-3 py-2 text-right text-gray-700">{balance.planned}</td>
+                          <td className={`px-3 py-2 text-right font-semibold ${balance.remaining < 0 ? 'text-red-600' : 'text-gray-800'}`}>{formatDays(balance.remaining)}</td>
+                        </>
+                      ) : (
+                        <td colSpan={5} className="px-3 py-2 text-center italic text-gray-500">Kein Anspruch erfasst</td>
+                      )}
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => (isEditing ? setDraft(null) : startEditing(employee))}
+                          className="text-indigo-600 hover:text-indigo-800 text-sm mr-3 transition duration-300 ease-in-out"
+                        >
+                          {isEditing ? 'Abbrechen' : 'Bearbeiten'}
+                        </button>
+                        {entitlement && (
+                          <button
+                            onClick={() => onDelete(entitlement.id)}
+                            className="text-red-600 hover:text-red-800 text-sm transition duration-300 ease-in-out"
+                          >
+                            Löschen
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {isEditing && (
+                      <tr className="bg-indigo-50">
+                        <td colSpan={7} className="px-3 pb-3">
+                          <div className="flex flex-wrap items-end gap-4">
+                            <label className="text-sm font-medium text-gray-700">
+                              Jahresurlaub (volle Woche)
+                              <input
+                                type="text"
+                                inputMode="decimal"
+                                value={draft.days}
+                                placeholder="z.B. 30"
+                                onChange={(e) => setDraft(prev => ({ ...prev, days: e.target.value }))}
+                                className="w-28 block p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                              />
+                            </label>
+                            <div>
+                              <span className="block text-sm font-medium text-gray-700 mb-1">Arbeitstage des Mitarbeiters</span>
+                              <div className="flex flex-wrap gap-x-3 gap-y-1">
+                                {workingDays.map(day => (
+                                  <label key={day} className="flex items-center gap-1 text-gray-700">
+                                    <input type="checkbox" checked={draft.workDays.includes(day)} onChange={() => toggleWorkDay(day)} className="h-4 w-4" />
+                                    {day.slice(0, 2)}
+                                  </label>
+                                ))}
+                              </div>
+                            </div>
+                            <label className="text-sm font-medium text-gray-700">
+                              Übertrag aus {year - 1}
+                              {hasPreviousYear(employee.id) ? (
+                                <span className="block p-2 mt-1 font-normal text-gray-500">automatisch (Resturlaub)</span>
+                              ) : (
+                                <input
+                                  type="text"
+                                  inputMode="decimal"
+                                  value={draft.carryOverDays}
+                                  onChange={(e) => setDraft(prev => ({ ...prev, carryOverDays: e.target.value }))}
+                                  className="w-28 block p-2 border border-gray-300 rounded-md mt-1 font-normal"
+                                />
+                              )}
+                            </label>
+                            <button
+                              onClick={handleSave}
+                              disabled={!draft.days.trim()}
+                              className="bg-blue-600 hover:bg-blue-700 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                              Speichern
+                            </button>
+                          </div>
+                          {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex justify-center mt-6">
+          <button
+            onClick={handleClose}
+            className="bg-gray-400 hover:bg-gray-500 text-white font-bold py-2 px-5 rounded-lg shadow-md transition hover:scale-105 duration-300 ease-in-out"
+          >
+            Schließen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VacationModal;
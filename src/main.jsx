@@ -8,3 +8,12 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// Service Worker für die Offline-Nutzung (nur im Build, im Entwicklungsmodus würde er alte Stände zwischenspeichern)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+      console.error('Service Worker konnte nicht registriert werden:', error)
+    })
+  })
+}